@@ -0,0 +1,148 @@
+// analytics.controller.js
+// ✅ Sales analytics over arbitrary ranges (Admin only)
+// The home dashboard (home.controller.js) stays as the quick "today" view.
+
+import {
+  BREAKDOWN_DIMENSIONS,
+  parseAnalyticsRange,
+  compareMetrics,
+} from "../helpers/analytics.helpers.js";
+import {
+  getSalesTotals,
+  getSalesSeries,
+  getSalesBreakdown,
+  getDiscountCost,
+} from "../services/analytics.service.js";
+
+/**
+ * Parse the range or send the validation error
+ * @returns {Object|null} Range, or null when a response was sent
+ */
+const getRangeOrRespond = (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (!range.success) {
+    res.status(range.statusCode).json({
+      success: false,
+      message: range.message,
+    });
+    return null;
+  }
+  return range.data;
+};
+
+// compare=false skips the previous period queries
+const wantsComparison = (req) => req.query.compare !== "false";
+
+/**
+ * Revenue, order count, average order value, discounts and refunds,
+ * with a time series and the previous period
+ * GET /api/v2/analytics/sales?from&to&interval=hour|day|week|month&compare
+ */
+export const getSalesOverview = async (req, res) => {
+  try {
+    const range = getRangeOrRespond(req, res);
+    if (!range) return;
+
+    const compare = wantsComparison(req);
+    const [current, previous, series] = await Promise.all([
+      getSalesTotals(range),
+      compare ? getSalesTotals(range.previous) : null,
+      getSalesSeries(range),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        range: {
+          from: range.start,
+          to: range.end,
+          interval: range.interval,
+          ...(compare && { previous: { from: range.previous.start, to: range.previous.end } }),
+        },
+        summary: compare ? compareMetrics(current, previous) : { current },
+        series,
+      },
+      message: "Sales analytics fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getSalesOverview:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Sales by category, product, payment method, place type or governorate
+ * GET /api/v2/analytics/breakdown/:dimension?from&to&limit&compare
+ */
+export const getBreakdown = async (req, res) => {
+  try {
+    const { dimension } = req.params;
+
+    if (!BREAKDOWN_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid dimension. Valid dimensions: ${BREAKDOWN_DIMENSIONS.join(", ")}`,
+      });
+    }
+
+    const range = getRangeOrRespond(req, res);
+    if (!range) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const compare = wantsComparison(req);
+
+    const rows = await getSalesBreakdown(dimension, range, { limit, compare });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        dimension,
+        range: { from: range.start, to: range.end },
+        rows,
+      },
+      message: "Sales breakdown fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getBreakdown:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Discount cost by type (product/category/global) and coupon cost by code
+ * GET /api/v2/analytics/discounts?from&to&compare
+ */
+export const getDiscounts = async (req, res) => {
+  try {
+    const range = getRangeOrRespond(req, res);
+    if (!range) return;
+
+    const compare = wantsComparison(req);
+    const [current, previous] = await Promise.all([
+      getDiscountCost(range),
+      compare ? getDiscountCost(range.previous) : null,
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        range: { from: range.start, to: range.end },
+        totals: compare
+          ? compareMetrics(current.totals, previous.totals)
+          : { current: current.totals },
+        byDiscountType: current.byDiscountType,
+        byCoupon: current.byCoupon,
+      },
+      message: "Discount analytics fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getDiscounts:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  getSalesOverview,
+  getBreakdown,
+  getDiscounts,
+};
@@ -1,20 +1,53 @@
 import Cart from "../models/cart.model.js";
 import Product from "../models/product.model.js";
 import Coupon from "../models/coupon.model.js";
+import LoyaltySettings from "../models/loyaltySettings.model.js";
 import { calculateFinalCartPrice } from "../helpers/discount.helpers.js";
+import { loadPromotionContext } from "../services/promotion.service.js";
+import { resolveProductOptions } from "../helpers/modifier.helpers.js";
+import { validateRedeemRequest } from "../helpers/loyalty.helpers.js";
+import {
+  checkProductSchedule,
+  isWithinSchedule,
+} from "../helpers/schedule.helpers.js";
+import { getCartOwner } from "../helpers/cart.helpers.js";
+
+/**
+ * Find a cart line by product and options
+ * When optionsKey is omitted, falls back to the only line for the product
+ * (or the line without options) so option-less clients keep working.
+ */
+const findCartLine = (cart, productId, optionsKey) => {
+  const lines = cart.products.filter(
+    (p) => p.product.toString() === productId
+  );
+
+  if (optionsKey !== undefined) {
+    return lines.find((p) => (p.optionsKey || "") === optionsKey);
+  }
+
+  return lines.length === 1 ? lines[0] : lines.find((p) => !p.optionsKey);
+};
+
+/**
+ * Base price + selected option deltas for one unit of a cart line
+ */
+const getLineUnitPrice = (product, line) =>
+  product.price +
+  (line.selectedOptions || []).reduce((sum, o) => sum + (o.priceDelta || 0), 0);
 
 
 export const addProductToCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
-    if (!userId) {
+    const cartOwner = getCartOwner(req);
+    if (!cartOwner) {
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
     }
 
     const { productId } = req.params;
-    const { quantity = 1 } = req.body; // Accept quantity from request body
+    const { quantity = 1, options = [] } = req.body; // Accept quantity and modifiers from request body
 
     // Validate quantity
     if (!Number.isInteger(quantity) || quantity < 1) {
@@ -32,29 +65,59 @@ export const addProductToCart = async (req, res) => {
       });
     }
 
-    let cart = await Cart.findOne({ owner: userId });
+    if (!product.isAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is currently unavailable`,
+      });
+    }
+
+    // ✅ Menu schedule (e.g. breakfast only in the morning)
+    const scheduleResult = await checkProductSchedule(product);
+    if (!scheduleResult.success) {
+      return res.status(scheduleResult.statusCode).json({
+        success: false,
+        message: scheduleResult.message,
+      });
+    }
+
+    // ✅ Validate and price the chosen options
+    const optionsResult = resolveProductOptions(product, options);
+    if (!optionsResult.success) {
+      return res.status(optionsResult.statusCode).json({
+        success: false,
+        message: optionsResult.message,
+      });
+    }
+    const { selectedOptions, optionsPrice, optionsKey } = optionsResult.data;
+
+    let cart = await Cart.findOne(cartOwner);
 
     // Auto-create cart if it doesn't exist
     if (!cart) {
       cart = new Cart({
-        owner: userId,
+        ...cartOwner,
         products: [],
         totalPrice: 0,
         totalQuantity: 0,
       });
     }
 
-    const existingProduct = cart.products.find(
-      (p) => p.product.toString() === productId
-    );
+    // Same product with different options is a separate line
+    const existingProduct = findCartLine(cart, productId, optionsKey);
 
     if (existingProduct) {
       existingProduct.quantity += quantity;
     } else {
-      cart.products.push({ product: productId, quantity: quantity });
+      cart.products.push({
+        product: productId,
+        quantity: quantity,
+        selectedOptions,
+        optionsKey,
+      });
     }
 
-    cart.totalPrice += product.price * quantity;
+    cart.totalPrice += (product.price + optionsPrice) * quantity;
     cart.totalQuantity += quantity;
 
     await cart.save();
@@ -73,8 +136,8 @@ export const addProductToCart = async (req, res) => {
 
 export const addMultipleProductsToCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
-    if (!userId) {
+    const cartOwner = getCartOwner(req);
+    if (!cartOwner) {
       return res.status(401).json({
         success: false,
         message: "User is not authenticated"
@@ -105,7 +168,8 @@ export const addMultipleProductsToCart = async (req, res) => {
     }
 
     // Fetch all product IDs
-    const productIds = items.map((i) => i.productId);
+    // Same product may appear several times with different options
+    const productIds = [...new Set(items.map((i) => i.productId))];
     const productsFromDB = await Product.find({ _id: { $in: productIds } });
 
     if (productsFromDB.length !== productIds.length) {
@@ -115,26 +179,53 @@ export const addMultipleProductsToCart = async (req, res) => {
       });
     }
 
-    let cart = await Cart.findOne({ owner: userId });
+    let cart = await Cart.findOne(cartOwner);
 
     if (!cart) {
       cart = new Cart({
-        owner: userId,
+        ...cartOwner,
         products: [],
         totalPrice: 0,
         totalQuantity: 0,
       });
     }
 
-    // Process each incoming item
+    // Validate options for every item before touching the cart
+    const resolvedItems = [];
     for (const item of items) {
       const dbProduct = productsFromDB.find(
         (p) => p._id.toString() === item.productId
       );
 
-      const existingProduct = cart.products.find(
-        (p) => p.product.toString() === item.productId
-      );
+      if (!dbProduct.isAvailable) {
+        return res.status(400).json({
+          success: false,
+          message: `${dbProduct.name} is currently unavailable`,
+        });
+      }
+
+      const scheduleResult = await checkProductSchedule(dbProduct);
+      if (!scheduleResult.success) {
+        return res.status(scheduleResult.statusCode).json({
+          success: false,
+          message: scheduleResult.message,
+        });
+      }
+
+      const optionsResult = resolveProductOptions(dbProduct, item.options || []);
+      if (!optionsResult.success) {
+        return res.status(optionsResult.statusCode).json({
+          success: false,
+          message: `${dbProduct.name}: ${optionsResult.message}`,
+        });
+      }
+
+      resolvedItems.push({ item, dbProduct, ...optionsResult.data });
+    }
+
+    // Process each incoming item
+    for (const { item, dbProduct, selectedOptions, optionsPrice, optionsKey } of resolvedItems) {
+      const existingProduct = findCartLine(cart, item.productId, optionsKey);
 
       if (existingProduct) {
         existingProduct.quantity += item.quantity;
@@ -142,11 +233,13 @@ export const addMultipleProductsToCart = async (req, res) => {
         cart.products.push({
           product: item.productId,
           quantity: item.quantity,
+          selectedOptions,
+          optionsKey,
         });
       }
 
       // Update totals
-      cart.totalPrice += dbProduct.price * item.quantity;
+      cart.totalPrice += (dbProduct.price + optionsPrice) * item.quantity;
       cart.totalQuantity += item.quantity;
     }
 
@@ -170,11 +263,11 @@ export const addMultipleProductsToCart = async (req, res) => {
 // NEW: Increment/Decrement quantity function
 export const adjustProductQuantity = async (req, res) => {
   try {
-    const userId = req.user?._id;
+    const cartOwner = getCartOwner(req);
     const { productId } = req.params;
-    const { action, quantity = 1 } = req.body; // Default to 1 if not provided
+    const { action, quantity = 1, optionsKey } = req.body; // Default to 1 if not provided
 
-    if (!userId) {
+    if (!cartOwner) {
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
@@ -203,7 +296,7 @@ export const adjustProductQuantity = async (req, res) => {
       });
     }
 
-    const cart = await Cart.findOne({ owner: userId });
+    const cart = await Cart.findOne(cartOwner);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -211,9 +304,7 @@ export const adjustProductQuantity = async (req, res) => {
       });
     }
 
-    const existingProduct = cart.products.find(
-      (p) => p.product.toString() === productId
-    );
+    const existingProduct = findCartLine(cart, productId, optionsKey);
     
     if (!existingProduct) {
       return res.status(404).json({
@@ -224,28 +315,28 @@ export const adjustProductQuantity = async (req, res) => {
 
     let message = "";
     const changeAmount = quantity; // Amount to increase/decrease
+    const unitPrice = getLineUnitPrice(product, existingProduct);
 
     if (action === 'increase') {
       existingProduct.quantity += changeAmount;
       cart.totalQuantity += changeAmount;
-      cart.totalPrice += product.price * changeAmount;
+      cart.totalPrice += unitPrice * changeAmount;
       message = `Product quantity increased by ${changeAmount}`;
     } else if (action === 'decrease') {
       if (existingProduct.quantity <= changeAmount) {
         // Remove product if decreasing by more than or equal to current quantity
         const removedQuantity = existingProduct.quantity;
         
-        await Cart.findByIdAndUpdate(cart._id, {
-          $pull: { products: { product: productId } }
-        });
+        // Only this line - other option combinations of the product stay
+        cart.products = cart.products.filter((p) => p !== existingProduct);
         
         cart.totalQuantity -= removedQuantity;
-        cart.totalPrice -= product.price * removedQuantity;
+        cart.totalPrice -= unitPrice * removedQuantity;
         message = "Product removed from cart";
       } else {
         existingProduct.quantity -= changeAmount;
         cart.totalQuantity -= changeAmount;
-        cart.totalPrice -= product.price * changeAmount;
+        cart.totalPrice -= unitPrice * changeAmount;
         message = `Product quantity decreased by ${changeAmount}`;
       }
     }
@@ -270,16 +361,16 @@ export const adjustProductQuantity = async (req, res) => {
 
 export const removeProductInstanceFromCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
+    const cartOwner = getCartOwner(req);
     const { productId } = req.params;
 
-    if (!userId) {
+    if (!cartOwner) {
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
     }
 
-    const cart = await Cart.findOne({ owner: userId });
+    const cart = await Cart.findOne(cartOwner);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -287,7 +378,7 @@ export const removeProductInstanceFromCart = async (req, res) => {
       });
     }
 
-    const item = cart.products.find((p) => p.product.toString() === productId);
+    const item = findCartLine(cart, productId, req.body?.optionsKey);
     if (!item) {
       return res.status(404).json({
         success: false,
@@ -305,12 +396,10 @@ export const removeProductInstanceFromCart = async (req, res) => {
 
     item.quantity -= 1;
     cart.totalQuantity -= 1;
-    cart.totalPrice -= product.price;
+    cart.totalPrice -= getLineUnitPrice(product, item);
 
     if (item.quantity <= 0) {
-      cart.products = cart.products.filter(
-        (p) => p.product.toString() !== productId
-      );
+      cart.products = cart.products.filter((p) => p !== item);
     }
 
     await cart.save();
@@ -329,22 +418,28 @@ export const removeProductInstanceFromCart = async (req, res) => {
 
 export const removeAllSameProductFromCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
+    const cartOwner = getCartOwner(req);
     const { productId } = req.params;
 
-    if (!userId)
+    if (!cartOwner)
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
 
-    const cart = await Cart.findOne({ owner: userId });
+    const cart = await Cart.findOne(cartOwner);
     if (!cart)
       return res
         .status(404)
         .json({ success: false, message: "Cart not found" });
 
-    const item = cart.products.find((p) => p.product.toString() === productId);
-    if (!item)
+    // With optionsKey only that line is removed, otherwise every line of the product
+    const { optionsKey } = req.body || {};
+    const lines =
+      optionsKey !== undefined
+        ? [findCartLine(cart, productId, optionsKey)].filter(Boolean)
+        : cart.products.filter((p) => p.product.toString() === productId);
+
+    if (!lines.length)
       return res
         .status(404)
         .json({ success: false, message: "Product not in cart" });
@@ -355,12 +450,12 @@ export const removeAllSameProductFromCart = async (req, res) => {
         .status(404)
         .json({ success: false, message: "Product not found" });
 
-    cart.totalPrice -= product.price * item.quantity;
-    cart.totalQuantity -= item.quantity;
+    lines.forEach((line) => {
+      cart.totalPrice -= getLineUnitPrice(product, line) * line.quantity;
+      cart.totalQuantity -= line.quantity;
+    });
 
-    cart.products = cart.products.filter(
-      (p) => p.product.toString() !== productId
-    );
+    cart.products = cart.products.filter((p) => !lines.includes(p));
 
     await cart.save();
     await cart.populate("products.product");
@@ -380,14 +475,14 @@ export const removeAllSameProductFromCart = async (req, res) => {
 
 export const clearCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
-    if (!userId) {
+    const cartOwner = getCartOwner(req);
+    if (!cartOwner) {
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
     }
 
-    const cart = await Cart.findOne({ owner: userId });
+    const cart = await Cart.findOne(cartOwner);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -414,16 +509,14 @@ export const clearCart = async (req, res) => {
 
 export const deleteCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
-    if (!userId) {
+    const cartOwner = getCartOwner(req);
+    if (!cartOwner) {
       return res
         .status(401)
         .json({ success: false, message: "User is not authenticated" });
     }
 
-    const cart = await Cart.findOneAndDelete({
-      owner: userId,
-    });
+    const cart = await Cart.findOneAndDelete(cartOwner);
 
     if (!cart) {
       return res.status(404).json({ 
@@ -444,14 +537,14 @@ export const deleteCart = async (req, res) => {
 
 export const getCart = async (req, res) => {
   try {
-    const userId = req.user?._id;
+    const cartOwner = getCartOwner(req);
 
-    if (!userId)
+    if (!cartOwner)
       return res
         .status(401)
         .json({ success: false, message: "Not authenticated" });
 
-    const cart = await Cart.findOne({ owner: userId }).populate(
+    const cart = await Cart.findOne(cartOwner).populate(
       "products.product"
     );
 
@@ -471,6 +564,8 @@ export const getCart = async (req, res) => {
     const productDetails = cart.products.map((p) => ({
       product: p.product,
       quantity: p.quantity,
+      selectedOptions: p.selectedOptions,
+      optionsKey: p.optionsKey,
     }));
 
     return res.status(200).json({
@@ -517,6 +612,8 @@ export const getCartByUserId = async (req, res) => {
     const productDetails = cart.products.map((p) => ({
       product: p.product,
       quantity: p.quantity,
+      selectedOptions: p.selectedOptions,
+      optionsKey: p.optionsKey,
     }));
 
     return res.status(200).json({
@@ -594,13 +691,15 @@ export const applyCouponToCart = async (req, res) => {
     const cartCalculation = await calculateFinalCartPrice(
       cart.products,
       coupon._id,
-      userId
+      userId,
+      cart.loyaltyPoints,
+      await loadPromotionContext(userId)
     );
 
     if (!cartCalculation.appliedCoupon) {
       return res.status(400).json({
         success: false,
-        message: "Coupon could not be applied to your cart",
+        message: cartCalculation.couponError || "Coupon could not be applied to your cart",
       });
     }
 
@@ -608,6 +707,8 @@ export const applyCouponToCart = async (req, res) => {
     cart.appliedCoupon = coupon._id;
     cart.subtotal = cartCalculation.subtotal;
     cart.couponDiscount = cartCalculation.couponDiscount;
+    cart.loyaltyDiscount = cartCalculation.loyaltyDiscount;
+    cart.promotionDiscount = cartCalculation.promotionDiscount;
     cart.totalDiscount = cartCalculation.totalDiscount;
     cart.totalPrice = cartCalculation.finalTotal;
 
@@ -621,10 +722,16 @@ export const applyCouponToCart = async (req, res) => {
         discountBreakdown: {
           subtotal: cartCalculation.subtotal,
           productDiscounts: cartCalculation.productDiscounts,
+          promotionDiscount: cartCalculation.promotionDiscount,
+          appliedPromotions: cartCalculation.appliedPromotions,
           couponDiscount: cartCalculation.couponDiscount,
+          loyaltyDiscount: cartCalculation.loyaltyDiscount,
+          pointsRedeemed: cartCalculation.pointsRedeemed,
           totalDiscount: cartCalculation.totalDiscount,
           finalTotal: cartCalculation.finalTotal,
           freeDelivery: cartCalculation.freeDelivery,
+          couponAppliedItems: cartCalculation.couponAppliedItems,
+          couponTier: cartCalculation.couponTier,
         },
       },
       message: `Coupon ${coupon.code} applied successfully`,
@@ -669,12 +776,20 @@ export const removeCouponFromCart = async (req, res) => {
     }
 
     // Recalculate without coupon
-    const cartCalculation = await calculateFinalCartPrice(cart.products, null, userId);
+    const cartCalculation = await calculateFinalCartPrice(
+      cart.products,
+      null,
+      userId,
+      cart.loyaltyPoints,
+      await loadPromotionContext(userId)
+    );
 
     cart.appliedCoupon = null;
     cart.subtotal = cartCalculation.subtotal;
     cart.couponDiscount = 0;
-    cart.totalDiscount = cartCalculation.productDiscounts;
+    cart.loyaltyDiscount = cartCalculation.loyaltyDiscount;
+    cart.promotionDiscount = cartCalculation.promotionDiscount;
+    cart.totalDiscount = cartCalculation.totalDiscount;
     cart.totalPrice = cartCalculation.finalTotal;
 
     await cart.save();
@@ -693,22 +808,175 @@ export const removeCouponFromCart = async (req, res) => {
   }
 };
 
+/**
+ * Redeem loyalty points on the cart (Customer)
+ * The points are spent when the order is placed.
+ * POST /api/v2/cart/apply-points
+ */
+export const applyLoyaltyPointsToCart = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    const { points } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User not authenticated",
+      });
+    }
+
+    const cart = await Cart.findOne({ owner: userId }).populate("products.product");
+    if (!cart || cart.products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cart is empty",
+      });
+    }
+
+    const settings = await LoyaltySettings.getActiveConfig();
+    const validation = validateRedeemRequest(
+      points,
+      req.user.loyaltyPoints || 0,
+      settings
+    );
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const cartCalculation = await calculateFinalCartPrice(
+      cart.products,
+      cart.appliedCoupon,
+      userId,
+      points,
+      await loadPromotionContext(userId)
+    );
+
+    if (!cartCalculation.pointsRedeemed) {
+      return res.status(400).json({
+        success: false,
+        message: `Points can pay for at most ${settings.maxRedeemPercentage}% of your order`,
+      });
+    }
+
+    cart.loyaltyPoints = points;
+    cart.subtotal = cartCalculation.subtotal;
+    cart.loyaltyDiscount = cartCalculation.loyaltyDiscount;
+    cart.promotionDiscount = cartCalculation.promotionDiscount;
+    cart.totalDiscount = cartCalculation.totalDiscount;
+    cart.totalPrice = cartCalculation.finalTotal;
+
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        cart,
+        discountBreakdown: {
+          subtotal: cartCalculation.subtotal,
+          productDiscounts: cartCalculation.productDiscounts,
+          promotionDiscount: cartCalculation.promotionDiscount,
+          appliedPromotions: cartCalculation.appliedPromotions,
+          couponDiscount: cartCalculation.couponDiscount,
+          loyaltyDiscount: cartCalculation.loyaltyDiscount,
+          pointsRedeemed: cartCalculation.pointsRedeemed,
+          totalDiscount: cartCalculation.totalDiscount,
+          finalTotal: cartCalculation.finalTotal,
+        },
+      },
+      message:
+        cartCalculation.pointsRedeemed < points
+          ? `${cartCalculation.pointsRedeemed} of ${points} points applied (redemption limit)`
+          : `${points} points applied successfully`,
+    });
+  } catch (error) {
+    console.error("Error in applyLoyaltyPointsToCart:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Stop redeeming loyalty points on the cart (Customer)
+ * POST /api/v2/cart/remove-points
+ */
+export const removeLoyaltyPointsFromCart = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User not authenticated",
+      });
+    }
+
+    const cart = await Cart.findOne({ owner: userId }).populate("products.product");
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found",
+      });
+    }
+
+    if (!cart.loyaltyPoints) {
+      return res.status(400).json({
+        success: false,
+        message: "No loyalty points applied to cart",
+      });
+    }
+
+    const cartCalculation = await calculateFinalCartPrice(
+      cart.products,
+      cart.appliedCoupon,
+      userId,
+      0,
+      await loadPromotionContext(userId)
+    );
+
+    cart.loyaltyPoints = 0;
+    cart.loyaltyDiscount = 0;
+    cart.subtotal = cartCalculation.subtotal;
+    cart.promotionDiscount = cartCalculation.promotionDiscount;
+    cart.totalDiscount = cartCalculation.totalDiscount;
+    cart.totalPrice = cartCalculation.finalTotal;
+
+    await cart.save();
+
+    return res.status(200).json({
+      success: true,
+      data: cart,
+      message: "Loyalty points removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in removeLoyaltyPointsFromCart:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Get cart with detailed discount breakdown (Customer)
  * GET /api/v2/cart/get-cart-with-discounts
  */
 export const getCartWithDiscounts = async (req, res) => {
   try {
-    const userId = req.user?._id;
+    const cartOwner = getCartOwner(req);
 
-    if (!userId) {
+    if (!cartOwner) {
       return res.status(401).json({
         success: false,
         message: "Not authenticated",
       });
     }
 
-    const cart = await Cart.findOne({ owner: userId })
+    const cart = await Cart.findOne(cartOwner)
       .populate("products.product")
       .populate("appliedCoupon");
 
@@ -728,15 +996,23 @@ export const getCartWithDiscounts = async (req, res) => {
     }
 
     // Recalculate prices with current discounts
+    // ?placeType=Online|In-Place|Takeaway previews promotions limited to one
     const cartCalculation = await calculateFinalCartPrice(
       cart.products,
       cart.appliedCoupon?._id,
-      userId
+      req.user?._id,
+      req.user ? cart.loyaltyPoints : 0,
+      {
+        placeType: req.query.placeType,
+        ...(await loadPromotionContext(req.user?._id)),
+      }
     );
 
     // Update cart with latest calculations
     cart.subtotal = cartCalculation.subtotal;
     cart.couponDiscount = cartCalculation.couponDiscount;
+    cart.loyaltyDiscount = cartCalculation.loyaltyDiscount;
+    cart.promotionDiscount = cartCalculation.promotionDiscount;
     cart.totalDiscount = cartCalculation.totalDiscount;
     cart.totalPrice = cartCalculation.finalTotal;
     await cart.save();
@@ -748,6 +1024,14 @@ export const getCartWithDiscounts = async (req, res) => {
         products: cartCalculation.itemsWithPrices.map(item => ({
           product: item.product,
           quantity: item.quantity,
+          selectedOptions: item.selectedOptions,
+          optionsPrice: item.optionsPrice,
+          optionsKey: item.optionsKey,
+          // ✅ false when the item can't be ordered right now (unavailable / outside service hours)
+          isOnMenu:
+            item.product.isAvailable &&
+            isWithinSchedule(item.product.category?.availabilitySchedule) &&
+            isWithinSchedule(item.product.availabilitySchedule),
           unitPrice: item.unitPrice,
           originalUnitPrice: item.originalUnitPrice,
           unitDiscount: item.unitDiscount,
@@ -755,11 +1039,26 @@ export const getCartWithDiscounts = async (req, res) => {
           itemDiscount: item.itemDiscount,
           discountType: item.discountType,
           discountPercentage: item.discountPercentage,
+          // Global campaigns behind a "global" discount
+          discountCampaigns: item.discountCampaigns,
+          // Promotion / coupon share of this line and what the line costs after
+          // promotions, coupon and points
+          promotionDiscount: item.promotionAllocation || 0,
+          couponDiscount: item.couponAllocation || 0,
+          lineTotal: item.lineTotal ?? item.itemTotal,
         })),
         totalQuantity: cart.totalQuantity,
         subtotal: cartCalculation.subtotal,
         productDiscounts: cartCalculation.productDiscounts,
+        // Automatic promotions: which fired (with their items) and why others didn't
+        promotionDiscount: cartCalculation.promotionDiscount,
+        appliedPromotions: cartCalculation.appliedPromotions,
+        skippedPromotions: cartCalculation.skippedPromotions,
         couponDiscount: cartCalculation.couponDiscount,
+        // Requested points, and how many the cart can actually use right now
+        loyaltyPoints: cart.loyaltyPoints,
+        pointsRedeemed: cartCalculation.pointsRedeemed,
+        loyaltyDiscount: cartCalculation.loyaltyDiscount,
         totalDiscount: cartCalculation.totalDiscount,
         totalPrice: cartCalculation.finalTotal,
         appliedCoupon: cart.appliedCoupon ? {
@@ -768,6 +1067,11 @@ export const getCartWithDiscounts = async (req, res) => {
           description: cart.appliedCoupon.description,
           discountType: cart.appliedCoupon.discountType,
           discountValue: cart.appliedCoupon.discountValue,
+          isApplied: !!cartCalculation.appliedCoupon,
+          // Why it isn't, e.g. "Add 1 more eligible item(s) to use this coupon"
+          reason: cartCalculation.couponError,
+          appliedItems: cartCalculation.couponAppliedItems,
+          tier: cartCalculation.couponTier,
         } : null,
         freeDelivery: cartCalculation.freeDelivery,
       },
@@ -1,6 +1,12 @@
 import Category from "../models/category.model.js";
 import Product from "../models/product.model.js";
 import mongoose from "mongoose";
+import {
+  parseScheduleDate,
+  validateAvailabilitySchedule,
+  buildScheduleExpr,
+} from "../helpers/schedule.helpers.js";
+
 export const createCategory = async (req, res) => {
   try {
     const { name, description } = req.body;
@@ -37,7 +43,7 @@ export const createCategory = async (req, res) => {
 
 export const getAllCategories = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, at, includeOffMenu } = req.query;
     if (page < 1 || limit < 1) {
       return res.status(400).json({
         success: false,
@@ -45,6 +51,16 @@ export const getAllCategories = async (req, res) => {
       });
     }
 
+    // ✅ Menu schedules are evaluated at "at" (defaults to now)
+    const scheduleDate = parseScheduleDate(at);
+    if (!scheduleDate.success) {
+      return res.status(scheduleDate.statusCode).json({
+        success: false,
+        message: scheduleDate.message,
+      });
+    }
+    const showOffMenu = includeOffMenu === "true";
+
     const options = {
       page: parseInt(page, 10),
       limit: parseInt(limit, 10),
@@ -53,6 +69,12 @@ export const getAllCategories = async (req, res) => {
       {
         $match: {},
       },
+      {
+        $addFields: {
+          isOnMenu: buildScheduleExpr("$availabilitySchedule", scheduleDate.data),
+        },
+      },
+      ...(showOffMenu ? [] : [{ $match: { isOnMenu: true } }]),
       {
         $lookup: {
           from: "products",
@@ -61,6 +83,25 @@ export const getAllCategories = async (req, res) => {
           as: "products",
         },
       },
+      // Hide products outside their own service hours
+      ...(showOffMenu
+        ? []
+        : [
+            {
+              $addFields: {
+                products: {
+                  $filter: {
+                    input: "$products",
+                    as: "product",
+                    cond: buildScheduleExpr(
+                      "$$product.availabilitySchedule",
+                      scheduleDate.data
+                    ),
+                  },
+                },
+              },
+            },
+          ]),
     ];
     const allCategories = await Category.aggregatePaginate(pipeline, options);
 
@@ -206,6 +247,53 @@ export const deleteCategory = async (req, res) => {
   }
 };
 
+// ==================== MENU SCHEDULING (ADMIN) ====================
+
+/**
+ * Set category availability schedule (Admin)
+ * Empty array = always on the menu
+ * PATCH /api/v2/category/:categoryId/schedule
+ */
+export const setCategorySchedule = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { availabilitySchedule } = req.body;
+
+    const validation = validateAvailabilitySchedule(availabilitySchedule);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const category = await Category.findByIdAndUpdate(
+      categoryId,
+      { availabilitySchedule },
+      { new: true, runValidators: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: category,
+      message: "Category schedule updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in setCategorySchedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // ==================== CATEGORY DISCOUNT MANAGEMENT (ADMIN) ====================
 
 /**
@@ -215,7 +303,13 @@ export const deleteCategory = async (req, res) => {
 export const setCategoryDiscount = async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { discountPercentage, discountStartDate, discountEndDate, isDiscountActive } = req.body;
+    const {
+      discountPercentage,
+      discountStartDate,
+      discountEndDate,
+      discountSchedule,
+      isDiscountActive,
+    } = req.body;
 
     if (!categoryId) {
       return res.status(400).json({
@@ -234,6 +328,17 @@ export const setCategoryDiscount = async (req, res) => {
       }
     }
 
+    // Recurring windows, e.g. weekdays 15:00-18:00
+    if (discountSchedule !== undefined) {
+      const validation = validateAvailabilitySchedule(discountSchedule);
+      if (!validation.success) {
+        return res.status(validation.statusCode).json({
+          success: false,
+          message: validation.message.replace("availabilitySchedule", "discountSchedule"),
+        });
+      }
+    }
+
     const category = await Category.findById(categoryId);
     if (!category) {
       return res.status(404).json({
@@ -246,6 +351,7 @@ export const setCategoryDiscount = async (req, res) => {
     if (discountPercentage !== undefined) category.discountPercentage = discountPercentage;
     if (discountStartDate !== undefined) category.discountStartDate = discountStartDate;
     if (discountEndDate !== undefined) category.discountEndDate = discountEndDate;
+    if (discountSchedule !== undefined) category.discountSchedule = discountSchedule;
     category.isDiscountActive = isDiscountActive !== undefined ? isDiscountActive : true;
 
     await category.save();
@@ -288,6 +394,7 @@ export const removeCategoryDiscount = async (req, res) => {
       {
         discountPercentage: 0,
         $unset: { discountStartDate: 1, discountEndDate: 1 },
+        discountSchedule: [],
         isDiscountActive: false,
       },
       { new: true }
@@ -337,6 +444,7 @@ export const getCategoryWithDiscount = async (req, res) => {
       data: {
         ...category.toObject(),
         activeDiscount: currentDiscount,
+        nextDiscountStart: category.getNextDiscountStart(),
       },
       message: "Category fetched successfully",
     });
@@ -395,6 +503,7 @@ export const getCategoriesWithDiscounts = async (req, res) => {
           ...category.toObject(),
           productCount,
           activeDiscount: category.getCurrentDiscount(),
+          nextDiscountStart: category.getNextDiscountStart(),
         };
       })
     );
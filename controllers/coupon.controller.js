@@ -1,5 +1,47 @@
 // coupon.controller.js
+import mongoose from "mongoose";
 import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import { listCouponRedemptions } from "../services/coupon.service.js";
+import {
+  generateCouponBatch,
+  getCouponBatchStats,
+  getBatchCodeStatus,
+  listCouponBatches,
+  getCouponBatchCodesCursor,
+  setCouponBatchActive,
+} from "../services/couponBatch.service.js";
+import { EXPORT_FORMATS, streamExport } from "../services/export.service.js";
+import {
+  COUPON_RULE_FIELDS,
+  validateCouponRules,
+} from "../helpers/coupon.helpers.js";
+import { validateCouponBatchRequest } from "../helpers/couponBatch.helpers.js";
+import CouponBatch from "../models/couponBatch.model.js";
+
+const BATCH_EXPORT_COLUMNS = [
+  { header: "Code", key: "code", width: 22 },
+  { header: "Status", key: "status", width: 10 },
+  { header: "Redeemed At", key: "redeemedAt", width: 22 },
+  { header: "Order", key: "orderNumber", width: 18 },
+  { header: "Customer", key: "customer", width: 28 },
+  { header: "Discount", key: "discount", width: 10 },
+  { header: "Expires", key: "expiryDate", width: 22 },
+];
+
+const toBatchExportRow = (coupon) => {
+  const redemption = coupon.committedRedemption;
+
+  return {
+    code: coupon.code,
+    status: getBatchCodeStatus(coupon),
+    redeemedAt: redemption?.committedAt?.toISOString() || "",
+    orderNumber: redemption?.order?.orderNumber || "",
+    customer: redemption?.user?.email || "",
+    discount: redemption?.discount ?? "",
+    expiryDate: coupon.expiryDate.toISOString(),
+  };
+};
 
 // ==================== ADMIN COUPON MANAGEMENT ====================
 
@@ -23,6 +65,17 @@ export const createCoupon = async (req, res) => {
       applicableProducts,
       applicableCategories,
       isGlobal,
+      targetUsers,
+      buyQuantity,
+      getQuantity,
+      getDiscountPercentage,
+      bundleItems,
+      bundlePrice,
+      maxApplicationsPerOrder,
+      tiers,
+      freeProduct,
+      freeQuantity,
+      firstOrderOnly,
     } = req.body;
 
     // Validate required fields
@@ -33,11 +86,12 @@ export const createCoupon = async (req, res) => {
       });
     }
 
-    // Validate discount value for non-freeDelivery types
-    if (discountType !== "freeDelivery" && (!discountValue || discountValue <= 0)) {
-      return res.status(400).json({
+    // Validate the fields the discount type needs
+    const rules = validateCouponRules(req.body);
+    if (!rules.success) {
+      return res.status(rules.statusCode).json({
         success: false,
-        message: "Discount value is required and must be positive",
+        message: rules.message,
       });
     }
 
@@ -54,7 +108,7 @@ export const createCoupon = async (req, res) => {
       code: code.toUpperCase(),
       description,
       discountType,
-      discountValue: discountType !== "freeDelivery" ? discountValue : undefined,
+      discountValue: ["percentage", "fixed"].includes(discountType) ? discountValue : undefined,
       maxDiscountAmount,
       minOrderAmount: minOrderAmount || 0,
       maxUsageCount,
@@ -64,6 +118,17 @@ export const createCoupon = async (req, res) => {
       applicableProducts: applicableProducts || [],
       applicableCategories: applicableCategories || [],
       isGlobal: isGlobal !== undefined ? isGlobal : true,
+      targetUsers: targetUsers || [],
+      buyQuantity,
+      getQuantity,
+      getDiscountPercentage,
+      bundleItems: bundleItems || [],
+      bundlePrice,
+      maxApplicationsPerOrder,
+      tiers: tiers || [],
+      freeProduct,
+      freeQuantity,
+      firstOrderOnly: !!firstOrderOnly,
     });
 
     return res.status(201).json({
@@ -82,21 +147,31 @@ export const createCoupon = async (req, res) => {
 
 /**
  * Get all coupons (Admin)
- * GET /api/v2/coupon/all
+ * Batch codes are left out unless ?batch or ?includeBatches=true is given.
+ * GET /api/v2/coupon/all?isActive&batch&includeBatches
  */
 export const getAllCoupons = async (req, res) => {
   try {
-    const { page = 1, limit = 10, isActive } = req.query;
+    const { page = 1, limit = 10, isActive, batch, includeBatches } = req.query;
 
     const filter = {};
     if (isActive !== undefined) {
       filter.isActive = isActive === "true";
     }
+    if (batch) {
+      if (!mongoose.isValidObjectId(batch)) {
+        return res.status(400).json({ success: false, message: "Invalid batch id" });
+      }
+      filter.batch = batch;
+    } else if (includeBatches !== "true") {
+      filter.batch = null;
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit);
 
     const coupons = await Coupon.find(filter)
+      .select("-reservations")
       .populate("applicableProducts", "name price")
       .populate("applicableCategories", "name")
       .skip(skip)
@@ -136,7 +211,9 @@ export const getCouponById = async (req, res) => {
 
     const coupon = await Coupon.findById(couponId)
       .populate("applicableProducts", "name price images")
-      .populate("applicableCategories", "name description");
+      .populate("applicableCategories", "name description")
+      .populate("bundleItems.product", "name price images")
+      .populate("freeProduct", "name price images");
 
     if (!coupon) {
       return res.status(404).json({
@@ -145,19 +222,25 @@ export const getCouponById = async (req, res) => {
       });
     }
 
-    // Add usage statistics
+    // Add usage statistics (unpaid orders hold a use until they are paid or released)
+    const activeReservations = coupon.countActiveReservations();
     const stats = {
       totalUsage: coupon.usageCount,
+      activeReservations,
       remainingUsage: coupon.maxUsageCount 
-        ? coupon.maxUsageCount - coupon.usageCount 
+        ? Math.max(coupon.maxUsageCount - coupon.usageCount - activeReservations, 0)
         : "Unlimited",
       uniqueUsers: coupon.usedBy.length,
+      targetedUsers: coupon.targetUsers.length,
     };
 
+    // Reservations are summed up in the stats; the redemption log has its own endpoint
+    const { reservations, ...couponData } = coupon.toObject();
+
     return res.status(200).json({
       success: true,
       data: {
-        ...coupon.toObject(),
+        ...couponData,
         stats,
       },
       message: "Coupon fetched successfully",
@@ -171,6 +254,63 @@ export const getCouponById = async (req, res) => {
   }
 };
 
+/**
+ * Coupon redemption log (Admin)
+ * GET /api/v2/coupon/:couponId/redemptions?status&page&limit
+ */
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    const { couponId } = req.params;
+    const { status } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitNum = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    if (!mongoose.isValidObjectId(couponId)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon id" });
+    }
+
+    const statuses = CouponRedemption.schema.path("status").enumValues;
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Valid statuses: ${statuses.join(", ")}`,
+      });
+    }
+
+    const result = await listCouponRedemptions(couponId, {
+      page: pageNum,
+      limit: limitNum,
+      status,
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.redemptions,
+      summary: result.summary,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(result.total / limitNum),
+        total: result.total,
+        hasNextPage: pageNum * limitNum < result.total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Coupon redemptions fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCouponRedemptions:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Update coupon (Admin)
  * PATCH /api/v2/coupon/:couponId
@@ -180,9 +320,11 @@ export const updateCoupon = async (req, res) => {
     const { couponId } = req.params;
     const updates = req.body;
 
-    // Don't allow updating usage count or usedBy directly
+    // Don't allow updating usage count, usedBy, reservations or the batch directly
     delete updates.usageCount;
     delete updates.usedBy;
+    delete updates.reservations;
+    delete updates.batch;
 
     // If updating code, ensure it's unique
     if (updates.code) {
@@ -200,6 +342,25 @@ export const updateCoupon = async (req, res) => {
       updates.code = updates.code.toUpperCase();
     }
 
+    // Changing how the discount works: check the result as a whole
+    if (COUPON_RULE_FIELDS.some((field) => updates[field] !== undefined)) {
+      const current = await Coupon.findById(couponId).lean();
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: "Coupon not found",
+        });
+      }
+
+      const rules = validateCouponRules({ ...current, ...updates });
+      if (!rules.success) {
+        return res.status(rules.statusCode).json({
+          success: false,
+          message: rules.message,
+        });
+      }
+    }
+
     const coupon = await Coupon.findByIdAndUpdate(
       couponId,
       updates,
@@ -290,6 +451,223 @@ export const deleteCoupon = async (req, res) => {
   }
 };
 
+// ==================== BULK COUPON BATCHES ====================
+
+/**
+ * Generate a batch of single-use codes from a template (Admin)
+ * POST /api/v2/coupon/batches
+ */
+export const createCouponBatch = async (req, res) => {
+  try {
+    const validation = validateCouponBatchRequest(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const result = await generateCouponBatch(validation.data, req.user._id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: result.data,
+      message: result.message,
+    });
+  } catch (error) {
+    console.error("Error in createCouponBatch:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get all coupon batches with redemption stats (Admin)
+ * GET /api/v2/coupon/batches?isActive&page&limit
+ */
+export const getCouponBatches = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitNum = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const { batches, total } = await listCouponBatches({
+      page: pageNum,
+      limit: limitNum,
+      isActive: isActive !== undefined ? isActive === "true" : undefined,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: batches,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Coupon batches fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCouponBatches:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a coupon batch with its redemption stats (Admin)
+ * The codes themselves: GET /api/v2/coupon/all?batch=:batchId or the export
+ * GET /api/v2/coupon/batches/:batchId
+ */
+export const getCouponBatchById = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!mongoose.isValidObjectId(batchId)) {
+      return res.status(400).json({ success: false, message: "Invalid batch id" });
+    }
+
+    const batch = await CouponBatch.findById(batchId)
+      .populate("createdBy", "name email")
+      .lean();
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon batch not found",
+      });
+    }
+
+    const stats = await getCouponBatchStats([batch._id]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...batch,
+        stats: stats.get(batch._id.toString()),
+      },
+      message: "Coupon batch fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCouponBatchById:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Export a batch's codes with their status as CSV / XLSX (Admin)
+ * GET /api/v2/coupon/batches/:batchId/export?format=csv|xlsx
+ */
+export const exportCouponBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { format = "csv" } = req.query;
+
+    if (!mongoose.isValidObjectId(batchId)) {
+      return res.status(400).json({ success: false, message: "Invalid batch id" });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Valid formats: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const batch = await CouponBatch.findById(batchId).select("name prefix");
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon batch not found",
+      });
+    }
+
+    await streamExport(res, {
+      format,
+      filename: `coupons-${batch.prefix || batch._id}-${new Date().toISOString().slice(0, 10)}`,
+      columns: BATCH_EXPORT_COLUMNS,
+      rows: getCouponBatchCodesCursor(batch._id),
+      toRow: toBatchExportRow,
+      sheetName: "Codes",
+    });
+  } catch (error) {
+    console.error("Error in exportCouponBatch:", error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Activate / deactivate a whole batch (Admin)
+ * Body: { "isActive": false } - omit to flip the current state
+ * PATCH /api/v2/coupon/batches/:batchId/toggle
+ */
+export const toggleCouponBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { isActive } = req.body || {};
+
+    if (!mongoose.isValidObjectId(batchId)) {
+      return res.status(400).json({ success: false, message: "Invalid batch id" });
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be true or false",
+      });
+    }
+
+    const current = await CouponBatch.findById(batchId).select("isActive");
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon batch not found",
+      });
+    }
+
+    const result = await setCouponBatchActive(
+      batchId,
+      isActive !== undefined ? isActive : !current.isActive
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        batch: result.batch,
+        codesUpdated: result.updated,
+      },
+      message: `Coupon batch ${result.batch.isActive ? "activated" : "deactivated"} successfully`,
+    });
+  } catch (error) {
+    console.error("Error in toggleCouponBatch:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // ==================== CUSTOMER COUPON OPERATIONS ====================
 
 /**
@@ -332,6 +710,15 @@ export const validateCoupon = async (req, res) => {
         maxDiscountAmount: coupon.maxDiscountAmount,
         minOrderAmount: coupon.minOrderAmount,
         expiryDate: coupon.expiryDate,
+        firstOrderOnly: coupon.firstOrderOnly,
+        buyQuantity: coupon.buyQuantity,
+        getQuantity: coupon.getQuantity,
+        getDiscountPercentage: coupon.getDiscountPercentage,
+        bundleItems: coupon.bundleItems,
+        bundlePrice: coupon.bundlePrice,
+        tiers: coupon.tiers,
+        freeProduct: coupon.freeProduct,
+        freeQuantity: coupon.freeQuantity,
       },
       message: "Coupon is valid",
     });
@@ -348,8 +735,14 @@ export default {
   createCoupon,
   getAllCoupons,
   getCouponById,
+  getCouponRedemptions,
   updateCoupon,
   toggleCouponStatus,
   deleteCoupon,
+  createCouponBatch,
+  getCouponBatches,
+  getCouponBatchById,
+  exportCouponBatch,
+  toggleCouponBatch,
   validateCoupon,
 };
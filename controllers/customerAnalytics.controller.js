@@ -0,0 +1,321 @@
+// customerAnalytics.controller.js
+// ✅ Customer analytics - regulars, cohorts, RFM segments (Admin only)
+
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.model.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import {
+  RFM_SEGMENTS,
+  RFM_SEGMENT_NAMES,
+  parseCohortRange,
+} from "../helpers/customerAnalytics.helpers.js";
+import {
+  CUSTOMER_SORT_FIELDS,
+  listCustomerStats,
+  getScoredCustomers,
+  getCustomerProfile,
+  getCohorts,
+} from "../services/customerAnalytics.service.js";
+import { EXPORT_FORMATS, streamExport } from "../services/export.service.js";
+
+const SEGMENT_EXPORT_COLUMNS = [
+  { header: "Customer", key: "name", width: 24 },
+  { header: "Email", key: "email", width: 28 },
+  { header: "Phone", key: "phoneNumber", width: 16 },
+  { header: "Segment", key: "segment", width: 20 },
+  { header: "RFM", key: "rfmScore", width: 8 },
+  { header: "Orders", key: "orders", width: 8 },
+  { header: "Total Spend", key: "totalSpend", width: 12 },
+  { header: "Average Basket", key: "averageBasket", width: 14 },
+  { header: "Days Since Last Order", key: "recencyDays", width: 20 },
+  { header: "First Order", key: "firstOrderAt", width: 22 },
+  { header: "Last Order", key: "lastOrderAt", width: 22 },
+  { header: "User ID", key: "userId", width: 26 },
+];
+
+const toSegmentExportRow = (customer) => ({
+  ...customer,
+  userId: customer.userId.toString(),
+  rfmScore: customer.rfm.score,
+  firstOrderAt: customer.firstOrderAt?.toISOString() || "",
+  lastOrderAt: customer.lastOrderAt?.toISOString() || "",
+});
+
+/**
+ * Per-customer order count, spend, last order, average basket and favorite products
+ * GET /api/v2/customers?page&limit&sortBy&search
+ */
+export const getCustomers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sortBy = "totalSpend", search } = req.query;
+
+    if (!CUSTOMER_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sortBy. Valid values: ${CUSTOMER_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const result = await listCustomerStats({
+      page: parseInt(page, 10),
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+      sortBy,
+      search: search?.trim(),
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.docs,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalCustomers: result.totalDocs,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage,
+      },
+      message: "Customers fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCustomers:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * One customer's lifetime stats, favorites and RFM segment
+ * GET /api/v2/customers/:userId
+ */
+export const getCustomerById = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    const customer = await getCustomerProfile(userId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "No orders found for this customer",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: customer,
+      message: "Customer fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCustomerById:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Monthly acquisition cohorts with repeat-purchase retention
+ * GET /api/v2/customers/cohorts?from=YYYY-MM&to=YYYY-MM
+ */
+export const getCustomerCohorts = async (req, res) => {
+  try {
+    const range = parseCohortRange(req.query);
+    if (!range.success) {
+      return res.status(range.statusCode).json({
+        success: false,
+        message: range.message,
+      });
+    }
+
+    const cohorts = await getCohorts(range.data);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        range: { from: range.data.start, to: range.data.end },
+        cohorts,
+      },
+      message: "Customer cohorts fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getCustomerCohorts:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Customer count, spend and order share of every RFM segment
+ * GET /api/v2/customers/segments
+ */
+export const getSegments = async (req, res) => {
+  try {
+    const customers = await getScoredCustomers();
+    const totalCustomers = customers.length;
+
+    const segments = RFM_SEGMENTS.map(({ name, description }) => {
+      const members = customers.filter((customer) => customer.segment === name);
+      const totalSpend = members.reduce((sum, customer) => sum + customer.totalSpend, 0);
+      const orders = members.reduce((sum, customer) => sum + customer.orders, 0);
+
+      return {
+        segment: name,
+        description,
+        customers: members.length,
+        share: totalCustomers
+          ? Math.round((members.length / totalCustomers) * 1000) / 10
+          : 0,
+        totalSpend: roundMoney(totalSpend),
+        orders,
+        averageSpend: members.length ? roundMoney(totalSpend / members.length) : 0,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { totalCustomers, segments },
+      message: "Customer segments fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getSegments:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Members of one segment, or a CSV / XLSX export of them with ?format
+ * GET /api/v2/customers/segments/:segment?page&limit&format=csv|xlsx
+ */
+export const getSegmentMembers = async (req, res) => {
+  try {
+    const { segment } = req.params;
+    const { page = 1, limit = 20, format } = req.query;
+
+    if (!RFM_SEGMENT_NAMES.includes(segment)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid segment. Valid segments: ${RFM_SEGMENT_NAMES.join(", ")}`,
+      });
+    }
+
+    if (format && !EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Valid formats: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const members = (await getScoredCustomers())
+      .filter((customer) => customer.segment === segment)
+      .sort((a, b) => b.totalSpend - a.totalSpend);
+
+    if (format) {
+      await streamExport(res, {
+        format,
+        filename: `customers-${segment}-${new Date().toISOString().slice(0, 10)}`,
+        columns: SEGMENT_EXPORT_COLUMNS,
+        rows: members,
+        toRow: toSegmentExportRow,
+        sheetName: "Customers",
+      });
+      return;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(parseInt(limit, 10) || 20, 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    return res.status(200).json({
+      success: true,
+      data: members.slice(skip, skip + limitNum),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(members.length / limitNum),
+        totalCustomers: members.length,
+        hasNextPage: skip + limitNum < members.length,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Segment members fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getSegmentMembers:", error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Limit a coupon to the current members of a segment
+ * The list is a snapshot; run again to refresh it.
+ * POST /api/v2/customers/segments/:segment/target-coupon
+ */
+export const targetCouponToSegment = async (req, res) => {
+  try {
+    const { segment } = req.params;
+    const { couponId } = req.body;
+
+    if (!RFM_SEGMENT_NAMES.includes(segment)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid segment. Valid segments: ${RFM_SEGMENT_NAMES.join(", ")}`,
+      });
+    }
+
+    if (!mongoose.isValidObjectId(couponId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid couponId is required",
+      });
+    }
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const members = (await getScoredCustomers()).filter(
+      (customer) => customer.segment === segment
+    );
+
+    if (members.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Segment "${segment}" has no customers`,
+      });
+    }
+
+    coupon.targetUsers = members.map((customer) => customer.userId);
+    coupon.targetSegment = { name: segment, assignedAt: new Date() };
+    await coupon.save();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        couponId: coupon._id,
+        code: coupon.code,
+        segment,
+        targetedUsers: coupon.targetUsers.length,
+      },
+      message: `Coupon ${coupon.code} limited to ${members.length} ${segment} customer(s)`,
+    });
+  } catch (error) {
+    console.error("Error in targetCouponToSegment:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  getCustomers,
+  getCustomerById,
+  getCustomerCohorts,
+  getSegments,
+  getSegmentMembers,
+  targetCouponToSegment,
+};
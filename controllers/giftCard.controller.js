@@ -0,0 +1,443 @@
+// giftCard.controller.js
+// ✅ Gift cards - balance checks, online purchase, admin issuing and adjustments
+
+import mongoose from "mongoose";
+import GiftCard from "../models/giftCard.model.js";
+import GiftCardTransaction from "../models/giftCardTransaction.model.js";
+import {
+  validateGiftCardRequest,
+  maskGiftCardCode,
+} from "../helpers/giftCard.helpers.js";
+import { validatePaymentMethod } from "../helpers/payment.helpers.js";
+import { isMoneyAmount } from "../helpers/money.helpers.js";
+import {
+  applyGiftCardChange,
+  issueGiftCard,
+  listGiftCardTransactions,
+} from "../services/giftCard.service.js";
+import StripeService from "../services/stripe.service.js";
+
+const STATUSES = GiftCard.schema.path("status").enumValues;
+const SOURCES = GiftCard.schema.path("source").enumValues;
+const TRANSACTION_TYPES = GiftCardTransaction.schema.path("type").enumValues;
+
+const getPagination = ({ page = 1, limit = 20 }) => ({
+  pageNum: Math.max(parseInt(page, 10) || 1, 1),
+  limitNum: Math.min(parseInt(limit, 10) || 20, 100),
+});
+
+const buildPagination = (pageNum, limitNum, total) => ({
+  currentPage: pageNum,
+  totalPages: Math.ceil(total / limitNum),
+  total,
+  hasNextPage: pageNum * limitNum < total,
+  hasPrevPage: pageNum > 1,
+});
+
+// ==================== PUBLIC ====================
+
+/**
+ * Check a card's balance (code is the secret - no login needed)
+ * GET /api/v2/gift-cards/:code/balance
+ */
+export const checkGiftCardBalance = async (req, res) => {
+  try {
+    const card = await GiftCard.findByCode(req.params.code);
+    if (!card || card.status === "Pending") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Gift card not found" });
+    }
+
+    const redeemable = card.isRedeemable();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code: maskGiftCardCode(card.code),
+        balance: card.balance,
+        status: card.status,
+        expiresAt: card.expiresAt,
+        isRedeemable: redeemable.valid,
+        reason: redeemable.message,
+      },
+      message: "Gift card balance fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in checkGiftCardBalance:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== CUSTOMER ====================
+
+/**
+ * Buy a gift card with Stripe
+ * The card is created "Pending" and loaded by the webhook once paid.
+ * POST /api/v2/gift-cards/purchase
+ */
+export const purchaseGiftCard = async (req, res) => {
+  try {
+    const validation = validateGiftCardRequest(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    // Gift cards must be enabled, and they are paid for by card
+    for (const methodName of ["GiftCard", "Card"]) {
+      const methodCheck = await validatePaymentMethod(methodName);
+      if (!methodCheck.success) {
+        return res.status(methodCheck.statusCode).json({
+          success: false,
+          message: methodCheck.message,
+        });
+      }
+    }
+
+    const { amount, recipient, message } = validation.data;
+    const card = await issueGiftCard({
+      amount,
+      source: "purchase",
+      purchaser: req.user._id,
+      recipient,
+      message,
+    });
+
+    const session = await StripeService.createGiftCardCheckoutSession(card, {
+      userId: req.user._id,
+      customerEmail: req.user.email,
+    });
+
+    if (!session.success) {
+      card.status = "Disabled";
+      card.notes = `Checkout failed: ${session.message}`;
+      await card.save();
+
+      return res.status(500).json({
+        success: false,
+        message: session.message,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: card,
+      session_url: session.redirectUrl,
+      redirectUrl: session.redirectUrl,
+      message: session.message,
+    });
+  } catch (error) {
+    console.error("Error in purchaseGiftCard:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Gift cards I bought
+ * GET /api/v2/gift-cards/me
+ */
+export const getMyGiftCards = async (req, res) => {
+  try {
+    const cards = await GiftCard.find({
+      purchaser: req.user._id,
+      status: { $ne: "Pending" },
+    }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: cards,
+      message: "Gift cards fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getMyGiftCards:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * Issue a gift card (active straight away)
+ * POST /api/v2/gift-cards
+ */
+export const createGiftCard = async (req, res) => {
+  try {
+    const validation = validateGiftCardRequest(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const { amount, recipient, message, expiresAt } = validation.data;
+    const card = await issueGiftCard({
+      amount,
+      source: "admin",
+      issuedBy: req.user._id,
+      recipient,
+      message,
+      expiresAt,
+      notes: req.body.notes,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: card,
+      message: "Gift card issued successfully",
+    });
+  } catch (error) {
+    console.error("Error in createGiftCard:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * List gift cards
+ * GET /api/v2/gift-cards?status&source&code&page&limit
+ */
+export const getAllGiftCards = async (req, res) => {
+  try {
+    const { status, source, code } = req.query;
+    const { pageNum, limitNum } = getPagination(req.query);
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Valid statuses: ${STATUSES.join(", ")}`,
+      });
+    }
+    if (source && !SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid source. Valid sources: ${SOURCES.join(", ")}`,
+      });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+    if (code) filter.code = { $regex: code.trim().toUpperCase().replace(/[^A-Z0-9-]/g, "") };
+
+    const [cards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .populate("purchaser", "name email")
+        .populate("issuedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      GiftCard.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: cards,
+      pagination: buildPagination(pageNum, limitNum, total),
+      message: "Gift cards fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getAllGiftCards:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * A gift card with its latest ledger entries
+ * GET /api/v2/gift-cards/:giftCardId
+ */
+export const getGiftCard = async (req, res) => {
+  try {
+    const { giftCardId } = req.params;
+
+    if (!mongoose.isValidObjectId(giftCardId)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card id" });
+    }
+
+    const card = await GiftCard.findById(giftCardId)
+      .populate("purchaser", "name email")
+      .populate("issuedBy", "name email");
+    if (!card) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Gift card not found" });
+    }
+
+    const { transactions } = await listGiftCardTransactions(giftCardId, { limit: 10 });
+
+    return res.status(200).json({
+      success: true,
+      data: { giftCard: card, recentTransactions: transactions },
+      message: "Gift card fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getGiftCard:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * A gift card's ledger
+ * GET /api/v2/gift-cards/:giftCardId/history?page&limit&type
+ */
+export const getGiftCardHistory = async (req, res) => {
+  try {
+    const { giftCardId } = req.params;
+    const { type } = req.query;
+    const { pageNum, limitNum } = getPagination(req.query);
+
+    if (!mongoose.isValidObjectId(giftCardId)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card id" });
+    }
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Valid types: ${TRANSACTION_TYPES.join(", ")}`,
+      });
+    }
+
+    const { transactions, total } = await listGiftCardTransactions(giftCardId, {
+      page: pageNum,
+      limit: limitNum,
+      type,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: transactions,
+      pagination: buildPagination(pageNum, limitNum, total),
+      message: "Gift card history fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getGiftCardHistory:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Disable / re-enable a card, change its expiry or notes
+ * Pending cards are activated by their payment, not by hand.
+ * PATCH /api/v2/gift-cards/:giftCardId
+ */
+export const updateGiftCard = async (req, res) => {
+  try {
+    const { giftCardId } = req.params;
+    const { status, expiresAt, notes } = req.body;
+
+    if (!mongoose.isValidObjectId(giftCardId)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card id" });
+    }
+
+    const card = await GiftCard.findById(giftCardId);
+    if (!card) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Gift card not found" });
+    }
+
+    if (status !== undefined) {
+      if (!["Active", "Disabled"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "status must be Active or Disabled",
+        });
+      }
+      if (card.status === "Pending") {
+        return res.status(400).json({
+          success: false,
+          message: "This gift card is waiting for its payment",
+        });
+      }
+      card.status = status;
+    }
+
+    if (expiresAt !== undefined) {
+      const expiryDate = expiresAt ? new Date(expiresAt) : null;
+      if (expiryDate && isNaN(expiryDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresAt must be a valid date or null",
+        });
+      }
+      card.expiresAt = expiryDate;
+    }
+
+    if (notes !== undefined) card.notes = notes;
+
+    await card.save();
+
+    return res.status(200).json({
+      success: true,
+      data: card,
+      message: "Gift card updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in updateGiftCard:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Add or remove balance by hand (goodwill, corrections)
+ * POST /api/v2/gift-cards/:giftCardId/adjust
+ */
+export const adjustGiftCardBalance = async (req, res) => {
+  try {
+    const { giftCardId } = req.params;
+    const { amount, note } = req.body;
+
+    if (!mongoose.isValidObjectId(giftCardId)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card id" });
+    }
+
+    if (!isMoneyAmount(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a non-zero number with at most 2 decimals",
+      });
+    }
+
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A note explaining the adjustment is required",
+      });
+    }
+
+    const entry = await applyGiftCardChange(giftCardId, amount, {
+      type: "adjustment",
+      note: note.trim(),
+      createdBy: req.user._id,
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: "Gift card not found or balance too low for this adjustment",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: entry,
+      message: `${amount > 0 ? "Added" : "Removed"} ${Math.abs(amount)}`,
+    });
+  } catch (error) {
+    console.error("Error in adjustGiftCardBalance:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  checkGiftCardBalance,
+  purchaseGiftCard,
+  getMyGiftCards,
+  createGiftCard,
+  getAllGiftCards,
+  getGiftCard,
+  getGiftCardHistory,
+  updateGiftCard,
+  adjustGiftCardBalance,
+};
@@ -1,5 +1,37 @@
 // globalDiscount.controller.js
 import GlobalDiscount from "../models/globalDiscount.model.js";
+import { validateAvailabilitySchedule } from "../helpers/schedule.helpers.js";
+import {
+  COMBINATION_POLICIES,
+  describeOverlap,
+  discountsOverlap,
+} from "../helpers/globalDiscount.helpers.js";
+
+/**
+ * Other active campaigns that can run at the same time as this one
+ * Overlap is allowed; the admin is told how the campaigns will combine.
+ * @param {Object} discount - GlobalDiscount document
+ * @returns {Promise<Array>} Warnings (see describeOverlap)
+ */
+const findOverlapWarnings = async (discount) => {
+  if (!discount.isActive) return [];
+
+  const others = await GlobalDiscount.find({
+    _id: { $ne: discount._id },
+    isActive: true,
+    startDate: { $lte: discount.endDate },
+    endDate: { $gte: discount.startDate },
+  }).sort({ priority: -1, createdAt: -1 });
+
+  return others
+    .filter((other) => discountsOverlap(discount, other))
+    .map((other) => describeOverlap(discount, other));
+};
+
+const withOverlapNote = (message, warnings) =>
+  warnings.length
+    ? `${message} (overlaps ${warnings.length} other campaign${warnings.length > 1 ? "s" : ""})`
+    : message;
 
 /**
  * Create global discount (Admin)
@@ -15,6 +47,9 @@ export const createGlobalDiscount = async (req, res) => {
       endDate,
       excludedProducts,
       excludedCategories,
+      schedule,
+      priority,
+      combination,
     } = req.body;
 
     if (!name || !description || !discountPercentage || !endDate) {
@@ -31,6 +66,31 @@ export const createGlobalDiscount = async (req, res) => {
       });
     }
 
+    if (combination !== undefined && !COMBINATION_POLICIES.includes(combination)) {
+      return res.status(400).json({
+        success: false,
+        message: `combination must be one of: ${COMBINATION_POLICIES.join(", ")}`,
+      });
+    }
+
+    if (priority !== undefined && !Number.isFinite(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: "priority must be a number",
+      });
+    }
+
+    // Recurring windows inside the date range, e.g. weekdays 15:00-18:00
+    if (schedule !== undefined) {
+      const validation = validateAvailabilitySchedule(schedule);
+      if (!validation.success) {
+        return res.status(validation.statusCode).json({
+          success: false,
+          message: validation.message.replace("availabilitySchedule", "schedule"),
+        });
+      }
+    }
+
     // Check if name already exists
     const existing = await GlobalDiscount.findOne({ name });
     if (existing) {
@@ -48,13 +108,19 @@ export const createGlobalDiscount = async (req, res) => {
       endDate,
       excludedProducts: excludedProducts || [],
       excludedCategories: excludedCategories || [],
+      schedule: schedule || [],
+      priority: priority || 0,
+      combination: combination || "best",
       isActive: true,
     });
 
+    const warnings = await findOverlapWarnings(discount);
+
     return res.status(201).json({
       success: true,
       data: discount,
-      message: "Global discount created successfully",
+      warnings,
+      message: withOverlapNote("Global discount created successfully", warnings),
     });
   } catch (error) {
     console.error("Error in createGlobalDiscount:", error);
@@ -90,13 +156,15 @@ export const getAllGlobalDiscounts = async (req, res) => {
 
     const total = await GlobalDiscount.countDocuments(filter);
 
-    // Check which discount is currently active
+    // Campaigns running right now, and what they add up to
+    const activeDiscounts = await GlobalDiscount.getActiveDiscounts();
     const activeDiscount = await GlobalDiscount.getActiveDiscount();
 
     return res.status(200).json({
       success: true,
       data: discounts,
       currentActiveDiscount: activeDiscount,
+      activeDiscounts,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limitNum),
@@ -127,6 +195,8 @@ export const getActiveGlobalDiscount = async (req, res) => {
       return res.status(200).json({
         success: true,
         data: null,
+        // Next happy hour / scheduled discount, if any
+        upcoming: await GlobalDiscount.getUpcomingDiscount(),
         message: "No active global discount",
       });
     }
@@ -212,6 +282,33 @@ export const updateGlobalDiscount = async (req, res) => {
       }
     }
 
+    if (
+      updates.combination !== undefined &&
+      !COMBINATION_POLICIES.includes(updates.combination)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `combination must be one of: ${COMBINATION_POLICIES.join(", ")}`,
+      });
+    }
+
+    if (updates.priority !== undefined && !Number.isFinite(updates.priority)) {
+      return res.status(400).json({
+        success: false,
+        message: "priority must be a number",
+      });
+    }
+
+    if (updates.schedule !== undefined) {
+      const validation = validateAvailabilitySchedule(updates.schedule);
+      if (!validation.success) {
+        return res.status(validation.statusCode).json({
+          success: false,
+          message: validation.message.replace("availabilitySchedule", "schedule"),
+        });
+      }
+    }
+
     const discount = await GlobalDiscount.findByIdAndUpdate(
       discountId,
       updates,
@@ -227,10 +324,13 @@ export const updateGlobalDiscount = async (req, res) => {
       });
     }
 
+    const warnings = await findOverlapWarnings(discount);
+
     return res.status(200).json({
       success: true,
       data: discount,
-      message: "Global discount updated successfully",
+      warnings,
+      message: withOverlapNote("Global discount updated successfully", warnings),
     });
   } catch (error) {
     console.error("Error in updateGlobalDiscount:", error);
@@ -260,10 +360,16 @@ export const toggleGlobalDiscount = async (req, res) => {
     discount.isActive = !discount.isActive;
     await discount.save();
 
+    const warnings = await findOverlapWarnings(discount);
+
     return res.status(200).json({
       success: true,
       data: discount,
-      message: `Global discount ${discount.isActive ? "activated" : "deactivated"} successfully`,
+      warnings,
+      message: withOverlapNote(
+        `Global discount ${discount.isActive ? "activated" : "deactivated"} successfully`,
+        warnings
+      ),
     });
   } catch (error) {
     console.error("Error in toggleGlobalDiscount:", error);
@@ -1,24 +1,14 @@
 import Category from "../models/category.model.js";
 import Order from "../models/order.model.js";
+import MetricRollup from "../models/metricRollup.model.js";
 import Product from "../models/product.model.js";
 import Reservation from "../models/reservation.model.js";
 import Table from "../models/table.model.js";
 import User from "../models/user.model.js";
-
-// Helper function to create local date without timezone conversion
-function createLocalDate(dateString, timeString = "00:00:00") {
-  const [year, month, day] = dateString.split("-");
-  const [hours, minutes, seconds = "00"] = timeString.split(":");
-  return new Date(year, month - 1, day, hours, minutes, seconds);
-}
-
-// Helper function to get start and end of day in local time
-function getLocalDayRange(dateString) {
-  const startOfDay = createLocalDate(dateString, "00:00:00");
-  const endOfDay = createLocalDate(dateString, "23:59:59");
-  endOfDay.setMilliseconds(999);
-  return { startOfDay, endOfDay };
-}
+import { truncateDate } from "../helpers/analytics.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import { getUpcomingDiscounts } from "../helpers/discount.helpers.js";
+import { sumRollups } from "../services/metricRollup.service.js";
 
 export const getHomeData = async (req, res) => {
   try {
@@ -34,33 +24,18 @@ export const getHomeData = async (req, res) => {
       "-" +
       String(now.getDate()).padStart(2, "0");
 
-    const { startOfDay, endOfDay } = getLocalDayRange(today);
-
-    // Revenue & orders for today
-    const revenueData = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: startOfDay, $lte: endOfDay },
-          paymentStatus: "Completed",
-          orderStatus: { $nin: ["Failed", "Cancelled"] },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          todayTotalRevenue: { $sum: "$totalPrice" },
-          todayOrderCount: { $sum: 1 },
-        },
-      },
-    ]);
-
-    // If no orders, default values
-    let todayTotalRevenue = 0;
-    let todayOrderCount = 0;
-    if (revenueData.length) {
-      todayTotalRevenue = revenueData[0].todayTotalRevenue;
-      todayOrderCount = revenueData[0].todayOrderCount;
-    }
+    // Revenue & orders for today (daily rollup)
+    // Revenue is net of today's refunds (cancelled paid orders are refunded),
+    // so the number never goes up when money is given back
+    const todayTotals = sumRollups(
+      await MetricRollup.find({
+        granularity: "day",
+        dimension: "total",
+        bucket: truncateDate(now, "day"),
+      }).lean()
+    );
+    const todayTotalRevenue = roundMoney(todayTotals.revenue - todayTotals.refundAmount);
+    const todayOrderCount = todayTotals.orders;
 
     // Reservations for today
     const todayReservationCount = await Reservation.countDocuments({
@@ -72,37 +47,36 @@ export const getHomeData = async (req, res) => {
     const availableTablesCount = await Table.countDocuments({ isActive: true });
     const totalUsersCount = await User.countDocuments();
 
-    const mostOrderdProducts = await Order.aggregate([
-      { $unwind: "$products" },
-      {
-        $group: {
-          _id: "$products.product",
-          totalSold: { $sum: "$products.quantity" },
-        },
-      },
+    // Best sellers from the daily product rollups (one row per product per day)
+    // Deleted products are dropped before the top 5 is taken
+    const topProducts = await MetricRollup.aggregate([
+      { $match: { granularity: "day", dimension: "product" } },
+      { $group: { _id: "$key", totalSold: { $sum: "$quantity" } } },
       { $sort: { totalSold: -1 } },
-      { $limit: 5 },
+      { $addFields: { productId: { $convert: { input: "$_id", to: "objectId", onError: null } } } },
       {
         $lookup: {
-          from: "products",
-          localField: "_id",
+          from: Product.collection.name,
+          localField: "productId",
           foreignField: "_id",
           as: "product",
         },
       },
       { $unwind: "$product" },
-      {
-        $project: {
-          _id: 0,
-          productId: "$product._id",
-          name: "$product.name",
-          price: "$product.price",
-          image: { $arrayElemAt: ["$product.images", 0] },
-          totalSold: 1,
-        },
-      },
+      { $limit: 5 },
     ]);
 
+    const mostOrderdProducts = topProducts.map(({ product, totalSold }) => ({
+      productId: product._id,
+      name: product.name,
+      price: product.price,
+      image: product.images?.[0],
+      totalSold,
+    }));
+
+    // Next happy hour / scheduled discount
+    const upcomingDiscounts = await getUpcomingDiscounts(now);
+
     return res.json({
       success: true,
       data: {
@@ -115,6 +89,7 @@ export const getHomeData = async (req, res) => {
         availableTablesCount,
         totalUsersCount,
         mostOrderdProducts,
+        upcomingDiscounts,
       },
     });
   } catch (error) {
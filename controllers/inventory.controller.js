@@ -0,0 +1,561 @@
+import mongoose from "mongoose";
+import StockItem from "../models/stockItem.model.js";
+import StockMovement from "../models/stockMovement.model.js";
+import Recipe from "../models/recipe.model.js";
+import Product from "../models/product.model.js";
+import {
+  applyStockMovement,
+  syncProductAvailability,
+} from "../services/inventory.service.js";
+
+const VALID_UNITS = ["g", "kg", "ml", "l", "pcs"];
+
+// Movement types an admin can record by hand
+const MANUAL_MOVEMENT_TYPES = ["purchase", "adjustment", "waste"];
+
+// ==================== STOCK ITEMS (ADMIN) ====================
+
+/**
+ * Create stock item (Admin)
+ * POST /api/v2/inventory/stock-items
+ */
+export const createStockItem = async (req, res) => {
+  try {
+    const { name, unit, quantity = 0, lowStockThreshold = 0 } = req.body;
+
+    if (!name || !unit) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and unit are required",
+      });
+    }
+
+    if (!VALID_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid unit. Valid units: ${VALID_UNITS.join(", ")}`,
+      });
+    }
+
+    if (quantity < 0 || lowStockThreshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity and low-stock threshold cannot be negative",
+      });
+    }
+
+    const existing = await StockItem.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "Stock item with the given name already exists",
+      });
+    }
+
+    const stockItem = await StockItem.create({
+      name,
+      unit,
+      quantity: 0,
+      lowStockThreshold,
+      createdBy: req.user?._id,
+    });
+
+    // Opening balance goes through the ledger like any other change
+    let created = stockItem;
+    if (quantity > 0) {
+      created = await applyStockMovement(stockItem._id, quantity, {
+        type: "purchase",
+        note: "Opening stock",
+        userId: req.user?._id,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: created,
+      message: "Stock item created successfully",
+    });
+  } catch (error) {
+    console.error("Error in createStockItem:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get all stock items (Admin)
+ * GET /api/v2/inventory/stock-items?lowStock=true&page=1&limit=20
+ */
+export const getStockItems = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, lowStock, isActive } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (lowStock === "true") {
+      filter.$expr = { $lte: ["$quantity", "$lowStockThreshold"] };
+    }
+
+    const [stockItems, total] = await Promise.all([
+      StockItem.find(filter)
+        .sort({ name: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockItem.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: stockItems,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Stock items fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getStockItems:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get stock items at or below their low-stock threshold (Admin)
+ * GET /api/v2/inventory/low-stock
+ */
+export const getLowStockItems = async (req, res) => {
+  try {
+    const stockItems = await StockItem.getLowStock();
+
+    return res.status(200).json({
+      success: true,
+      data: stockItems,
+      count: stockItems.length,
+      message: "Low-stock items fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getLowStockItems:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get stock item by ID with the products that use it (Admin)
+ * GET /api/v2/inventory/stock-items/:stockItemId
+ */
+export const getStockItemById = async (req, res) => {
+  try {
+    const { stockItemId } = req.params;
+
+    const stockItem = await StockItem.findById(stockItemId);
+    if (!stockItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock item not found",
+      });
+    }
+
+    const recipes = await Recipe.find({
+      "ingredients.stockItem": stockItem._id,
+    }).populate("product", "name isAvailable stockDisabled");
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...stockItem.toObject(),
+        usedBy: recipes.map((recipe) => recipe.product).filter(Boolean),
+      },
+      message: "Stock item fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getStockItemById:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Update stock item details and low-stock threshold (Admin)
+ * Quantity changes go through /adjust so they reach the ledger.
+ * PATCH /api/v2/inventory/stock-items/:stockItemId
+ */
+export const updateStockItem = async (req, res) => {
+  try {
+    const { stockItemId } = req.params;
+
+    if (req.body.quantity !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Use the adjust endpoint to change stock quantity",
+      });
+    }
+
+    const allowedFields = ["name", "unit", "lowStockThreshold", "isActive"];
+    const updates = {};
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least 1 field is required to change",
+      });
+    }
+
+    if (updates.unit && !VALID_UNITS.includes(updates.unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid unit. Valid units: ${VALID_UNITS.join(", ")}`,
+      });
+    }
+
+    if (updates.lowStockThreshold !== undefined && updates.lowStockThreshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Low-stock threshold cannot be negative",
+      });
+    }
+
+    const stockItem = await StockItem.findByIdAndUpdate(stockItemId, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!stockItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock item not found",
+      });
+    }
+
+    // Deactivated items no longer block products
+    if (updates.isActive !== undefined) {
+      await syncProductAvailability([stockItem._id]);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: stockItem,
+      message: "Stock item updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in updateStockItem:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Record a purchase, waste or manual adjustment (Admin)
+ * POST /api/v2/inventory/stock-items/:stockItemId/adjust
+ */
+export const adjustStock = async (req, res) => {
+  try {
+    const { stockItemId } = req.params;
+    const { type = "adjustment", quantity, note } = req.body;
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Valid types: ${MANUAL_MOVEMENT_TYPES.join(", ")}`,
+      });
+    }
+
+    if (typeof quantity !== "number" || quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "quantity must be a non-zero number",
+      });
+    }
+
+    if (type !== "adjustment" && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `quantity must be positive for ${type}`,
+      });
+    }
+
+    // Waste always removes stock
+    const change = type === "waste" ? -quantity : quantity;
+
+    const stockItem = await applyStockMovement(stockItemId, change, {
+      type,
+      note,
+      userId: req.user?._id,
+    });
+
+    if (!stockItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock item not found",
+      });
+    }
+
+    const availability = await syncProductAvailability([stockItem._id]);
+
+    return res.status(200).json({
+      success: true,
+      data: stockItem,
+      availability,
+      message: "Stock adjusted successfully",
+    });
+  } catch (error) {
+    console.error("Error in adjustStock:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Delete stock item (Admin)
+ * DELETE /api/v2/inventory/stock-items/:stockItemId
+ */
+export const deleteStockItem = async (req, res) => {
+  try {
+    const { stockItemId } = req.params;
+
+    const inUse = await Recipe.exists({ "ingredients.stockItem": stockItemId });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: "Stock item is used in recipes. Remove it from recipes or deactivate it instead",
+      });
+    }
+
+    const stockItem = await StockItem.findByIdAndDelete(stockItemId);
+    if (!stockItem) {
+      return res.status(404).json({
+        success: false,
+        message: "Stock item not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Stock item deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteStockItem:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== MOVEMENT LEDGER (ADMIN) ====================
+
+/**
+ * Get stock movements (Admin)
+ * GET /api/v2/inventory/movements?stockItem=&type=&order=&page=1&limit=20
+ */
+export const getStockMovements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, stockItem, type, order, from, to } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    const filter = {};
+    if (stockItem) filter.stockItem = stockItem;
+    if (type) filter.type = type;
+    if (order) filter.order = order;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate("stockItem", "name unit")
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockMovement.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: movements,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Stock movements fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getStockMovements:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== RECIPES (ADMIN) ====================
+
+/**
+ * Create or replace a product's recipe (Admin)
+ * PUT /api/v2/inventory/recipes/:productId
+ */
+export const upsertRecipe = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { ingredients } = req.body;
+
+    if (!Array.isArray(ingredients) || ingredients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Ingredients must be a non-empty array",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    for (const ingredient of ingredients) {
+      if (
+        !ingredient.stockItem ||
+        !mongoose.Types.ObjectId.isValid(ingredient.stockItem) ||
+        typeof ingredient.quantity !== "number" ||
+        ingredient.quantity <= 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Each ingredient needs a valid stockItem and a positive quantity",
+        });
+      }
+
+      if (ingredient.optionId) {
+        const optionExists = (product.modifierGroups || []).some((group) =>
+          group.options.some(
+            (option) => option._id.toString() === ingredient.optionId.toString()
+          )
+        );
+        if (!optionExists) {
+          return res.status(400).json({
+            success: false,
+            message: `Option ${ingredient.optionId} does not belong to ${product.name}`,
+          });
+        }
+      }
+    }
+
+    const stockItemIds = [
+      ...new Set(ingredients.map((ingredient) => ingredient.stockItem.toString())),
+    ];
+    const stockCount = await StockItem.countDocuments({ _id: { $in: stockItemIds } });
+    if (stockCount !== stockItemIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more stock items were not found",
+      });
+    }
+
+    const recipe = await Recipe.findOneAndUpdate(
+      { product: productId },
+      { product: productId, ingredients },
+      { new: true, upsert: true, runValidators: true }
+    ).populate("ingredients.stockItem", "name unit quantity");
+
+    await syncProductAvailability(stockItemIds);
+
+    return res.status(200).json({
+      success: true,
+      data: recipe,
+      message: "Recipe saved successfully",
+    });
+  } catch (error) {
+    console.error("Error in upsertRecipe:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get a product's recipe (Admin)
+ * GET /api/v2/inventory/recipes/:productId
+ */
+export const getRecipe = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const recipe = await Recipe.findOne({ product: productId })
+      .populate("product", "name isAvailable stockDisabled")
+      .populate("ingredients.stockItem", "name unit quantity lowStockThreshold");
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: "No recipe found for this product",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: recipe,
+      message: "Recipe fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getRecipe:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Delete a product's recipe (Admin)
+ * The product stops being tracked; if inventory had turned it off it is turned back on.
+ * DELETE /api/v2/inventory/recipes/:productId
+ */
+export const deleteRecipe = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const recipe = await Recipe.findOneAndDelete({ product: productId });
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: "No recipe found for this product",
+      });
+    }
+
+    await Product.updateOne(
+      { _id: productId, stockDisabled: true },
+      { isAvailable: true, stockDisabled: false }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Recipe deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteRecipe:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Re-check availability of every product with a recipe (Admin)
+ * POST /api/v2/inventory/sync-availability
+ */
+export const syncAvailability = async (req, res) => {
+  try {
+    const stockItemIds = await StockItem.distinct("_id");
+    const result = await syncProductAvailability(stockItemIds);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      message: `${result.disabled.length} product(s) disabled, ${result.enabled.length} re-enabled`,
+    });
+  } catch (error) {
+    console.error("Error in syncAvailability:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,250 @@
+import Order from "../models/order.model.js";
+import PaymentMethod from "../models/paymentMethod.model.js";
+
+import {
+  buildKitchenQuery,
+  buildKitchenTicket,
+  groupKitchenTickets,
+  applyItemKitchenStatus,
+  isTicketComplete,
+} from "../helpers/kitchen.helpers.js";
+import { transitionOrderStatus } from "../helpers/orderStatus.helpers.js";
+import {
+  KITCHEN_EVENTS,
+  emitKitchenEvent,
+  emitOrderStatusUpdated,
+} from "../services/orderEvents.service.js";
+
+const VALID_PLACE_TYPES = ["Online", "In-Place", "Takeaway"];
+
+/**
+ * Load an order that is currently on the kitchen display
+ * @param {string} orderId
+ * @returns {Promise<ValidationResult>}
+ */
+const findKitchenOrder = async (orderId) => {
+  const codMethod = await PaymentMethod.getByName("COD");
+  const order = await Order.findOne({
+    _id: orderId,
+    ...buildKitchenQuery(codMethod?._id),
+  }).populate("table", "number");
+
+  if (!order) {
+    return {
+      success: false,
+      statusCode: 404,
+      message: "Ticket not found or no longer in the kitchen queue",
+    };
+  }
+
+  return { success: true, data: order };
+};
+
+/**
+ * Move the order to "Ready" once every line item is done,
+ * save it and push the changes to staff / the buyer
+ * @param {Object} order - Kitchen order (not saved)
+ * @param {string} userId - Cook who made the change
+ * @returns {Promise<{ticket: Object, autoAdvanced: boolean}>}
+ */
+const saveKitchenOrder = async (order, userId) => {
+  const previousStatus = order.orderStatus;
+  let autoAdvanced = false;
+
+  if (isTicketComplete(order)) {
+    const transition = transitionOrderStatus(order, "Ready", {
+      changedBy: userId,
+      source: "kitchen",
+      note: "All items done",
+    });
+    autoAdvanced = transition.success;
+
+    if (!transition.success) {
+      console.warn(
+        `Kitchen could not mark order ${order._id} Ready: ${transition.message}`
+      );
+    }
+  }
+
+  await order.save();
+
+  const ticket = buildKitchenTicket(order);
+  emitKitchenEvent(
+    autoAdvanced ? KITCHEN_EVENTS.TICKET_COMPLETED : KITCHEN_EVENTS.TICKET_UPDATED,
+    ticket
+  );
+  if (autoAdvanced) {
+    emitOrderStatusUpdated(order, previousStatus);
+  }
+
+  return { ticket, autoAdvanced };
+};
+
+/**
+ * Get the live ticket queue (Admin)
+ * GET /api/v2/kitchen/tickets?placeType=In-Place
+ */
+export const getKitchenTickets = async (req, res) => {
+  try {
+    const { placeType } = req.query;
+
+    if (placeType && !VALID_PLACE_TYPES.includes(placeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid placeType. Valid values: ${VALID_PLACE_TYPES.join(", ")}`,
+      });
+    }
+
+    const codMethod = await PaymentMethod.getByName("COD");
+    const query = buildKitchenQuery(codMethod?._id);
+    if (placeType) {
+      query.placeType = placeType;
+    }
+
+    const orders = await Order.find(query)
+      .populate("table", "number")
+      .sort({ createdAt: 1 });
+
+    const now = new Date();
+    const tickets = orders.map((order) => buildKitchenTicket(order, now));
+
+    const slaSummary = tickets.reduce(
+      (summary, ticket) => {
+        summary[ticket.slaStatus] += 1;
+        return summary;
+      },
+      { "on-track": 0, "at-risk": 0, breached: 0 }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: groupKitchenTickets(tickets),
+      totalTickets: tickets.length,
+      slaSummary,
+      message: "Kitchen tickets fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getKitchenTickets:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get a single ticket (Admin)
+ * GET /api/v2/kitchen/tickets/:orderId
+ */
+export const getKitchenTicket = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const result = await findKitchenOrder(orderId);
+    if (!result.success) {
+      return res
+        .status(result.statusCode)
+        .json({ success: false, message: result.message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: buildKitchenTicket(result.data),
+      message: "Kitchen ticket fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getKitchenTicket:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Bump a single line item through queued -> cooking -> done (Admin)
+ * PATCH /api/v2/kitchen/tickets/:orderId/items/:itemIndex
+ */
+export const updateTicketItemStatus = async (req, res) => {
+  try {
+    const { orderId, itemIndex } = req.params;
+    const { status } = req.body;
+
+    if (!status) {
+      return res
+        .status(400)
+        .json({ success: false, message: "status field is required" });
+    }
+
+    const result = await findKitchenOrder(orderId);
+    if (!result.success) {
+      return res
+        .status(result.statusCode)
+        .json({ success: false, message: result.message });
+    }
+
+    const order = result.data;
+    const index = parseInt(itemIndex, 10);
+    const item = Number.isInteger(index) ? order.products[index] : undefined;
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `Item ${itemIndex} not found on this ticket`,
+      });
+    }
+
+    const update = applyItemKitchenStatus(item, status);
+    if (!update.success) {
+      return res
+        .status(update.statusCode)
+        .json({ success: false, message: update.message });
+    }
+
+    const { ticket, autoAdvanced } = await saveKitchenOrder(order, req.user?._id);
+
+    return res.status(200).json({
+      success: true,
+      data: ticket,
+      autoAdvanced,
+      message: autoAdvanced
+        ? "All items done, order marked Ready"
+        : "Item status updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in updateTicketItemStatus:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Mark every remaining item on a ticket done (Admin)
+ * PATCH /api/v2/kitchen/tickets/:orderId/bump
+ */
+export const bumpTicket = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const result = await findKitchenOrder(orderId);
+    if (!result.success) {
+      return res
+        .status(result.statusCode)
+        .json({ success: false, message: result.message });
+    }
+
+    const order = result.data;
+    order.products.forEach((item) => {
+      if (item.kitchenStatus !== "done") {
+        applyItemKitchenStatus(item, "done");
+      }
+    });
+
+    const { ticket, autoAdvanced } = await saveKitchenOrder(order, req.user?._id);
+
+    return res.status(200).json({
+      success: true,
+      data: ticket,
+      autoAdvanced,
+      message: autoAdvanced
+        ? "Ticket bumped, order marked Ready"
+        : "Ticket bumped, but the order could not be marked Ready",
+    });
+  } catch (error) {
+    console.error("Error in bumpTicket:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
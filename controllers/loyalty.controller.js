@@ -0,0 +1,307 @@
+// loyalty.controller.js
+// ✅ Loyalty points - balances, history, program settings and manual adjustments
+
+import mongoose from "mongoose";
+import LoyaltySettings from "../models/loyaltySettings.model.js";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import { validateLoyaltySettingsUpdate } from "../helpers/loyalty.helpers.js";
+import {
+  applyPointsChange,
+  expirePoints,
+  getExpiryDate,
+  getLoyaltySummary,
+  listLoyaltyTransactions,
+} from "../services/loyalty.service.js";
+
+const TRANSACTION_TYPES = LoyaltyTransaction.schema.path("type").enumValues;
+
+/**
+ * Get the active settings, creating defaults if none exist
+ */
+const getOrCreateSettings = async () => {
+  let settings = await LoyaltySettings.findOne({ isActive: true });
+  if (!settings) {
+    settings = await LoyaltySettings.create({ isActive: true });
+  }
+  return settings;
+};
+
+/**
+ * Paginated ledger response shared by customer and admin history
+ */
+const sendHistory = async (res, userId, { page = 1, limit = 20, type }) => {
+  if (type && !TRANSACTION_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid type. Valid types: ${TRANSACTION_TYPES.join(", ")}`,
+    });
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(parseInt(limit, 10) || 20, 100);
+
+  const { transactions, total } = await listLoyaltyTransactions(userId, {
+    page: pageNum,
+    limit: limitNum,
+    type,
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: transactions,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      total,
+      hasNextPage: pageNum * limitNum < total,
+      hasPrevPage: pageNum > 1,
+    },
+    message: "Loyalty history fetched successfully",
+  });
+};
+
+// ==================== CUSTOMER ====================
+
+/**
+ * My balance, upcoming expiries and the program rules
+ * GET /api/v2/loyalty/me
+ */
+export const getMyLoyalty = async (req, res) => {
+  try {
+    const summary = await getLoyaltySummary(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: summary,
+      message: "Loyalty balance fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getMyLoyalty:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * My points history
+ * GET /api/v2/loyalty/me/history?page&limit&type
+ */
+export const getMyLoyaltyHistory = async (req, res) => {
+  try {
+    return await sendHistory(res, req.user._id, req.query);
+  } catch (error) {
+    console.error("Error in getMyLoyaltyHistory:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * Get loyalty settings
+ * GET /api/v2/loyalty/settings
+ */
+export const getLoyaltySettings = async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+      message: "Loyalty settings fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error fetching loyalty settings:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Update loyalty settings
+ * Rate changes apply to orders completed from now on.
+ * PATCH /api/v2/loyalty/settings
+ */
+export const updateLoyaltySettings = async (req, res) => {
+  try {
+    const updates = req.body;
+
+    const allowedFields = [
+      "isEnabled",
+      "earnRate",
+      "categoryMultipliers",
+      "pointValue",
+      "minRedeemPoints",
+      "maxRedeemPercentage",
+      "expiryDays",
+      "notes",
+    ];
+
+    const filteredUpdates = {};
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    if (Object.keys(filteredUpdates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const validation = validateLoyaltySettingsUpdate(filteredUpdates);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const settings = await getOrCreateSettings();
+    const updated = await LoyaltySettings.findByIdAndUpdate(
+      settings._id,
+      { $set: filteredUpdates },
+      { new: true, runValidators: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+      message: "Loyalty settings updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating loyalty settings:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * A customer's balance and upcoming expiries
+ * GET /api/v2/loyalty/users/:userId
+ */
+export const getUserLoyalty = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    const summary = await getLoyaltySummary(userId);
+    if (!summary) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: summary,
+      message: "Loyalty balance fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getUserLoyalty:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * A customer's points history
+ * GET /api/v2/loyalty/users/:userId/history?page&limit&type
+ */
+export const getUserLoyaltyHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    return await sendHistory(res, userId, req.query);
+  } catch (error) {
+    console.error("Error in getUserLoyaltyHistory:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Add or remove points by hand (goodwill, corrections)
+ * POST /api/v2/loyalty/users/:userId/adjust
+ */
+export const adjustUserPoints = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { points, note } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "points must be a non-zero whole number",
+      });
+    }
+
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A note explaining the adjustment is required",
+      });
+    }
+
+    const settings = await LoyaltySettings.getActiveConfig();
+    const entry = await applyPointsChange(userId, points, {
+      type: "adjustment",
+      note: note.trim(),
+      createdBy: req.user._id,
+      expiresAt: getExpiryDate(settings),
+      requireBalance: true,
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found or balance too low for this adjustment",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: entry,
+      message: `${points > 0 ? "Added" : "Removed"} ${Math.abs(points)} points`,
+    });
+  } catch (error) {
+    console.error("Error in adjustUserPoints:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Expire due points now instead of waiting for the hourly job
+ * POST /api/v2/loyalty/expire
+ */
+export const runPointsExpiry = async (req, res) => {
+  try {
+    const expired = await expirePoints();
+
+    return res.status(200).json({
+      success: true,
+      data: { expired },
+      message: `Expired ${expired} point(s)`,
+    });
+  } catch (error) {
+    console.error("Error in runPointsExpiry:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  getMyLoyalty,
+  getMyLoyaltyHistory,
+  getLoyaltySettings,
+  updateLoyaltySettings,
+  getUserLoyalty,
+  getUserLoyaltyHistory,
+  adjustUserPoints,
+  runPointsExpiry,
+};
@@ -1,23 +1,36 @@
 import Order from "../models/order.model.js";
+import Cart from "../models/cart.model.js";
 import StripeConfig from "../models/stripeConfig.model.js";
 import PaymobConfig from "../models/paymobConfig.model.js";
 import "dotenv/config";
 
 import { validateInPlaceOrder } from "../helpers/reservation.helpers.js";
+import {
+  recordStatusChange,
+  transitionOrderStatus,
+  validatePaymentRetry,
+  transitionForPaymentRetry,
+  validateStatusTransition,
+  getAllowedTransitions,
+  isAwaitingPayment,
+} from "../helpers/orderStatus.helpers.js";
 
 import {
   validateOrderRequest,
   validateAndGetCart,
   validateAndGetProduct,
   validateAndEnrichProducts,
+  validateGuestCheckout,
   calculateDeliveryFeeSafe,
 } from "../helpers/orderValidation.helpers.js";
 
 import {
   validateOrderAmount,
   validateRefundRequest,
+  validatePaymentMethod,
   getPaymentProvider,
 } from "../helpers/payment.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
 
 import {
   processPayment,
@@ -25,13 +38,59 @@ import {
 } from "../services/paymentStrategy.service.js";
 
 // ✅ IMPORT DISCOUNT HELPERS
+import { calculateFinalCartPrice } from "../helpers/discount.helpers.js";
+import { loadPromotionContext } from "../services/promotion.service.js";
+import {
+  ORDER_STATUSES,
+  buildOrderFilter,
+} from "../helpers/orderFilter.helpers.js";
 import {
-  calculateFinalCartPrice,
-  calculateProductPrice,
-} from "../helpers/discount.helpers.js";
+  releaseScheduledOrder,
+  releaseDueOrders,
+  reserveOrderSlot,
+} from "../services/scheduledOrder.service.js";
 
 import StripeService from "../services/stripe.service.js";
+import {
+  onOrderConfirmed,
+  onOrderPaymentFailed,
+  onOrderCancelled,
+  onOrderRefunded,
+  onOrderPartiallyRefunded,
+  onOrderUpdated,
+} from "../services/orderLifecycle.service.js";
+import {
+  emitOrderCreated,
+  emitOrderStatusUpdated,
+  emitOrderPaymentUpdated,
+  emitOrderRefunded,
+  emitOrderCancelled,
+} from "../services/orderEvents.service.js";
 import PaymobService from "../services/paymob.service.js";
+import {
+  redeemOrderPoints,
+  reclaimRedeemedPoints,
+} from "../services/loyalty.service.js";
+import { reserveOrderCoupon } from "../services/coupon.service.js";
+import {
+  findRedeemableGiftCard,
+  chargeGiftCard,
+} from "../services/giftCard.service.js";
+import { chargeWallet, getWalletSummary } from "../services/wallet.service.js";
+import {
+  getRefundableTenderAmount,
+  reclaimTenders,
+} from "../services/tender.service.js";
+import {
+  EXPORT_FORMATS,
+  streamOrderExport,
+} from "../services/orderExport.service.js";
+
+// Where refunds and paid cancellations can send the money
+const REFUND_DESTINATIONS = ["original", "wallet"];
+
+// Payment statuses an admin can set on an unpaid order (refunds have their own endpoints)
+const MANUAL_PAYMENT_STATUSES = ["Completed", "Failed", "Cancelled"];
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -52,12 +111,89 @@ const populateOrder = async (orderId) => {
     .populate("paymentMethod");
 };
 
+/**
+ * Build order line items from priced cart items
+ * Freezes name, image, options, prices, discount type and coupon/points allocation so the
+ * order keeps explaining what was paid after the product changes.
+ */
+const buildOrderProducts = (itemsWithPrices) =>
+  itemsWithPrices.map((item) => ({
+    product: item.product._id,
+    quantity: item.quantity,
+    name: item.name,
+    image: item.image,
+    category: item.category,
+    categoryName: item.categoryName,
+    selectedOptions: item.selectedOptions || [],
+    optionsPrice: item.optionsPrice || 0,
+    originalPrice: item.originalUnitPrice,
+    unitPrice: item.unitPrice,
+    unitDiscount: item.unitDiscount,
+    discountType: item.discountType,
+    discountPercentage: item.discountPercentage,
+    discountCampaigns: (item.discountCampaigns || []).map((campaign) => ({
+      discount: campaign.discount,
+      name: campaign.name,
+      discountPercentage: campaign.discountPercentage,
+    })),
+    promotionDiscount: item.promotionAllocation || 0,
+    couponDiscount: item.couponAllocation || 0,
+    loyaltyDiscount: item.loyaltyAllocation || 0,
+    lineTotal: item.lineTotal ?? item.itemTotal,
+  }));
+
+/**
+ * Build the snapshot of the promotions that fired
+ */
+const buildAppliedPromotions = (appliedPromotions = []) =>
+  appliedPromotions.map((promotion) => ({
+    promotion: promotion.promotion,
+    name: promotion.name,
+    actionType: promotion.actionType,
+    discount: promotion.discount,
+    freeDelivery: promotion.freeDelivery,
+  }));
+
+/**
+ * Build coupon snapshot for the order
+ */
+const buildAppliedCoupon = (coupon) =>
+  coupon
+    ? {
+        coupon: coupon._id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+      }
+    : undefined;
+
+/**
+ * Scheduled order fields: held until releaseAt, or released straight away
+ * when the lead time has already started
+ */
+const buildScheduleFields = ({ scheduledFor, releaseAt }) => {
+  const now = new Date();
+  const isDue = releaseAt <= now;
+  return {
+    scheduledFor,
+    releaseAt,
+    scheduleStatus: isDue ? "Released" : "Held",
+    releasedAt: isDue ? now : undefined,
+  };
+};
+
 /**
  * Build order data object
  */
 const buildOrderData = ({
   userId,
+  guest,
   products,
+  itemsDiscount = 0,
+  promotionDiscount = 0,
+  appliedPromotions = [],
+  couponDiscount = 0,
+  appliedCoupon,
+  loyalty,
   subtotal,
   deliveryFee,
   totalPrice,
@@ -68,9 +204,17 @@ const buildOrderData = ({
   tableId,
   governorate,
   city,
+  schedule,
 }) => ({
   buyer: userId,
+  guest,
   products,
+  itemsDiscount,
+  promotionDiscount,
+  appliedPromotions,
+  couponDiscount,
+  appliedCoupon,
+  loyalty,
   subtotal,
   deliveryFee,
   totalPrice,
@@ -78,10 +222,20 @@ const buildOrderData = ({
   paymentStatus: "Pending",
   paymentMethod: paymentMethodId,
   orderStatus: "Processing",
+  statusHistory: [
+    {
+      to: "Processing",
+      paymentStatus: "Pending",
+      changedBy: userId,
+      source: "customer",
+      note: "Order placed",
+    },
+  ],
   address: addressId,
   placeType,
   table: tableId || null,
   deliveryLocation: placeType === "Online" ? { governorate, city } : undefined,
+  ...(schedule && buildScheduleFields(schedule)),
 });
 
 /**
@@ -140,6 +294,11 @@ const formatOrderResponse = (order, paymentResult) => {
  * @returns {Promise<{success: boolean, statusCode?: number, message?: string}>}
  */
 const validateOrderAmountWithConfig = async (totalPrice, paymentMethod) => {
+  // Fully discounted orders aren't charged, so provider limits don't apply
+  if (totalPrice <= 0) {
+    return { success: true };
+  }
+
   const amountValidation = await validateOrderAmount(totalPrice, paymentMethod);
   if (!amountValidation.success) {
     return {
@@ -167,8 +326,403 @@ const getConfigForPaymentMethod = async (paymentMethod) => {
   return StripeConfig.findOne({ isActive: true });
 };
 
+/**
+ * Work out what gift card and wallet pay before the payment method
+ * Gift card first, then the wallet, the payment method charges the rest. When
+ * they cover everything the order is paid with the last one used.
+ * @param {Object} options
+ * @param {number} options.totalPrice
+ * @param {string} options.paymentMethod - Method chosen for the rest
+ * @param {string} [options.userId] - Wallets need a registered buyer
+ * @param {string} [options.giftCardCode]
+ * @param {boolean} [options.useWallet]
+ * @param {number} [options.walletAmount] - Spend at most this much from the wallet
+ * @returns {Promise<ValidationResult>} data: { giftCard, giftCardAmount,
+ *   walletAmount, paymentMethod, paymentMethodId } (paymentMethodId only when
+ *   the method changed)
+ */
+const planStoredValue = async ({
+  totalPrice,
+  paymentMethod,
+  userId,
+  giftCardCode,
+  useWallet,
+  walletAmount: walletLimit,
+}) => {
+  const fail = (statusCode, message) => ({ success: false, statusCode, message });
+  let left = roundMoney(totalPrice);
+  let coveredBy = null;
+
+  let giftCard = null;
+  let giftCardAmount = 0;
+  if (giftCardCode) {
+    const giftCardResult = await findRedeemableGiftCard(giftCardCode);
+    if (!giftCardResult.success) {
+      return fail(giftCardResult.statusCode, giftCardResult.message);
+    }
+
+    giftCard = giftCardResult.data;
+    giftCardAmount = roundMoney(Math.min(giftCard.balance, left));
+    left = roundMoney(left - giftCardAmount);
+    coveredBy = "GiftCard";
+  }
+
+  let walletAmount = 0;
+  if (useWallet && left > 0) {
+    if (!userId) {
+      return fail(400, "Log in to pay from your wallet");
+    }
+    if (walletLimit !== undefined && (typeof walletLimit !== "number" || walletLimit <= 0)) {
+      return fail(400, "walletAmount must be a positive number");
+    }
+
+    const wallet = await getWalletSummary(userId);
+    walletAmount = roundMoney(
+      Math.min(wallet?.balance || 0, left, walletLimit ?? Infinity)
+    );
+    if (walletAmount <= 0) {
+      return fail(400, "Your wallet is empty");
+    }
+    left = roundMoney(left - walletAmount);
+    coveredBy = "Wallet";
+  }
+
+  // Stored value methods must be enabled
+  let paymentMethodId = null;
+  for (const [methodName, used] of [
+    ["GiftCard", giftCard],
+    ["Wallet", walletAmount > 0],
+  ]) {
+    if (!used) continue;
+    const methodCheck = await validatePaymentMethod(methodName);
+    if (!methodCheck.success) {
+      return fail(methodCheck.statusCode, methodCheck.message);
+    }
+    if (left <= 0 && methodName === coveredBy) {
+      paymentMethodId = methodCheck.paymentMethod._id;
+    }
+  }
+
+  if (left > 0 && ["GiftCard", "Wallet"].includes(paymentMethod)) {
+    return fail(
+      400,
+      giftCard || walletAmount
+        ? `Balance does not cover the order. Choose a payment method for the remaining ${left}`
+        : paymentMethod === "GiftCard"
+        ? "giftCardCode is required to pay with a gift card"
+        : "useWallet is required to pay from your wallet"
+    );
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Stored value planned",
+    data: {
+      giftCard,
+      giftCardAmount,
+      walletAmount,
+      paymentMethod: left > 0 ? paymentMethod : coveredBy,
+      paymentMethodId,
+    },
+  };
+};
+
 // ==================== UNIFIED ORDER CREATION ====================
 
+/**
+ * Price a validated cart, create the order, start payment and clear the cart
+ * Shared by customer and guest cart checkout.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} checkout
+ * @param {Object} checkout.cart - Cart with populated products
+ * @param {string} [checkout.userId] - Registered buyer
+ * @param {Object} [checkout.guest] - Guest contact snapshot (validateGuestCheckout)
+ * @param {string} [checkout.giftCardCode] - Gift card paying first (split tender)
+ * @param {boolean} [checkout.useWallet] - Pay from the wallet after the gift card
+ * @param {number} [checkout.walletAmount] - Wallet spending cap
+ */
+const checkoutCart = async (
+  req,
+  res,
+  {
+    cart,
+    cartId,
+    userId,
+    guest,
+    addressId,
+    paymentMethod,
+    paymentMethodId,
+    placeType,
+    tableId,
+    governorate,
+    city,
+    schedule,
+    giftCardCode,
+    useWallet,
+    walletAmount,
+  }
+) => {
+  // ✅ RECALCULATE PRICES WITH CURRENT DISCOUNTS
+  const pricedAt = schedule?.scheduledFor || new Date();
+  const cartCalculation = await calculateFinalCartPrice(
+    cart.products,
+    cart.appliedCoupon || null,
+    userId,
+    userId ? cart.loyaltyPoints : 0,
+    { placeType, at: pricedAt, ...(await loadPromotionContext(userId, pricedAt)) }
+  );
+
+  const subtotal = cartCalculation.finalTotal;
+  const productDiscounts = cartCalculation.productDiscounts;
+  const couponDiscount = cartCalculation.couponDiscount;
+  const loyaltyDiscount = cartCalculation.loyaltyDiscount;
+
+  // Calculate delivery fee
+  const deliveryResult = await calculateDeliveryFeeSafe({
+    placeType,
+    governorate,
+    city,
+    subtotal,
+  });
+
+  if (!deliveryResult.success) {
+    return res.status(deliveryResult.statusCode).json({
+      success: false,
+      message: deliveryResult.message,
+    });
+  }
+
+  // Free delivery from a coupon or promotion
+  const deliveryFee = cartCalculation.freeDelivery ? 0 : deliveryResult.data;
+  const totalPrice = subtotal + deliveryFee;
+
+  // ✅ Split tender: gift card, then wallet, the payment method the rest
+  const storedValue = await planStoredValue({
+    totalPrice,
+    paymentMethod,
+    userId,
+    giftCardCode,
+    useWallet,
+    walletAmount,
+  });
+  if (!storedValue.success) {
+    return res.status(storedValue.statusCode).json({
+      success: false,
+      message: storedValue.message,
+    });
+  }
+
+  const { giftCard, giftCardAmount, walletAmount: walletPayment } = storedValue.data;
+  const usesStoredValue = !!giftCard || walletPayment > 0;
+  if (storedValue.data.paymentMethodId) {
+    paymentMethod = storedValue.data.paymentMethod;
+    paymentMethodId = storedValue.data.paymentMethodId;
+  }
+
+  // Validate order amount against provider-specific config
+  // (with stored value the provider checks what is left when it charges)
+  const amountResult = await validateOrderAmountWithConfig(
+    totalPrice,
+    usesStoredValue ? "GiftCard" : paymentMethod
+  );
+  if (!amountResult.success) {
+    return res.status(amountResult.statusCode).json({
+      success: false,
+      message: amountResult.message,
+    });
+  }
+
+  // Create order
+  const order = await Order.create(
+    buildOrderData({
+      userId,
+      guest,
+      products: buildOrderProducts(cartCalculation.itemsWithPrices),
+      itemsDiscount: productDiscounts,
+      promotionDiscount: cartCalculation.promotionDiscount,
+      appliedPromotions: buildAppliedPromotions(cartCalculation.appliedPromotions),
+      couponDiscount,
+      appliedCoupon: buildAppliedCoupon(cartCalculation.appliedCoupon),
+      loyalty: {
+        pointsRedeemed: cartCalculation.pointsRedeemed,
+        discount: loyaltyDiscount,
+      },
+      subtotal,
+      deliveryFee,
+      totalPrice,
+      totalQuantity: cart.totalQuantity,
+      paymentMethodId,
+      addressId,
+      placeType,
+      tableId,
+      governorate,
+      city,
+      schedule,
+    })
+  );
+
+  // ✅ Spend the redeemed points (the balance may have changed since pricing)
+  const pointsResult = await redeemOrderPoints(order);
+  if (!pointsResult.success) {
+    order.paymentStatus = "Failed";
+    recordStatusChange(order, "Failed", {
+      source: "payment",
+      note: pointsResult.message,
+    });
+    await order.save();
+
+    return res.status(pointsResult.statusCode).json({
+      success: false,
+      message: pointsResult.message,
+    });
+  }
+
+  // ✅ Hold a use of the coupon until payment (other checkouts may have used it up)
+  const couponResult = await reserveOrderCoupon(order);
+  if (!couponResult.success) {
+    order.paymentStatus = "Failed";
+    recordStatusChange(order, "Failed", {
+      source: "payment",
+      note: couponResult.message,
+    });
+    await order.save();
+    await onOrderPaymentFailed(order);
+
+    return res.status(couponResult.statusCode).json({
+      success: false,
+      message: couponResult.message,
+    });
+  }
+
+  // ✅ Take a place in the scheduled slot (other checkouts may have filled it)
+  const slotResult = await reserveOrderSlot(order);
+  if (!slotResult.success) {
+    order.paymentStatus = "Failed";
+    recordStatusChange(order, "Failed", {
+      source: "payment",
+      note: slotResult.message,
+    });
+    await order.save();
+    await onOrderPaymentFailed(order);
+
+    return res.status(slotResult.statusCode).json({
+      success: false,
+      message: slotResult.message,
+      data: slotResult.data,
+    });
+  }
+
+  // ✅ Take the gift card and wallet shares (balances may have changed since pricing)
+  const charges = [
+    giftCard && (() => chargeGiftCard(order, giftCard, giftCardAmount)),
+    walletPayment > 0 && (() => chargeWallet(order, walletPayment)),
+  ].filter(Boolean);
+
+  for (const charge of charges) {
+    const chargeResult = await charge();
+    if (!chargeResult.success) {
+      order.paymentStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: chargeResult.message,
+      });
+      await order.save();
+      await onOrderPaymentFailed(order);
+
+      return res.status(chargeResult.statusCode).json({
+        success: false,
+        message: chargeResult.message,
+      });
+    }
+  }
+
+  // Build products array for payment processing (with recalculated prices)
+  const productsForPayment = cartCalculation.itemsWithPrices.map((item) => ({
+    product: item.product,
+    quantity: item.quantity,
+    selectedOptions: item.selectedOptions,
+    unitPrice: item.unitPrice, // Effective price after all discounts
+    originalPrice: item.originalUnitPrice,
+  }));
+
+  // Get customer email for receipts
+  const customerEmail = req.user?.email || guest?.email;
+
+  // Process payment using strategy
+  const paymentResult = await processPayment(
+    paymentMethod,
+    order,
+    buildPaymentContext({
+      products: productsForPayment,
+      deliveryFee,
+      userId,
+      req,
+      governorate,
+      city,
+      customerEmail,
+      metadata: { 
+        cartId, 
+        source: "cart",
+        productDiscounts,
+        promotionDiscount: cartCalculation.promotionDiscount,
+        couponDiscount,
+        loyaltyDiscount,
+        giftCardAmount,
+        walletAmount: walletPayment,
+      },
+    })
+  );
+
+  if (!paymentResult.success) {
+    // Mark order as failed if payment processing fails
+    order.paymentStatus = "Failed";
+    recordStatusChange(order, "Failed", {
+      source: "payment",
+      note: paymentResult.message,
+    });
+    await order.save();
+    await onOrderPaymentFailed(order);
+
+    return res.status(500).json({
+      success: false,
+      message: paymentResult.message,
+    });
+  }
+
+  // Clear cart on successful payment
+  if (paymentResult.success) {
+    cart.products = [];
+    cart.totalPrice = 0;
+    cart.totalQuantity = 0;
+    cart.appliedCoupon = null;
+    cart.couponDiscount = 0;
+    cart.loyaltyPoints = 0;
+    cart.loyaltyDiscount = 0;
+    cart.totalDiscount = 0;
+    cart.subtotal = 0;
+
+    await cart.save();
+  }
+
+  // ✅ COD, stored-value and fully discounted orders are confirmed as soon as they are placed
+  if (paymentMethod === "COD" || order.paymentStatus === "Completed") {
+    await onOrderConfirmed(order);
+  } else {
+    onOrderUpdated(order);
+  }
+
+  // Get populated order
+  const populatedOrder = await populateOrder(order._id);
+
+  emitOrderCreated(populatedOrder);
+
+  return res
+    .status(201)
+    .json(formatOrderResponse(populatedOrder, paymentResult));
+};
+
 /**
  * ✅ FIXED: Create order from cart (supports all payment methods)
  * POST /orders/cart/:cartId/:addressId
@@ -178,6 +732,10 @@ const getConfigForPaymentMethod = async (paymentMethod) => {
  * @body {string} paymentMethod - "Card" | "Paymob-Card" | "Paymob-Wallet" | "COD" | etc.
  * @body {string} governorate - Required for "Online" orders
  * @body {string} city - Required for "Online" orders
+ * @body {string} scheduledFor - Optional due time (pre-order), e.g. "2025-01-31T13:30"
+ * @body {string} giftCardCode - Optional gift card, paymentMethod charges what it doesn't cover
+ * @body {boolean} useWallet - Optional, spend wallet balance after the gift card
+ * @body {number} walletAmount - Optional cap on the wallet spend
  */
 export const createOrderFromCart = async (req, res) => {
   try {
@@ -189,6 +747,10 @@ export const createOrderFromCart = async (req, res) => {
       paymentMethod = "Card",
       governorate,
       city,
+      scheduledFor,
+      giftCardCode,
+      useWallet,
+      walletAmount,
     } = req.body;
 
     // Validate request
@@ -200,17 +762,23 @@ export const createOrderFromCart = async (req, res) => {
       paymentMethod,
       governorate,
       city,
+      scheduledFor,
     });
 
     if (!validation.success) {
       return res.status(validation.statusCode).json({
         success: false,
         message: validation.message,
+        data: validation.data,
       });
     }
 
+    // Menu availability is checked for when the order is due
+    const schedule = validation.data.schedule;
+    const orderDate = schedule?.scheduledFor || new Date();
+
     // Validate and get cart
-    const cartResult = await validateAndGetCart(cartId);
+    const cartResult = await validateAndGetCart(cartId, orderDate);
     if (!cartResult.success) {
       return res.status(cartResult.statusCode).json({
         success: false,
@@ -220,133 +788,165 @@ export const createOrderFromCart = async (req, res) => {
 
     const cart = cartResult.data;
 
-    // ✅ RECALCULATE PRICES WITH CURRENT DISCOUNTS
-    const cartCalculation = await calculateFinalCartPrice(
-      cart.products,
-      cart.appliedCoupon || null,
-      userId
-    );
-
-    const subtotal = cartCalculation.finalTotal;
-    const productDiscounts = cartCalculation.totalDiscount;
-    const couponDiscount = cartCalculation.couponDiscount;
-
-    // Calculate delivery fee
-    const deliveryResult = await calculateDeliveryFeeSafe({
+    return await checkoutCart(req, res, {
+      cart,
+      cartId,
+      userId,
+      addressId,
+      paymentMethod,
+      paymentMethodId: validation.data.paymentMethodId,
       placeType,
+      tableId,
       governorate,
       city,
-      subtotal,
+      schedule,
+      giftCardCode,
+      useWallet,
+      walletAmount,
     });
+  } catch (error) {
+    console.error("Error in createOrderFromCart:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-    if (!deliveryResult.success) {
-      return res.status(deliveryResult.statusCode).json({
+/**
+ * Create order from the guest cart (no account)
+ * POST /orders/guest/cart
+ *
+ * @body {Object} guest - { name, email, phone }
+ * @body {Object} address - { street, buildingNumber, flatNumber, notes } (Online orders)
+ * Other fields as in createOrderFromCart
+ */
+export const createGuestOrderFromCart = async (req, res) => {
+  try {
+    const guestId = req.guest?.guestId;
+    if (!guestId) {
+      return res.status(400).json({
         success: false,
-        message: deliveryResult.message,
+        message: "You are logged in. Use the regular checkout",
       });
     }
 
-    const deliveryFee = deliveryResult.data;
-    const totalPrice = subtotal + deliveryFee;
+    const {
+      guest,
+      address,
+      placeType = "Online",
+      tableId,
+      paymentMethod = "Card",
+      governorate,
+      city,
+      scheduledFor,
+      giftCardCode,
+      useWallet,
+      walletAmount,
+    } = req.body;
 
-    // Validate order amount against provider-specific config
-    const amountResult = await validateOrderAmountWithConfig(
-      totalPrice,
-      paymentMethod
-    );
-    if (!amountResult.success) {
-      return res.status(amountResult.statusCode).json({
+    // Contact details (and guest checkout enabled)
+    const guestResult = await validateGuestCheckout({ guest, address, placeType });
+    if (!guestResult.success) {
+      return res.status(guestResult.statusCode).json({
         success: false,
-        message: amountResult.message,
+        message: guestResult.message,
       });
     }
 
-    // Create order
-    const order = await Order.create(
-      buildOrderData({
-        userId,
-        products: cart.products.map((item) => ({
-          product: item.product._id,
-          quantity: item.quantity,
-        })),
-        subtotal,
-        deliveryFee,
-        totalPrice,
-        totalQuantity: cart.totalQuantity,
-        paymentMethodId: validation.data.paymentMethodId,
-        addressId,
-        placeType,
-        tableId,
-        governorate,
-        city,
-      })
-    );
+    const validation = await validateOrderRequest({
+      isGuest: true,
+      placeType,
+      tableId,
+      paymentMethod,
+      governorate,
+      city,
+      scheduledFor,
+    });
 
-    // Build products array for payment processing (with recalculated prices)
-    const productsForPayment = cartCalculation.itemsWithPrices.map((item) => ({
-      product: item.product,
-      quantity: item.quantity,
-      unitPrice: item.unitPrice, // Effective price after all discounts
-      originalPrice: item.originalUnitPrice,
-    }));
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+        data: validation.data,
+      });
+    }
 
-    // Get customer email for receipts
-    const customerEmail = req.user?.email;
+    // Menu availability is checked for when the order is due
+    const schedule = validation.data.schedule;
+    const orderDate = schedule?.scheduledFor || new Date();
 
-    // Process payment using strategy
-    const paymentResult = await processPayment(
+    const guestCart = await Cart.findOne({ guestId }).select("_id");
+    const cartResult = await validateAndGetCart(guestCart?._id, orderDate);
+    if (!cartResult.success) {
+      return res.status(cartResult.statusCode).json({
+        success: false,
+        message: guestCart ? cartResult.message : "Cart is empty",
+      });
+    }
+
+    return await checkoutCart(req, res, {
+      cart: cartResult.data,
+      cartId: guestCart._id.toString(),
+      guest: { ...guestResult.data, guestId },
       paymentMethod,
-      order,
-      buildPaymentContext({
-        products: productsForPayment,
-        deliveryFee,
-        userId,
-        req,
-        governorate,
-        city,
-        customerEmail,
-        metadata: { 
-          cartId, 
-          source: "cart",
-          productDiscounts,
-          couponDiscount,
-        },
-      })
-    );
+      paymentMethodId: validation.data.paymentMethodId,
+      placeType,
+      tableId,
+      governorate,
+      city,
+      schedule,
+      giftCardCode,
+      useWallet,
+      walletAmount,
+    });
+  } catch (error) {
+    console.error("Error in createGuestOrderFromCart:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-    if (!paymentResult.success) {
-      // Mark order as failed if payment processing fails
-      order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
-      await order.save();
+/**
+ * Look up a guest order by order number and email (no account)
+ * POST /orders/guest/lookup
+ *
+ * @body {string} orderNumber - e.g. "Q-20261018-0042" (the order id also works)
+ * @body {string} email - Email used at checkout
+ */
+export const lookupGuestOrder = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
 
-      return res.status(500).json({
+    if (!orderNumber || !email) {
+      return res.status(400).json({
         success: false,
-        message: paymentResult.message,
+        message: "Order number and email are required",
       });
     }
 
-    // Clear cart on successful payment
-    if (paymentResult.success) {
-      cart.products = [];
-      cart.totalPrice = 0;
-      cart.totalQuantity = 0;
-      cart.appliedCoupon = null;
-      cart.couponDiscount = 0;
-      cart.totalDiscount = 0;
-      cart.subtotal = 0;
+    // Same response for unknown orders and wrong emails
+    const notFound = () =>
+      res.status(404).json({
+        success: false,
+        message: "No order found for this order number and email",
+      });
 
-      await cart.save();
-    }
+    const order = await Order.findByReference(orderNumber, {
+      buyer: null,
+      "guest.email": String(email).toLowerCase().trim(),
+    })
+      .select("-guest.guestId -paymobData -statusHistory.changedBy")
+      .populate("table", "number")
+      .populate("paymentMethod", "name displayName");
 
-    // Get populated order
-    const populatedOrder = await populateOrder(order._id);
+    if (!order) {
+      return notFound();
+    }
 
-    return res
-      .status(201)
-      .json(formatOrderResponse(populatedOrder, paymentResult));
+    return res.status(200).json({
+      success: true,
+      data: order,
+      message: "Order fetched successfully",
+    });
   } catch (error) {
-    console.error("Error in createOrderFromCart:", error);
+    console.error("Error in lookupGuestOrder:", error);
     return res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -363,9 +963,11 @@ export const createOrderFromProduct = async (req, res) => {
       placeType = "Online",
       tableId,
       quantity = 1,
+      options = [],
       paymentMethod = "Card",
       governorate,
       city,
+      scheduledFor,
     } = req.body;
 
     // Validate request
@@ -377,17 +979,28 @@ export const createOrderFromProduct = async (req, res) => {
       paymentMethod,
       governorate,
       city,
+      scheduledFor,
     });
 
     if (!validation.success) {
       return res.status(validation.statusCode).json({
         success: false,
         message: validation.message,
+        data: validation.data,
       });
     }
 
+    // Menu availability is checked for when the order is due
+    const schedule = validation.data.schedule;
+    const orderDate = schedule?.scheduledFor || new Date();
+
     // Validate and get product
-    const productResult = await validateAndGetProduct(productId, quantity);
+    const productResult = await validateAndGetProduct(
+      productId,
+      quantity,
+      options,
+      orderDate
+    );
     if (!productResult.success) {
       return res.status(productResult.statusCode).json({
         success: false,
@@ -398,15 +1011,22 @@ export const createOrderFromProduct = async (req, res) => {
     const product = productResult.data;
 
     // ✅ CALCULATE PRICE WITH CURRENT DISCOUNTS
-    const priceInfo = await calculateProductPrice(product);
-    const effectivePrice = priceInfo.price;
-    const originalPrice = priceInfo.originalPrice;
-    const discount = priceInfo.discount;
-    const discountPercentage = priceInfo.discountPercentage;
-    const discountType = priceInfo.discountType;
+    const priceCalculation = await calculateFinalCartPrice(
+      [{ product: product._id, quantity, selectedOptions: options }],
+      null,
+      userId,
+      0,
+      { placeType, at: orderDate, ...(await loadPromotionContext(userId, orderDate)) }
+    );
+    const [pricedItem] = priceCalculation.itemsWithPrices;
+    const effectivePrice = pricedItem.unitPrice;
+    const originalPrice = pricedItem.originalUnitPrice;
+    const discount = pricedItem.unitDiscount;
+    const discountPercentage = pricedItem.discountPercentage;
+    const discountType = pricedItem.discountType;
 
-    const subtotal = effectivePrice * quantity;
-    const totalDiscount = discount * quantity;
+    const subtotal = priceCalculation.finalTotal;
+    const totalDiscount = priceCalculation.productDiscounts;
 
     // Calculate delivery fee
     const deliveryResult = await calculateDeliveryFeeSafe({
@@ -423,7 +1043,8 @@ export const createOrderFromProduct = async (req, res) => {
       });
     }
 
-    const deliveryFee = deliveryResult.data;
+    // Free delivery from a promotion
+    const deliveryFee = priceCalculation.freeDelivery ? 0 : deliveryResult.data;
     const totalPrice = subtotal + deliveryFee;
 
     // Validate order amount against provider-specific config
@@ -442,7 +1063,10 @@ export const createOrderFromProduct = async (req, res) => {
     const order = await Order.create(
       buildOrderData({
         userId,
-        products: [{ product: productId, quantity }],
+        products: buildOrderProducts(priceCalculation.itemsWithPrices),
+        itemsDiscount: totalDiscount,
+        promotionDiscount: priceCalculation.promotionDiscount,
+        appliedPromotions: buildAppliedPromotions(priceCalculation.appliedPromotions),
         subtotal,
         deliveryFee,
         totalPrice,
@@ -453,13 +1077,33 @@ export const createOrderFromProduct = async (req, res) => {
         tableId,
         governorate,
         city,
+        schedule,
       })
     );
 
+    // ✅ Take a place in the scheduled slot (other checkouts may have filled it)
+    const slotResult = await reserveOrderSlot(order);
+    if (!slotResult.success) {
+      order.paymentStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: slotResult.message,
+      });
+      await order.save();
+      await onOrderPaymentFailed(order);
+
+      return res.status(slotResult.statusCode).json({
+        success: false,
+        message: slotResult.message,
+        data: slotResult.data,
+      });
+    }
+
     // Build products array for payment processing (with calculated prices)
     const productsForPayment = [{
       product,
       quantity,
+      selectedOptions: pricedItem.selectedOptions,
       unitPrice: effectivePrice,
       originalPrice,
       discount,
@@ -494,8 +1138,12 @@ export const createOrderFromProduct = async (req, res) => {
     if (!paymentResult.success) {
       // Mark order as failed if payment processing fails
       order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: paymentResult.message,
+      });
       await order.save();
+      await onOrderPaymentFailed(order);
 
       return res.status(500).json({
         success: false,
@@ -503,9 +1151,18 @@ export const createOrderFromProduct = async (req, res) => {
       });
     }
 
+    // ✅ COD and fully discounted orders are confirmed as soon as they are placed
+    if (paymentMethod === "COD" || order.paymentStatus === "Completed") {
+      await onOrderConfirmed(order);
+    } else {
+      onOrderUpdated(order);
+    }
+
     // Get populated order
     const populatedOrder = await populateOrder(order._id);
 
+    emitOrderCreated(populatedOrder);
+
     return res
       .status(201)
       .json(formatOrderResponse(populatedOrder, paymentResult));
@@ -530,6 +1187,7 @@ export const createOrderFromProducts = async (req, res) => {
       paymentMethod = "Card",
       governorate,
       city,
+      scheduledFor,
     } = req.body;
 
     // Validate request
@@ -541,17 +1199,23 @@ export const createOrderFromProducts = async (req, res) => {
       paymentMethod,
       governorate,
       city,
+      scheduledFor,
     });
 
     if (!validation.success) {
       return res.status(validation.statusCode).json({
         success: false,
         message: validation.message,
+        data: validation.data,
       });
     }
 
+    // Menu availability is checked for when the order is due
+    const schedule = validation.data.schedule;
+    const orderDate = schedule?.scheduledFor || new Date();
+
     // Validate and enrich products
-    const productsResult = await validateAndEnrichProducts(products);
+    const productsResult = await validateAndEnrichProducts(products, orderDate);
     if (!productsResult.success) {
       return res.status(productsResult.statusCode).json({
         success: false,
@@ -562,32 +1226,21 @@ export const createOrderFromProducts = async (req, res) => {
     const { enrichedProducts, totalQuantity } = productsResult.data;
 
     // ✅ CALCULATE PRICES WITH CURRENT DISCOUNTS FOR EACH PRODUCT
-    let subtotal = 0;
-    let totalDiscount = 0;
-    const itemsWithPrices = [];
-
-    for (const item of enrichedProducts) {
-      const priceInfo = await calculateProductPrice(item.productData);
-      
-      const effectivePrice = priceInfo.price;
-      const itemTotal = effectivePrice * item.quantity;
-      const itemDiscount = priceInfo.discount * item.quantity;
-
-      subtotal += itemTotal;
-      totalDiscount += itemDiscount;
-
-      itemsWithPrices.push({
-        product: item.productData,
+    const priceCalculation = await calculateFinalCartPrice(
+      enrichedProducts.map((item) => ({
+        product: item.product,
         quantity: item.quantity,
-        unitPrice: effectivePrice,
-        originalPrice: priceInfo.originalPrice,
-        discount: priceInfo.discount,
-        discountPercentage: priceInfo.discountPercentage,
-        discountType: priceInfo.discountType,
-        itemTotal,
-        itemDiscount,
-      });
-    }
+        selectedOptions: item.selectedOptions,
+      })),
+      null,
+      userId,
+      0,
+      { placeType, at: orderDate, ...(await loadPromotionContext(userId, orderDate)) }
+    );
+
+    const subtotal = priceCalculation.finalTotal;
+    const totalDiscount = priceCalculation.productDiscounts;
+    const itemsWithPrices = priceCalculation.itemsWithPrices;
 
     // Calculate delivery fee
     const deliveryResult = await calculateDeliveryFeeSafe({
@@ -604,7 +1257,8 @@ export const createOrderFromProducts = async (req, res) => {
       });
     }
 
-    const deliveryFee = deliveryResult.data;
+    // Free delivery from a promotion
+    const deliveryFee = priceCalculation.freeDelivery ? 0 : deliveryResult.data;
     const totalPrice = subtotal + deliveryFee;
 
     // Validate order amount against provider-specific config
@@ -623,10 +1277,10 @@ export const createOrderFromProducts = async (req, res) => {
     const order = await Order.create(
       buildOrderData({
         userId,
-        products: enrichedProducts.map((item) => ({
-          product: item.product,
-          quantity: item.quantity,
-        })),
+        products: buildOrderProducts(itemsWithPrices),
+        itemsDiscount: totalDiscount,
+        promotionDiscount: priceCalculation.promotionDiscount,
+        appliedPromotions: buildAppliedPromotions(priceCalculation.appliedPromotions),
         subtotal,
         deliveryFee,
         totalPrice,
@@ -637,16 +1291,36 @@ export const createOrderFromProducts = async (req, res) => {
         tableId,
         governorate,
         city,
+        schedule,
       })
     );
 
+    // ✅ Take a place in the scheduled slot (other checkouts may have filled it)
+    const slotResult = await reserveOrderSlot(order);
+    if (!slotResult.success) {
+      order.paymentStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: slotResult.message,
+      });
+      await order.save();
+      await onOrderPaymentFailed(order);
+
+      return res.status(slotResult.statusCode).json({
+        success: false,
+        message: slotResult.message,
+        data: slotResult.data,
+      });
+    }
+
     // Build products array for payment processing (with calculated prices)
     const productsForPayment = itemsWithPrices.map((item) => ({
       product: item.product,
       quantity: item.quantity,
+      selectedOptions: item.selectedOptions,
       unitPrice: item.unitPrice,
-      originalPrice: item.originalPrice,
-      discount: item.discount,
+      originalPrice: item.originalUnitPrice,
+      discount: item.unitDiscount,
       discountPercentage: item.discountPercentage,
       discountType: item.discountType,
     }));
@@ -676,8 +1350,12 @@ export const createOrderFromProducts = async (req, res) => {
     if (!paymentResult.success) {
       // Mark order as failed if payment processing fails
       order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: paymentResult.message,
+      });
       await order.save();
+      await onOrderPaymentFailed(order);
 
       return res.status(500).json({
         success: false,
@@ -685,9 +1363,18 @@ export const createOrderFromProducts = async (req, res) => {
       });
     }
 
+    // ✅ COD and fully discounted orders are confirmed as soon as they are placed
+    if (paymentMethod === "COD" || order.paymentStatus === "Completed") {
+      await onOrderConfirmed(order);
+    } else {
+      onOrderUpdated(order);
+    }
+
     // Get populated order
     const populatedOrder = await populateOrder(order._id);
 
+    emitOrderCreated(populatedOrder);
+
     return res
       .status(201)
       .json(formatOrderResponse(populatedOrder, paymentResult));
@@ -702,7 +1389,12 @@ export const createOrderFromProducts = async (req, res) => {
 export const getOrderDetails = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const order = await Order.findById(orderId)
+    // Customers only see their own orders (order numbers are sequential)
+    const isStaff = ["admin", "superadmin"].includes(req.user?.role?.toLowerCase());
+    const ownership = isStaff ? {} : { buyer: req.user._id };
+
+    // Accepts the Mongo id or the order number (Q-YYYYMMDD-NNNN)
+    const order = await Order.findByReference(orderId, ownership)
       .populate("products.product")
       .populate("address")
       .populate("buyer", "-refreshToken -password -__v")
@@ -810,15 +1502,29 @@ export const getCurrentUserOrders = async (req, res) => {
   }
 };
 
+/**
+ * All orders with combined admin filters (Admin only)
+ * GET /orders/all
+ * Filters: see buildOrderFilter (status, dates, payment, location, table,
+ * coupon, totals, free-text search)
+ */
 export const getAllOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 10, orderStatus, paymentStatus } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit);
 
-    const filter = {};
-    if (orderStatus) filter.orderStatus = orderStatus;
-    if (paymentStatus) filter.paymentStatus = paymentStatus;
+    const orderFilter = await buildOrderFilter(req.query);
+    if (!orderFilter.success) {
+      return res.status(orderFilter.statusCode).json({
+        success: false,
+        message: orderFilter.message,
+      });
+    }
+    const filter = orderFilter.data;
+
+    // Scheduled views list the soonest due first
+    const sort = filter.scheduledFor ? { scheduledFor: 1 } : { createdAt: -1 };
 
     const orders = await Order.find(filter)
       .populate("products.product")
@@ -828,7 +1534,7 @@ export const getAllOrders = async (req, res) => {
       .populate("paymentMethod")
       .skip(skip)
       .limit(limitNum)
-      .sort({ createdAt: -1 });
+      .sort(sort);
 
     const totalOrders = await Order.countDocuments(filter);
 
@@ -850,11 +1556,50 @@ export const getAllOrders = async (req, res) => {
   }
 };
 
+/**
+ * Export the orders matching the admin filters as CSV or XLSX (Admin only)
+ * GET /orders/export?format=csv|xlsx&<same filters as /all>
+ */
+export const exportOrders = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Valid formats: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const orderFilter = await buildOrderFilter(req.query);
+    if (!orderFilter.success) {
+      return res.status(orderFilter.statusCode).json({
+        success: false,
+        message: orderFilter.message,
+      });
+    }
+
+    await streamOrderExport(orderFilter.data, res, format);
+  } catch (error) {
+    console.error("Error in exportOrders:", error);
+
+    // Part of the file may already be sent; cut it short so it isn't mistaken for complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 // ==================== ORDER STATUS MANAGEMENT ====================
 
 /**
  * Update payment status (Admin only)
  * PATCH /orders/:orderId/payment-status
+ *
+ * For payments collected outside a gateway (COD): an unpaid order can be marked
+ * Completed, Failed or Cancelled. Refunds go through the refund endpoints.
+ * The order status follows through the state machine in orderStatus.helpers.js.
  */
 export const updatePaymentStatusForCOD = async (req, res) => {
   try {
@@ -868,8 +1613,7 @@ export const updatePaymentStatusForCOD = async (req, res) => {
       });
     }
 
-    // ✅ Get valid statuses from model schema
-    const validStatuses = Order.schema.path('paymentStatus').enumValues;
+    const validStatuses = MANUAL_PAYMENT_STATUSES;
 
     if (!paymentStatus) {
       return res.status(400).json({
@@ -897,20 +1641,54 @@ export const updatePaymentStatusForCOD = async (req, res) => {
 
     const oldStatus = order.paymentStatus;
 
+    if (oldStatus !== "Pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already "${oldStatus}"; only pending payments can be updated here`,
+        currentStatus: order.orderStatus,
+        paymentStatus: oldStatus,
+      });
+    }
+
     // Update payment status
     order.paymentStatus = paymentStatus;
 
-    // Auto-update order status for common cases
-    if (paymentStatus === "Completed" && order.orderStatus === "Processing") {
-      order.orderStatus = "Paid";
-    } else if (paymentStatus === "Failed") {
-      order.orderStatus = "Failed";
-    } else if (paymentStatus === "Cancelled") {
-      order.orderStatus = "Cancelled";
+    // Order status that goes with the new payment status (collecting cash on
+    // an order that is already being prepared or delivered doesn't move it)
+    let nextOrderStatus = paymentStatus;
+    if (paymentStatus === "Completed") {
+      nextOrderStatus = order.orderStatus === "Processing" ? "Paid" : null;
+    }
+
+    if (nextOrderStatus) {
+      const transition = transitionOrderStatus(order, nextOrderStatus, {
+        changedBy: req.user?._id,
+        source: "admin",
+        note: `Payment status changed from ${oldStatus} to ${paymentStatus}`,
+      });
+
+      if (!transition.success) {
+        order.paymentStatus = oldStatus;
+        return res.status(400).json({
+          success: false,
+          message: transition.message,
+          currentStatus: order.orderStatus,
+          paymentStatus: oldStatus,
+          allowedTransitions: getAllowedTransitions(order),
+        });
+      }
     }
 
     await order.save();
 
+    if (paymentStatus === "Completed") {
+      await onOrderConfirmed(order);
+    } else {
+      await onOrderCancelled(order, `Payment ${paymentStatus.toLowerCase()}`);
+    }
+
+    emitOrderPaymentUpdated(order, oldStatus);
+
     const populatedOrder = await Order.findById(orderId)
       .populate("products.product")
       .populate("address")
@@ -932,34 +1710,88 @@ export const updatePaymentStatusForCOD = async (req, res) => {
   }
 };
 
+/**
+ * Update order status (Admin only)
+ * PATCH /orders/status/:orderId
+ *
+ * Only transitions allowed by the state machine in orderStatus.helpers.js
+ * for the order's placeType and current paymentStatus are accepted.
+ * Paid orders can't be cancelled or failed here - use cancelOrder, which
+ * also refunds the payment.
+ *
+ * @body {string} orderStatus - The next status
+ * @body {string} note - Optional note stored in the status history
+ */
 export const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { orderStatus, note } = req.body;
+
     if (!orderId) {
       return res
         .status(400)
         .json({ success: false, message: "Order id is required" });
     }
 
-    const allowedFields = ["orderStatus"];
-    const changes = {};
-    allowedFields.forEach((field) => {
-      if (req.body[field] !== undefined) changes[field] = req.body[field];
-    });
-
-    if (!Object.keys(changes).length) {
+    if (!orderStatus) {
       return res
         .status(400)
         .json({ success: false, message: "orderStatus field is required" });
     }
 
-    const updatedOrderStatus = await Order.findByIdAndUpdate(orderId, changes, {
-      new: true,
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    // Paid orders must go through cancelOrder so the payment is refunded too
+    if (
+      ["Cancelled", "Failed"].includes(orderStatus) &&
+      ["Completed", "PartiallyRefunded"].includes(order.paymentStatus)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot set a ${order.paymentStatus.toLowerCase()} order to "${orderStatus}" directly. Use POST /orders/${order._id}/cancel to cancel and refund it`,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        allowedTransitions: getAllowedTransitions(order),
+      });
+    }
+
+    const previousStatus = order.orderStatus;
+    const transition = transitionOrderStatus(order, orderStatus, {
+      changedBy: req.user?._id,
+      source: "admin",
+      note,
     });
 
+    if (!transition.success) {
+      return res.status(transition.statusCode).json({
+        success: false,
+        message: transition.message,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        allowedTransitions: transition.data.allowedTransitions,
+      });
+    }
+
+    await order.save();
+
+    // Same side effects as cancelOrder: restock, coupon, loyalty, stored value
+    if (["Cancelled", "Failed"].includes(order.orderStatus)) {
+      await onOrderCancelled(order, note || `Status changed to ${order.orderStatus}`);
+    } else {
+      onOrderUpdated(order);
+    }
+
+    emitOrderStatusUpdated(order, previousStatus);
+
     return res.status(200).json({
       success: true,
-      data: updatedOrderStatus,
+      data: order,
+      allowedTransitions: getAllowedTransitions(order),
       message: "Order status updated successfully",
     });
   } catch (error) {
@@ -987,18 +1819,8 @@ export const getOrdersByOrderStatus = async (req, res) => {
       ? status.split(",").map((s) => s.trim())
       : [status.trim()];
 
-    const validOrderStatuses = [
-      "Processing",
-      "Paid",
-      "Ready",
-      "On the way",
-      "Received",
-      "Failed",
-      "Cancelled",
-    ];
-
     const invalidStatuses = statuses.filter(
-      (s) => !validOrderStatuses.includes(s)
+      (s) => !ORDER_STATUSES.includes(s)
     );
 
     if (invalidStatuses.length) {
@@ -1008,16 +1830,33 @@ export const getOrdersByOrderStatus = async (req, res) => {
       });
     }
 
+    // Same combined filters as /all; the status comes from the path
+    const { orderStatus, ...query } = req.query;
+    const orderFilter = await buildOrderFilter(query);
+    if (!orderFilter.success) {
+      return res.status(orderFilter.statusCode).json({
+        success: false,
+        message: orderFilter.message,
+      });
+    }
+    const filter = orderFilter.data;
+
     const skip = (pageNum - 1) * limitNum;
 
     const totalOrders = await Order.countDocuments({
+      ...filter,
       orderStatus: { $in: statuses },
     });
 
+    // Scheduled views list the soonest due first
+    const sort = filter.scheduledFor
+      ? { scheduledFor: 1 }
+      : { createdAt: -1 };
+
     const data = await Promise.all(
       statuses.map(async (s) => ({
         status: s,
-        orders: await Order.find({ orderStatus: s })
+        orders: await Order.find({ ...filter, orderStatus: s })
           .populate("products.product")
           .populate("address")
           .populate("buyer", "-password -refreshToken")
@@ -1025,7 +1864,7 @@ export const getOrdersByOrderStatus = async (req, res) => {
           .populate("paymentMethod")
           .skip(skip)
           .limit(limitNum)
-          .sort({ createdAt: -1 }),
+          .sort(sort),
       }))
     );
 
@@ -1043,6 +1882,74 @@ export const getOrdersByOrderStatus = async (req, res) => {
   }
 };
 
+// ==================== SCHEDULED ORDERS ====================
+
+/**
+ * Release every held order that is due now (Admin only)
+ * Same as the periodic job, without waiting for its next run
+ * POST /orders/scheduled/release
+ */
+export const releaseDueScheduledOrders = async (req, res) => {
+  try {
+    const released = await releaseDueOrders();
+
+    return res.status(200).json({
+      success: true,
+      data: { released, count: released.length },
+      message: `${released.length} scheduled order(s) released to the kitchen`,
+    });
+  } catch (error) {
+    console.error("Error in releaseDueScheduledOrders:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Release a held order to the kitchen right away (Admin only)
+ * POST /orders/:orderId/release
+ */
+export const releaseOrderNow = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.scheduleStatus !== "Held") {
+      return res.status(400).json({
+        success: false,
+        message: order.scheduledFor
+          ? "Order has already been released to the kitchen"
+          : "Order is not scheduled",
+      });
+    }
+
+    if (["Failed", "Cancelled"].includes(order.orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot release a ${order.orderStatus.toLowerCase()} order`,
+      });
+    }
+
+    await releaseScheduledOrder(order._id);
+    const populatedOrder = await populateOrder(order._id);
+
+    return res.status(200).json({
+      success: true,
+      data: populatedOrder,
+      message: "Order released to the kitchen",
+    });
+  } catch (error) {
+    console.error("Error in releaseOrderNow:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 export const updateOrderPlaceType = async (req, res) => {
   try {
     const { orderId } = req.params;
@@ -1093,6 +2000,7 @@ export const updateOrderPlaceType = async (req, res) => {
 
     order.placeType = placeType;
     await order.save();
+    onOrderUpdated(order);
 
     const populatedOrder = await Order.findById(orderId)
       .populate("products.product")
@@ -1120,11 +2028,19 @@ export const updateOrderPlaceType = async (req, res) => {
  *
  * @body {number} refundAmount - Amount to refund (optional, defaults to full amount)
  * @body {string} refundReason - Reason for refund
+ * @body {string} refundTo - "original" (default) | "wallet" (store credit, also for COD)
  */
 export const refundOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { refundAmount, refundReason } = req.body;
+    const { refundAmount, refundReason, refundTo = "original" } = req.body;
+
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `refundTo must be one of: ${REFUND_DESTINATIONS.join(", ")}`,
+      });
+    }
 
     if (!orderId) {
       return res
@@ -1168,8 +2084,11 @@ export const refundOrder = async (req, res) => {
       }
     }
 
-    // Validate refund request against config
-    const refundValidation = await validateRefundRequest(order, amountToRefund);
+    // Validate refund request against config (store credit skips the provider rules)
+    const refundValidation =
+      refundTo === "wallet"
+        ? { success: true }
+        : await validateRefundRequest(order, amountToRefund);
     if (!refundValidation.success) {
       return res.status(refundValidation.statusCode || 400).json({
         success: false,
@@ -1182,7 +2101,8 @@ export const refundOrder = async (req, res) => {
       paymentMethodName,
       order,
       amountToRefund,
-      refundReason || "requested_by_customer"
+      refundReason || "requested_by_customer",
+      { storeCredit: refundTo === "wallet", createdBy: req.user?._id }
     );
 
     if (!refundResult.success) {
@@ -1201,6 +2121,7 @@ export const refundOrder = async (req, res) => {
       refundAmount: amountToRefund,
       refundDate: new Date(),
       refundReason: refundReason || "Customer requested refund",
+      refundDestination: refundTo,
       refundStatus:
         refundResult.status === "succeeded" ||
         refundResult.status === "completed"
@@ -1210,6 +2131,20 @@ export const refundOrder = async (req, res) => {
 
     await order.save();
 
+    // Partial refunds keep the food with the customer - only restock full refunds
+    if (isPartialRefund) {
+      await onOrderPartiallyRefunded(order);
+    } else {
+      await onOrderRefunded(order);
+    }
+
+    emitOrderRefunded(order, {
+      id: refundResult.refundId,
+      amount: amountToRefund,
+      status: order.refundDetails.refundStatus,
+      provider: refundResult.provider,
+    });
+
     return res.status(200).json({
       success: true,
       data: {
@@ -1219,6 +2154,7 @@ export const refundOrder = async (req, res) => {
           amount: amountToRefund,
           status: refundResult.status,
           provider: refundResult.provider,
+          destination: refundTo,
         },
       },
       message:
@@ -1238,11 +2174,19 @@ export const refundOrder = async (req, res) => {
  * POST /orders/:orderId/cancel
  *
  * @body {string} cancellationReason - Reason for cancellation
+ * @body {string} refundTo - "original" (default) | "wallet" - refund paid orders as store credit
  */
 export const cancelOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { cancellationReason } = req.body;
+    const { cancellationReason, refundTo = "original" } = req.body;
+
+    if (!REFUND_DESTINATIONS.includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `refundTo must be one of: ${REFUND_DESTINATIONS.join(", ")}`,
+      });
+    }
 
     if (!orderId) {
       return res
@@ -1258,11 +2202,16 @@ export const cancelOrder = async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
-    // Check if already cancelled
-    if (order.orderStatus === "Cancelled") {
+    // Check the order can still be cancelled before any money moves
+    // (any payment status may be cancelled, so this holds after the refund too)
+    const cancellable = validateStatusTransition(order, "Cancelled");
+    if (!cancellable.success) {
       return res.status(400).json({
         success: false,
-        message: "Order is already cancelled",
+        message: cancellable.message,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        allowedTransitions: getAllowedTransitions(order),
       });
     }
 
@@ -1272,7 +2221,34 @@ export const cancelOrder = async (req, res) => {
     let refundResult = null;
 
     // Handle cancellation based on payment provider and status
-    if (provider === "stripe" && order.stripeSessionID) {
+    if (refundTo === "wallet" && order.paymentStatus === "Completed") {
+      // Store credit instead of the provider's refund (gift cards get their share back)
+      refundResult = await processRefund(
+        paymentMethodName,
+        order,
+        order.totalPrice,
+        cancellationReason || "Order cancelled",
+        { storeCredit: true, createdBy: req.user?._id }
+      );
+
+      if (refundResult.success) {
+        order.paymentStatus = "Refunded";
+        order.refundDetails = {
+          refundId: refundResult.refundId,
+          refundAmount: order.totalPrice,
+          refundDate: new Date(),
+          refundReason: cancellationReason || "Order cancelled",
+          refundDestination: "wallet",
+          refundStatus: "Completed",
+        };
+        refundMessage = " and refunded to the customer's wallet";
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: refundResult.message,
+        });
+      }
+    } else if (provider === "stripe" && order.stripeSessionID) {
       refundResult = await StripeService.handleOrderCancellation(order);
 
       if (refundResult.success) {
@@ -1322,6 +2298,21 @@ export const cancelOrder = async (req, res) => {
     } else if (provider === "cod") {
       order.paymentStatus = "Cancelled";
       refundMessage = " (no payment to refund for COD)";
+    } else if (provider === "giftcard" || provider === "wallet") {
+      // The balances are credited back by onOrderCancelled()
+      if (order.paymentStatus === "Completed") {
+        order.paymentStatus = "Refunded";
+        order.refundDetails = {
+          refundAmount: getRefundableTenderAmount(order),
+          refundDate: new Date(),
+          refundReason: cancellationReason || "Order cancelled",
+          refundStatus: "Completed",
+        };
+        refundMessage =
+          provider === "wallet" ? " and refunded to the wallet" : " and refunded to the gift card";
+      } else if (order.paymentStatus === "Pending") {
+        order.paymentStatus = "Cancelled";
+      }
     } else {
       // Unknown or no payment method
       if (order.paymentStatus === "Pending") {
@@ -1330,11 +2321,39 @@ export const cancelOrder = async (req, res) => {
       refundMessage = "";
     }
 
+    // A paid order is only cancelled together with its refund (failed or
+    // disabled automatic refunds leave the order as it was)
+    if (order.paymentStatus === "Completed" && ["stripe", "paymob"].includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order was not cancelled: the payment could not be refunded${refundMessage || " automatically"}. Refund it first (POST /orders/refund/${order._id}) or cancel with refundTo "wallet"`,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+      });
+    }
+
     // Update order status
-    order.orderStatus = "Cancelled";
     order.cancellationReason = cancellationReason || "Cancelled by user";
+    const transition = transitionOrderStatus(order, "Cancelled", {
+      changedBy: req.user?._id,
+      source: "admin",
+      note: order.cancellationReason,
+    });
+    if (!transition.success) {
+      return res.status(400).json({
+        success: false,
+        message: transition.message,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        allowedTransitions: transition.data.allowedTransitions,
+      });
+    }
     await order.save();
 
+    await onOrderCancelled(order, order.cancellationReason);
+
+    emitOrderCancelled(order, order.cancellationReason);
+
     // Reload with all populated fields
     const updatedOrder = await Order.findById(orderId)
       .populate("products.product")
@@ -1459,6 +2478,26 @@ export const capturePayment = async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
+    // Only an authorized payment that is still waiting can be captured, and
+    // only while the order may still move to "Paid"
+    const capturable = isAwaitingPayment(order)
+      ? validateStatusTransition(
+          { placeType: order.placeType, orderStatus: order.orderStatus, paymentStatus: "Completed" },
+          "Paid"
+        )
+      : {
+          success: false,
+          message: `Payment is "${order.paymentStatus}" and order is "${order.orderStatus}"; there is nothing to capture`,
+        };
+    if (!capturable.success) {
+      return res.status(400).json({
+        success: false,
+        message: capturable.message,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+      });
+    }
+
     const paymentMethodName = order.paymentMethod?.name;
     const provider = getPaymentProvider(paymentMethodName || "");
 
@@ -1508,10 +2547,23 @@ export const capturePayment = async (req, res) => {
     }
 
     // Update order status
+    const previousPaymentStatus = order.paymentStatus;
     order.paymentStatus = "Completed";
-    order.orderStatus = "Paid";
+    const transition = transitionOrderStatus(order, "Paid", {
+      changedBy: req.user?._id,
+      source: "payment",
+      note: "Payment captured",
+    });
+    if (!transition.success) {
+      // Checked above; only reachable if the order changed during the capture
+      console.error(`Captured payment of order ${order._id} but: ${transition.message}`);
+    }
     await order.save();
 
+    await onOrderConfirmed(order);
+
+    emitOrderPaymentUpdated(order, previousPaymentStatus);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -1529,8 +2581,11 @@ export const capturePayment = async (req, res) => {
 // ==================== RETRY PAYMENT ====================
 
 /**
- * Retry payment for a failed order
+ * Retry payment for an order whose payment failed
  * POST /orders/:orderId/retry-payment
+ *
+ * Cancelled orders can't be retried - their stock, coupon use, points and
+ * tenders were already released.
  */
 export const retryPayment = async (req, res) => {
   try {
@@ -1553,11 +2608,14 @@ export const retryPayment = async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
-    // Only allow retry for failed or cancelled payments
-    if (!["Failed", "Cancelled"].includes(order.paymentStatus)) {
-      return res.status(400).json({
+    // Only orders whose payment failed can be retried; cancelled orders are final
+    const retryCheck = validatePaymentRetry(order);
+    if (!retryCheck.success) {
+      return res.status(retryCheck.statusCode).json({
         success: false,
-        message: "Payment retry is only allowed for failed or cancelled orders",
+        message: retryCheck.message,
+        currentStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
       });
     }
 
@@ -1570,10 +2628,10 @@ export const retryPayment = async (req, res) => {
       });
     }
 
-    // Validate order amount
+    // Validate order amount (with gift cards the provider checks what is left)
     const amountResult = await validateOrderAmountWithConfig(
       order.totalPrice,
-      methodToUse
+      order.tenders?.length ? "GiftCard" : methodToUse
     );
     if (!amountResult.success) {
       return res.status(amountResult.statusCode).json({
@@ -1582,15 +2640,52 @@ export const retryPayment = async (req, res) => {
       });
     }
 
+    // Points given back when the payment failed are spent again
+    const pointsResult = await reclaimRedeemedPoints(order);
+    if (!pointsResult.success) {
+      return res.status(pointsResult.statusCode).json({
+        success: false,
+        message: pointsResult.message,
+      });
+    }
+
+    // Gift card / wallet payments released when the payment failed are taken again
+    const tendersResult = await reclaimTenders(order);
+    if (!tendersResult.success) {
+      // Give the reclaimed points back
+      await onOrderPaymentFailed(order);
+      return res.status(tendersResult.statusCode).json({
+        success: false,
+        message: tendersResult.message,
+      });
+    }
+
+    // The coupon use released when the payment failed is held again
+    const couponResult = await reserveOrderCoupon(order);
+    if (!couponResult.success) {
+      // Give the reclaimed points and stored value back
+      await onOrderPaymentFailed(order);
+      return res.status(couponResult.statusCode).json({
+        success: false,
+        message: couponResult.message,
+      });
+    }
+
     // Reset order status
-    order.paymentStatus = "Pending";
-    order.orderStatus = "Processing";
+    transitionForPaymentRetry(order, {
+      changedBy: req.user?._id,
+      source: "admin",
+      note: `Payment retry with ${methodToUse}`,
+    });
     await order.save();
 
     // Build products for payment
     const productsForPayment = order.products.map((item) => ({
       product: item.product,
       quantity: item.quantity,
+      selectedOptions: item.selectedOptions,
+      unitPrice: item.unitPrice,
+      originalPrice: item.originalPrice,
     }));
 
     // Process payment
@@ -1610,8 +2705,12 @@ export const retryPayment = async (req, res) => {
 
     if (!paymentResult.success) {
       order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: paymentResult.message,
+      });
       await order.save();
+      await onOrderPaymentFailed(order);
 
       return res.status(500).json({
         success: false,
@@ -1619,6 +2718,12 @@ export const retryPayment = async (req, res) => {
       });
     }
 
+    if (methodToUse === "COD" || order.paymentStatus === "Completed") {
+      await onOrderConfirmed(order);
+    } else {
+      onOrderUpdated(order);
+    }
+
     const populatedOrder = await populateOrder(order._id);
 
     return res
@@ -1636,11 +2741,16 @@ export default {
   createOrderFromProduct,
   createOrderFromProducts,
 
+  // Guest checkout
+  createGuestOrderFromCart,
+  lookupGuestOrder,
+
   // Order retrieval
   getOrderDetails,
   getAllOrdersForUser,
   getCurrentUserOrders,
   getAllOrders,
+  exportOrders,
 
   // Order status management
   updatePaymentStatusForCOD,
@@ -1648,6 +2758,10 @@ export default {
   getOrdersByOrderStatus,
   updateOrderPlaceType,
 
+  // Scheduled orders
+  releaseDueScheduledOrders,
+  releaseOrderNow,
+
   // Refunds & Cancellation
   refundOrder,
   cancelOrder,
@@ -32,7 +32,7 @@ export const getActivePaymentMethods = async (req, res) => {
     const availableMethods = activeMethods.filter((method) => {
       if (method.provider === "Stripe" && !stripeConfig) return false;
       if (method.provider === "Paymob" && !paymobConfig) return false;
-      return true; // Internal (COD) always available
+      return true; // Internal (COD, GiftCard, Wallet) always available
     });
 
     return res.status(200).json({
@@ -126,6 +126,8 @@ export const createPaymentMethod = async (req, res) => {
       "Paymob-Kiosk",
       "Paymob-Installments",
       "Paymob-ValU",
+      "GiftCard",
+      "Wallet",
     ];
 
     if (!validNames.includes(name)) {
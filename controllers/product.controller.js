@@ -8,12 +8,19 @@ import {
 } from "../utils/cloudinary.js";
 
 import GlobalDiscount from "../models/globalDiscount.model.js";
-import { calculateProductPrice } from "../helpers/discount.helpers.js";
+import { calculateProductPrice, getUpcomingDiscounts } from "../helpers/discount.helpers.js";
+import { validateModifierGroups } from "../helpers/modifier.helpers.js";
+import {
+  parseScheduleDate,
+  validateAvailabilitySchedule,
+  isWithinSchedule,
+  buildScheduleExpr,
+} from "../helpers/schedule.helpers.js";
 
 export const productListing = async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { name, description, price, ingredients } = req.body;
+    const { name, description, price, ingredients, modifierGroups } = req.body;
     if (!categoryId) {
       res
         .status(400)
@@ -44,6 +51,28 @@ export const productListing = async (req, res) => {
         });
       }
     }
+
+    // ✅ Optional modifier groups (sent as JSON string with multipart form)
+    let normalizedModifierGroups;
+    if (modifierGroups) {
+      try {
+        normalizedModifierGroups = JSON.parse(modifierGroups);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid modifierGroups JSON format",
+        });
+      }
+
+      const modifierValidation = validateModifierGroups(normalizedModifierGroups);
+      if (!modifierValidation.success) {
+        return res.status(modifierValidation.statusCode).json({
+          success: false,
+          message: modifierValidation.message,
+        });
+      }
+    }
+
     const adminId = req.user?._id;
 
     if (!adminId) {
@@ -105,6 +134,7 @@ export const productListing = async (req, res) => {
         description: description,
         price: price,
         ingredients: normalizedIngredients,
+        modifierGroups: normalizedModifierGroups,
         images: uploadedImagesUrl,
         imagesPublicId: imagesPublicIdFromCloudinary,
         category: categoryId,
@@ -113,7 +143,7 @@ export const productListing = async (req, res) => {
       const product = await Product.findById(listProduct._id)
         .populate("category")
         .select(
-          "name description price ingredients isAvailable images category "
+          "name description price ingredients modifierGroups isAvailable images category "
         );
 
       if (!product) {
@@ -167,6 +197,8 @@ export const toggleProductAvailability = async (req, res) => {
     }
 
     product.isAvailable = !product.isAvailable;
+    // Manual toggle overrides inventory
+    product.stockDisabled = false;
     await product.save();
 
     return res.status(200).json({
@@ -569,8 +601,19 @@ export const getProducts = async (req, res) => {
       minPrice,
       maxPrice,
       sortBy,
+      at,
+      includeOffMenu,
     } = req.query;
 
+    // ✅ Menu schedules are evaluated at "at" (defaults to now)
+    const scheduleDate = parseScheduleDate(at);
+    if (!scheduleDate.success) {
+      return res.status(scheduleDate.statusCode).json({
+        success: false,
+        message: scheduleDate.message,
+      });
+    }
+
     if (page < 1 || limit < 1) {
       return res.status(400).json({
         success: false,
@@ -644,6 +687,29 @@ export const getProducts = async (req, res) => {
       {
         $match: filter,
       },
+      // ✅ Product and category service hours
+      {
+        $lookup: {
+          from: "categories",
+          localField: "category",
+          foreignField: "_id",
+          as: "categoryDoc",
+        },
+      },
+      {
+        $addFields: {
+          isOnMenu: {
+            $and: [
+              buildScheduleExpr("$availabilitySchedule", scheduleDate.data),
+              buildScheduleExpr(
+                { $arrayElemAt: ["$categoryDoc.availabilitySchedule", 0] },
+                scheduleDate.data
+              ),
+            ],
+          },
+        },
+      },
+      ...(includeOffMenu === "true" ? [] : [{ $match: { isOnMenu: true } }]),
       {
         $lookup: {
           from: "reviews",
@@ -676,6 +742,8 @@ export const getProducts = async (req, res) => {
           saleStartDate: 1,
           saleEndDate: 1,
           isOnSale: 1,
+          availabilitySchedule: 1,
+          isOnMenu: 1,
         },
       },
     ];
@@ -840,6 +908,160 @@ export const removeProductSale = async (req, res) => {
   }
 };
 
+// ==================== MENU SCHEDULING ====================
+
+/**
+ * Set product availability schedule (Admin)
+ * Empty array = available whenever its category is
+ * PATCH /api/v2/product/:productId/schedule
+ */
+export const setProductSchedule = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { availabilitySchedule } = req.body;
+
+    const validation = validateAvailabilitySchedule(availabilitySchedule);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      productId,
+      { availabilitySchedule },
+      { new: true, runValidators: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: product,
+      message: "Product schedule updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in setProductSchedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Preview the menu as of a given datetime (Public)
+ * Categories and available products whose schedules are open at "at"
+ * GET /api/v2/product/menu-preview?at=2025-01-31T08:30
+ */
+export const getMenuPreview = async (req, res) => {
+  try {
+    const scheduleDate = parseScheduleDate(req.query.at);
+    if (!scheduleDate.success) {
+      return res.status(scheduleDate.statusCode).json({
+        success: false,
+        message: scheduleDate.message,
+      });
+    }
+    const at = scheduleDate.data;
+
+    const [categories, products] = await Promise.all([
+      Category.find().sort({ name: 1 }),
+      Product.find({ isAvailable: true })
+        .select("name description price images category salePrice isOnSale availabilitySchedule modifierGroups")
+        .sort({ name: 1 }),
+    ]);
+
+    const menu = categories
+      .filter((category) => isWithinSchedule(category.availabilitySchedule, at))
+      .map((category) => ({
+        _id: category._id,
+        name: category.name,
+        description: category.description,
+        availabilitySchedule: category.availabilitySchedule,
+        products: products.filter(
+          (product) =>
+            product.category.toString() === category._id.toString() &&
+            isWithinSchedule(product.availabilitySchedule, at)
+        ),
+      }))
+      .filter((category) => category.products.length > 0);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        at,
+        categories: menu,
+        totalProducts: menu.reduce((sum, category) => sum + category.products.length, 0),
+      },
+      message: "Menu preview fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getMenuPreview:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== PRODUCT MODIFIERS (ADMIN) ====================
+
+/**
+ * Replace product modifier groups (Admin)
+ * PATCH /api/v2/product/:productId/modifiers
+ */
+export const setProductModifiers = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { modifierGroups } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+
+    const validation = validateModifierGroups(modifierGroups);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    product.modifierGroups = modifierGroups;
+    await product.save();
+
+    return res.status(200).json({
+      success: true,
+      data: product,
+      message: "Product modifiers updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in setProductModifiers:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Get product with effective price (Public)
  * GET /api/v2/product/:productId/with-discount
@@ -868,6 +1090,7 @@ export const getProductWithDiscount = async (req, res) => {
         discount: priceInfo.discount,
         discountPercentage: priceInfo.discountPercentage,
         discountType: priceInfo.discountType,
+        discountCampaigns: priceInfo.campaigns || [],
       },
       message: "Product fetched successfully",
     });
@@ -926,13 +1149,19 @@ export const getProductsOnSale = async (req, res) => {
           effectivePrice: priceInfo.price,
           discount: priceInfo.discount,
           discountPercentage: priceInfo.discountPercentage,
+          discountType: priceInfo.discountType,
+          discountCampaigns: priceInfo.campaigns || [],
         };
       })
     );
 
+    // Happy hours and discounts that haven't started yet
+    const upcomingDiscounts = await getUpcomingDiscounts(now);
+
     return res.status(200).json({
       success: true,
       data: productsWithPrices,
+      upcomingDiscounts,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limitNum),
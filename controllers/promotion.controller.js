@@ -0,0 +1,334 @@
+// promotion.controller.js
+// ✅ Automatic promotions - admin rules and the public list of running offers
+
+import mongoose from "mongoose";
+import Promotion from "../models/promotion.model.js";
+import { validatePromotion } from "../helpers/promotion.helpers.js";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "conditions",
+  "action",
+  "priority",
+  "stackable",
+  "combinableWithCoupons",
+  "startDate",
+  "endDate",
+  "isActive",
+];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+const populatePromotion = (query) =>
+  query
+    .populate("conditions.products", "name price images")
+    .populate("conditions.categories", "name")
+    .populate("action.freeProduct", "name price images");
+
+// ==================== PUBLIC ====================
+
+/**
+ * Promotions running right now (for banners / menus)
+ * Day/time windows are returned as-is so the menu can show "Happy hour 5-7pm".
+ * GET /api/v2/promotions/active
+ */
+export const getActivePromotions = async (req, res) => {
+  try {
+    const now = new Date();
+    const promotions = await populatePromotion(
+      Promotion.find({
+        isActive: true,
+        startDate: { $lte: now },
+        $or: [{ endDate: null }, { endDate: { $gte: now } }],
+      })
+    )
+      .select("name description conditions action priority endDate")
+      .sort({ priority: -1, createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      data: promotions,
+      message: "Active promotions fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getActivePromotions:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * Create promotion (Admin)
+ * POST /api/v2/promotions
+ */
+export const createPromotion = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    const validation = validatePromotion(fields);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const promotion = await Promotion.create({
+      ...fields,
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: promotion,
+      message: "Promotion created successfully",
+    });
+  } catch (error) {
+    console.error("Error in createPromotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get all promotions (Admin)
+ * GET /api/v2/promotions?isActive&running&page&limit
+ */
+export const getAllPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, running } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(parseInt(limit, 10) || 10, 100);
+
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === "true";
+    }
+    if (running === "true") {
+      const now = new Date();
+      filter.isActive = true;
+      filter.startDate = { $lte: now };
+      filter.$or = [{ endDate: null }, { endDate: { $gte: now } }];
+    }
+
+    const [promotions, total] = await Promise.all([
+      populatePromotion(Promotion.find(filter))
+        .sort({ priority: -1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Promotion.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: promotions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Promotions fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getAllPromotions:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get promotion by ID (Admin)
+ * GET /api/v2/promotions/:promotionId
+ */
+export const getPromotionById = async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    if (!mongoose.isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion id" });
+    }
+
+    const promotion = await populatePromotion(Promotion.findById(promotionId)).populate(
+      "createdBy",
+      "name email"
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: promotion,
+      message: "Promotion fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getPromotionById:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update promotion (Admin)
+ * conditions and action are replaced as a whole when sent.
+ * PATCH /api/v2/promotions/:promotionId
+ */
+export const updatePromotion = async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    if (!mongoose.isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion id" });
+    }
+
+    const updates = pickEditableFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const current = await Promotion.findById(promotionId).lean();
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    const validation = validatePromotion({ ...current, ...updates });
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const promotion = await Promotion.findByIdAndUpdate(
+      promotionId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: promotion,
+      message: "Promotion updated successfully",
+    });
+  } catch (error) {
+    console.error("Error in updatePromotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Toggle promotion status (Admin)
+ * PATCH /api/v2/promotions/:promotionId/toggle
+ */
+export const togglePromotion = async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    if (!mongoose.isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion id" });
+    }
+
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    promotion.isActive = !promotion.isActive;
+    await promotion.save();
+
+    return res.status(200).json({
+      success: true,
+      data: promotion,
+      message: `Promotion ${promotion.isActive ? "activated" : "deactivated"} successfully`,
+    });
+  } catch (error) {
+    console.error("Error in togglePromotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete promotion (Admin)
+ * Orders keep their snapshot of the promotions they used.
+ * DELETE /api/v2/promotions/:promotionId
+ */
+export const deletePromotion = async (req, res) => {
+  try {
+    const { promotionId } = req.params;
+
+    if (!mongoose.isValidObjectId(promotionId)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion id" });
+    }
+
+    const promotion = await Promotion.findByIdAndDelete(promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Promotion deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deletePromotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getActivePromotions,
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  togglePromotion,
+  deletePromotion,
+};
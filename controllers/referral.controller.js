@@ -0,0 +1,334 @@
+// referral.controller.js
+// ✅ Referral program - customer stats, applying a code, admin settings and reports
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Referral from "../models/referral.model.js";
+import ReferralSettings from "../models/referralSettings.model.js";
+import User from "../models/user.model.js";
+import { validateReferralSettingsUpdate } from "../helpers/referral.helpers.js";
+import {
+  attachReferral,
+  findReferrer,
+  getReferralStats,
+  getReferralSummary,
+  onUserVerified,
+} from "../services/referral.service.js";
+
+const STATUSES = Referral.schema.path("status").enumValues;
+
+/**
+ * Get the active settings, creating defaults if none exist
+ */
+const getOrCreateSettings = async () => {
+  let settings = await ReferralSettings.findOne({ isActive: true });
+  if (!settings) {
+    settings = await ReferralSettings.create({ isActive: true });
+  }
+  return settings;
+};
+
+// ==================== CUSTOMER ====================
+
+/**
+ * My referral code, rewards on offer and how my referrals are doing
+ * GET /api/v2/referrals/me
+ */
+export const getMyReferrals = async (req, res) => {
+  try {
+    const summary = await getReferralSummary(req.user);
+
+    return res.status(200).json({
+      success: true,
+      data: summary,
+      message: "Referral stats fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getMyReferrals:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Add a referral code after signing up (before the first order only)
+ * POST /api/v2/referrals/apply
+ */
+export const applyReferralCode = async (req, res) => {
+  try {
+    // req.user has no phone number, the fraud guards need it
+    const user = await User.findById(req.user._id).select(
+      "name email phoneNumber signupDeviceId referredBy isAccountVerified"
+    );
+
+    if (user.referredBy || (await Referral.exists({ referee: user._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: "A referral code has already been applied to your account",
+      });
+    }
+
+    if (await Order.exists({ buyer: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Referral codes can only be applied before your first order",
+      });
+    }
+
+    const referrerCheck = await findReferrer(req.body.code);
+    if (!referrerCheck.success) {
+      return res.status(referrerCheck.statusCode).json({
+        success: false,
+        message: referrerCheck.message,
+      });
+    }
+
+    const referrer = referrerCheck.data;
+    if (referrer._id.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't use your own referral code",
+      });
+    }
+
+    const deviceId = req.get("x-device-id")?.trim() || user.signupDeviceId;
+    await attachReferral(user, referrer, { deviceId });
+
+    // Customers who verified their email before applying the code
+    if (user.isAccountVerified) {
+      await onUserVerified(user);
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { referredBy: referrer.name },
+      message: "Referral code applied. Your reward arrives after your first order.",
+    });
+  } catch (error) {
+    // Unique index on referee - a parallel request got there first
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A referral code has already been applied to your account",
+      });
+    }
+    console.error("Error in applyReferralCode:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * Get referral settings
+ * GET /api/v2/referrals/settings
+ */
+export const getReferralSettings = async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+      message: "Referral settings fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error fetching referral settings:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Update referral settings
+ * Reward changes apply to referrals completed from now on.
+ * PATCH /api/v2/referrals/settings
+ */
+export const updateReferralSettings = async (req, res) => {
+  try {
+    const updates = req.body;
+
+    const allowedFields = [
+      "isEnabled",
+      "referrerReward",
+      "refereeReward",
+      "couponValidDays",
+      "minFirstOrderAmount",
+      "maxRewardsPerReferrer",
+      "maxRewardsPerMonth",
+      "blockSamePhone",
+      "blockSameDevice",
+      "notes",
+    ];
+
+    const filteredUpdates = {};
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    if (Object.keys(filteredUpdates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const validation = validateReferralSettingsUpdate(filteredUpdates);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const settings = await getOrCreateSettings();
+    const updated = await ReferralSettings.findByIdAndUpdate(
+      settings._id,
+      { $set: filteredUpdates },
+      { new: true, runValidators: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+      message: "Referral settings updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating referral settings:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * List referrals
+ * GET /api/v2/referrals?status&referrer&page&limit
+ */
+export const getAllReferrals = async (req, res) => {
+  try {
+    const { status, referrer, page = 1, limit = 20 } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Valid statuses: ${STATUSES.join(", ")}`,
+      });
+    }
+    if (referrer && !mongoose.isValidObjectId(referrer)) {
+      return res.status(400).json({ success: false, message: "Invalid referrer id" });
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(parseInt(limit, 10) || 20, 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (referrer) filter.referrer = referrer;
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(filter)
+        .populate("referrer", "name email phoneNumber referralCode")
+        .populate("referee", "name email phoneNumber")
+        .populate("order", "orderNumber totalPrice")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Referral.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: referrals,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        total,
+        hasNextPage: pageNum * limitNum < total,
+        hasPrevPage: pageNum > 1,
+      },
+      message: "Referrals fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getAllReferrals:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Program totals, rejection reasons, rewards given and top referrers
+ * GET /api/v2/referrals/stats?from&to&top
+ */
+export const getReferralProgramStats = async (req, res) => {
+  try {
+    const { from, to, top } = req.query;
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+      });
+    }
+
+    const stats = await getReferralStats({
+      from: fromDate,
+      to: toDate,
+      top: Math.min(Math.max(parseInt(top, 10) || 10, 1), 50),
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: stats,
+      message: "Referral stats fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getReferralProgramStats:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Reject a referral by hand before it pays out
+ * PATCH /api/v2/referrals/:referralId/reject
+ */
+export const rejectReferral = async (req, res) => {
+  try {
+    const { referralId } = req.params;
+
+    if (!mongoose.isValidObjectId(referralId)) {
+      return res.status(400).json({ success: false, message: "Invalid referral id" });
+    }
+
+    const referral = await Referral.findOneAndUpdate(
+      { _id: referralId, status: { $in: ["Pending", "Verified"] } },
+      { $set: { status: "Rejected", rejectionReason: "rejected_by_admin" } },
+      { new: true }
+    );
+
+    if (!referral) {
+      return res.status(400).json({
+        success: false,
+        message: "Referral not found or already completed / rejected",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: referral,
+      message: "Referral rejected",
+    });
+  } catch (error) {
+    console.error("Error in rejectReferral:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  getMyReferrals,
+  applyReferralCode,
+  getReferralSettings,
+  updateReferralSettings,
+  getAllReferrals,
+  getReferralProgramStats,
+  rejectReferral,
+};
@@ -9,6 +9,7 @@ import {
   validateSlotAndDate,
   getTodayDate,
 } from "../helpers/reservation.helpers.js";
+import { checkStoreOpen } from "../helpers/storeHours.helpers.js";
 
 export const getAllSlotsForAllTables = async (req, res) => {
   try {
@@ -99,6 +100,21 @@ export const createReservation = async (req, res) => {
       });
     }
 
+    const reservationDate = validation.reservationDate;
+
+    // ✅ Reservation must fall within opening hours
+    const storeCheck = await checkStoreOpen({
+      date: reservationDate,
+      purpose: "reservation",
+    });
+    if (!storeCheck.success) {
+      return res.status(storeCheck.statusCode).json({
+        success: false,
+        message: storeCheck.message,
+        data: storeCheck.data,
+      });
+    }
+
     const table = await Table.findOne({ number: tableNumber });
     if (!table) {
       return res.status(404).json({
@@ -107,8 +123,6 @@ export const createReservation = async (req, res) => {
       });
     }
 
-    const reservationDate = validation.reservationDate;
-
     const existing = await Reservation.findOne({
       table: table._id,
       reservationDate: reservationDate,
@@ -0,0 +1,275 @@
+// storeSettings.controller.js
+// ✅ Opening hours, holidays and ordering cut-offs
+
+import StoreSettings from "../models/storeSettings.model.js";
+import {
+  toDateKey,
+  evaluateStoreHours,
+  validateHoliday,
+  validateStoreSettingsUpdate,
+} from "../helpers/storeHours.helpers.js";
+
+/**
+ * Get the active settings, creating defaults if none exist
+ */
+const getOrCreateSettings = async () => {
+  let settings = await StoreSettings.findOne({ isActive: true });
+  if (!settings) {
+    settings = await StoreSettings.create({ isActive: true });
+  }
+  return settings;
+};
+
+/**
+ * Flatten a nested update into dotted paths for $set
+ * e.g. { releaseLeadMinutes: { Online: 30 } } -> { "scheduledOrders.releaseLeadMinutes.Online": 30 }
+ */
+const flattenUpdate = (prefix, value) =>
+  Object.entries(value).reduce((paths, [key, nested]) => {
+    const path = `${prefix}.${key}`;
+    return nested && typeof nested === "object" && !Array.isArray(nested)
+      ? { ...paths, ...flattenUpdate(path, nested) }
+      : { ...paths, [path]: nested };
+  }, {});
+
+// ==================== PUBLIC ====================
+
+/**
+ * Public opening hours and current open state
+ * GET /api/v2/store-settings/hours
+ */
+export const getStoreHours = async (req, res) => {
+  try {
+    const settings = await StoreSettings.getActiveConfig();
+    const now = new Date();
+
+    const { isEnabled, minAdvanceMinutes, maxAdvanceDays } = (
+      settings || new StoreSettings()
+    ).scheduledOrders;
+    const scheduledOrders = { isEnabled, minAdvanceMinutes, maxAdvanceDays };
+
+    if (!settings || !settings.enforceOpeningHours) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          enforceOpeningHours: false,
+          weeklyHours: settings?.weeklyHours || [],
+          holidays: [],
+          scheduledOrders,
+          isOpenNow: true,
+          closesAt: null,
+          nextOpeningAt: null,
+        },
+        message: "Store hours fetched successfully",
+      });
+    }
+
+    const todayKey = toDateKey(now);
+    const status = evaluateStoreHours(settings, { date: now });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enforceOpeningHours: true,
+        weeklyHours: settings.weeklyHours,
+        holidays: settings.holidays
+          .filter((holiday) => holiday.date >= todayKey)
+          .sort((a, b) => a.date.localeCompare(b.date)),
+        lastOrderMinutes: settings.lastOrderMinutes,
+        lastReservationMinutes: settings.lastReservationMinutes,
+        scheduledOrders,
+        isOpenNow: status.isOpen,
+        closedReason: status.reason,
+        closesAt: status.closesAt,
+        nextOpeningAt: status.nextOpeningAt,
+      },
+      message: "Store hours fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getStoreHours:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch store hours",
+    });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * Get store settings
+ * GET /api/v2/store-settings
+ */
+export const getStoreSettings = async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+      message: "Store settings fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error fetching store settings:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update store settings
+ * PATCH /api/v2/store-settings
+ */
+export const updateStoreSettings = async (req, res) => {
+  try {
+    const updates = req.body;
+
+    const allowedFields = [
+      // Opening hours
+      "enforceOpeningHours",
+      "weeklyHours",
+      "holidays",
+
+      // Cut-offs
+      "lastOrderMinutes",
+      "lastReservationMinutes",
+
+      // Scheduled orders
+      "scheduledOrders",
+
+      // Notes
+      "notes",
+    ];
+
+    const filteredUpdates = {};
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        filteredUpdates[field] = updates[field];
+      }
+    }
+
+    if (Object.keys(filteredUpdates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const validation = validateStoreSettingsUpdate(filteredUpdates);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    // Merge nested settings so a single value can be changed on its own
+    for (const field of ["lastOrderMinutes", "scheduledOrders"]) {
+      if (filteredUpdates[field]) {
+        Object.assign(filteredUpdates, flattenUpdate(field, filteredUpdates[field]));
+        delete filteredUpdates[field];
+      }
+    }
+
+    const settings = await getOrCreateSettings();
+    const updated = await StoreSettings.findByIdAndUpdate(
+      settings._id,
+      { $set: filteredUpdates },
+      { new: true, runValidators: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: updated,
+      message: "Store settings updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating store settings:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Add a holiday closure or special hours
+ * POST /api/v2/store-settings/holidays
+ */
+export const addHoliday = async (req, res) => {
+  try {
+    const { date, name, isClosed = true, openTime, closeTime } = req.body;
+    const holiday = { date, name, isClosed, openTime, closeTime };
+
+    const validation = validateHoliday(holiday);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const settings = await getOrCreateSettings();
+
+    if (settings.holidays.some((existing) => existing.date === date)) {
+      return res.status(400).json({
+        success: false,
+        message: `A holiday already exists for ${date}`,
+      });
+    }
+
+    settings.holidays.push(
+      isClosed ? { date, name, isClosed } : holiday
+    );
+    await settings.save();
+
+    return res.status(201).json({
+      success: true,
+      data: settings.holidays,
+      message: "Holiday added successfully",
+    });
+  } catch (error) {
+    console.error("Error in addHoliday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to add holiday",
+    });
+  }
+};
+
+/**
+ * Remove a holiday
+ * DELETE /api/v2/store-settings/holidays/:holidayId
+ */
+export const removeHoliday = async (req, res) => {
+  try {
+    const { holidayId } = req.params;
+
+    const settings = await getOrCreateSettings();
+    const holiday = settings.holidays.id(holidayId);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    holiday.deleteOne();
+    await settings.save();
+
+    return res.status(200).json({
+      success: true,
+      data: settings.holidays,
+      message: "Holiday removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in removeHoliday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to remove holiday",
+    });
+  }
+};
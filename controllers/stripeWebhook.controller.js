@@ -3,6 +3,11 @@ import Stripe from "stripe";
 import express from "express";
 import Order from "../models/order.model.js";
 import Cart from "../models/cart.model.js";
+import { recordStatusChange, isAwaitingPayment } from "../helpers/orderStatus.helpers.js";
+import { getOrderCartFilter } from "../helpers/cart.helpers.js";
+import { emitOrderPaymentUpdated } from "../services/orderEvents.service.js";
+import { onOrderConfirmed, onOrderPaymentFailed } from "../services/orderLifecycle.service.js";
+import { activatePurchasedGiftCard } from "../services/giftCard.service.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -21,6 +26,22 @@ const fulfillCheckout = async (sessionId) => {
       metadata: checkoutSession.metadata,
     });
 
+    // ✅ Gift card purchase - load the card once the money is in
+    const giftCardId = checkoutSession.metadata?.giftCardId;
+    if (giftCardId) {
+      if (checkoutSession.payment_status === "paid") {
+        const activated = await activatePurchasedGiftCard(giftCardId, sessionId);
+        console.log(
+          activated
+            ? `Gift card ${giftCardId} activated`
+            : `Gift card ${giftCardId} already activated, skipping`
+        );
+      } else {
+        console.log(`Gift card ${giftCardId} payment is ${checkoutSession.payment_status}`);
+      }
+      return;
+    }
+
     const orderId = checkoutSession.metadata?.orderId;
 
     if (!orderId) {
@@ -46,23 +67,27 @@ const fulfillCheckout = async (sessionId) => {
       sessionPaymentStatus: checkoutSession.payment_status,
     });
 
-    if (
-      order.paymentStatus === "Completed" ||
-      order.paymentStatus === "Failed"
-    ) {
+    if (!isAwaitingPayment(order)) {
       console.log(
-        `Order ${orderId} already processed (${order.paymentStatus}), skipping`
+        `Order ${orderId} already processed (${order.paymentStatus} / ${order.orderStatus}), skipping`
       );
       return;
     }
 
+    const previousPaymentStatus = order.paymentStatus;
+
     if (checkoutSession.payment_status === "paid") {
       // Update order status
       order.paymentStatus = "Completed";
-      order.orderStatus = "Paid";
+      recordStatusChange(order, "Paid", {
+        source: "payment",
+        note: "Stripe checkout completed",
+      });
       order.stripeSessionID = sessionId;
       order.stripePaymentIntentId = checkoutSession.payment_intent;
       await order.save();
+      await onOrderConfirmed(order);
+      emitOrderPaymentUpdated(order, previousPaymentStatus);
 
       console.log(`Order ${orderId} updated:`, {
         paymentStatus: order.paymentStatus,
@@ -71,18 +96,19 @@ const fulfillCheckout = async (sessionId) => {
 
       // ✅ FIXED: Find cart by user, not by cartId
       try {
-        const cart = await Cart.findOne({ owner: order.buyer });
+        const cartFilter = getOrderCartFilter(order);
+        const cart = cartFilter && (await Cart.findOne(cartFilter));
         if (cart && cart.products.length > 0) {
           cart.products = [];
           cart.totalPrice = 0;
           cart.totalQuantity = 0;
           await cart.save();
-          console.log(`Cart cleared for user ${order.buyer} after Stripe payment`);
+          console.log(`Cart cleared for user ${order.buyer || "guest"} after Stripe payment`);
         } else {
-          console.log(`No cart found or cart already empty for user ${order.buyer}`);
+          console.log(`No cart found or cart already empty for user ${order.buyer || "guest"}`);
         }
       } catch (cartError) {
-        console.error(`Error clearing cart for user ${order.buyer}:`, cartError);
+        console.error(`Error clearing cart for user ${order.buyer || "guest"}:`, cartError);
         // Don't throw - order is already paid, cart clearing is secondary
       }
 
@@ -90,9 +116,14 @@ const fulfillCheckout = async (sessionId) => {
 
     } else if (checkoutSession.payment_status === "unpaid") {
       order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: `Stripe checkout ${checkoutSession.payment_status}`,
+      });
       order.stripeSessionID = sessionId;
       await order.save();
+      await onOrderPaymentFailed(order);
+      emitOrderPaymentUpdated(order, previousPaymentStatus);
 
       console.log(`Order ${orderId} marked as failed due to unpaid status`, {
         paymentStatus: order.paymentStatus,
@@ -101,9 +132,14 @@ const fulfillCheckout = async (sessionId) => {
 
     } else {
       order.paymentStatus = "Failed";
-      order.orderStatus = "Failed";
+      recordStatusChange(order, "Failed", {
+        source: "payment",
+        note: `Stripe checkout ${checkoutSession.payment_status}`,
+      });
       order.stripeSessionID = sessionId;
       await order.save();
+      await onOrderPaymentFailed(order);
+      emitOrderPaymentUpdated(order, previousPaymentStatus);
 
       console.log(
         `Order ${orderId} marked as failed due to payment status: ${checkoutSession.payment_status}`,
@@ -119,6 +155,44 @@ const fulfillCheckout = async (sessionId) => {
   }
 };
 
+/**
+ * Mark an order as failed when its checkout session fails or expires
+ * Releases what the order held (coupon use, points, gift card / wallet).
+ * Orders that were paid, failed, cancelled, or moved to another session are left alone.
+ * @param {Object} session - Stripe checkout session from the event
+ * @param {string} note
+ */
+const failCheckout = async (session, note) => {
+  const orderId = session.metadata?.orderId;
+  if (!orderId) {
+    console.log(`No orderId found in session metadata (${note})`);
+    return;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) return;
+
+  if (
+    !isAwaitingPayment(order) ||
+    (order.stripeSessionID && order.stripeSessionID !== session.id)
+  ) {
+    console.log(`Order ${orderId} is ${order.paymentStatus}, ignoring "${note}"`);
+    return;
+  }
+
+  const previousPaymentStatus = order.paymentStatus;
+  order.paymentStatus = "Failed";
+  recordStatusChange(order, "Failed", {
+    source: "payment",
+    note,
+  });
+  order.stripeSessionID = session.id;
+  await order.save();
+  await onOrderPaymentFailed(order);
+  emitOrderPaymentUpdated(order, previousPaymentStatus);
+  console.log(`Order ${orderId} marked as failed (${note})`);
+};
+
 export const webhook = async (request, response) => {
   let event = request.body;
 
@@ -151,21 +225,12 @@ export const webhook = async (request, response) => {
         break;
 
       case "checkout.session.async_payment_failed":
-        const failedSession = event.data.object;
-        const failedOrderId = failedSession.metadata?.orderId;
-
-        if (failedOrderId) {
-          const order = await Order.findById(failedOrderId);
-          if (order) {
-            order.paymentStatus = "Failed";
-            order.orderStatus = "Failed";
-            order.stripeSessionID = failedSession.id;
-            await order.save();
-            console.log(`Order ${failedOrderId} marked as failed`);
-          }
-        } else {
-          console.log("No orderId found in failed session metadata");
-        }
+        await failCheckout(event.data.object, "Stripe async payment failed");
+        break;
+
+      // ✅ The customer never paid: release the coupon use, points and stored value
+      case "checkout.session.expired":
+        await failCheckout(event.data.object, "Stripe checkout expired");
         break;
 
       default:
@@ -6,6 +6,18 @@ import {
   EMAIL_VERIFY_TEMPLATE,
   PASSWORD_RESET_TEMPLATE,
 } from "../configs/emailTemplates.js";
+import {
+  GUEST_COOKIE,
+  guestCookieOptions,
+  readGuestId,
+} from "../middleware/guest.middleware.js";
+import { mergeGuestCart } from "../helpers/cart.helpers.js";
+import { loadPromotionContext } from "../services/promotion.service.js";
+import {
+  attachReferral,
+  findReferrer,
+  onUserVerified,
+} from "../services/referral.service.js";
 
 const generateAccessAndRefreshToken = async (userId) => {
   try {
@@ -36,7 +48,7 @@ export const registerUser = async (req, res) => {
       password,
       phoneNumber,
       role,
-      isAccountVerified = false,
+      referralCode,
     } = req.body;
 
     // ✅ Validate all required fields
@@ -59,6 +71,22 @@ export const registerUser = async (req, res) => {
       });
     }
 
+    // ✅ Check the referral code before creating anything
+    let referrer = null;
+    if (referralCode?.trim()) {
+      const referrerCheck = await findReferrer(referralCode);
+      if (!referrerCheck.success) {
+        return res.status(referrerCheck.statusCode).json({
+          success: false,
+          message: referrerCheck.message,
+        });
+      }
+      referrer = referrerCheck.data;
+    }
+
+    // Sent by the apps, used by the referral fraud guards
+    const deviceId = (req.get("x-device-id") || req.body.deviceId)?.trim() || null;
+
     // ✅ Create user (unverified at first)
     const user = new User({
       name,
@@ -66,7 +94,10 @@ export const registerUser = async (req, res) => {
       password,
       phoneNumber,
       role,
-      isAccountVerified,
+      // Only the emailed OTP verifies an account (referral rewards depend on it)
+      isAccountVerified: false,
+      referralCode: await User.generateReferralCode(name),
+      signupDeviceId: deviceId,
     });
 
     // ✅ Generate OTP and expiry
@@ -76,6 +107,15 @@ export const registerUser = async (req, res) => {
 
     await user.save();
 
+    // ✅ Record who referred them (rewards follow their first paid order)
+    if (referrer) {
+      try {
+        await attachReferral(user, referrer, { deviceId });
+      } catch (error) {
+        console.error(`Error attaching referral for user ${user._id}:`, error);
+      }
+    }
+
     // ✅ Send verification email
     const mailOptions = {
       from: process.env.STMP_EMAIL,
@@ -99,6 +139,7 @@ export const registerUser = async (req, res) => {
         email: user.email,
         phoneNumber: user.phoneNumber,
         role: user.role,
+        referralCode: user.referralCode,
       },
     });
   } catch (error) {
@@ -144,6 +185,17 @@ export const loginUser = async (req, res) => {
       "-password -refreshToken -verifyOtp -resetOtp"
     );
 
+    // ✅ Carry over the cart built as a guest (the guest cookie is no longer needed)
+    const guestId = readGuestId(req);
+    if (guestId) {
+      try {
+        await mergeGuestCart(guestId, user._id, await loadPromotionContext(user._id));
+      } catch (mergeError) {
+        console.error("Error merging guest cart:", mergeError);
+      }
+      res.clearCookie(GUEST_COOKIE, guestCookieOptions);
+    }
+
     const options = {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
@@ -330,6 +382,7 @@ export const verifyEmail = async (req, res) => {
     user.verifyOtpExpireAt = 0;
 
     await user.save();
+    await onUserVerified(user);
 
     return res.json({ success: true, message: "Email verified successfully" });
   } catch (error) {
@@ -0,0 +1,243 @@
+// wallet.controller.js
+// ✅ Customer wallet - balances, history, goodwill credit and manual adjustments
+
+import mongoose from "mongoose";
+import WalletTransaction from "../models/walletTransaction.model.js";
+import {
+  applyWalletChange,
+  getWalletSummary,
+  listWalletTransactions,
+} from "../services/wallet.service.js";
+import { isMoneyAmount } from "../helpers/money.helpers.js";
+
+const TRANSACTION_TYPES = WalletTransaction.schema.path("type").enumValues;
+
+/**
+ * Paginated ledger response shared by customer and admin history
+ */
+const sendHistory = async (res, userId, { page = 1, limit = 20, type }) => {
+  if (type && !TRANSACTION_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid type. Valid types: ${TRANSACTION_TYPES.join(", ")}`,
+    });
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(parseInt(limit, 10) || 20, 100);
+
+  const { transactions, total } = await listWalletTransactions(userId, {
+    page: pageNum,
+    limit: limitNum,
+    type,
+  });
+
+  return res.status(200).json({
+    success: true,
+    data: transactions,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      total,
+      hasNextPage: pageNum * limitNum < total,
+      hasPrevPage: pageNum > 1,
+    },
+    message: "Wallet history fetched successfully",
+  });
+};
+
+// ==================== CUSTOMER ====================
+
+/**
+ * My wallet balance
+ * GET /api/v2/wallet/me
+ */
+export const getMyWallet = async (req, res) => {
+  try {
+    const summary = await getWalletSummary(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: summary,
+      message: "Wallet balance fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getMyWallet:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * My wallet history
+ * GET /api/v2/wallet/me/history?page&limit&type
+ */
+export const getMyWalletHistory = async (req, res) => {
+  try {
+    return await sendHistory(res, req.user._id, req.query);
+  } catch (error) {
+    console.error("Error in getMyWalletHistory:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ==================== ADMIN ====================
+
+/**
+ * A customer's wallet balance
+ * GET /api/v2/wallet/users/:userId
+ */
+export const getUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    const summary = await getWalletSummary(userId);
+    if (!summary) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: summary,
+      message: "Wallet balance fetched successfully",
+    });
+  } catch (error) {
+    console.error("Error in getUserWallet:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * A customer's wallet history
+ * GET /api/v2/wallet/users/:userId/history?page&limit&type
+ */
+export const getUserWalletHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    return await sendHistory(res, userId, req.query);
+  } catch (error) {
+    console.error("Error in getUserWalletHistory:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Give goodwill credit (apologies, compensation)
+ * POST /api/v2/wallet/users/:userId/credit
+ */
+export const addGoodwillCredit = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, note, orderId } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    if (!isMoneyAmount(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a positive number with at most 2 decimals",
+      });
+    }
+
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A note explaining the credit is required",
+      });
+    }
+
+    if (orderId && !mongoose.isValidObjectId(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order id" });
+    }
+
+    const entry = await applyWalletChange(userId, amount, {
+      type: "goodwill",
+      orderId: orderId || null,
+      note: note.trim(),
+      createdBy: req.user._id,
+    });
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: entry,
+      message: `Added ${amount} store credit`,
+    });
+  } catch (error) {
+    console.error("Error in addGoodwillCredit:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Correct a wallet balance by hand
+ * POST /api/v2/wallet/users/:userId/adjust
+ */
+export const adjustUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, note } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    if (!isMoneyAmount(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a non-zero number with at most 2 decimals",
+      });
+    }
+
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A note explaining the adjustment is required",
+      });
+    }
+
+    const entry = await applyWalletChange(userId, amount, {
+      type: "adjustment",
+      note: note.trim(),
+      createdBy: req.user._id,
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found or balance too low for this adjustment",
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: entry,
+      message: `${amount > 0 ? "Added" : "Removed"} ${Math.abs(amount)}`,
+    });
+  } catch (error) {
+    console.error("Error in adjustUserWallet:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export default {
+  getMyWallet,
+  getMyWalletHistory,
+  getUserWallet,
+  getUserWalletHistory,
+  addGoodwillCredit,
+  adjustUserWallet,
+};
@@ -0,0 +1,217 @@
+// analytics.helpers.js
+// ✅ Sales analytics - date ranges, time buckets and period comparisons
+// Buckets follow the server's local time, like the rest of the store (opening hours, reservations).
+
+import { DATE_PATTERN } from "./time.helpers.js";
+
+export const ANALYTICS_INTERVALS = ["hour", "day", "week", "month"];
+
+export const BREAKDOWN_DIMENSIONS = [
+  "category",
+  "product",
+  "paymentMethod",
+  "placeType",
+  "governorate",
+];
+
+// Orders that count as sales; refunds are reported separately, by refund date
+export const SALE_PAYMENT_STATUSES = ["Completed", "PartiallyRefunded", "Refunded"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Upper bound on buckets per request so a year of hourly data isn't computed by accident
+const MAX_BUCKETS = 1000;
+
+// Shortest length of each bucket, for the MAX_BUCKETS estimate
+const BUCKET_MIN_MS = {
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 28 * DAY_MS,
+};
+
+/**
+ * Server timezone name, for Mongo date operators ($dateTrunc) to match local days
+ */
+export const getServerTimezone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+/**
+ * Percentage change from previous to current, null when there is nothing to compare to
+ */
+export const percentChange = (current, previous) => {
+  if (!previous) return current ? null : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+/**
+ * Parse a range bound; "YYYY-MM-DD" means the start (or end) of that local day
+ */
+const parseBound = (value, endOfDay = false) => {
+  if (DATE_PATTERN.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day, 23, 59, 59, 999)
+      : new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Start of the bucket that contains the date (local time, weeks start on Monday)
+ * Mirrors $dateTrunc so empty buckets can be filled in.
+ */
+export const truncateDate = (date, interval) => {
+  const result = new Date(date);
+
+  switch (interval) {
+    case "hour":
+      result.setMinutes(0, 0, 0);
+      break;
+    case "week": {
+      result.setHours(0, 0, 0, 0);
+      const daysSinceMonday = (result.getDay() + 6) % 7;
+      result.setDate(result.getDate() - daysSinceMonday);
+      break;
+    }
+    case "month":
+      result.setHours(0, 0, 0, 0);
+      result.setDate(1);
+      break;
+    default:
+      result.setHours(0, 0, 0, 0);
+  }
+
+  return result;
+};
+
+/**
+ * Start of the bucket after the given bucket start
+ */
+const nextBucket = (date, interval) => {
+  const result = new Date(date);
+
+  switch (interval) {
+    case "hour":
+      result.setHours(result.getHours() + 1);
+      break;
+    case "week":
+      result.setDate(result.getDate() + 7);
+      break;
+    case "month":
+      result.setMonth(result.getMonth() + 1);
+      break;
+    default:
+      result.setDate(result.getDate() + 1);
+  }
+
+  return result;
+};
+
+/**
+ * Every bucket start between start and end
+ * @returns {Date[]}
+ */
+export const listBuckets = (start, end, interval) => {
+  const buckets = [];
+  for (
+    let bucket = truncateDate(start, interval);
+    bucket <= end;
+    bucket = nextBucket(bucket, interval)
+  ) {
+    buckets.push(bucket);
+  }
+  return buckets;
+};
+
+/**
+ * Parse and validate an analytics range from the query string
+ * Defaults to the last 30 days, bucketed by day. The previous period is the
+ * same length immediately before the range.
+ * @param {Object} query - { from, to, interval }
+ * @returns {Object} ValidationResult with { start, end, interval, previous: { start, end } }
+ */
+export const parseAnalyticsRange = ({ from, to, interval = "day" } = {}) => {
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Invalid interval. Valid intervals: ${ANALYTICS_INTERVALS.join(", ")}`,
+    };
+  }
+
+  const end = to ? parseBound(to, true) : new Date();
+  const start = from
+    ? parseBound(from)
+    : end && new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (!start || !end) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "from and to must be valid dates (YYYY-MM-DD or ISO)",
+    };
+  }
+
+  if (start > end) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "from must be before to",
+    };
+  }
+
+  const length = end.getTime() - start.getTime();
+
+  if (length / BUCKET_MIN_MS[interval] > MAX_BUCKETS) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Range too long for "${interval}" buckets (max ${MAX_BUCKETS}); use a larger interval`,
+    };
+  }
+
+  const previousEnd = new Date(start.getTime() - 1);
+  const previousStart = new Date(previousEnd.getTime() - length);
+
+  return {
+    success: true,
+    data: {
+      start,
+      end,
+      interval,
+      previous: { start: previousStart, end: previousEnd },
+    },
+  };
+};
+
+/**
+ * Current vs previous values with the percentage change of each metric
+ * @param {Object} current - { metric: number }
+ * @param {Object} previous - { metric: number }
+ * @returns {Object} { current, previous, change }
+ */
+export const compareMetrics = (current, previous) => ({
+  current,
+  previous,
+  change: Object.fromEntries(
+    Object.keys(current).map((key) => [
+      key,
+      percentChange(current[key], previous?.[key] || 0),
+    ])
+  ),
+});
+
+export default {
+  ANALYTICS_INTERVALS,
+  BREAKDOWN_DIMENSIONS,
+  SALE_PAYMENT_STATUSES,
+  getServerTimezone,
+  percentChange,
+  truncateDate,
+  listBuckets,
+  parseAnalyticsRange,
+  compareMetrics,
+};
@@ -0,0 +1,105 @@
+// cart.helpers.js
+// ✅ Cart ownership - logged-in users and guests (see guest.middleware.js)
+
+import Cart from "../models/cart.model.js";
+import { calculateFinalCartPrice } from "./discount.helpers.js";
+
+/**
+ * Filter that finds the current customer's cart
+ * @param {Object} req - Request with req.user or req.guest
+ * @returns {Object|null} { owner } | { guestId }, null when unidentified
+ */
+export const getCartOwner = (req) => {
+  if (req.user?._id) return { owner: req.user._id };
+  if (req.guest?.guestId) return { guestId: req.guest.guestId };
+  return null;
+};
+
+/**
+ * Filter that finds the cart an order was placed from
+ * @param {Object} order - Order document
+ * @returns {Object|null}
+ */
+export const getOrderCartFilter = (order) => {
+  if (order.buyer) return { owner: order.buyer._id || order.buyer };
+  if (order.guest?.guestId) return { guestId: order.guest.guestId };
+  return null;
+};
+
+/**
+ * Move a guest cart into a user's cart (after the guest logs in)
+ * Lines with the same product and options are combined, the guest cart is deleted.
+ * The merged cart is repriced with the user's coupon, points and promotions.
+ * @param {string} guestId
+ * @param {string} userId
+ * @param {Object} [promotionContext] - { promotions, customer } from loadPromotionContext
+ * @returns {Promise<Object|null>} The user's cart, or null when there was nothing to merge
+ */
+export const mergeGuestCart = async (guestId, userId, promotionContext = {}) => {
+  if (!guestId || !userId) return null;
+
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) return null;
+
+  if (guestCart.products.length === 0) {
+    await guestCart.deleteOne();
+    return null;
+  }
+
+  let cart = await Cart.findOne({ owner: userId });
+  if (!cart) {
+    cart = new Cart({
+      owner: userId,
+      products: [],
+      totalPrice: 0,
+      totalQuantity: 0,
+    });
+  }
+
+  for (const line of guestCart.products) {
+    const existing = cart.products.find(
+      (p) =>
+        p.product.toString() === line.product.toString() &&
+        (p.optionsKey || "") === (line.optionsKey || "")
+    );
+
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      cart.products.push({
+        product: line.product,
+        quantity: line.quantity,
+        selectedOptions: line.selectedOptions,
+        optionsKey: line.optionsKey,
+      });
+    }
+  }
+
+  // Stored totals of either cart are stale now: reprice as the cart controller does
+  const cartCalculation = await calculateFinalCartPrice(
+    cart.products,
+    cart.appliedCoupon || null,
+    userId,
+    cart.loyaltyPoints,
+    promotionContext
+  );
+
+  cart.totalQuantity += guestCart.totalQuantity;
+  cart.subtotal = cartCalculation.subtotal;
+  cart.couponDiscount = cartCalculation.couponDiscount;
+  cart.loyaltyDiscount = cartCalculation.loyaltyDiscount;
+  cart.promotionDiscount = cartCalculation.promotionDiscount;
+  cart.totalDiscount = cartCalculation.totalDiscount;
+  cart.totalPrice = cartCalculation.finalTotal;
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+export default {
+  getCartOwner,
+  getOrderCartFilter,
+  mergeGuestCart,
+};
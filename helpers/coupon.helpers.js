@@ -0,0 +1,149 @@
+// helpers/coupon.helpers.js
+// ✅ Coupon rule validation per discount type (no database access)
+
+import mongoose from "mongoose";
+
+// Fields that shape how a coupon's discount is calculated
+export const COUPON_RULE_FIELDS = [
+  "discountType",
+  "discountValue",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercentage",
+  "bundleItems",
+  "bundlePrice",
+  "maxApplicationsPerOrder",
+  "tiers",
+  "freeProduct",
+  "freeQuantity",
+];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const fail = (message) => ({
+  success: false,
+  statusCode: 400,
+  message,
+});
+
+/**
+ * Validate the fields a coupon's discount type needs
+ * @param {Object} coupon - Coupon fields (a new coupon, or the current coupon
+ *   merged with an update)
+ * @returns {Object} ValidationResult
+ */
+export const validateCouponRules = (coupon) => {
+  const { discountType, discountValue } = coupon;
+
+  if (
+    coupon.maxApplicationsPerOrder !== undefined &&
+    coupon.maxApplicationsPerOrder !== null &&
+    !isPositiveInteger(coupon.maxApplicationsPerOrder)
+  ) {
+    return fail("maxApplicationsPerOrder must be a positive whole number or null");
+  }
+
+  switch (discountType) {
+    case "percentage":
+    case "fixed":
+      if (typeof discountValue !== "number" || discountValue <= 0) {
+        return fail("Discount value is required and must be positive");
+      }
+      if (discountType === "percentage" && discountValue > 100) {
+        return fail("A percentage discount can't be more than 100");
+      }
+      break;
+
+    case "freeDelivery":
+      break;
+
+    case "buyXGetY":
+      if (!isPositiveInteger(coupon.buyQuantity) || !isPositiveInteger(coupon.getQuantity)) {
+        return fail("buyQuantity and getQuantity must be positive whole numbers");
+      }
+      if (
+        coupon.getDiscountPercentage !== undefined &&
+        (typeof coupon.getDiscountPercentage !== "number" ||
+          coupon.getDiscountPercentage <= 0 ||
+          coupon.getDiscountPercentage > 100)
+      ) {
+        return fail("getDiscountPercentage must be between 1 and 100");
+      }
+      break;
+
+    case "bundle": {
+      if (!Array.isArray(coupon.bundleItems) || coupon.bundleItems.length < 2) {
+        return fail("A bundle needs at least 2 bundleItems");
+      }
+      const products = new Set();
+      for (const item of coupon.bundleItems) {
+        if (!mongoose.isValidObjectId(item?.product)) {
+          return fail("Each bundle item needs a valid product id");
+        }
+        if (item.quantity !== undefined && !isPositiveInteger(item.quantity)) {
+          return fail("Bundle item quantity must be a positive whole number");
+        }
+        if (products.has(item.product.toString())) {
+          return fail("Each product can only appear once in a bundle");
+        }
+        products.add(item.product.toString());
+      }
+      if (typeof coupon.bundlePrice !== "number" || coupon.bundlePrice < 0) {
+        return fail("bundlePrice must be a non-negative number");
+      }
+      break;
+    }
+
+    case "tiered": {
+      if (!Array.isArray(coupon.tiers) || coupon.tiers.length === 0) {
+        return fail("A tiered coupon needs at least one tier");
+      }
+      const minAmounts = new Set();
+      for (const tier of coupon.tiers) {
+        if (typeof tier?.minAmount !== "number" || tier.minAmount < 0) {
+          return fail("Each tier needs a non-negative minAmount");
+        }
+        if (!["percentage", "fixed"].includes(tier.discountType)) {
+          return fail("Tier discountType must be percentage or fixed");
+        }
+        if (typeof tier.discountValue !== "number" || tier.discountValue <= 0) {
+          return fail("Tier discountValue must be positive");
+        }
+        if (tier.discountType === "percentage" && tier.discountValue > 100) {
+          return fail("A percentage tier can't be more than 100");
+        }
+        if (minAmounts.has(tier.minAmount)) {
+          return fail("Each tier needs a different minAmount");
+        }
+        minAmounts.add(tier.minAmount);
+      }
+      break;
+    }
+
+    case "freeItem":
+      if (!mongoose.isValidObjectId(coupon.freeProduct)) {
+        return fail("freeProduct must be a valid product id");
+      }
+      if (coupon.freeQuantity !== undefined && !isPositiveInteger(coupon.freeQuantity)) {
+        return fail("freeQuantity must be a positive whole number");
+      }
+      break;
+
+    default:
+      return fail(
+        "discountType must be one of: percentage, fixed, freeDelivery, buyXGetY, bundle, tiered, freeItem"
+      );
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Coupon rules are valid",
+    data: coupon,
+  };
+};
+
+export default {
+  COUPON_RULE_FIELDS,
+  validateCouponRules,
+};
@@ -0,0 +1,133 @@
+// helpers/couponBatch.helpers.js
+// ✅ Bulk single-use coupon codes - request validation and code generation (no database access)
+
+import crypto from "crypto";
+import { validateCouponRules } from "./coupon.helpers.js";
+
+// No 0/O, 1/I/L - codes are printed on flyers and typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+export const MAX_BATCH_SIZE = 10000;
+const MIN_CODE_LENGTH = 6;
+const MAX_CODE_LENGTH = 16;
+const DEFAULT_CODE_LENGTH = 8;
+const PREFIX_PATTERN = /^[A-Z0-9]{1,12}$/;
+
+// Discount settings a batch copies onto every code
+export const BATCH_TEMPLATE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscountAmount",
+  "minOrderAmount",
+  "startDate",
+  "expiryDate",
+  "applicableProducts",
+  "applicableCategories",
+  "isGlobal",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercentage",
+  "bundleItems",
+  "bundlePrice",
+  "maxApplicationsPerOrder",
+  "tiers",
+  "freeProduct",
+  "freeQuantity",
+  "firstOrderOnly",
+];
+
+const fail = (message) => ({
+  success: false,
+  statusCode: 400,
+  message,
+});
+
+/**
+ * Validate a batch generation request
+ * @param {Object} body - { name, prefix, codeLength, quantity, ...discount settings }
+ * @returns {Object} ValidationResult with { name, notes, prefix, codeLength, quantity, template } as data
+ */
+export const validateCouponBatchRequest = (body = {}) => {
+  const { name, notes, quantity } = body;
+
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return fail("Batch name is required");
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BATCH_SIZE) {
+    return fail(`quantity must be a whole number between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  const prefix = body.prefix ? String(body.prefix).trim().toUpperCase() : "";
+  if (prefix && !PREFIX_PATTERN.test(prefix)) {
+    return fail("prefix must be 1-12 letters or digits");
+  }
+
+  const codeLength = body.codeLength ?? DEFAULT_CODE_LENGTH;
+  if (
+    !Number.isInteger(codeLength) ||
+    codeLength < MIN_CODE_LENGTH ||
+    codeLength > MAX_CODE_LENGTH
+  ) {
+    return fail(`codeLength must be between ${MIN_CODE_LENGTH} and ${MAX_CODE_LENGTH}`);
+  }
+
+  const template = {};
+  for (const field of BATCH_TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) template[field] = body[field];
+  }
+
+  if (!template.description || !template.discountType || !template.expiryDate) {
+    return fail("Description, discount type, and expiry date are required");
+  }
+
+  const expiryDate = new Date(template.expiryDate);
+  if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+    return fail("expiryDate must be a valid date in the future");
+  }
+
+  if (template.startDate) {
+    const startDate = new Date(template.startDate);
+    if (isNaN(startDate.getTime()) || startDate >= expiryDate) {
+      return fail("startDate must be a valid date before expiryDate");
+    }
+  }
+
+  const rules = validateCouponRules(template);
+  if (!rules.success) return rules;
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Batch request is valid",
+    data: {
+      name: name.trim(),
+      notes,
+      prefix,
+      codeLength,
+      quantity,
+      template,
+    },
+  };
+};
+
+/**
+ * Random batch code, e.g. "INSTA-7KQ2M9XD"
+ * @param {string} prefix - Already upper-cased; "" for no prefix
+ * @param {number} length - Characters after the prefix
+ * @returns {string}
+ */
+export const generateBatchCode = (prefix, length) => {
+  const chars = [...crypto.randomBytes(length)]
+    .map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    .join("");
+  return prefix ? `${prefix}-${chars}` : chars;
+};
+
+export default {
+  MAX_BATCH_SIZE,
+  BATCH_TEMPLATE_FIELDS,
+  validateCouponBatchRequest,
+  generateBatchCode,
+};
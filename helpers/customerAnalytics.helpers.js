@@ -0,0 +1,184 @@
+// customerAnalytics.helpers.js
+// ✅ RFM scoring (recency, frequency, monetary) and customer segments
+//
+// Each dimension is scored 1-5 relative to the other customers (quintiles),
+// 5 being best: most recent, most orders, highest spend.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+const DEFAULT_COHORT_MONTHS = 12;
+
+// Checked in order, the first matching rule wins
+export const RFM_SEGMENTS = [
+  {
+    name: "champions",
+    description: "Ordered recently, order often and spend the most",
+    matches: ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4,
+  },
+  {
+    name: "loyal",
+    description: "Order regularly",
+    matches: ({ r, f }) => r >= 3 && f >= 3,
+  },
+  {
+    name: "new",
+    description: "First order was recent",
+    matches: ({ r, orders }) => r >= 4 && orders === 1,
+  },
+  {
+    name: "potential-loyalists",
+    description: "Recent customers with a few orders",
+    matches: ({ r }) => r >= 3,
+  },
+  {
+    name: "at-risk",
+    description: "Used to order often, haven't ordered in a while",
+    matches: ({ f }) => f >= 3,
+  },
+  {
+    name: "hibernating",
+    description: "Few orders, long ago",
+    matches: () => true,
+  },
+];
+
+export const RFM_SEGMENT_NAMES = RFM_SEGMENTS.map((segment) => segment.name);
+
+/**
+ * Score every value 1-5 by how many other values it beats
+ * Equal values share a score, so a long tail of one-order customers stays at 1.
+ * @param {number[]} values
+ * @param {boolean} lowerIsBetter - e.g. days since the last order
+ * @returns {Function} value -> score
+ */
+export const buildQuintileScorer = (values, lowerIsBetter = false) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.length;
+
+  // Number of values strictly below the given value (binary search)
+  const countBelow = (value) => {
+    let low = 0;
+    let high = total;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  // Number of values strictly above the given value
+  const countAbove = (value) => {
+    let low = 0;
+    let high = total;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] <= value) low = mid + 1;
+      else high = mid;
+    }
+    return total - low;
+  };
+
+  return (value) => {
+    if (!total) return 1;
+    const beaten = lowerIsBetter ? countAbove(value) : countBelow(value);
+    return Math.min(5, 1 + Math.floor((beaten / total) * 5));
+  };
+};
+
+/**
+ * Segment for a set of scores
+ * @param {Object} scores - { r, f, m, orders }
+ * @returns {string}
+ */
+export const getSegmentName = (scores) =>
+  RFM_SEGMENTS.find((segment) => segment.matches(scores)).name;
+
+/**
+ * Add RFM scores and a segment to each customer
+ * @param {Object[]} customers - [{ orders, totalSpend, lastOrderAt }]
+ * @param {Date} now
+ * @returns {Object[]} Customers with recencyDays, rfm { r, f, m, score } and segment
+ */
+export const scoreCustomers = (customers, now = new Date()) => {
+  const withRecency = customers.map((customer) => ({
+    ...customer,
+    recencyDays: Math.floor(
+      (now.getTime() - new Date(customer.lastOrderAt).getTime()) / DAY_MS
+    ),
+  }));
+
+  const scoreRecency = buildQuintileScorer(
+    withRecency.map((customer) => customer.recencyDays),
+    true
+  );
+  const scoreFrequency = buildQuintileScorer(
+    withRecency.map((customer) => customer.orders)
+  );
+  const scoreMonetary = buildQuintileScorer(
+    withRecency.map((customer) => customer.totalSpend)
+  );
+
+  return withRecency.map((customer) => {
+    const r = scoreRecency(customer.recencyDays);
+    const f = scoreFrequency(customer.orders);
+    const m = scoreMonetary(customer.totalSpend);
+
+    return {
+      ...customer,
+      rfm: { r, f, m, score: `${r}${f}${m}` },
+      segment: getSegmentName({ r, f, m, orders: customer.orders }),
+    };
+  });
+};
+
+/**
+ * Parse the cohort months to include ("YYYY-MM"), default the last 12 months
+ * @param {Object} query - { from, to }
+ * @returns {Object} ValidationResult with { start, end } (start of from month, end of to month)
+ */
+export const parseCohortRange = ({ from, to } = {}, now = new Date()) => {
+  const parseMonth = (value) => {
+    const match = MONTH_PATTERN.exec(value);
+    if (!match) return null;
+    const month = Number(match[2]);
+    return month >= 1 && month <= 12 ? new Date(Number(match[1]), month - 1, 1) : null;
+  };
+
+  const endMonth = to ? parseMonth(to) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const start = from
+    ? parseMonth(from)
+    : endMonth &&
+      new Date(endMonth.getFullYear(), endMonth.getMonth() - (DEFAULT_COHORT_MONTHS - 1), 1);
+
+  if (!start || !endMonth) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "from and to must be months in YYYY-MM format",
+    };
+  }
+
+  // Last millisecond of the "to" month
+  const end = new Date(endMonth.getFullYear(), endMonth.getMonth() + 1, 1);
+  end.setMilliseconds(-1);
+
+  if (start > end) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "from must be before to",
+    };
+  }
+
+  return { success: true, data: { start, end } };
+};
+
+export default {
+  RFM_SEGMENTS,
+  RFM_SEGMENT_NAMES,
+  buildQuintileScorer,
+  getSegmentName,
+  scoreCustomers,
+  parseCohortRange,
+};
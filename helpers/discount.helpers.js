@@ -3,12 +3,34 @@ import Product from "../models/product.model.js";
 import Category from "../models/category.model.js";
 import GlobalDiscount from "../models/globalDiscount.model.js";
 import Coupon from "../models/coupon.model.js";
+import Order from "../models/order.model.js";
+import LoyaltySettings from "../models/loyaltySettings.model.js";
+import User from "../models/user.model.js";
+import { roundMoney } from "./money.helpers.js";
+import { resolveGlobalDiscounts } from "./globalDiscount.helpers.js";
+import { evaluatePromotions } from "./promotion.helpers.js";
+import { calculateRedemption } from "./loyalty.helpers.js";
+import {
+  expandUnits,
+  getCategoryId,
+  getProductId,
+  sumLineDiscounts,
+} from "./lineDiscount.helpers.js";
+import { resolveProductOptions } from "./modifier.helpers.js";
 
 /**
  * Calculate effective price for a product considering all discount types
  * Priority: Product Sale > Category Discount > Global Discount
+ * Overlapping global campaigns are combined per product (see resolveGlobalDiscounts).
+ * @param {Array} [globalDiscounts] - Active campaigns from GlobalDiscount.getActiveDiscounts
+ * @param {Date} [at] - Moment to price at (recurring category / global windows)
  */
-export const calculateProductPrice = async (product, categoryDiscount = null, globalDiscount = null) => {
+export const calculateProductPrice = async (
+  product,
+  categoryDiscount = null,
+  globalDiscounts = null,
+  at = new Date()
+) => {
   // Ensure product is populated if it's just an ID
   if (typeof product === 'string') {
     product = await Product.findById(product).populate('category');
@@ -25,42 +47,70 @@ export const calculateProductPrice = async (product, categoryDiscount = null, gl
       : product.category;
     
     if (category) {
-      categoryDiscount = category.getCurrentDiscount();
+      categoryDiscount = category.getCurrentDiscount(at);
     }
   }
   
-  // Get global discount if not provided
-  if (!globalDiscount) {
-    globalDiscount = await GlobalDiscount.getActiveDiscount();
+  // Get global campaigns if not provided
+  if (!globalDiscounts) {
+    globalDiscounts = await GlobalDiscount.getActiveDiscounts(at);
   }
   
-  // Check if product is excluded from global discount
-  if (globalDiscount) {
-    const isProductExcluded = globalDiscount.excludedProducts?.some(
-      id => id.toString() === product._id.toString()
-    );
-    const isCategoryExcluded = globalDiscount.excludedCategories?.some(
-      id => id.toString() === product.category._id?.toString() || id.toString() === product.category?.toString()
-    );
-    
-    if (isProductExcluded || isCategoryExcluded) {
-      globalDiscount = null;
-    }
-  }
+  // Campaigns that don't exclude this product or its category, combined
+  const globalDiscount = resolveGlobalDiscounts(globalDiscounts, product);
   
   return product.getEffectivePrice(categoryDiscount, globalDiscount);
 };
 
+/**
+ * Category and global discounts that start (or come back) later
+ * Recurring windows and date ranges that haven't begun yet, soonest first.
+ * @param {Date} [from]
+ * @returns {Promise<Object>} { nextStartsAt, global, categories }
+ */
+export const getUpcomingDiscounts = async (from = new Date()) => {
+  const categories = await Category.find({
+    isDiscountActive: true,
+    discountPercentage: { $gt: 0 },
+    $or: [{ discountEndDate: null }, { discountEndDate: { $gte: from } }],
+  }).select("name discountPercentage discountStartDate discountEndDate discountSchedule isDiscountActive");
+
+  const categoryWindows = categories
+    .map((category) => ({
+      category: category._id,
+      name: category.name,
+      discountPercentage: category.discountPercentage,
+      schedule: category.discountSchedule,
+      isLive: !!category.getCurrentDiscount(from),
+      startsAt: category.getNextDiscountStart(from),
+    }))
+    .filter((window) => window.startsAt)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  const global = await GlobalDiscount.getUpcomingDiscount(from);
+  const starts = [global?.startsAt, categoryWindows[0]?.startsAt].filter(Boolean);
+
+  return {
+    nextStartsAt: starts.length ? new Date(Math.min(...starts)) : null,
+    global,
+    categories: categoryWindows,
+  };
+};
+
 /**
  * Calculate cart totals with all discounts applied
+ * Discounts apply to the base price; selected options are added at full price.
+ * @param {Array} cartProducts - [{ product, quantity, selectedOptions? }]
+ * @param {Date} [at] - Moment to price at (recurring category / global windows)
+ * @throws {Error} If a line's options are no longer valid for the product
  */
-export const calculateCartTotals = async (cartProducts) => {
+export const calculateCartTotals = async (cartProducts, at = new Date()) => {
   let subtotal = 0;
   let totalDiscount = 0;
   const itemsWithPrices = [];
   
-  // Get global discount once
-  const globalDiscount = await GlobalDiscount.getActiveDiscount();
+  // Get global campaigns once
+  const globalDiscounts = await GlobalDiscount.getActiveDiscounts(at);
   
   for (const item of cartProducts) {
     const product = await Product.findById(item.product).populate('category');
@@ -68,11 +118,20 @@ export const calculateCartTotals = async (cartProducts) => {
     if (!product) continue;
     
     const category = product.category;
-    const categoryDiscount = category ? category.getCurrentDiscount() : null;
-    
-    const priceInfo = await calculateProductPrice(product, categoryDiscount, globalDiscount);
+    const categoryDiscount = category ? category.getCurrentDiscount(at) : null;
     
-    const itemTotal = priceInfo.price * item.quantity;
+    const priceInfo = await calculateProductPrice(product, categoryDiscount, globalDiscounts, at);
+
+    // ✅ Re-price selected options from the product, never trust stored deltas
+    const optionsResult = resolveProductOptions(product, item.selectedOptions || []);
+    if (!optionsResult.success) {
+      throw new Error(optionsResult.message);
+    }
+    const { selectedOptions, optionsPrice, optionsKey } = optionsResult.data;
+
+    const unitPrice = Math.round((priceInfo.price + optionsPrice) * 100) / 100;
+    const originalUnitPrice = priceInfo.originalPrice + optionsPrice;
+    const itemTotal = unitPrice * item.quantity;
     const itemDiscount = priceInfo.discount * item.quantity;
     
     subtotal += itemTotal;
@@ -81,13 +140,21 @@ export const calculateCartTotals = async (cartProducts) => {
     itemsWithPrices.push({
       product: product,
       quantity: item.quantity,
-      unitPrice: priceInfo.price,
-      originalUnitPrice: priceInfo.originalPrice,
+      name: product.name,
+      image: product.images?.[0],
+      category: category?._id || category,
+      categoryName: category?.name,
+      selectedOptions,
+      optionsPrice,
+      optionsKey,
+      unitPrice,
+      originalUnitPrice,
       unitDiscount: priceInfo.discount,
       itemTotal: itemTotal,
       itemDiscount: itemDiscount,
       discountType: priceInfo.discountType,
       discountPercentage: priceInfo.discountPercentage,
+      discountCampaigns: priceInfo.campaigns || [],
     });
   }
   
@@ -98,21 +165,176 @@ export const calculateCartTotals = async (cartProducts) => {
   };
 };
 
+/**
+ * Buy X get Y: the cheapest units of each group are discounted
+ */
+const calculateBuyXGetY = (coupon, itemsWithPrices, applicableItems) => {
+  const units = expandUnits(itemsWithPrices, (item) => applicableItems.includes(item));
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  let groups = Math.floor(units.length / groupSize);
+  if (coupon.maxApplicationsPerOrder) {
+    groups = Math.min(groups, coupon.maxApplicationsPerOrder);
+  }
+
+  if (groups === 0) {
+    return {
+      success: false,
+      message: `Add ${groupSize - (units.length % groupSize)} more eligible item(s) to use this coupon`,
+    };
+  }
+
+  const discountedUnits = units.slice(0, groups * coupon.getQuantity).map((unit) => ({
+    index: unit.index,
+    discount: roundMoney((unit.price * coupon.getDiscountPercentage) / 100),
+  }));
+
+  return { success: true, lineDiscounts: sumLineDiscounts(itemsWithPrices, discountedUnits) };
+};
+
+/**
+ * Bundle: each complete set of bundle items costs bundlePrice
+ * Uses the cheapest units of each product in the cart.
+ */
+const calculateBundle = (coupon, itemsWithPrices) => {
+  const unitsByProduct = coupon.bundleItems.map((bundleItem) => ({
+    required: bundleItem.quantity,
+    units: expandUnits(
+      itemsWithPrices,
+      (item) => getProductId(item) === bundleItem.product.toString()
+    ),
+  }));
+
+  let sets = Math.min(
+    ...unitsByProduct.map(({ required, units }) => Math.floor(units.length / required))
+  );
+  if (coupon.maxApplicationsPerOrder) {
+    sets = Math.min(sets, coupon.maxApplicationsPerOrder);
+  }
+
+  if (!coupon.bundleItems.length || sets === 0) {
+    return {
+      success: false,
+      message: "Your cart doesn't contain every item of this bundle",
+    };
+  }
+
+  const bundledUnits = unitsByProduct.flatMap(({ required, units }) =>
+    units.slice(0, sets * required)
+  );
+  const regularPrice = bundledUnits.reduce((sum, unit) => sum + unit.price, 0);
+  const discount = roundMoney(regularPrice - sets * coupon.bundlePrice);
+
+  if (discount <= 0) {
+    return {
+      success: false,
+      message: "The bundle price is not lower than the items in your cart",
+    };
+  }
+
+  // Spread the saving over the bundled units by price
+  let remaining = discount;
+  const unitDiscounts = bundledUnits.map((unit, position) => {
+    const share =
+      position === bundledUnits.length - 1
+        ? remaining
+        : roundMoney((discount * unit.price) / regularPrice);
+    remaining = roundMoney(remaining - share);
+    return { index: unit.index, discount: share };
+  });
+
+  return { success: true, lineDiscounts: sumLineDiscounts(itemsWithPrices, unitDiscounts) };
+};
+
+/**
+ * Free item: freeProduct is free next to another eligible purchase
+ */
+const calculateFreeItem = async (coupon, itemsWithPrices, applicableItems) => {
+  const freeProductId = coupon.freeProduct.toString();
+  const isFreeProduct = (item) => getProductId(item) === freeProductId;
+
+  const freeUnits = expandUnits(itemsWithPrices, isFreeProduct);
+  if (freeUnits.length === 0) {
+    const product = await Product.findById(freeProductId).select("name");
+    return {
+      success: false,
+      message: `Add ${product?.name || "the free item"} to your cart to get it free`,
+    };
+  }
+
+  if (!applicableItems.some((item) => !isFreeProduct(item))) {
+    return {
+      success: false,
+      message: "The free item comes with the purchase of another item",
+    };
+  }
+
+  const discountedUnits = freeUnits
+    .slice(0, coupon.freeQuantity)
+    .map((unit) => ({ index: unit.index, discount: unit.price }));
+
+  return { success: true, lineDiscounts: sumLineDiscounts(itemsWithPrices, discountedUnits) };
+};
+
+/**
+ * Tiered: the highest tier the subtotal reaches
+ */
+const calculateTiered = (coupon, cartSubtotal) => {
+  const tiers = [...(coupon.tiers || [])].sort((a, b) => b.minAmount - a.minAmount);
+  const tier = tiers.find((entry) => cartSubtotal >= entry.minAmount);
+
+  if (!tier) {
+    const lowest = tiers[tiers.length - 1];
+    return {
+      success: false,
+      message: lowest
+        ? `Spend at least ${lowest.minAmount} to use this coupon`
+        : "This coupon has no discount tiers",
+    };
+  }
+
+  const discount =
+    tier.discountType === "percentage"
+      ? (cartSubtotal * tier.discountValue) / 100
+      : Math.min(tier.discountValue, cartSubtotal);
+
+  return { success: true, discount, tier };
+};
+
+// What a line costs after the cart-level discounts assigned so far
+const getLineBase = (item) => item.lineTotal ?? item.itemTotal;
+
 /**
  * Apply coupon to cart
+ * Cart-wide coupons return a discount that is spread over the lines later;
+ * item coupons (buyXGetY, bundle, freeItem) also return the discount per line.
+ * @param {Object} coupon - Coupon document
+ * @param {number} cartSubtotal
+ * @param {Array} itemsWithPrices - Priced lines from calculateCartTotals
+ * @param {string} userId - Coupons require an account
  */
-export const applyCouponToCart = async (coupon, cartSubtotal, cartProducts, userId) => {
+export const applyCouponToCart = async (coupon, cartSubtotal, itemsWithPrices, userId) => {
   // Validate coupon
   const validity = coupon.isValid();
   if (!validity.valid) {
     return { success: false, message: validity.message };
   }
-  
-  // Check user usage
+
+  // Check user usage (coupons require an account)
   const userCheck = coupon.canUserUse(userId);
   if (!userCheck.canUse) {
     return { success: false, message: userCheck.message };
   }
+
+  // First-order coupons: no earlier order that went through
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({
+      buyer: userId,
+      orderStatus: { $nin: ["Cancelled", "Failed"] },
+    });
+    if (hasOrdered) {
+      return { success: false, message: "This coupon is only valid on your first order" };
+    }
+  }
   
   // Check minimum order amount
   if (coupon.minOrderAmount > 0 && cartSubtotal < coupon.minOrderAmount) {
@@ -123,31 +345,23 @@ export const applyCouponToCart = async (coupon, cartSubtotal, cartProducts, user
   }
   
   // Check if coupon applies to cart products
-  if (!coupon.isGlobal) {
-    const hasApplicableProducts = await checkCouponApplicability(
-      coupon,
-      cartProducts
-    );
-    
-    if (!hasApplicableProducts) {
-      return {
-        success: false,
-        message: "Coupon is not applicable to items in your cart",
-      };
-    }
+  const applicableItems = checkCouponApplicability(coupon, itemsWithPrices);
+  if (applicableItems.length === 0) {
+    return {
+      success: false,
+      message: "Coupon is not applicable to items in your cart",
+    };
   }
   
   // Calculate discount
   let discount = 0;
   let freeDelivery = false;
+  let lineDiscounts = null;
+  let appliedTier = null;
   
   switch (coupon.discountType) {
     case "percentage":
       discount = (cartSubtotal * coupon.discountValue) / 100;
-      // Apply max discount cap if set
-      if (coupon.maxDiscountAmount && discount > coupon.maxDiscountAmount) {
-        discount = coupon.maxDiscountAmount;
-      }
       break;
       
     case "fixed":
@@ -158,95 +372,270 @@ export const applyCouponToCart = async (coupon, cartSubtotal, cartProducts, user
       freeDelivery = true;
       discount = 0; // Will be applied to delivery fee
       break;
+
+    case "tiered": {
+      const result = calculateTiered(coupon, cartSubtotal);
+      if (!result.success) return result;
+      discount = result.discount;
+      appliedTier = result.tier;
+      break;
+    }
+
+    case "buyXGetY":
+    case "bundle":
+    case "freeItem": {
+      const result =
+        coupon.discountType === "buyXGetY"
+          ? calculateBuyXGetY(coupon, itemsWithPrices, applicableItems)
+          : coupon.discountType === "bundle"
+            ? calculateBundle(coupon, itemsWithPrices)
+            : await calculateFreeItem(coupon, itemsWithPrices, applicableItems);
+      if (!result.success) return result;
+      // A line can't lose more than it costs after promotions (as assignLineDiscounts applies it)
+      lineDiscounts = result.lineDiscounts.map((amount, index) =>
+        Math.min(amount || 0, getLineBase(itemsWithPrices[index]))
+      );
+      discount = lineDiscounts.reduce((sum, amount) => sum + amount, 0);
+      break;
+    }
   }
+
+  // Apply max discount cap if set (scaling item discounts down with it)
+  if (
+    coupon.discountType !== "fixed" &&
+    coupon.maxDiscountAmount &&
+    discount > coupon.maxDiscountAmount
+  ) {
+    if (lineDiscounts) {
+      const ratio = coupon.maxDiscountAmount / discount;
+      lineDiscounts = lineDiscounts.map((amount) => Math.floor(amount * ratio * 100) / 100);
+      discount = lineDiscounts.reduce((sum, amount) => sum + amount, 0);
+    } else {
+      discount = coupon.maxDiscountAmount;
+    }
+  }
+
+  const appliedItems = lineDiscounts
+    ? itemsWithPrices
+        .map((item, index) => ({
+          product: item.product._id,
+          name: item.name,
+          optionsKey: item.optionsKey,
+          discount: lineDiscounts[index],
+        }))
+        .filter((item) => item.discount > 0)
+    : [];
   
   return {
     success: true,
-    discount: Math.round(discount * 100) / 100,
+    discount: roundMoney(discount),
     freeDelivery,
     coupon,
+    lineDiscounts,
+    appliedItems,
+    appliedTier,
   };
 };
 
 /**
- * Check if coupon is applicable to cart products
+ * Cart lines a coupon's product / category scope covers
+ * @param {Object} coupon
+ * @param {Array} itemsWithPrices - Priced lines from calculateCartTotals
+ * @returns {Array} The applicable lines (every line for global coupons)
  */
-const checkCouponApplicability = async (coupon, cartProducts) => {
-  if (coupon.isGlobal) return true;
+export const checkCouponApplicability = (coupon, itemsWithPrices) => {
+  if (coupon.isGlobal) return itemsWithPrices;
   
-  for (const item of cartProducts) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) continue;
-    
+  return itemsWithPrices.filter((item) => {
+    const productId = getProductId(item);
+    const categoryId = getCategoryId(item);
+
     // Check if product is in applicable products list
-    if (
-      coupon.applicableProducts.length > 0 &&
-      coupon.applicableProducts.some(id => id.toString() === product._id.toString())
-    ) {
+    if (coupon.applicableProducts.some((id) => id.toString() === productId)) {
       return true;
     }
     
     // Check if product's category is in applicable categories list
-    if (
-      coupon.applicableCategories.length > 0 &&
-      coupon.applicableCategories.some(id => id.toString() === product.category.toString())
-    ) {
-      return true;
-    }
-  }
+    return coupon.applicableCategories.some((id) => id.toString() === categoryId);
+  });
+};
+
+/**
+ * Put item coupon discounts on the lines they belong to
+ * @param {Array} itemsWithPrices
+ * @param {number[]} lineDiscounts - Discount per line index
+ * @param {string} field - Where each line's share is stored
+ */
+const assignLineDiscounts = (itemsWithPrices, lineDiscounts, field) => {
+  itemsWithPrices.forEach((item, index) => {
+    const base = getLineBase(item);
+    const allocation = Math.min(lineDiscounts[index] || 0, base);
+
+    item[field] = allocation;
+    item.lineTotal = roundMoney(base - allocation);
+  });
+};
+
+/**
+ * Spread a cart-level discount over the line items, proportionally to each
+ * line's current total (after earlier cart-level discounts). The last line
+ * absorbs rounding so the allocations always add up to the discount.
+ * @param {Array} itemsWithPrices
+ * @param {number} discount
+ * @param {string} field - Where each line's share is stored
+ */
+const allocateCartDiscount = (itemsWithPrices, discount, field) => {
+  const lineBase = (item) => item.lineTotal ?? item.itemTotal;
+  const linesTotal = itemsWithPrices.reduce((sum, item) => sum + lineBase(item), 0);
+  let remaining = discount;
   
-  return false;
+  itemsWithPrices.forEach((item, index) => {
+    const base = lineBase(item);
+    let allocation = 0;
+    
+    if (discount > 0 && linesTotal > 0) {
+      allocation = index === itemsWithPrices.length - 1
+        ? remaining
+        : Math.round((discount * base / linesTotal) * 100) / 100;
+    }
+    
+    allocation = Math.min(Math.max(0, allocation), base);
+    remaining = Math.round((remaining - allocation) * 100) / 100;
+    
+    item[field] = allocation;
+    item.lineTotal = Math.round((base - allocation) * 100) / 100;
+  });
 };
 
 /**
- * Calculate final cart price with all discounts and coupon
+ * Calculate final cart price with all discounts, promotions, coupon and loyalty points
+ * Automatic promotions run first, the coupon applies to what they leave and
+ * points pay towards what is left after the coupon; the request is capped to
+ * the customer's balance and the program limits (see calculateRedemption).
+ * @param {Array} cartProducts
+ * @param {string} [appliedCouponId]
+ * @param {string} [userId]
+ * @param {number} [loyaltyPoints] - Points the customer wants to redeem
+ * @param {Object} [options]
+ * @param {string} [options.placeType] - For promotions limited to a place type
+ * @param {Date} [options.at] - When the order is for (happy hours, promotion day / time rules)
+ * @param {Object[]} [options.promotions] - Running promotions (see loadPromotionContext)
+ * @param {Object|null} [options.customer] - Customer facts the promotions need
  */
-export const calculateFinalCartPrice = async (cartProducts, appliedCouponId = null, userId = null) => {
+export const calculateFinalCartPrice = async (
+  cartProducts,
+  appliedCouponId = null,
+  userId = null,
+  loyaltyPoints = 0,
+  { placeType, at = new Date(), promotions: runningPromotions = [], customer = null } = {}
+) => {
   // Calculate base cart totals (with product/category/global discounts)
-  const cartTotals = await calculateCartTotals(cartProducts);
+  const cartTotals = await calculateCartTotals(cartProducts, at);
+
+  // Automatic promotions (no code needed)
+  const promotions = evaluatePromotions(runningPromotions, {
+    itemsWithPrices: cartTotals.itemsWithPrices,
+    subtotal: cartTotals.subtotal,
+    placeType,
+    at,
+    customer,
+    hasCoupon: !!appliedCouponId,
+  });
+  const promotionDiscount = promotions.discount;
+  assignLineDiscounts(cartTotals.itemsWithPrices, promotions.lineDiscounts, "promotionAllocation");
+  const afterPromotions = roundMoney(cartTotals.subtotal - promotionDiscount);
   
   let couponDiscount = 0;
-  let freeDelivery = false;
+  let freeDelivery = promotions.freeDelivery;
   let appliedCoupon = null;
+  let couponResult = null;
+  let couponError = null;
   
   // Apply coupon if provided
   if (appliedCouponId) {
     const coupon = await Coupon.findById(appliedCouponId);
     
     if (coupon) {
-      const couponResult = await applyCouponToCart(
+      const result = await applyCouponToCart(
         coupon,
-        cartTotals.subtotal,
-        cartProducts,
+        afterPromotions,
+        cartTotals.itemsWithPrices,
         userId
       );
       
-      if (couponResult.success) {
-        couponDiscount = couponResult.discount;
-        freeDelivery = couponResult.freeDelivery;
+      if (result.success) {
+        couponResult = result;
+        couponDiscount = result.discount;
+        freeDelivery = freeDelivery || result.freeDelivery;
         appliedCoupon = coupon;
+      } else {
+        couponError = result.message;
       }
     }
   }
   
-  const finalTotal = Math.max(0, cartTotals.subtotal - couponDiscount);
+  // Redeem loyalty points (registered customers only)
+  let loyaltyDiscount = 0;
+  let pointsRedeemed = 0;
+  
+  if (loyaltyPoints > 0 && userId) {
+    const [settings, user] = await Promise.all([
+      LoyaltySettings.getActiveConfig(),
+      User.findById(userId).select("loyaltyPoints"),
+    ]);
+    
+    const redemption = calculateRedemption({
+      requestedPoints: loyaltyPoints,
+      balance: user?.loyaltyPoints || 0,
+      amount: Math.max(0, afterPromotions - couponDiscount),
+      settings,
+    });
+    pointsRedeemed = redemption.points;
+    loyaltyDiscount = redemption.discount;
+  }
+  
+  const finalTotal = Math.max(
+    0,
+    roundMoney(afterPromotions - couponDiscount - loyaltyDiscount)
+  );
+  
+  if (couponResult?.lineDiscounts) {
+    assignLineDiscounts(cartTotals.itemsWithPrices, couponResult.lineDiscounts, "couponAllocation");
+  } else {
+    allocateCartDiscount(cartTotals.itemsWithPrices, couponDiscount, "couponAllocation");
+  }
+  allocateCartDiscount(cartTotals.itemsWithPrices, loyaltyDiscount, "loyaltyAllocation");
   
   return {
     subtotal: cartTotals.subtotal,
     productDiscounts: cartTotals.totalDiscount,
+    promotionDiscount,
     couponDiscount,
-    totalDiscount: cartTotals.totalDiscount + couponDiscount,
+    loyaltyDiscount,
+    pointsRedeemed,
+    totalDiscount: roundMoney(
+      cartTotals.totalDiscount + promotionDiscount + couponDiscount + loyaltyDiscount
+    ),
     finalTotal,
     freeDelivery,
+    // Which promotions fired (and their share per item), and why the others didn't
+    appliedPromotions: promotions.applied,
+    skippedPromotions: promotions.skipped,
     appliedCoupon,
+    // Items an item coupon discounted, and the tier a tiered coupon reached
+    couponAppliedItems: couponResult?.appliedItems || [],
+    couponTier: couponResult?.appliedTier || null,
+    // Why the cart's coupon doesn't apply right now
+    couponError,
     itemsWithPrices: cartTotals.itemsWithPrices,
   };
 };
 
 export default {
   calculateProductPrice,
+  getUpcomingDiscounts,
   calculateCartTotals,
   applyCouponToCart,
+  checkCouponApplicability,
   calculateFinalCartPrice,
 };
@@ -0,0 +1,78 @@
+// helpers/giftCard.helpers.js
+// ✅ Gift card request validation (no database access)
+
+import { roundMoney } from "./money.helpers.js";
+
+const MIN_AMOUNT = 1;
+const MAX_AMOUNT = 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate a new gift card (purchase or admin issue)
+ * @param {Object} body - { amount, recipient, message, expiresAt }
+ * @returns {Object} ValidationResult with the cleaned fields as data
+ */
+export const validateGiftCardRequest = ({ amount, recipient, message, expiresAt } = {}) => {
+  if (typeof amount !== "number" || amount < MIN_AMOUNT || amount > MAX_AMOUNT) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `amount must be a number between ${MIN_AMOUNT} and ${MAX_AMOUNT}`,
+    };
+  }
+
+  if (recipient?.email && !EMAIL_PATTERN.test(recipient.email)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "recipient.email is not a valid email address",
+    };
+  }
+
+  if (message && (typeof message !== "string" || message.length > 500)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "message must be text of at most 500 characters",
+    };
+  }
+
+  let expiryDate = null;
+  if (expiresAt) {
+    expiryDate = new Date(expiresAt);
+    if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "expiresAt must be a valid date in the future",
+      };
+    }
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Gift card request is valid",
+    data: {
+      amount: roundMoney(amount),
+      recipient: recipient
+        ? { name: recipient.name, email: recipient.email }
+        : undefined,
+      message,
+      expiresAt: expiryDate,
+    },
+  };
+};
+
+/**
+ * Hide the code of someone else's card, e.g. "GC-****-****-4HTP"
+ * @param {string} code
+ * @returns {string}
+ */
+export const maskGiftCardCode = (code = "") =>
+  code.replace(/^(GC)-\w{4}-\w{4}-(\w{4})$/, "$1-****-****-$2");
+
+export default {
+  validateGiftCardRequest,
+  maskGiftCardCode,
+};
@@ -0,0 +1,108 @@
+// helpers/globalDiscount.helpers.js
+// ✅ Overlapping global discount campaigns - which apply to a product (no database access)
+//
+// "best" campaigns compete: only the biggest one applies (ties go to the higher
+// priority). "stack" campaigns apply on top of it, each on what is left.
+
+import { schedulesOverlap } from "./schedule.helpers.js";
+
+export const COMBINATION_POLICIES = ["best", "stack"];
+
+const roundPercentage = (value) => Math.round(value * 100) / 100;
+
+const idsInclude = (ids = [], id) =>
+  !!id && ids.some((candidate) => (candidate?._id || candidate).toString() === id.toString());
+
+/**
+ * Combine the campaigns that apply to a product into one discount
+ * @param {Object[]} discounts - Active campaigns, highest priority first
+ *   (see GlobalDiscount.getActiveDiscounts)
+ * @param {Object} [product] - Product document; omit for the menu-wide discount
+ * @returns {Object|null} { isActive, discountPercentage, name, campaigns }
+ */
+export const resolveGlobalDiscounts = (discounts = [], product = null) => {
+  const productId = product?._id;
+  const categoryId = product?.category?._id || product?.category;
+
+  const applicable = discounts.filter(
+    (discount) =>
+      !product ||
+      (!idsInclude(discount.excludedProducts, productId) &&
+        !idsInclude(discount.excludedCategories, categoryId))
+  );
+
+  // Sorted by priority, so the first of the biggest wins a tie
+  const best = applicable
+    .filter((discount) => discount.combination !== "stack")
+    .reduce(
+      (winner, discount) =>
+        !winner || discount.discountPercentage > winner.discountPercentage ? discount : winner,
+      null
+    );
+  const stacked = applicable.filter((discount) => discount.combination === "stack");
+
+  const campaigns = [...(best ? [best] : []), ...stacked];
+  if (campaigns.length === 0) return null;
+
+  const remaining = campaigns.reduce(
+    (share, discount) => share * (1 - discount.discountPercentage / 100),
+    1
+  );
+
+  return {
+    isActive: true,
+    discountPercentage: roundPercentage((1 - remaining) * 100),
+    name: campaigns.map((discount) => discount.name).join(" + "),
+    campaigns: campaigns.map((discount) => ({
+      discount: discount._id,
+      name: discount.name,
+      discountPercentage: discount.discountPercentage,
+      combination: discount.combination || "best",
+    })),
+  };
+};
+
+/**
+ * Check whether two campaigns can be running at the same moment
+ * @param {Object} first - { startDate, endDate, schedule }
+ * @param {Object} second
+ * @returns {boolean}
+ */
+export const discountsOverlap = (first, second) =>
+  new Date(first.startDate) <= new Date(second.endDate) &&
+  new Date(second.startDate) <= new Date(first.endDate) &&
+  schedulesOverlap(first.schedule, second.schedule);
+
+/**
+ * Explain what happens where a campaign overlaps another one
+ * @param {Object} discount - The campaign being saved
+ * @param {Object} other - A campaign it overlaps
+ * @returns {Object} Warning for the admin
+ */
+export const describeOverlap = (discount, other) => {
+  const stacks = discount.combination === "stack" || other.combination === "stack";
+
+  return {
+    discount: other._id,
+    name: other.name,
+    discountPercentage: other.discountPercentage,
+    priority: other.priority || 0,
+    combination: other.combination || "best",
+    startDate: other.startDate,
+    endDate: other.endDate,
+    message: stacks
+      ? `Overlaps "${other.name}": both discounts apply together where they meet`
+      : `Overlaps "${other.name}": only the bigger discount applies where they meet${
+          discount.discountPercentage === other.discountPercentage
+            ? " (same size, the higher priority wins)"
+            : ""
+        }`,
+  };
+};
+
+export default {
+  COMBINATION_POLICIES,
+  resolveGlobalDiscounts,
+  discountsOverlap,
+  describeOverlap,
+};
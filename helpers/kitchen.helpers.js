@@ -0,0 +1,219 @@
+// kitchen.helpers.js
+// ✅ Kitchen display system (KDS) - ticket building, grouping and SLAs
+
+/**
+ * Line item progress on the kitchen display
+ */
+export const KITCHEN_ITEM_STATUSES = ["queued", "cooking", "done"];
+
+/**
+ * Order statuses that still belong on the kitchen display
+ */
+export const KITCHEN_ORDER_STATUSES = ["Processing", "Paid"];
+
+/**
+ * Target minutes from ticket fire to "Ready", per placeType
+ */
+export const KITCHEN_SLA_MINUTES = {
+  Online: 25,
+  "In-Place": 15,
+  Takeaway: 15,
+};
+
+// Share of the SLA after which a ticket is flagged "at-risk"
+const SLA_WARNING_RATIO = 0.75;
+
+/**
+ * Build the Mongo filter for orders that should show on the kitchen display:
+ * paid orders, and COD orders (payment collected later) still pending.
+ * Scheduled orders only show once they are released.
+ * @param {string|null} codMethodId - Id of the COD payment method
+ * @returns {Object}
+ */
+export const buildKitchenQuery = (codMethodId) => {
+  const paymentConditions = [{ paymentStatus: "Completed" }];
+  if (codMethodId) {
+    paymentConditions.push({
+      paymentMethod: codMethodId,
+      paymentStatus: "Pending",
+    });
+  }
+
+  return {
+    orderStatus: { $in: KITCHEN_ORDER_STATUSES },
+    scheduleStatus: { $ne: "Held" },
+    $or: paymentConditions,
+  };
+};
+
+/**
+ * Time the ticket reached the kitchen: when the order was paid,
+ * or when it was placed for COD orders (released, for scheduled orders)
+ * @param {Object} order
+ * @returns {Date}
+ */
+export const getTicketFiredAt = (order) => {
+  const paidEntry = (order.statusHistory || []).find(
+    (entry) => entry.to === "Paid"
+  );
+  const firedAt = paidEntry?.changedAt || order.createdAt;
+
+  if (order.releasedAt && new Date(order.releasedAt) > new Date(firedAt)) {
+    return order.releasedAt;
+  }
+  return firedAt;
+};
+
+/**
+ * Compute elapsed time and SLA state for a ticket
+ * @param {Object} order
+ * @param {Date} now
+ * @returns {{firedAt: Date, elapsedMinutes: number, slaMinutes: number, slaStatus: string}}
+ */
+export const getTicketSla = (order, now = new Date()) => {
+  const firedAt = getTicketFiredAt(order);
+  const slaMinutes = KITCHEN_SLA_MINUTES[order.placeType] || KITCHEN_SLA_MINUTES.Online;
+  const elapsedMinutes = Math.max(
+    0,
+    Math.floor((now - new Date(firedAt)) / 60000)
+  );
+
+  let slaStatus = "on-track";
+  if (elapsedMinutes >= slaMinutes) {
+    slaStatus = "breached";
+  } else if (elapsedMinutes >= slaMinutes * SLA_WARNING_RATIO) {
+    slaStatus = "at-risk";
+  }
+
+  return { firedAt, elapsedMinutes, slaMinutes, slaStatus };
+};
+
+/**
+ * Shape an order into a kitchen ticket
+ * @param {Object} order - Order document (table may be populated)
+ * @param {Date} now
+ * @returns {Object}
+ */
+export const buildKitchenTicket = (order, now = new Date()) => {
+  const items = order.products.map((item, index) => ({
+    index,
+    product: item.product?._id || item.product,
+    name: item.name,
+    quantity: item.quantity,
+    options: (item.selectedOptions || []).map((option) => option.optionName),
+    kitchenStatus: item.kitchenStatus || "queued",
+    kitchenStartedAt: item.kitchenStartedAt || null,
+    kitchenDoneAt: item.kitchenDoneAt || null,
+  }));
+
+  const progress = KITCHEN_ITEM_STATUSES.reduce((counts, status) => {
+    counts[status] = items.filter((item) => item.kitchenStatus === status).length;
+    return counts;
+  }, {});
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber || null,
+    placeType: order.placeType,
+    table: order.table
+      ? { _id: order.table._id || order.table, number: order.table.number }
+      : null,
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    scheduledFor: order.scheduledFor || null,
+    items,
+    progress,
+    ...getTicketSla(order, now),
+  };
+};
+
+/**
+ * Group tickets by placeType, and In-Place tickets by table
+ * Oldest tickets first within each group
+ * @param {Object[]} tickets
+ * @returns {Object[]} [{ placeType, table, tickets }]
+ */
+export const groupKitchenTickets = (tickets) => {
+  const groups = new Map();
+
+  tickets
+    .slice()
+    .sort((a, b) => new Date(a.firedAt) - new Date(b.firedAt))
+    .forEach((ticket) => {
+      const tableKey = ticket.table?._id?.toString() || "none";
+      const key = `${ticket.placeType}:${tableKey}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          placeType: ticket.placeType,
+          table: ticket.table,
+          tickets: [],
+        });
+      }
+      groups.get(key).tickets.push(ticket);
+    });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Apply a kitchen status to a line item and stamp the timestamps
+ * @param {Object} item - Order line item (subdocument)
+ * @param {string} status
+ * @returns {ValidationResult}
+ */
+export const applyItemKitchenStatus = (item, status) => {
+  if (!KITCHEN_ITEM_STATUSES.includes(status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Invalid kitchen status. Valid statuses: ${KITCHEN_ITEM_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (item.kitchenStatus === status) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Item is already "${status}"`,
+    };
+  }
+
+  const now = new Date();
+  item.kitchenStatus = status;
+
+  if (status === "queued") {
+    item.kitchenStartedAt = undefined;
+    item.kitchenDoneAt = undefined;
+  } else if (status === "cooking") {
+    item.kitchenStartedAt = now;
+    item.kitchenDoneAt = undefined;
+  } else {
+    item.kitchenStartedAt = item.kitchenStartedAt || now;
+    item.kitchenDoneAt = now;
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check whether every line item on the order is done
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isTicketComplete = (order) =>
+  order.products.length > 0 &&
+  order.products.every((item) => item.kitchenStatus === "done");
+
+export default {
+  KITCHEN_ITEM_STATUSES,
+  KITCHEN_ORDER_STATUSES,
+  KITCHEN_SLA_MINUTES,
+  buildKitchenQuery,
+  getTicketFiredAt,
+  getTicketSla,
+  buildKitchenTicket,
+  groupKitchenTickets,
+  applyItemKitchenStatus,
+  isTicketComplete,
+};
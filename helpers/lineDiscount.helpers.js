@@ -0,0 +1,87 @@
+// helpers/lineDiscount.helpers.js
+// ✅ Discounts on specific cart lines - shared by coupons and promotions (no database access)
+//
+// Lines are the priced items from calculateCartTotals. Item discounts use the
+// base price; selected options stay at full price.
+
+import { roundMoney } from "./money.helpers.js";
+
+/**
+ * Product id of a priced line (populated or not)
+ * @param {Object} item
+ * @returns {string}
+ */
+export const getProductId = (item) => (item.product?._id || item.product).toString();
+
+/**
+ * Category id of a priced line (populated or not)
+ * @param {Object} item
+ * @returns {string|undefined}
+ */
+export const getCategoryId = (item) => (item.category?._id || item.category)?.toString();
+
+/**
+ * Split priced lines into single units, cheapest first
+ * @param {Array} itemsWithPrices
+ * @param {Function} [filter] - (item) => boolean
+ * @returns {Array<{index: number, price: number}>}
+ */
+export const expandUnits = (itemsWithPrices, filter = () => true) =>
+  itemsWithPrices
+    .flatMap((item, index) =>
+      filter(item)
+        ? Array.from({ length: item.quantity }, () => ({
+            index,
+            price: roundMoney(item.unitPrice - (item.optionsPrice || 0)),
+          }))
+        : []
+    )
+    .sort((a, b) => a.price - b.price);
+
+/**
+ * Add up unit discounts per line
+ * @param {Array} itemsWithPrices
+ * @param {Array<{index: number, discount: number}>} unitDiscounts
+ * @returns {number[]} Discount per line index
+ */
+export const sumLineDiscounts = (itemsWithPrices, unitDiscounts) => {
+  const lineDiscounts = itemsWithPrices.map(() => 0);
+  for (const { index, discount } of unitDiscounts) {
+    lineDiscounts[index] = roundMoney(lineDiscounts[index] + discount);
+  }
+  return lineDiscounts;
+};
+
+/**
+ * Spread an amount over some lines, proportionally to what each still costs
+ * The last line absorbs rounding; no line goes below zero.
+ * @param {number[]} lineAmounts - What each line costs right now
+ * @param {number[]} indexes - Lines sharing the amount
+ * @param {number} amount
+ * @returns {number[]} Share per line index
+ */
+export const spreadOverLines = (lineAmounts, indexes, amount) => {
+  const shares = lineAmounts.map(() => 0);
+  const total = indexes.reduce((sum, index) => sum + lineAmounts[index], 0);
+  if (amount <= 0 || total <= 0) return shares;
+
+  let remaining = roundMoney(Math.min(amount, total));
+  indexes.forEach((index, position) => {
+    const share =
+      position === indexes.length - 1
+        ? remaining
+        : roundMoney((amount * lineAmounts[index]) / total);
+    shares[index] = Math.min(Math.max(0, share), lineAmounts[index]);
+    remaining = roundMoney(remaining - shares[index]);
+  });
+
+  return shares;
+};
+
+export default {
+  getProductId,
+  getCategoryId,
+  expandUnits,
+  sumLineDiscounts,
+  spreadOverLines,
+};
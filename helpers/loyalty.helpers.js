@@ -0,0 +1,238 @@
+// helpers/loyalty.helpers.js
+// ✅ Loyalty points maths and validation (no database access)
+
+import mongoose from "mongoose";
+import { roundMoney } from "./money.helpers.js";
+
+// Orders that keep their earned points
+const EARNING_PAYMENT_STATUSES = ["Completed", "PartiallyRefunded"];
+const VOID_ORDER_STATUSES = ["Failed", "Cancelled"];
+
+/**
+ * Points a set of order lines earns
+ * Earned on what was actually paid for each line (after every discount),
+ * times the line's category multiplier. Delivery fees earn nothing.
+ * @param {Object[]} lines - Order line items ({ lineTotal, category })
+ * @param {Object} settings - LoyaltySettings document
+ * @returns {number} Whole points
+ */
+export const calculateEarnPoints = (lines, settings) => {
+  if (!settings?.isEnabled || !settings.earnRate) return 0;
+
+  const points = lines.reduce(
+    (sum, line) =>
+      sum +
+      (line.lineTotal || 0) *
+        settings.earnRate *
+        settings.getCategoryMultiplier(line.category?._id || line.category),
+    0
+  );
+
+  return Math.floor(points);
+};
+
+/**
+ * Points an order should still hold from what it earned
+ * Everything for voided / fully refunded orders, a share for partial refunds.
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+export const calculateRetainedPoints = (order) => {
+  const earned = order.loyalty?.pointsEarned || 0;
+  if (!earned) return 0;
+
+  if (
+    !EARNING_PAYMENT_STATUSES.includes(order.paymentStatus) ||
+    VOID_ORDER_STATUSES.includes(order.orderStatus)
+  ) {
+    return 0;
+  }
+
+  if (order.paymentStatus === "PartiallyRefunded") {
+    const refunded = order.refundDetails?.refundAmount || 0;
+    const keptShare = Math.max(0, 1 - refunded / order.totalPrice);
+    return Math.floor(earned * keptShare);
+  }
+
+  return earned;
+};
+
+/**
+ * Whether an order has reached the point where it earns
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isEarningOrder = (order) =>
+  !!order.buyer &&
+  order.paymentStatus === "Completed" &&
+  !VOID_ORDER_STATUSES.includes(order.orderStatus);
+
+/**
+ * Whether redeemed points should go back to the customer
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const shouldReturnRedemption = (order) =>
+  ["Failed", "Cancelled", "Refunded"].includes(order.paymentStatus) ||
+  VOID_ORDER_STATUSES.includes(order.orderStatus);
+
+/**
+ * How many of the requested points can be used on an amount, and what they are worth
+ * Never more than the balance or maxRedeemPercentage of the amount;
+ * nothing below minRedeemPoints.
+ * @param {Object} params
+ * @param {number} params.requestedPoints
+ * @param {number} params.balance - Customer's current points
+ * @param {number} params.amount - Amount the points pay towards (after coupon)
+ * @param {Object} params.settings - LoyaltySettings document
+ * @returns {{points: number, discount: number}}
+ */
+export const calculateRedemption = ({ requestedPoints, balance, amount, settings }) => {
+  const none = { points: 0, discount: 0 };
+  if (!settings?.isEnabled || !settings.pointValue || !(requestedPoints > 0)) {
+    return none;
+  }
+
+  const maxAmount = (amount * settings.maxRedeemPercentage) / 100;
+  const points = Math.floor(
+    Math.min(requestedPoints, balance, maxAmount / settings.pointValue)
+  );
+
+  if (points <= 0 || points < settings.minRedeemPoints) return none;
+
+  return { points, discount: roundMoney(points * settings.pointValue) };
+};
+
+/**
+ * Validate a request to redeem points on the cart
+ * @param {*} points - Requested points
+ * @param {number} balance - Customer's current points
+ * @param {Object|null} settings - LoyaltySettings document
+ * @returns {Object} ValidationResult
+ */
+export const validateRedeemRequest = (points, balance, settings) => {
+  if (!settings?.isEnabled) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "The loyalty program is not active",
+    };
+  }
+
+  if (!Number.isInteger(points) || points <= 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "points must be a positive whole number",
+    };
+  }
+
+  if (points < settings.minRedeemPoints) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `At least ${settings.minRedeemPoints} points are required to redeem`,
+    };
+  }
+
+  if (points > balance) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `You only have ${balance} points`,
+    };
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Points can be redeemed",
+    data: { points },
+  };
+};
+
+/**
+ * Validate a loyalty settings update
+ * @param {Object} updates
+ * @returns {Object} ValidationResult
+ */
+export const validateLoyaltySettingsUpdate = (updates) => {
+  for (const field of ["earnRate", "pointValue", "minRedeemPoints", "expiryDays"]) {
+    if (
+      updates[field] !== undefined &&
+      (typeof updates[field] !== "number" || updates[field] < 0)
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${field} must be a non-negative number`,
+      };
+    }
+  }
+
+  if (
+    updates.maxRedeemPercentage !== undefined &&
+    (typeof updates.maxRedeemPercentage !== "number" ||
+      updates.maxRedeemPercentage < 0 ||
+      updates.maxRedeemPercentage > 100)
+  ) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "maxRedeemPercentage must be between 0 and 100",
+    };
+  }
+
+  if (updates.categoryMultipliers !== undefined) {
+    if (!Array.isArray(updates.categoryMultipliers)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "categoryMultipliers must be an array",
+      };
+    }
+
+    const categories = new Set();
+    for (const entry of updates.categoryMultipliers) {
+      if (!mongoose.isValidObjectId(entry?.category)) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: "Each category multiplier needs a valid category id",
+        };
+      }
+      if (typeof entry.multiplier !== "number" || entry.multiplier < 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: "multiplier must be a non-negative number",
+        };
+      }
+      if (categories.has(entry.category.toString())) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: "Each category can only have one multiplier",
+        };
+      }
+      categories.add(entry.category.toString());
+    }
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Loyalty settings are valid",
+    data: updates,
+  };
+};
+
+export default {
+  calculateEarnPoints,
+  calculateRetainedPoints,
+  isEarningOrder,
+  shouldReturnRedemption,
+  calculateRedemption,
+  validateRedeemRequest,
+  validateLoyaltySettingsUpdate,
+};
@@ -0,0 +1,225 @@
+// modifier.helpers.js
+// ✅ Product modifiers (sizes, add-ons, removals) - validation and pricing
+
+/**
+ * Validate modifier groups sent by an admin before saving them on a product
+ * @param {Array} modifierGroups
+ * @returns {ValidationResult}
+ */
+export const validateModifierGroups = (modifierGroups) => {
+  if (!Array.isArray(modifierGroups)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "modifierGroups must be an array",
+    };
+  }
+
+  for (const group of modifierGroups) {
+    if (!group?.name || !Array.isArray(group.options) || group.options.length === 0) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "Each modifier group needs a name and at least one option",
+      };
+    }
+
+    const minSelections = group.minSelections ?? 0;
+    const maxSelections = group.maxSelections ?? 1;
+
+    if (minSelections < 0 || maxSelections < 1 || minSelections > maxSelections) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Invalid selection limits for "${group.name}": min must be between 0 and max, max at least 1`,
+      };
+    }
+
+    if (maxSelections > group.options.length) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `"${group.name}" allows ${maxSelections} selections but only has ${group.options.length} options`,
+      };
+    }
+
+    if (group.options.some((option) => !option?.name)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Every option in "${group.name}" needs a name`,
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Minimum number of options a customer must pick in a group
+ * @param {Object} group
+ * @returns {number}
+ */
+const getMinSelections = (group) =>
+  group.isRequired ? Math.max(1, group.minSelections || 0) : group.minSelections || 0;
+
+/**
+ * Build a stable key for a set of selected options
+ * Lines with the same product and key are merged in the cart.
+ * @param {Array} selectedOptions - [{ groupId, optionId }]
+ * @returns {string} "" when no options are selected
+ */
+export const buildOptionsKey = (selectedOptions = []) =>
+  selectedOptions
+    .map((option) => `${option.groupId}:${option.optionId}`)
+    .sort()
+    .join("|");
+
+/**
+ * Resolve a customer's option selections against the product's modifier groups
+ * Groups without a selection fall back to their default options.
+ * Prices come from the product, never from the client.
+ * @param {Object} product - Product document
+ * @param {Array} selections - [{ groupId, optionId }]
+ * @returns {ValidationResult} data: { selectedOptions, optionsPrice, optionsKey }
+ */
+export const resolveProductOptions = (product, selections = []) => {
+  const groups = product.modifierGroups || [];
+
+  if (!Array.isArray(selections)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "options must be an array of { groupId, optionId }",
+    };
+  }
+
+  if (groups.length === 0) {
+    if (selections.length > 0) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${product.name} has no options to choose from`,
+      };
+    }
+    return {
+      success: true,
+      data: { selectedOptions: [], optionsPrice: 0, optionsKey: "" },
+    };
+  }
+
+  // Group the selections by modifier group
+  const selectedByGroup = new Map();
+  for (const selection of selections) {
+    const group = groups.find(
+      (g) => g._id.toString() === selection?.groupId?.toString()
+    );
+    if (!group) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Invalid option group for ${product.name}`,
+      };
+    }
+
+    const option = group.options.find(
+      (o) => o._id.toString() === selection.optionId?.toString()
+    );
+    if (!option) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Invalid option for "${group.name}"`,
+      };
+    }
+
+    if (!option.isAvailable) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `"${option.name}" is currently unavailable`,
+      };
+    }
+
+    const groupKey = group._id.toString();
+    const picked = selectedByGroup.get(groupKey) || [];
+    if (picked.some((o) => o._id.toString() === option._id.toString())) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `"${option.name}" was selected more than once`,
+      };
+    }
+    picked.push(option);
+    selectedByGroup.set(groupKey, picked);
+  }
+
+  const selectedOptions = [];
+
+  for (const group of groups) {
+    const groupKey = group._id.toString();
+    let picked = selectedByGroup.get(groupKey);
+
+    if (!picked) {
+      picked = group.options.filter((o) => o.isDefault && o.isAvailable);
+    }
+
+    const minSelections = getMinSelections(group);
+    const maxSelections = group.maxSelections || 1;
+
+    if (picked.length < minSelections) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Please choose at least ${minSelections} option(s) for "${group.name}"`,
+      };
+    }
+
+    if (picked.length > maxSelections) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `You can choose at most ${maxSelections} option(s) for "${group.name}"`,
+      };
+    }
+
+    picked.forEach((option) => {
+      selectedOptions.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        optionName: option.name,
+        priceDelta: option.priceDelta || 0,
+      });
+    });
+  }
+
+  const optionsPrice = selectedOptions.reduce(
+    (sum, option) => sum + option.priceDelta,
+    0
+  );
+
+  return {
+    success: true,
+    data: {
+      selectedOptions,
+      optionsPrice: Math.round(optionsPrice * 100) / 100,
+      optionsKey: buildOptionsKey(selectedOptions),
+    },
+  };
+};
+
+/**
+ * Human readable summary of selected options, e.g. "Large, Extra cheese"
+ * @param {Array} selectedOptions
+ * @returns {string}
+ */
+export const describeSelectedOptions = (selectedOptions = []) =>
+  selectedOptions.map((option) => option.optionName).join(", ");
+
+export default {
+  validateModifierGroups,
+  buildOptionsKey,
+  resolveProductOptions,
+  describeSelectedOptions,
+};
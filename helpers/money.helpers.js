@@ -0,0 +1,25 @@
+// money.helpers.js
+// ✅ Money amounts - shared by pricing, stored value and reporting
+
+/**
+ * Round an amount to cents (missing amounts count as 0)
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Check that a value is a finite amount with at most 2 decimals
+ * (compared with a tolerance - 19.99 * 100 isn't exactly 1999 in floating point)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isMoneyAmount = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  Math.abs(Math.round(value * 100) - value * 100) < 1e-6;
+
+export default {
+  roundMoney,
+  isMoneyAmount,
+};
@@ -0,0 +1,270 @@
+// orderFilter.helpers.js
+// ✅ Admin order search - combined filters shared by the order lists and the export
+
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Table from "../models/table.model.js";
+import PaymentMethod from "../models/paymentMethod.model.js";
+import { buildScheduledFilter } from "./scheduledOrder.helpers.js";
+import { DATE_PATTERN } from "./time.helpers.js";
+
+export const ORDER_STATUSES = [
+  "Processing",
+  "Paid",
+  "Ready",
+  "On the way",
+  "Received",
+  "Failed",
+  "Cancelled",
+];
+
+export const PAYMENT_STATUSES = [
+  "Pending",
+  "Completed",
+  "Failed",
+  "Cancelled",
+  "Refunded",
+  "PartiallyRefunded",
+];
+
+export const PLACE_TYPES = ["Online", "In-Place", "Takeaway"];
+
+const failure = (message) => ({ success: false, statusCode: 400, message });
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a comma separated query value ("Paid,Ready") into trimmed values
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Parse a list and check every value against the allowed ones
+ */
+const parseEnumList = (value, allowed, label) => {
+  const values = toList(value);
+  const invalid = values.filter((item) => !allowed.includes(item));
+  if (invalid.length) {
+    return failure(
+      `Invalid ${label}: ${invalid.join(", ")}. Valid values: ${allowed.join(", ")}`
+    );
+  }
+  return { success: true, data: values };
+};
+
+/**
+ * Parse a date bound; a plain "YYYY-MM-DD" upper bound covers the whole day
+ */
+const parseDateBound = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (endOfDay && DATE_PATTERN.test(value)) {
+    date.setHours(23, 59, 59, 999);
+  } else if (DATE_PATTERN.test(value)) {
+    date.setHours(0, 0, 0, 0);
+  }
+  return date;
+};
+
+/**
+ * Parse a non-negative amount
+ */
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+/**
+ * Customers whose name, email or phone matches the search text
+ * @returns {Promise<ObjectId[]>}
+ */
+const findMatchingBuyers = async (pattern) => {
+  const users = await User.find({
+    $or: [{ name: pattern }, { email: pattern }, { phoneNumber: pattern }],
+  })
+    .select("_id")
+    .limit(500)
+    .lean();
+  return users.map((user) => user._id);
+};
+
+/**
+ * Build a Mongo filter for the admin order lists and export
+ *
+ * Supported query params (all optional, lists are comma separated):
+ * - orderStatus, paymentStatus, placeType
+ * - from, to                    created between (dates, "YYYY-MM-DD" covers the whole day)
+ * - paymentMethod               name ("Card,COD") or id
+ * - governorate, city           delivery location (case-insensitive)
+ * - table                       table number or id
+ * - coupon                      coupon code; hasCoupon=true|false for any coupon
+ * - minTotal, maxTotal          order total
+ * - search                      customer name, email, phone or order number
+ * - scheduled, scheduleStatus, scheduledFrom, scheduledTo (see buildScheduledFilter)
+ *
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} ValidationResult with the filter in data
+ */
+export const buildOrderFilter = async (query = {}) => {
+  const {
+    orderStatus,
+    paymentStatus,
+    placeType,
+    from,
+    to,
+    paymentMethod,
+    governorate,
+    city,
+    table,
+    coupon,
+    hasCoupon,
+    minTotal,
+    maxTotal,
+    search,
+  } = query;
+
+  const scheduledFilter = buildScheduledFilter(query);
+  if (!scheduledFilter.success) return scheduledFilter;
+
+  const filter = { ...scheduledFilter.data };
+  const and = [];
+
+  for (const [field, value, allowed] of [
+    ["orderStatus", orderStatus, ORDER_STATUSES],
+    ["paymentStatus", paymentStatus, PAYMENT_STATUSES],
+    ["placeType", placeType, PLACE_TYPES],
+  ]) {
+    if (!value) continue;
+    const parsed = parseEnumList(value, allowed, field);
+    if (!parsed.success) return parsed;
+    filter[field] = { $in: parsed.data };
+  }
+
+  // Created date range
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const start = parseDateBound(from);
+      if (!start) return failure("from must be a valid date");
+      filter.createdAt.$gte = start;
+    }
+    if (to) {
+      const end = parseDateBound(to, true);
+      if (!end) return failure("to must be a valid date");
+      filter.createdAt.$lte = end;
+    }
+  }
+
+  // Payment method by name or id
+  if (paymentMethod) {
+    const values = toList(paymentMethod);
+    const ids = values.filter((value) => mongoose.isValidObjectId(value));
+    const names = values.filter((value) => !mongoose.isValidObjectId(value));
+
+    const methods = names.length
+      ? await PaymentMethod.find({ name: { $in: names } }).select("_id").lean()
+      : [];
+    filter.paymentMethod = {
+      $in: [...ids, ...methods.map((method) => method._id)],
+    };
+  }
+
+  // Delivery location
+  if (governorate?.trim()) {
+    filter["deliveryLocation.governorate"] = new RegExp(
+      `^${escapeRegex(governorate.trim())}$`,
+      "i"
+    );
+  }
+  if (city?.trim()) {
+    filter["deliveryLocation.city"] = new RegExp(
+      `^${escapeRegex(city.trim())}$`,
+      "i"
+    );
+  }
+
+  // Table by number or id
+  if (table) {
+    if (mongoose.isValidObjectId(table)) {
+      filter.table = table;
+    } else {
+      const number = parseInt(table, 10);
+      if (isNaN(number)) return failure("table must be a table number or id");
+      const found = await Table.findOne({ number }).select("_id").lean();
+      // Unknown table number matches no orders
+      filter.table = found ? found._id : { $in: [] };
+    }
+  }
+
+  // Coupon
+  if (coupon?.trim()) {
+    filter["appliedCoupon.code"] = coupon.trim().toUpperCase();
+  } else if (hasCoupon === "true") {
+    filter["appliedCoupon.code"] = { $exists: true, $ne: null };
+  } else if (hasCoupon === "false") {
+    and.push({
+      $or: [
+        { "appliedCoupon.code": { $exists: false } },
+        { "appliedCoupon.code": null },
+      ],
+    });
+  }
+
+  // Total range
+  if (minTotal !== undefined || maxTotal !== undefined) {
+    filter.totalPrice = {};
+    if (minTotal !== undefined) {
+      const min = parseAmount(minTotal);
+      if (min === null) return failure("minTotal must be a non-negative number");
+      filter.totalPrice.$gte = min;
+    }
+    if (maxTotal !== undefined) {
+      const max = parseAmount(maxTotal);
+      if (max === null) return failure("maxTotal must be a non-negative number");
+      filter.totalPrice.$lte = max;
+    }
+    if (
+      filter.totalPrice.$gte !== undefined &&
+      filter.totalPrice.$lte !== undefined &&
+      filter.totalPrice.$gte > filter.totalPrice.$lte
+    ) {
+      return failure("minTotal cannot be greater than maxTotal");
+    }
+  }
+
+  // Free text: order number, guest details, registered customer details
+  if (search?.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    const buyers = await findMatchingBuyers(pattern);
+
+    and.push({
+      $or: [
+        { orderNumber: pattern },
+        { "guest.name": pattern },
+        { "guest.email": pattern },
+        { "guest.phone": pattern },
+        ...(buyers.length ? [{ buyer: { $in: buyers } }] : []),
+      ],
+    });
+  }
+
+  if (and.length) filter.$and = and;
+
+  return { success: true, data: filter };
+};
+
+export default {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  PLACE_TYPES,
+  escapeRegex,
+  buildOrderFilter,
+};
@@ -0,0 +1,286 @@
+// orderStatus.helpers.js
+// ✅ Order status state machine - single source of truth for status transitions
+
+/**
+ * Payment statuses an order can have while it is still being fulfilled
+ * (COD orders stay "Pending" until the cash is collected)
+ */
+const OPEN_PAYMENT = ["Pending", "Completed"];
+
+/**
+ * Payment statuses that allow cancelling an order
+ */
+const CANCELLABLE_PAYMENT = [
+  "Pending",
+  "Completed",
+  "Failed",
+  "Cancelled",
+  "Refunded",
+  "PartiallyRefunded",
+];
+
+/**
+ * Allowed transitions per placeType
+ * Shape: { [fromStatus]: { [toStatus]: [required paymentStatus values] } }
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  Online: {
+    Processing: {
+      Paid: ["Completed"],
+      Ready: ["Pending"],
+      Failed: ["Pending", "Failed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Paid: {
+      Ready: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Ready: {
+      "On the way": OPEN_PAYMENT,
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    "On the way": {
+      Received: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Received: {},
+    Failed: {},
+    Cancelled: {},
+  },
+  "In-Place": {
+    Processing: {
+      Paid: ["Completed"],
+      Ready: ["Pending"],
+      Failed: ["Pending", "Failed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Paid: {
+      Ready: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Ready: {
+      Received: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Received: {},
+    Failed: {},
+    Cancelled: {},
+  },
+  Takeaway: {
+    Processing: {
+      Paid: ["Completed"],
+      Ready: ["Pending"],
+      Failed: ["Pending", "Failed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Paid: {
+      Ready: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Ready: {
+      Received: ["Completed"],
+      Cancelled: CANCELLABLE_PAYMENT,
+    },
+    Received: {},
+    Failed: {},
+    Cancelled: {},
+  },
+};
+
+/**
+ * Get the statuses an order can move to from its current state
+ * @param {Object} order - The order document
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (order) => {
+  const table = ORDER_STATUS_TRANSITIONS[order.placeType || "Online"] || {};
+  const targets = table[order.orderStatus] || {};
+
+  return Object.keys(targets).filter((status) =>
+    targets[status].includes(order.paymentStatus)
+  );
+};
+
+/**
+ * Check whether an order may move to the given status
+ * @param {Object} order - The order document
+ * @param {string} nextStatus
+ * @returns {ValidationResult}
+ */
+export const validateStatusTransition = (order, nextStatus) => {
+  const placeType = order.placeType || "Online";
+  const table = ORDER_STATUS_TRANSITIONS[placeType];
+  const validStatuses = Object.keys(table);
+
+  if (!validStatuses.includes(nextStatus)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `"${nextStatus}" is not a valid status for ${placeType} orders. Valid statuses: ${validStatuses.join(", ")}`,
+    };
+  }
+
+  if (order.orderStatus === nextStatus) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Order is already "${nextStatus}"`,
+    };
+  }
+
+  const targets = table[order.orderStatus] || {};
+  const requiredPaymentStatuses = targets[nextStatus];
+
+  if (!requiredPaymentStatuses) {
+    const allowed = Object.keys(targets);
+    return {
+      success: false,
+      statusCode: 409,
+      message: allowed.length
+        ? `Cannot change order from "${order.orderStatus}" to "${nextStatus}" for ${placeType} orders. Allowed next statuses: ${allowed.join(", ")}`
+        : `Cannot change order from "${order.orderStatus}": it is a final status`,
+    };
+  }
+
+  if (!requiredPaymentStatuses.includes(order.paymentStatus)) {
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Cannot change order from "${order.orderStatus}" to "${nextStatus}" while payment is "${order.paymentStatus}". Required payment status: ${requiredPaymentStatuses.join(" or ")}`,
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Set a new order status and append it to the status history
+ * Does not validate the transition - use for system-driven changes
+ * (payment webhooks, cancellations) or after validateStatusTransition().
+ * Setting the status the order already has is a no-op.
+ * @param {Object} order - The order document (not saved)
+ * @param {string} status
+ * @param {Object} options
+ * @param {string} [options.changedBy] - User id of the actor
+ * @param {string} [options.source] - "admin" | "customer" | "system" | "payment" | "kitchen"
+ * @param {string} [options.note]
+ */
+export const recordStatusChange = (
+  order,
+  status,
+  { changedBy = null, source = "system", note } = {}
+) => {
+  const previousStatus = order.orderStatus;
+  if (previousStatus === status) return;
+
+  order.orderStatus = status;
+
+  if (!order.statusHistory) {
+    order.statusHistory = [];
+  }
+
+  order.statusHistory.push({
+    from: previousStatus,
+    to: status,
+    paymentStatus: order.paymentStatus,
+    changedBy,
+    source,
+    note,
+    changedAt: new Date(),
+  });
+};
+
+/**
+ * Validate and apply a status transition
+ * @param {Object} order - The order document (not saved)
+ * @param {string} nextStatus
+ * @param {Object} options - See recordStatusChange()
+ * @returns {ValidationResult}
+ */
+export const transitionOrderStatus = (order, nextStatus, options = {}) => {
+  const validation = validateStatusTransition(order, nextStatus);
+  if (!validation.success) {
+    return {
+      ...validation,
+      data: { allowedTransitions: getAllowedTransitions(order) },
+    };
+  }
+
+  recordStatusChange(order, nextStatus, options);
+  return { success: true };
+};
+
+/**
+ * The only way out of a final status: retrying the payment of an order that
+ * failed because its payment failed. Kept out of ORDER_STATUS_TRANSITIONS so
+ * admins can't re-open failed orders through the regular status update.
+ */
+const PAYMENT_RETRY_TRANSITION = {
+  from: "Failed",
+  to: "Processing",
+  paymentStatus: ["Failed"],
+};
+
+/**
+ * Check whether an order's payment may be retried
+ * Cancelled orders (and orders failed by an admin) can't be retried: their
+ * stock, coupon use, points and tenders were already released.
+ * @param {Object} order - The order document
+ * @returns {ValidationResult}
+ */
+export const validatePaymentRetry = (order) => {
+  const { from, paymentStatus } = PAYMENT_RETRY_TRANSITION;
+  const lastChange = order.statusHistory?.[order.statusHistory.length - 1];
+  const failedByAdmin = lastChange?.to === from && lastChange.source !== "payment";
+
+  if (
+    order.orderStatus !== from ||
+    !paymentStatus.includes(order.paymentStatus) ||
+    failedByAdmin
+  ) {
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Payment retry is only allowed for orders that failed because their payment failed (order is "${order.orderStatus}", payment is "${order.paymentStatus}")`,
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Validate and apply the move back to "Processing" for a payment retry
+ * Resets the payment status to "Pending".
+ * @param {Object} order - The order document (not saved)
+ * @param {Object} options - See recordStatusChange()
+ * @returns {ValidationResult}
+ */
+export const transitionForPaymentRetry = (order, options = {}) => {
+  const validation = validatePaymentRetry(order);
+  if (!validation.success) return validation;
+
+  order.paymentStatus = "Pending";
+  recordStatusChange(order, PAYMENT_RETRY_TRANSITION.to, options);
+  return { success: true };
+};
+
+/**
+ * Check whether a payment webhook may still settle the order
+ * Only unpaid orders that weren't cancelled or failed in the meantime qualify,
+ * so late and duplicate webhooks can't re-open an order or confirm it twice.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const isAwaitingPayment = (order) =>
+  order.paymentStatus === "Pending" && !["Cancelled", "Failed"].includes(order.orderStatus);
+
+export default {
+  ORDER_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  validateStatusTransition,
+  recordStatusChange,
+  transitionOrderStatus,
+  validatePaymentRetry,
+  transitionForPaymentRetry,
+  isAwaitingPayment,
+};
@@ -1,7 +1,12 @@
 // orderValidation.helpers.js
 import Cart from "../models/cart.model.js";
 import Product from "../models/product.model.js";
+import StripeConfig from "../models/stripeConfig.model.js";
 import { validateInPlaceOrder } from "./reservation.helpers.js";
+import { resolveProductOptions } from "./modifier.helpers.js";
+import { checkProductSchedule } from "./schedule.helpers.js";
+import { checkStoreOpen } from "./storeHours.helpers.js";
+import { validateScheduledFor } from "./scheduledOrder.helpers.js";
 import {
   calculateDeliveryFee,
   validatePaymentMethod,
@@ -9,6 +14,8 @@ import {
   getPaymentMethodId,
 } from "./payment.helpers.js";
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
  * Validation result type
  * @typedef {Object} ValidationResult
@@ -25,14 +32,15 @@ import {
  */
 export const validateCommonOrderFields = async ({
   userId,
+  isGuest = false,
   placeType,
   tableId,
   paymentMethod,
   governorate,
   city,
 }) => {
-  // Check authentication
-  if (!userId) {
+  // Check authentication (guests are identified by their guestToken instead)
+  if (!userId && !isGuest) {
     return {
       success: false,
       statusCode: 401,
@@ -159,9 +167,10 @@ export const validateOrderAmountSafe = async (totalPrice, paymentMethod = null)
 /**
  * Validate and get cart with products
  * @param {string} cartId
+ * @param {Date} date - When the order is for (menu schedules)
  * @returns {Promise<ValidationResult>}
  */
-export const validateAndGetCart = async (cartId) => {
+export const validateAndGetCart = async (cartId, date = new Date()) => {
   if (!cartId) {
     return {
       success: false,
@@ -188,6 +197,33 @@ export const validateAndGetCart = async (cartId) => {
     };
   }
 
+  // ✅ Availability and options may have changed since the items were added
+  for (const item of cart.products) {
+    if (!item.product) continue;
+
+    if (!item.product.isAvailable) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${item.product.name} is currently unavailable. Please remove it from your cart`,
+      };
+    }
+
+    const scheduleResult = await checkProductSchedule(item.product, date);
+    if (!scheduleResult.success) {
+      return scheduleResult;
+    }
+
+    const optionsResult = resolveProductOptions(item.product, item.selectedOptions);
+    if (!optionsResult.success) {
+      return {
+        success: false,
+        statusCode: optionsResult.statusCode,
+        message: `${item.product.name}: ${optionsResult.message}. Please update your cart`,
+      };
+    }
+  }
+
   return { success: true, data: cart };
 };
 
@@ -195,9 +231,16 @@ export const validateAndGetCart = async (cartId) => {
  * Validate and get single product
  * @param {string} productId
  * @param {number} quantity
+ * @param {Array} options - Selected modifiers [{ groupId, optionId }]
+ * @param {Date} date - When the order is for (menu schedules)
  * @returns {Promise<ValidationResult>}
  */
-export const validateAndGetProduct = async (productId, quantity) => {
+export const validateAndGetProduct = async (
+  productId,
+  quantity,
+  options = [],
+  date = new Date()
+) => {
   if (!productId) {
     return {
       success: false,
@@ -224,15 +267,34 @@ export const validateAndGetProduct = async (productId, quantity) => {
     };
   }
 
+  if (!product.isAvailable) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `${product.name} is currently unavailable`,
+    };
+  }
+
+  const scheduleResult = await checkProductSchedule(product, date);
+  if (!scheduleResult.success) {
+    return scheduleResult;
+  }
+
+  const optionsResult = resolveProductOptions(product, options);
+  if (!optionsResult.success) {
+    return optionsResult;
+  }
+
   return { success: true, data: product };
 };
 
 /**
  * Validate and enrich multiple products
- * @param {Array} products - Array of { productId, quantity }
+ * @param {Array} products - Array of { productId, quantity, options? }
+ * @param {Date} date - When the order is for (menu schedules)
  * @returns {Promise<ValidationResult>}
  */
-export const validateAndEnrichProducts = async (products) => {
+export const validateAndEnrichProducts = async (products, date = new Date()) => {
   if (!products || !Array.isArray(products) || products.length === 0) {
     return {
       success: false,
@@ -260,13 +322,28 @@ export const validateAndEnrichProducts = async (products) => {
           throw new Error(`Product not found: ${item.productId}`);
         }
 
-        subtotal += product.price * item.quantity;
+        if (!product.isAvailable) {
+          throw new Error(`${product.name} is currently unavailable`);
+        }
+
+        const scheduleResult = await checkProductSchedule(product, date);
+        if (!scheduleResult.success) {
+          throw new Error(scheduleResult.message);
+        }
+
+        const optionsResult = resolveProductOptions(product, item.options || []);
+        if (!optionsResult.success) {
+          throw new Error(`${product.name}: ${optionsResult.message}`);
+        }
+
+        subtotal += (product.price + optionsResult.data.optionsPrice) * item.quantity;
         totalQuantity += item.quantity;
 
         return {
           product: product._id,
           productData: product,
           quantity: item.quantity,
+          selectedOptions: optionsResult.data.selectedOptions,
         };
       })
     );
@@ -288,6 +365,66 @@ export const validateAndEnrichProducts = async (products) => {
   }
 };
 
+/**
+ * Validate guest checkout details
+ * @param {Object} params
+ * @param {Object} params.guest - { name, email, phone }
+ * @param {Object} params.address - { street, buildingNumber, flatNumber, notes } (Online only)
+ * @param {string} params.placeType
+ * @returns {Promise<ValidationResult>} data: guest snapshot for the order
+ */
+export const validateGuestCheckout = async ({ guest, address, placeType }) => {
+  const config = await StripeConfig.getActiveConfig();
+  if (config && !config.allowGuestCheckout) {
+    return {
+      success: false,
+      statusCode: 403,
+      message: "Guest checkout is disabled. Please log in to place an order",
+    };
+  }
+
+  const name = guest?.name?.trim();
+  const email = guest?.email?.toLowerCase().trim();
+  const phone = guest?.phone?.trim();
+
+  if (!name || !email || !phone) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Guest name, email and phone are required",
+    };
+  }
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Invalid email address",
+    };
+  }
+
+  const data = { name, email, phone };
+
+  if (placeType === "Online") {
+    if (!address?.street || !address?.buildingNumber || !address?.flatNumber) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "Street, building number and flat number are required for delivery",
+      };
+    }
+
+    data.address = {
+      street: String(address.street).trim(),
+      buildingNumber: String(address.buildingNumber).trim(),
+      flatNumber: String(address.flatNumber).trim(),
+      notes: address.notes,
+    };
+  }
+
+  return { success: true, data };
+};
+
 /**
  * Full order validation pipeline
  * Validates all common fields and returns processed data
@@ -296,15 +433,17 @@ export const validateAndEnrichProducts = async (products) => {
  */
 export const validateOrderRequest = async ({
   userId,
+  isGuest = false,
   addressId,
   placeType,
   tableId,
   paymentMethod,
   governorate,
   city,
+  scheduledFor,
 }) => {
-  // Validate address
-  if (!addressId) {
+  // Validate address (guests send their address with their contact details)
+  if (!addressId && !isGuest) {
     return {
       success: false,
       statusCode: 400,
@@ -315,6 +454,7 @@ export const validateOrderRequest = async ({
   // Validate common fields (includes payment method validation)
   const commonValidation = await validateCommonOrderFields({
     userId,
+    isGuest,
     placeType,
     tableId,
     paymentMethod,
@@ -326,6 +466,21 @@ export const validateOrderRequest = async ({
     return commonValidation;
   }
 
+  // ✅ Opening hours and last-order cut-off (at the due time for scheduled orders)
+  let schedule = null;
+  if (scheduledFor) {
+    const scheduleResult = await validateScheduledFor({ scheduledFor, placeType });
+    if (!scheduleResult.success) {
+      return scheduleResult;
+    }
+    schedule = scheduleResult.data;
+  } else {
+    const storeCheck = await checkStoreOpen({ placeType, purpose: "order" });
+    if (!storeCheck.success) {
+      return storeCheck;
+    }
+  }
+
   // Get payment method ID
   const paymentMethodResult = await getPaymentMethodIdSafe(paymentMethod);
   if (!paymentMethodResult.success) {
@@ -336,6 +491,7 @@ export const validateOrderRequest = async ({
     success: true,
     data: {
       paymentMethodId: paymentMethodResult.data,
+      schedule,
     },
   };
 };
@@ -348,5 +504,6 @@ export default {
   validateAndGetCart,
   validateAndGetProduct,
   validateAndEnrichProducts,
+  validateGuestCheckout,
   validateOrderRequest,
 };
\ No newline at end of file
@@ -129,6 +129,8 @@ export const getPaymentProvider = (paymentMethod) => {
   if (paymentMethod === "Card") return "stripe";
   if (paymentMethod.startsWith("Paymob-")) return "paymob";
   if (paymentMethod === "COD") return "cod";
+  if (paymentMethod === "GiftCard") return "giftcard";
+  if (paymentMethod === "Wallet") return "wallet";
   return "unknown";
 };
 
@@ -306,8 +308,8 @@ export const validateRefundRequest = async (order, refundAmount = null) => {
     }
   }
 
-  // COD - no refund validation needed
-  if (provider === "cod") {
+  // COD and stored value - no refund validation needed
+  if (["cod", "giftcard", "wallet"].includes(provider)) {
     return { success: true };
   }
 
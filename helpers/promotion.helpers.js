@@ -0,0 +1,383 @@
+// helpers/promotion.helpers.js
+// ✅ Promotion rules - validation and evaluation against a priced cart (no database access)
+
+import mongoose from "mongoose";
+import { roundMoney } from "./money.helpers.js";
+import { RFM_SEGMENT_NAMES } from "./customerAnalytics.helpers.js";
+import { isWithinSchedule, validateAvailabilitySchedule } from "./schedule.helpers.js";
+import {
+  expandUnits,
+  getCategoryId,
+  getProductId,
+  spreadOverLines,
+  sumLineDiscounts,
+} from "./lineDiscount.helpers.js";
+
+const ACTION_TYPES = ["percentage", "fixed", "freeItem", "freeDelivery"];
+const PLACE_TYPES = ["Online", "In-Place", "Takeaway"];
+const CUSTOMER_TYPES = ["guest", "registered", "firstOrder", "returning"];
+
+const fail = (message) => ({
+  success: false,
+  statusCode: 400,
+  message,
+});
+
+// ==================== VALIDATION ====================
+
+/**
+ * Validate a promotion (a new one, or the current one merged with an update)
+ * @param {Object} promotion
+ * @returns {Object} ValidationResult
+ */
+export const validatePromotion = (promotion) => {
+  const { name, action, conditions = {}, priority, startDate, endDate } = promotion;
+
+  if (!name?.trim()) {
+    return fail("name is required");
+  }
+
+  if (priority !== undefined && typeof priority !== "number") {
+    return fail("priority must be a number");
+  }
+
+  for (const field of ["stackable", "combinableWithCoupons", "isActive"]) {
+    if (promotion[field] !== undefined && typeof promotion[field] !== "boolean") {
+      return fail(`${field} must be true or false`);
+    }
+  }
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+    return fail("startDate and endDate must be valid dates");
+  }
+  if (start && end && end <= start) {
+    return fail("endDate must be after startDate");
+  }
+
+  // Action
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    return fail(`action.type must be one of: ${ACTION_TYPES.join(", ")}`);
+  }
+  if (["percentage", "fixed"].includes(action.type)) {
+    if (typeof action.value !== "number" || action.value <= 0) {
+      return fail("action.value must be a positive number");
+    }
+    if (action.type === "percentage" && action.value > 100) {
+      return fail("A percentage can't be more than 100");
+    }
+  }
+  if (action.appliesTo !== undefined && !["cart", "items"].includes(action.appliesTo)) {
+    return fail("action.appliesTo must be cart or items");
+  }
+  if (
+    action.maxDiscountAmount !== undefined &&
+    action.maxDiscountAmount !== null &&
+    (typeof action.maxDiscountAmount !== "number" || action.maxDiscountAmount < 0)
+  ) {
+    return fail("action.maxDiscountAmount must be a non-negative number");
+  }
+  if (action.type === "freeItem") {
+    if (!mongoose.isValidObjectId(action.freeProduct)) {
+      return fail("action.freeProduct must be a valid product id");
+    }
+    if (
+      action.freeQuantity !== undefined &&
+      (!Number.isInteger(action.freeQuantity) || action.freeQuantity < 1)
+    ) {
+      return fail("action.freeQuantity must be a positive whole number");
+    }
+  }
+
+  // Conditions
+  for (const field of ["minSubtotal", "minQuantity"]) {
+    if (
+      conditions[field] !== undefined &&
+      (typeof conditions[field] !== "number" || conditions[field] < 0)
+    ) {
+      return fail(`conditions.${field} must be a non-negative number`);
+    }
+  }
+
+  for (const field of ["products", "categories"]) {
+    const ids = conditions[field] || [];
+    if (!Array.isArray(ids) || ids.some((id) => !mongoose.isValidObjectId(id))) {
+      return fail(`conditions.${field} must be an array of valid ids`);
+    }
+  }
+
+  const enumFields = [
+    ["placeTypes", PLACE_TYPES],
+    ["customerTypes", CUSTOMER_TYPES],
+    ["segments", RFM_SEGMENT_NAMES],
+  ];
+  for (const [field, allowed] of enumFields) {
+    const values = conditions[field] || [];
+    if (!Array.isArray(values) || values.some((value) => !allowed.includes(value))) {
+      return fail(`conditions.${field} can only contain: ${allowed.join(", ")}`);
+    }
+  }
+
+  if (conditions.schedule !== undefined) {
+    const scheduleCheck = validateAvailabilitySchedule(conditions.schedule);
+    if (!scheduleCheck.success) {
+      return fail(scheduleCheck.message.replace("availabilitySchedule", "conditions.schedule"));
+    }
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Promotion is valid",
+    data: promotion,
+  };
+};
+
+// ==================== EVALUATION ====================
+
+/**
+ * Lines a promotion is about (its products / categories, or every line)
+ * @returns {number[]} Line indexes
+ */
+const getMatchingLines = (conditions, itemsWithPrices) => {
+  const products = (conditions.products || []).map(String);
+  const categories = (conditions.categories || []).map(String);
+  const scoped = products.length > 0 || categories.length > 0;
+
+  return itemsWithPrices
+    .map((item, index) => ({ item, index }))
+    .filter(
+      ({ item }) =>
+        !scoped ||
+        products.includes(getProductId(item)) ||
+        categories.includes(getCategoryId(item))
+    )
+    .map(({ index }) => index);
+};
+
+/**
+ * Check a promotion's conditions against the cart
+ * @returns {Object} ValidationResult with the matching line indexes as data
+ */
+const checkConditions = (promotion, context) => {
+  const conditions = promotion.conditions || {};
+  const { itemsWithPrices, subtotal, placeType, at, customer } = context;
+
+  if (conditions.schedule?.length && !isWithinSchedule(conditions.schedule, at)) {
+    return fail("Not available at this time");
+  }
+
+  if (conditions.placeTypes?.length && !conditions.placeTypes.includes(placeType)) {
+    return fail(`Only for ${conditions.placeTypes.join(" / ")} orders`);
+  }
+
+  if (conditions.customerTypes?.length) {
+    const types = !customer
+      ? ["guest"]
+      : ["registered", customer.isFirstOrder ? "firstOrder" : "returning"];
+    if (!conditions.customerTypes.some((type) => types.includes(type))) {
+      return fail("Not available for your account");
+    }
+  }
+
+  if (conditions.segments?.length && !conditions.segments.includes(customer?.segment)) {
+    return fail("Not available for your account");
+  }
+
+  if (conditions.minSubtotal > 0 && subtotal < conditions.minSubtotal) {
+    return fail(`Spend ${roundMoney(conditions.minSubtotal - subtotal)} more to get this`);
+  }
+
+  const matchingLines = getMatchingLines(conditions, itemsWithPrices);
+  const matchingQuantity = matchingLines.reduce(
+    (sum, index) => sum + itemsWithPrices[index].quantity,
+    0
+  );
+  if (matchingLines.length === 0) {
+    return fail("Add an eligible item to get this");
+  }
+  if (conditions.minQuantity > 0 && matchingQuantity < conditions.minQuantity) {
+    return fail(`Add ${conditions.minQuantity - matchingQuantity} more eligible item(s) to get this`);
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Conditions met",
+    data: matchingLines,
+  };
+};
+
+/**
+ * Work out a promotion's discount per line
+ * @param {Object} action
+ * @param {Array} itemsWithPrices
+ * @param {number[]} matchingLines
+ * @param {number[]} lineAmounts - What each line still costs
+ * @returns {Object} ValidationResult with { lineDiscounts, freeDelivery } as data
+ */
+const applyAction = (action, itemsWithPrices, matchingLines, lineAmounts) => {
+  let lineDiscounts = lineAmounts.map(() => 0);
+  let freeDelivery = false;
+
+  switch (action.type) {
+    case "percentage":
+    case "fixed": {
+      const lines =
+        action.appliesTo === "items" ? matchingLines : lineAmounts.map((_, index) => index);
+      const base = lines.reduce((sum, index) => sum + lineAmounts[index], 0);
+      let discount =
+        action.type === "percentage" ? (base * action.value) / 100 : Math.min(action.value, base);
+      if (action.maxDiscountAmount && discount > action.maxDiscountAmount) {
+        discount = action.maxDiscountAmount;
+      }
+      lineDiscounts = spreadOverLines(lineAmounts, lines, roundMoney(discount));
+      break;
+    }
+
+    case "freeItem": {
+      const freeProductId = action.freeProduct.toString();
+      const isFreeProduct = (item) => getProductId(item) === freeProductId;
+
+      const freeUnits = expandUnits(itemsWithPrices, isFreeProduct);
+      if (freeUnits.length === 0) {
+        return fail("Add the free item to your cart to get it");
+      }
+      if (!matchingLines.some((index) => !isFreeProduct(itemsWithPrices[index]))) {
+        return fail("The free item comes with the purchase of another item");
+      }
+
+      lineDiscounts = sumLineDiscounts(
+        itemsWithPrices,
+        freeUnits
+          .slice(0, action.freeQuantity || 1)
+          .map((unit) => ({ index: unit.index, discount: unit.price }))
+      );
+
+      let total = 0;
+      lineDiscounts = lineDiscounts.map((amount, index) => {
+        let share = Math.min(amount, lineAmounts[index]);
+        if (action.maxDiscountAmount) {
+          share = Math.min(share, roundMoney(action.maxDiscountAmount - total));
+        }
+        total = roundMoney(total + share);
+        return share;
+      });
+      break;
+    }
+
+    case "freeDelivery":
+      freeDelivery = true;
+      break;
+  }
+
+  if (!freeDelivery && !lineDiscounts.some((amount) => amount > 0)) {
+    return fail("Nothing left to discount");
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Action applied",
+    data: { lineDiscounts, freeDelivery },
+  };
+};
+
+/**
+ * Run promotions against a priced cart
+ * Promotions run highest priority first. Each one discounts what earlier
+ * ones left. A non-stackable promotion only fires on its own and ends the run.
+ * @param {Object[]} promotions - Running promotions, highest priority first
+ * @param {Object} context
+ * @param {Array} context.itemsWithPrices - Priced lines from calculateCartTotals
+ * @param {number} context.subtotal - Cart subtotal after product discounts
+ * @param {string} [context.placeType]
+ * @param {Date} context.at
+ * @param {Object|null} context.customer - { isFirstOrder, segment }, null for guests
+ * @param {boolean} context.hasCoupon
+ * @returns {Object} { discount, freeDelivery, lineDiscounts, applied, skipped }
+ */
+export const evaluatePromotions = (promotions, context) => {
+  const { itemsWithPrices, hasCoupon } = context;
+  const lineAmounts = itemsWithPrices.map((item) => item.lineTotal ?? item.itemTotal);
+  const totalLineDiscounts = itemsWithPrices.map(() => 0);
+  const applied = [];
+  const skipped = [];
+  let freeDelivery = false;
+  let exclusiveApplied = false;
+
+  for (const promotion of promotions) {
+    const skip = (reason) =>
+      skipped.push({ promotion: promotion._id, name: promotion.name, reason });
+
+    if (exclusiveApplied) {
+      skip("Another promotion already applies");
+      continue;
+    }
+    if (!promotion.stackable && applied.length > 0) {
+      skip("Can't be combined with other promotions");
+      continue;
+    }
+    if (!promotion.combinableWithCoupons && hasCoupon) {
+      skip("Can't be combined with a coupon");
+      continue;
+    }
+
+    const conditionCheck = checkConditions(promotion, context);
+    if (!conditionCheck.success) {
+      skip(conditionCheck.message);
+      continue;
+    }
+
+    const actionResult = applyAction(
+      promotion.action,
+      itemsWithPrices,
+      conditionCheck.data,
+      lineAmounts
+    );
+    if (!actionResult.success) {
+      skip(actionResult.message);
+      continue;
+    }
+
+    const { lineDiscounts } = actionResult.data;
+    lineDiscounts.forEach((amount, index) => {
+      lineAmounts[index] = roundMoney(lineAmounts[index] - amount);
+      totalLineDiscounts[index] = roundMoney(totalLineDiscounts[index] + amount);
+    });
+    freeDelivery = freeDelivery || actionResult.data.freeDelivery;
+
+    applied.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      description: promotion.description,
+      actionType: promotion.action.type,
+      discount: roundMoney(lineDiscounts.reduce((sum, amount) => sum + amount, 0)),
+      freeDelivery: actionResult.data.freeDelivery,
+      items: itemsWithPrices
+        .map((item, index) => ({
+          product: item.product._id,
+          name: item.name,
+          optionsKey: item.optionsKey,
+          discount: lineDiscounts[index],
+        }))
+        .filter((item) => item.discount > 0),
+    });
+
+    if (!promotion.stackable) exclusiveApplied = true;
+  }
+
+  return {
+    discount: roundMoney(totalLineDiscounts.reduce((sum, amount) => sum + amount, 0)),
+    freeDelivery,
+    lineDiscounts: totalLineDiscounts,
+    applied,
+    skipped,
+  };
+};
+
+export default {
+  validatePromotion,
+  evaluatePromotions,
+};
@@ -0,0 +1,115 @@
+// helpers/referral.helpers.js
+// ✅ Referral settings validation (no database access)
+
+const REWARD_TYPES = ["wallet", "coupon", "none"];
+const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+/**
+ * Validate one side's reward
+ * @param {string} field - "referrerReward" | "refereeReward"
+ * @param {Object} reward
+ * @returns {string|null} Error message
+ */
+const validateReward = (field, reward) => {
+  if (!reward || typeof reward !== "object" || Array.isArray(reward)) {
+    return `${field} must be an object`;
+  }
+
+  if (!REWARD_TYPES.includes(reward.type)) {
+    return `${field}.type must be one of: ${REWARD_TYPES.join(", ")}`;
+  }
+
+  if (reward.type === "none") return null;
+
+  if (typeof reward.amount !== "number" || reward.amount <= 0) {
+    return `${field}.amount must be a positive number`;
+  }
+
+  if (reward.type === "coupon") {
+    if (reward.discountType !== undefined && !DISCOUNT_TYPES.includes(reward.discountType)) {
+      return `${field}.discountType must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+    }
+    if (reward.discountType === "percentage" && reward.amount > 100) {
+      return `${field}.amount can't be more than 100 for a percentage coupon`;
+    }
+    for (const key of ["maxDiscountAmount", "minOrderAmount"]) {
+      if (
+        reward[key] !== undefined &&
+        (typeof reward[key] !== "number" || reward[key] < 0)
+      ) {
+        return `${field}.${key} must be a non-negative number`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a referral settings update
+ * @param {Object} updates
+ * @returns {Object} ValidationResult
+ */
+export const validateReferralSettingsUpdate = (updates) => {
+  for (const field of ["isEnabled", "blockSamePhone", "blockSameDevice"]) {
+    if (updates[field] !== undefined && typeof updates[field] !== "boolean") {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${field} must be true or false`,
+      };
+    }
+  }
+
+  for (const field of [
+    "minFirstOrderAmount",
+    "maxRewardsPerReferrer",
+    "maxRewardsPerMonth",
+  ]) {
+    if (
+      updates[field] !== undefined &&
+      (typeof updates[field] !== "number" || updates[field] < 0)
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${field} must be a non-negative number`,
+      };
+    }
+  }
+
+  if (
+    updates.couponValidDays !== undefined &&
+    (!Number.isInteger(updates.couponValidDays) || updates.couponValidDays < 1)
+  ) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "couponValidDays must be a whole number of at least 1",
+    };
+  }
+
+  for (const field of ["referrerReward", "refereeReward"]) {
+    if (updates[field] === undefined) continue;
+
+    const error = validateReward(field, updates[field]);
+    if (error) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: error,
+      };
+    }
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Referral settings are valid",
+    data: updates,
+  };
+};
+
+export default {
+  validateReferralSettingsUpdate,
+};
@@ -0,0 +1,322 @@
+// schedule.helpers.js
+// ✅ Weekly availability windows (menu scheduling)
+// Windows use server local time, like reservation slots.
+
+import Category from "../models/category.model.js";
+import { DAY_NAMES, TIME_PATTERN, pad } from "./time.helpers.js";
+
+/**
+ * Split a date into the parts windows are matched against
+ * @param {Date} date
+ * @returns {{day: number, prevDay: number, time: string}}
+ */
+export const getScheduleMoment = (date = new Date()) => {
+  const day = date.getDay();
+  return {
+    day,
+    prevDay: (day + 6) % 7,
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  };
+};
+
+/**
+ * Parse an optional "at" query value into a date
+ * @param {string} at - Any value accepted by new Date()
+ * @returns {ValidationResult} data: Date (now when omitted)
+ */
+export const parseScheduleDate = (at) => {
+  if (!at) {
+    return { success: true, data: new Date() };
+  }
+
+  const date = new Date(at);
+  if (isNaN(date.getTime())) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Invalid datetime. Use an ISO date, e.g. 2025-01-31T08:30",
+    };
+  }
+
+  return { success: true, data: date };
+};
+
+/**
+ * Validate a schedule sent by an admin
+ * @param {Array} schedule - [{ days, startTime, endTime }]
+ * @returns {ValidationResult}
+ */
+export const validateAvailabilitySchedule = (schedule) => {
+  if (!Array.isArray(schedule)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "availabilitySchedule must be an array",
+    };
+  }
+
+  for (const window of schedule) {
+    if (
+      !Array.isArray(window?.days) ||
+      window.days.length === 0 ||
+      window.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "Each window needs days between 0 (Sunday) and 6 (Saturday)",
+      };
+    }
+
+    if (!TIME_PATTERN.test(window.startTime) || !TIME_PATTERN.test(window.endTime)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "startTime and endTime must be in HH:mm format",
+      };
+    }
+
+    if (window.startTime === window.endTime) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "startTime and endTime cannot be the same",
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check whether a single window is open at the given moment
+ * A window past midnight (endTime < startTime) belongs to its start day.
+ */
+const isWindowOpen = (window, { day, prevDay, time }) => {
+  if (window.startTime < window.endTime) {
+    return (
+      window.days.includes(day) &&
+      window.startTime <= time &&
+      time < window.endTime
+    );
+  }
+
+  return (
+    (window.days.includes(day) && window.startTime <= time) ||
+    (window.days.includes(prevDay) && time < window.endTime)
+  );
+};
+
+/**
+ * Check whether a schedule is open at the given date
+ * An empty schedule is always open.
+ * @param {Array} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const isWithinSchedule = (schedule = [], date = new Date()) => {
+  if (!schedule?.length) return true;
+
+  const moment = getScheduleMoment(date);
+  return schedule.some((window) => isWindowOpen(window, moment));
+};
+
+/**
+ * When a schedule next opens after a date
+ * Used for recurring discounts ("happy hour starts at 15:00").
+ * @param {Array} schedule
+ * @param {Date} from
+ * @param {Object} [range] - Dates the schedule is limited to
+ * @param {Date} [range.startDate]
+ * @param {Date} [range.endDate]
+ * @returns {Date|null} null when nothing opens before the range ends
+ */
+export const getNextScheduleStart = (schedule = [], from = new Date(), { startDate, endDate } = {}) => {
+  const start = startDate && startDate > from ? new Date(startDate) : from;
+
+  let next = null;
+  if (start > from && isWithinSchedule(schedule, start)) {
+    // Opens as soon as the date range starts
+    next = start;
+  } else if (schedule?.length) {
+    for (let offset = 0; offset <= 7 && !next; offset++) {
+      const date = new Date(start);
+      date.setDate(date.getDate() + offset);
+
+      next = schedule
+        .filter((window) => window.days.includes(date.getDay()))
+        .map((window) => {
+          const [hours, minutes] = window.startTime.split(":").map(Number);
+          const opensAt = new Date(date);
+          opensAt.setHours(hours, minutes, 0, 0);
+          return opensAt;
+        })
+        .filter((opensAt) => opensAt > start)
+        .sort((a, b) => a - b)[0] || null;
+    }
+  }
+
+  if (next && endDate && next > endDate) return null;
+  return next;
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Weekly minute ranges a schedule covers, [start, end) from Sunday 00:00
+ * Windows past midnight run into the next day; Saturday night wraps to Sunday.
+ */
+const toWeeklyRanges = (schedule) =>
+  schedule.flatMap((window) =>
+    window.days.flatMap((day) => {
+      const start = day * MINUTES_PER_DAY + toMinutes(window.startTime);
+      let end = day * MINUTES_PER_DAY + toMinutes(window.endTime);
+      if (window.endTime < window.startTime) end += MINUTES_PER_DAY;
+
+      return end > MINUTES_PER_WEEK
+        ? [
+            [start, MINUTES_PER_WEEK],
+            [0, end - MINUTES_PER_WEEK],
+          ]
+        : [[start, end]];
+    })
+  );
+
+/**
+ * Check whether two schedules are ever open at the same time
+ * An empty schedule is always open, so it overlaps anything.
+ * @param {Array} first
+ * @param {Array} second
+ * @returns {boolean}
+ */
+export const schedulesOverlap = (first = [], second = []) => {
+  if (!first?.length || !second?.length) return true;
+
+  const secondRanges = toWeeklyRanges(second);
+  return toWeeklyRanges(first).some(([start, end]) =>
+    secondRanges.some(([otherStart, otherEnd]) => start < otherEnd && otherStart < end)
+  );
+};
+
+/**
+ * Aggregation expression equivalent of isWithinSchedule()
+ * Use inside { $match: { $expr: ... } } or $addFields.
+ * @param {string} fieldPath - e.g. "$availabilitySchedule"
+ * @param {Date} date
+ * @returns {Object}
+ */
+export const buildScheduleExpr = (fieldPath, date = new Date()) => {
+  const { day, prevDay, time } = getScheduleMoment(date);
+  const schedule = { $ifNull: [fieldPath, []] };
+
+  return {
+    $or: [
+      { $eq: [{ $size: schedule }, 0] },
+      {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: schedule,
+              as: "w",
+              in: {
+                $or: [
+                  // Same-day window
+                  {
+                    $and: [
+                      { $lt: ["$$w.startTime", "$$w.endTime"] },
+                      { $in: [day, "$$w.days"] },
+                      { $lte: ["$$w.startTime", time] },
+                      { $gt: ["$$w.endTime", time] },
+                    ],
+                  },
+                  // Past-midnight window, evening part
+                  {
+                    $and: [
+                      { $gt: ["$$w.startTime", "$$w.endTime"] },
+                      { $in: [day, "$$w.days"] },
+                      { $lte: ["$$w.startTime", time] },
+                    ],
+                  },
+                  // Past-midnight window, started the day before
+                  {
+                    $and: [
+                      { $gt: ["$$w.startTime", "$$w.endTime"] },
+                      { $in: [prevDay, "$$w.days"] },
+                      { $gt: ["$$w.endTime", time] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ],
+      },
+    ],
+  };
+};
+
+/**
+ * Human readable schedule, e.g. "Mon, Tue 07:00-11:00; Sat 09:00-12:00"
+ * @param {Array} schedule
+ * @returns {string}
+ */
+export const formatSchedule = (schedule = []) =>
+  schedule
+    .map(
+      (window) =>
+        `${[...window.days]
+          .sort()
+          .map((day) => DAY_NAMES[day])
+          .join(", ")} ${window.startTime}-${window.endTime}`
+    )
+    .join("; ");
+
+/**
+ * Check that a product is on the menu at the given date
+ * (its category's schedule and its own schedule are both open)
+ * @param {Object} product - Product document, category may be populated
+ * @param {Date} date
+ * @returns {Promise<ValidationResult>}
+ */
+export const checkProductSchedule = async (product, date = new Date()) => {
+  let category = product.category;
+  if (category && !category.availabilitySchedule) {
+    category = await Category.findById(category).select("name availabilitySchedule");
+  }
+
+  if (category && !isWithinSchedule(category.availabilitySchedule, date)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `${product.name} is not available at this time. ${category.name} is served ${formatSchedule(category.availabilitySchedule)}`,
+    };
+  }
+
+  if (!isWithinSchedule(product.availabilitySchedule, date)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `${product.name} is not available at this time. It is served ${formatSchedule(product.availabilitySchedule)}`,
+    };
+  }
+
+  return { success: true };
+};
+
+export default {
+  getScheduleMoment,
+  parseScheduleDate,
+  validateAvailabilitySchedule,
+  isWithinSchedule,
+  getNextScheduleStart,
+  schedulesOverlap,
+  buildScheduleExpr,
+  formatSchedule,
+  checkProductSchedule,
+};
@@ -0,0 +1,203 @@
+// scheduledOrder.helpers.js
+// ✅ Scheduled (pre-order) deliveries and pickups
+// Orders placed now for a later time are held and released to the kitchen
+// a lead time before they are due.
+
+import StoreSettings from "../models/storeSettings.model.js";
+import { checkStoreOpen, formatStoreTime } from "./storeHours.helpers.js";
+
+/**
+ * placeTypes that can be ordered ahead (dine-in is tied to a seated table)
+ */
+export const SCHEDULABLE_PLACE_TYPES = ["Online", "Takeaway"];
+
+export const SCHEDULE_STATUSES = ["Held", "Released"];
+
+/**
+ * Scheduling settings, falling back to schema defaults when none are saved
+ * @returns {Promise<Object>}
+ */
+export const getSchedulingSettings = async () => {
+  const settings = await StoreSettings.getActiveConfig();
+  return (settings || new StoreSettings()).scheduledOrders;
+};
+
+/**
+ * When a scheduled order should reach the kitchen
+ * @param {Date} scheduledFor
+ * @param {string} placeType
+ * @param {Object} scheduling - StoreSettings.scheduledOrders
+ * @returns {Date}
+ */
+export const getReleaseAt = (scheduledFor, placeType, scheduling) => {
+  const leadMinutes = scheduling.releaseLeadMinutes?.[placeType] ?? 0;
+  return new Date(scheduledFor.getTime() - leadMinutes * 60000);
+};
+
+/**
+ * Capacity slot containing the given date, aligned to local midnight
+ * @param {Date} date
+ * @param {number} slotMinutes
+ * @returns {{start: Date, end: Date}}
+ */
+export const getSlotRange = (date, slotMinutes) => {
+  const start = new Date(date);
+  const minutesIntoDay = start.getHours() * 60 + start.getMinutes();
+  const slotStart = minutesIntoDay - (minutesIntoDay % slotMinutes);
+  start.setHours(Math.floor(slotStart / 60), slotStart % 60, 0, 0);
+
+  return { start, end: new Date(start.getTime() + slotMinutes * 60000) };
+};
+
+/**
+ * Counter key for a capacity slot
+ * The slot length is part of the key, so changing it starts counting afresh.
+ * @param {{start: Date}} slot - getSlotRange result
+ * @param {number} slotMinutes
+ * @returns {string}
+ */
+export const getSlotKey = (slot, slotMinutes) =>
+  `slot:${slotMinutes}:${slot.start.toISOString()}`;
+
+/**
+ * Validate a requested scheduledFor time
+ * Checks lead time, booking horizon and opening hours at the due time.
+ * Slot capacity is taken once the order exists (reserveOrderSlot).
+ * @param {Object} params
+ * @param {string} params.scheduledFor - Any value accepted by new Date()
+ * @param {string} params.placeType
+ * @param {Date} [params.now]
+ * @returns {Promise<ValidationResult>} data: { scheduledFor, releaseAt }
+ */
+export const validateScheduledFor = async ({
+  scheduledFor,
+  placeType,
+  now = new Date(),
+}) => {
+  const dueAt = new Date(scheduledFor);
+  if (isNaN(dueAt.getTime())) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Invalid scheduledFor. Use an ISO date, e.g. 2025-01-31T13:30",
+    };
+  }
+
+  const scheduling = await getSchedulingSettings();
+
+  if (!scheduling.isEnabled) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Scheduled orders are not available at the moment",
+    };
+  }
+
+  if (!SCHEDULABLE_PLACE_TYPES.includes(placeType)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Only ${SCHEDULABLE_PLACE_TYPES.join(" and ")} orders can be scheduled`,
+    };
+  }
+
+  const earliest = new Date(now.getTime() + scheduling.minAdvanceMinutes * 60000);
+  if (dueAt < earliest) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Scheduled orders must be at least ${scheduling.minAdvanceMinutes} minutes ahead. Earliest: ${formatStoreTime(earliest)}`,
+    };
+  }
+
+  const latest = new Date(now.getTime() + scheduling.maxAdvanceDays * 86400000);
+  if (dueAt > latest) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Orders can be scheduled up to ${scheduling.maxAdvanceDays} days ahead`,
+    };
+  }
+
+  // Restaurant must be open (and before last orders) when the order is due
+  const storeCheck = await checkStoreOpen({ date: dueAt, placeType, purpose: "order" });
+  if (!storeCheck.success) {
+    return storeCheck;
+  }
+
+  return {
+    success: true,
+    data: {
+      scheduledFor: dueAt,
+      releaseAt: getReleaseAt(dueAt, placeType, scheduling),
+    },
+  };
+};
+
+/**
+ * Build the order filter for scheduled window query params
+ * @param {Object} query
+ * @param {string} [query.scheduled] - "true" (pre-orders only) | "false" (ASAP only)
+ * @param {string} [query.scheduleStatus] - "Held" | "Released"
+ * @param {string} [query.scheduledFrom] - Due at or after
+ * @param {string} [query.scheduledTo] - Due at or before
+ * @returns {ValidationResult} data: filter object (empty when no params)
+ */
+export const buildScheduledFilter = ({
+  scheduled,
+  scheduleStatus,
+  scheduledFrom,
+  scheduledTo,
+} = {}) => {
+  const filter = {};
+
+  if (scheduled === "true") {
+    filter.scheduledFor = { $ne: null };
+  } else if (scheduled === "false") {
+    filter.scheduledFor = null;
+  }
+
+  if (scheduleStatus) {
+    if (!SCHEDULE_STATUSES.includes(scheduleStatus)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Invalid scheduleStatus. Valid values: ${SCHEDULE_STATUSES.join(", ")}`,
+      };
+    }
+    filter.scheduleStatus = scheduleStatus;
+  }
+
+  if (scheduledFrom || scheduledTo) {
+    const range = {};
+    for (const [key, value] of [
+      ["$gte", scheduledFrom],
+      ["$lte", scheduledTo],
+    ]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: "scheduledFrom and scheduledTo must be valid dates",
+        };
+      }
+      range[key] = date;
+    }
+    filter.scheduledFor = range;
+  }
+
+  return { success: true, data: filter };
+};
+
+export default {
+  SCHEDULABLE_PLACE_TYPES,
+  SCHEDULE_STATUSES,
+  getSchedulingSettings,
+  getReleaseAt,
+  getSlotRange,
+  getSlotKey,
+  validateScheduledFor,
+  buildScheduledFilter,
+};
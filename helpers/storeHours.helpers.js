@@ -0,0 +1,424 @@
+// storeHours.helpers.js
+// ✅ Opening hours, holiday closures and last-order cut-offs
+// Hours use server local time, like reservation slots and menu schedules.
+
+import StoreSettings from "../models/storeSettings.model.js";
+import { validateAvailabilitySchedule } from "./schedule.helpers.js";
+import { DATE_PATTERN, DAY_NAMES, TIME_PATTERN, pad } from "./time.helpers.js";
+
+// How far ahead to look for the next opening
+const NEXT_OPENING_SEARCH_DAYS = 14;
+
+/**
+ * Local calendar date key, e.g. "2025-01-31"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Human readable local date and time, e.g. "Fri 2025-01-31 16:00"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatStoreTime = (date) =>
+  `${DAY_NAMES[date.getDay()]} ${toDateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Date at the given "HH:mm" on the same local day
+ */
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Build an interval from "HH:mm" times; closing before opening means past midnight
+ */
+const buildInterval = (day, startTime, endTime) => {
+  const start = atTime(day, startTime);
+  let end = atTime(day, endTime);
+  if (end <= start) end = addDays(end, 1);
+  return { start, end };
+};
+
+/**
+ * Holiday entry for a local date, if any
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} day
+ * @returns {Object|undefined}
+ */
+export const getHolidayFor = (settings, day) => {
+  const key = toDateKey(day);
+  return (settings.holidays || []).find((holiday) => holiday.date === key);
+};
+
+/**
+ * Opening intervals that start on the given local day
+ * A holiday overrides weekly hours for its date.
+ * Empty weeklyHours means open all day (isAllDay, no cut-off).
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} day
+ * @returns {Array<{start: Date, end: Date, isAllDay?: boolean}>}
+ */
+export const getDayIntervals = (settings, day) => {
+  const holiday = getHolidayFor(settings, day);
+  if (holiday) {
+    if (holiday.isClosed || !holiday.openTime || !holiday.closeTime) return [];
+    return [buildInterval(day, holiday.openTime, holiday.closeTime)];
+  }
+
+  if (!settings.weeklyHours?.length) {
+    const start = atTime(day, "00:00");
+    return [{ start, end: addDays(start, 1), isAllDay: true }];
+  }
+
+  return settings.weeklyHours
+    .filter((window) => window.days.includes(day.getDay()))
+    .map((window) => buildInterval(day, window.startTime, window.endTime))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Find the opening interval containing the given date
+ * Checks the previous day too, for hours that run past midnight.
+ * @param {Object} settings
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+export const getOpenInterval = (settings, date) => {
+  for (const day of [addDays(date, -1), date]) {
+    const interval = getDayIntervals(settings, day).find(
+      ({ start, end }) => start <= date && date < end
+    );
+    if (interval) return interval;
+  }
+  return null;
+};
+
+/**
+ * Next time the restaurant opens, strictly after the given date
+ * @param {Object} settings
+ * @param {Date} from
+ * @returns {Date|null} null when closed for the whole search range
+ */
+export const getNextOpeningAt = (settings, from) => {
+  for (let offset = 0; offset <= NEXT_OPENING_SEARCH_DAYS; offset++) {
+    // Skip intervals that continue an earlier one (e.g. consecutive all-day hours)
+    const interval = getDayIntervals(settings, addDays(from, offset)).find(
+      ({ start }) =>
+        start > from && !getOpenInterval(settings, new Date(start.getTime() - 1))
+    );
+    if (interval) return interval.start;
+  }
+  return null;
+};
+
+/**
+ * Minutes before closing after which new requests are refused
+ * @param {Object} settings
+ * @param {string} purpose - "order" | "reservation"
+ * @param {string} placeType
+ * @returns {number}
+ */
+export const getCutOffMinutes = (settings, purpose, placeType) => {
+  if (purpose === "reservation") {
+    return settings.lastReservationMinutes || 0;
+  }
+  return (
+    settings.lastOrderMinutes?.[placeType] ??
+    settings.lastOrderMinutes?.Online ??
+    0
+  );
+};
+
+/**
+ * Work out whether the restaurant takes requests at the given date
+ * @param {Object} settings - StoreSettings document
+ * @param {Object} params
+ * @param {Date} params.date
+ * @param {string} params.placeType
+ * @param {string} params.purpose - "order" | "reservation"
+ * @returns {{isOpen: boolean, reason: string|null, closesAt: Date|null, cutOffAt: Date|null, nextOpeningAt: Date|null, holiday: Object|null}}
+ */
+export const evaluateStoreHours = (
+  settings,
+  { date = new Date(), placeType = "Online", purpose = "order" } = {}
+) => {
+  const interval = getOpenInterval(settings, date);
+  const holiday = getHolidayFor(settings, date) || null;
+
+  if (!interval) {
+    return {
+      isOpen: false,
+      reason: holiday?.isClosed ? "holiday" : "closed",
+      closesAt: null,
+      cutOffAt: null,
+      nextOpeningAt: getNextOpeningAt(settings, date),
+      holiday,
+    };
+  }
+
+  if (interval.isAllDay) {
+    return {
+      isOpen: true,
+      reason: null,
+      closesAt: null,
+      cutOffAt: null,
+      nextOpeningAt: null,
+      holiday,
+    };
+  }
+
+  const cutOffAt = new Date(
+    interval.end.getTime() - getCutOffMinutes(settings, purpose, placeType) * 60000
+  );
+
+  if (date >= cutOffAt) {
+    return {
+      isOpen: false,
+      reason: "cut-off",
+      closesAt: interval.end,
+      cutOffAt,
+      nextOpeningAt: getNextOpeningAt(settings, interval.end),
+      holiday,
+    };
+  }
+
+  return {
+    isOpen: true,
+    reason: null,
+    closesAt: interval.end,
+    cutOffAt,
+    nextOpeningAt: null,
+    holiday,
+  };
+};
+
+/**
+ * Build the customer facing message for a closed result
+ */
+const buildClosedMessage = (status, { placeType, purpose }) => {
+  const next = status.nextOpeningAt
+    ? ` We open again ${formatStoreTime(status.nextOpeningAt)}.`
+    : "";
+
+  if (status.reason === "holiday") {
+    return `We are closed for ${status.holiday.name}.${next}`;
+  }
+
+  if (status.reason === "cut-off") {
+    const what =
+      purpose === "reservation" ? "Reservations" : `${placeType} orders`;
+    return `${what} are taken until ${formatStoreTime(status.cutOffAt)} (closing ${formatStoreTime(status.closesAt)}).${next}`;
+  }
+
+  return `We are closed at this time.${next}`;
+};
+
+/**
+ * Check that the restaurant accepts an order or reservation at the given date
+ * Always open when no settings exist or opening hours are not enforced.
+ * @param {Object} params
+ * @param {Date} [params.date] - Order time or reservation time (default now)
+ * @param {string} [params.placeType] - Online | In-Place | Takeaway
+ * @param {string} [params.purpose] - "order" | "reservation"
+ * @returns {Promise<ValidationResult>} data: { reason, nextOpeningAt } when closed
+ */
+export const checkStoreOpen = async ({
+  date = new Date(),
+  placeType = "Online",
+  purpose = "order",
+} = {}) => {
+  const settings = await StoreSettings.getActiveConfig();
+  if (!settings || !settings.enforceOpeningHours) {
+    return { success: true };
+  }
+
+  const status = evaluateStoreHours(settings, { date, placeType, purpose });
+  if (status.isOpen) {
+    return { success: true, data: { closesAt: status.closesAt } };
+  }
+
+  return {
+    success: false,
+    statusCode: 400,
+    message: buildClosedMessage(status, { placeType, purpose }),
+    data: {
+      reason: status.reason,
+      nextOpeningAt: status.nextOpeningAt,
+    },
+  };
+};
+
+/**
+ * Validate a holiday entry sent by an admin
+ * @param {Object} holiday - { date, name, isClosed, openTime, closeTime }
+ * @returns {ValidationResult}
+ */
+export const validateHoliday = (holiday) => {
+  if (!DATE_PATTERN.test(holiday?.date || "") || isNaN(new Date(holiday.date).getTime())) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Holiday date must be in YYYY-MM-DD format",
+    };
+  }
+
+  if (!holiday.name?.trim()) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Holiday name is required",
+    };
+  }
+
+  if (holiday.isClosed === false) {
+    if (!TIME_PATTERN.test(holiday.openTime) || !TIME_PATTERN.test(holiday.closeTime)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "openTime and closeTime (HH:mm) are required when the holiday is not closed",
+      };
+    }
+
+    if (holiday.openTime === holiday.closeTime) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "openTime and closeTime cannot be the same",
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Validate store settings updates sent by an admin
+ * @param {Object} updates
+ * @returns {ValidationResult}
+ */
+export const validateStoreSettingsUpdate = (updates) => {
+  if (updates.weeklyHours !== undefined) {
+    if (!Array.isArray(updates.weeklyHours)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "weeklyHours must be an array",
+      };
+    }
+
+    const hoursValidation = validateAvailabilitySchedule(updates.weeklyHours);
+    if (!hoursValidation.success) return hoursValidation;
+  }
+
+  if (updates.holidays !== undefined) {
+    if (!Array.isArray(updates.holidays)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "holidays must be an array",
+      };
+    }
+
+    for (const holiday of updates.holidays) {
+      const holidayValidation = validateHoliday(holiday);
+      if (!holidayValidation.success) return holidayValidation;
+    }
+  }
+
+  if (updates.lastOrderMinutes !== undefined) {
+    const values = Object.values(updates.lastOrderMinutes || {});
+    if (
+      typeof updates.lastOrderMinutes !== "object" ||
+      values.some((value) => typeof value !== "number" || value < 0)
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "lastOrderMinutes must map placeType to a non-negative number",
+      };
+    }
+  }
+
+  if (
+    updates.lastReservationMinutes !== undefined &&
+    (typeof updates.lastReservationMinutes !== "number" ||
+      updates.lastReservationMinutes < 0)
+  ) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "lastReservationMinutes must be a non-negative number",
+    };
+  }
+
+  if (updates.scheduledOrders !== undefined) {
+    const scheduling = updates.scheduledOrders;
+    if (!scheduling || typeof scheduling !== "object" || Array.isArray(scheduling)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "scheduledOrders must be an object",
+      };
+    }
+
+    const minimums = {
+      minAdvanceMinutes: 0,
+      maxAdvanceDays: 1,
+      slotMinutes: 5,
+      maxOrdersPerSlot: 0,
+      unpaidHoldMinutes: 5,
+    };
+    for (const [field, min] of Object.entries(minimums)) {
+      const value = scheduling[field];
+      if (value !== undefined && (typeof value !== "number" || value < min)) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: `scheduledOrders.${field} must be a number of at least ${min}`,
+        };
+      }
+    }
+
+    if (
+      scheduling.releaseLeadMinutes !== undefined &&
+      (typeof scheduling.releaseLeadMinutes !== "object" ||
+        Object.values(scheduling.releaseLeadMinutes || {}).some(
+          (value) => typeof value !== "number" || value < 0
+        ))
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: "scheduledOrders.releaseLeadMinutes must map placeType to a non-negative number",
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+export default {
+  toDateKey,
+  formatStoreTime,
+  getHolidayFor,
+  getDayIntervals,
+  getOpenInterval,
+  getNextOpeningAt,
+  getCutOffMinutes,
+  evaluateStoreHours,
+  checkStoreOpen,
+  validateHoliday,
+  validateStoreSettingsUpdate,
+};
@@ -0,0 +1,28 @@
+// time.helpers.js
+// ✅ Local date and time-of-day basics - shared by menu schedules, opening
+// hours, order numbers and the models that validate them.
+// Imports nothing, so models can use it without import cycles.
+
+// "HH:mm", 00:00 - 23:59
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Local calendar date, "YYYY-MM-DD"
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Indexed like Date#getDay (0 = Sunday)
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Zero-pad a number, e.g. pad(7) => "07", pad(42, 4) => "0042"
+ * @param {number} value
+ * @param {number} [length]
+ * @returns {string}
+ */
+export const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+export default {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  DAY_NAMES,
+  pad,
+};
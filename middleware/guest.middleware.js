@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+
+// ✅ Guest checkout: anonymous carts are tied to a signed guestToken cookie
+
+export const GUEST_COOKIE = "guestToken";
+
+const GUEST_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// A key of its own, so guest tokens can never pass as access tokens (or the reverse)
+const getGuestSecret = () => process.env.GUEST_TOKEN_SECRET_KEY;
+
+/**
+ * Fail fast when the guest token key is missing or shared (called at startup)
+ * @throws {Error}
+ */
+export const assertGuestSecret = () => {
+  if (!getGuestSecret()) {
+    throw new Error(
+      "GUEST_TOKEN_SECRET_KEY is not set. Guest carts and checkout need their own signing key (see README)"
+    );
+  }
+  if (getGuestSecret() === process.env.ACCESS_TOKEN_SECRET_KEY) {
+    throw new Error("GUEST_TOKEN_SECRET_KEY must differ from ACCESS_TOKEN_SECRET_KEY");
+  }
+};
+
+export const guestCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  maxAge: GUEST_TOKEN_MAX_AGE,
+};
+
+/**
+ * Read the guest id from the signed guestToken cookie
+ * @param {Object} req
+ * @returns {string|null} null when missing or tampered with
+ */
+export const readGuestId = (req) => {
+  const token = req.cookies?.[GUEST_COOKIE];
+  if (!token) return null;
+
+  try {
+    const decode = jwt.verify(token, getGuestSecret());
+    return decode?.type === "guest" ? decode.guestId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the logged-in user from the accessToken cookie without failing
+ */
+const readUser = async (req) => {
+  const token = req.cookies?.accessToken;
+  if (!token) return null;
+
+  try {
+    const decode = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET_KEY);
+    return await User.findById(decode?._id).select("-password -phoneNumber");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Identify the customer as a logged-in user (req.user) or a guest (req.guest)
+ * Guests without a valid guestToken get a new one.
+ */
+const identifyCustomer = async (req, res, next) => {
+  try {
+    const user = await readUser(req);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    let guestId = readGuestId(req);
+    if (!guestId) {
+      guestId = crypto.randomUUID();
+      const token = jwt.sign({ guestId, type: "guest" }, getGuestSecret(), {
+        expiresIn: "30d",
+      });
+      res.cookie(GUEST_COOKIE, token, guestCookieOptions);
+    }
+
+    req.guest = { guestId };
+    next();
+  } catch (error) {
+    console.log("Error in Guest Middleware", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Couldn't identify customer" });
+  }
+};
+
+export default identifyCustomer;
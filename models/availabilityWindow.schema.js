@@ -0,0 +1,32 @@
+import { Schema } from "mongoose";
+import { TIME_PATTERN } from "../helpers/time.helpers.js";
+
+// ✅ Weekly time window, e.g. { days: [1,2,3,4,5], startTime: "07:00", endTime: "11:30" }
+// Days: 0 = Sunday ... 6 = Saturday (server local time).
+// endTime before startTime means the window runs past midnight.
+const availabilityWindowSchema = new Schema(
+  {
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      validate: {
+        validator: function (array) {
+          return array.length > 0;
+        },
+        message: "At least one day is required",
+      },
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "startTime must be in HH:mm format"],
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "endTime must be in HH:mm format"],
+    },
+  },
+  { _id: false }
+);
+
+export default availabilityWindowSchema;
@@ -2,11 +2,20 @@ import mongoose, { Schema } from "mongoose";
 
 const cartSchema = new mongoose.Schema(
   {
+    // ✅ A cart belongs to a user, or to a guest (signed guestToken cookie)
     owner: {
       type: Schema.Types.ObjectId,
       ref: "User",
-      required: true,
-      unique: true, 
+      required: function () {
+        return !this.guestId;
+      },
+      unique: true,
+      sparse: true,
+    },
+    guestId: {
+      type: String,
+      unique: true,
+      sparse: true,
     },
     products: [
       {
@@ -21,9 +30,30 @@ const cartSchema = new mongoose.Schema(
           default: 1,
           min: 1,
         },
+        // ✅ Chosen modifiers - same product with different options = separate line
+        selectedOptions: [
+          {
+            _id: false,
+            groupId: { type: Schema.Types.ObjectId, required: true },
+            groupName: String,
+            optionId: { type: Schema.Types.ObjectId, required: true },
+            optionName: String,
+            priceDelta: { type: Number, default: 0 },
+          },
+        ],
+        optionsKey: {
+          type: String,
+          default: "",
+        },
       },
     ],
     
+    // ✅ Automatic promotions (recalculated on every pricing, see promotion.model.js)
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+    },
+
     // ✅ Coupon System
     appliedCoupon: {
       type: Schema.Types.ObjectId,
@@ -34,6 +64,17 @@ const cartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+
+    // ✅ Loyalty points the customer wants to redeem at checkout
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyDiscount: {
+      type: Number,
+      default: 0,
+    },
     
     // ✅ Price Breakdown
     subtotal: {
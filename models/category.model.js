@@ -1,5 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import aggregatePaginate from "mongoose-aggregate-paginate-v2";
+import availabilityWindowSchema from "./availabilityWindow.schema.js";
+import { getNextScheduleStart, isWithinSchedule } from "../helpers/schedule.helpers.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -33,25 +35,38 @@ const categorySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Recurring windows inside the date range (happy hour), empty = all day
+    discountSchedule: {
+      type: [availabilityWindowSchema],
+      default: [],
+    },
+
+    // ✅ Service hours - empty means always on the menu
+    availabilitySchedule: {
+      type: [availabilityWindowSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// ✅ Instance method to check if discount is currently active
-categorySchema.methods.getCurrentDiscount = function() {
+// ✅ Instance method to check if discount is active at a moment (now by default)
+categorySchema.methods.getCurrentDiscount = function(at = new Date()) {
   if (!this.isDiscountActive || this.discountPercentage <= 0) {
     return null;
   }
   
-  const now = new Date();
-  
-  if (this.discountStartDate && now < this.discountStartDate) {
+  if (this.discountStartDate && at < this.discountStartDate) {
     return null;
   }
   
-  if (this.discountEndDate && now > this.discountEndDate) {
+  if (this.discountEndDate && at > this.discountEndDate) {
+    return null;
+  }
+
+  if (!isWithinSchedule(this.discountSchedule, at)) {
     return null;
   }
   
@@ -61,6 +76,18 @@ categorySchema.methods.getCurrentDiscount = function() {
   };
 };
 
+// ✅ Instance method to get when the discount next starts (null if it won't)
+categorySchema.methods.getNextDiscountStart = function(from = new Date()) {
+  if (!this.isDiscountActive || this.discountPercentage <= 0) {
+    return null;
+  }
+
+  return getNextScheduleStart(this.discountSchedule, from, {
+    startDate: this.discountStartDate,
+    endDate: this.discountEndDate,
+  });
+};
+
 categorySchema.plugin(aggregatePaginate);
 
 const Category = mongoose.model("Category", categorySchema);
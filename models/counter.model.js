@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// ✅ Atomic sequences (e.g. daily order numbers, scheduled slot bookings)
+// One document per key, incremented with $inc so concurrent requests never share a value
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+/**
+ * Increment a sequence and return the new value (starts at 1)
+ * @param {string} key - e.g. "order:20261018"
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Increment a sequence only while it is below a limit (e.g. slot capacity)
+ * The check and the increment are one update, so concurrent requests can't
+ * both take the last place.
+ * @param {string} key - e.g. "slot:15:2026-10-18T11:00:00.000Z"
+ * @param {number} limit - 0 = no limit
+ * @returns {Promise<number|null>} New value, or null if the limit was reached
+ */
+counterSchema.statics.nextBelow = async function (key, limit) {
+  const filter = limit > 0 ? { _id: key, seq: { $lt: limit } } : { _id: key };
+
+  // A full counter misses the filter, so the upsert collides with it. A
+  // collision on the first attempt can also be a concurrent first use, so
+  // check once more against the counter that now exists.
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const counter = await this.findOneAndUpdate(
+        filter,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Give back a value taken with next / nextBelow (never below 0)
+ * @param {string} key
+ */
+counterSchema.statics.release = async function (key) {
+  await this.updateOne({ _id: key, seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
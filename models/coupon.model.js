@@ -1,5 +1,29 @@
 import mongoose, { Schema } from "mongoose";
 
+// ✅ Live reservation - an unpaid order holding a use of the coupon
+// Only kept until the order is paid, released or the reservation expires, so
+// the limit checks stay atomic on the coupon without growing it; the full
+// per-order log is in couponRedemption.model.js.
+const reservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Stops holding a use after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const couponSchema = new mongoose.Schema(
   {
     code: {
@@ -13,33 +37,130 @@ const couponSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // percentage / fixed / freeDelivery - whole cart
+    // buyXGetY - buy X eligible items, get Y of the cheapest (partly) free
+    // bundle   - a set of products together for bundlePrice
+    // tiered   - spend more, save more (see tiers)
+    // freeItem - freeProduct is free with a purchase
     discountType: {
       type: String,
-      enum: ["percentage", "fixed", "freeDelivery"],
+      enum: ["percentage", "fixed", "freeDelivery", "buyXGetY", "bundle", "tiered", "freeItem"],
       required: true,
     },
     discountValue: {
       type: Number,
       required: function() {
-        return this.discountType !== "freeDelivery";
+        return ["percentage", "fixed"].includes(this.discountType);
       },
       min: 0,
     },
-    // Maximum discount amount (for percentage discounts)
+    // Maximum discount amount (percentage, tiered and item coupons)
     maxDiscountAmount: {
       type: Number,
       min: 0,
     },
+    // ✅ buyXGetY: for every buyQuantity + getQuantity eligible items, the
+    // getQuantity cheapest are discounted by getDiscountPercentage
+    buyQuantity: {
+      type: Number,
+      min: 1,
+      required: function() {
+        return this.discountType === "buyXGetY";
+      },
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+      required: function() {
+        return this.discountType === "buyXGetY";
+      },
+    },
+    getDiscountPercentage: {
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 100,
+    },
+    // ✅ bundle: every complete set of these products costs bundlePrice
+    bundleItems: [
+      {
+        product: {
+          type: Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        _id: false,
+      },
+    ],
+    bundlePrice: {
+      type: Number,
+      min: 0,
+      required: function() {
+        return this.discountType === "bundle";
+      },
+    },
+    // buyXGetY / bundle: how many times one order can use the deal (null = no limit)
+    maxApplicationsPerOrder: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // ✅ tiered: the highest tier the cart subtotal reaches applies
+    tiers: [
+      {
+        minAmount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        discountType: {
+          type: String,
+          enum: ["percentage", "fixed"],
+          required: true,
+        },
+        discountValue: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        _id: false,
+      },
+    ],
+    // ✅ freeItem: freeQuantity of freeProduct are free once it is in the cart
+    // next to at least one other eligible item
+    freeProduct: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: function() {
+        return this.discountType === "freeItem";
+      },
+    },
+    freeQuantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Only customers without an earlier (non-cancelled) order can use it
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
     minOrderAmount: {
       type: Number,
       default: 0,
       min: 0,
     },
-    // Usage limits
+    // Usage limits (reservations of unpaid orders count towards both)
     maxUsageCount: {
       type: Number,
       default: null, // null = unlimited
     },
+    // Committed uses (paid / confirmed orders)
     usageCount: {
       type: Number,
       default: 0,
@@ -61,6 +182,11 @@ const couponSchema = new mongoose.Schema(
         },
       },
     ],
+    // Unpaid orders holding a use (see coupon.service.js)
+    reservations: {
+      type: [reservationSchema],
+      default: [],
+    },
     // Validity period
     startDate: {
       type: Date,
@@ -84,6 +210,23 @@ const couponSchema = new mongoose.Schema(
         ref: "Category",
       },
     ],
+    // ✅ Customer targeting: when set, only these customers can use the coupon
+    // Usually filled from an RFM segment (POST /api/v2/customers/segments/:segment/target-coupon)
+    targetUsers: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Segment the target list was built from (informational)
+    targetSegment: {
+      name: {
+        type: String,
+      },
+      assignedAt: {
+        type: Date,
+      },
+    },
     // If true, coupon applies to all products
     isGlobal: {
       type: Boolean,
@@ -93,10 +236,35 @@ const couponSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // ✅ Single-use code generated in bulk (null = created on its own)
+    batch: {
+      type: Schema.Types.ObjectId,
+      ref: "CouponBatch",
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true }
 );
 
+// The paid use of a single-use code (batch exports)
+couponSchema.virtual("committedRedemption", {
+  ref: "CouponRedemption",
+  localField: "_id",
+  foreignField: "coupon",
+  justOne: true,
+  match: { status: "Committed" },
+});
+
+// Instance method to count reservations still holding a use
+couponSchema.methods.countActiveReservations = function(userId = null, at = new Date()) {
+  return (this.reservations || []).filter(
+    (reservation) =>
+      reservation.expiresAt > at &&
+      (!userId || reservation.user?.toString() === userId.toString())
+  ).length;
+};
+
 // Instance method to check if coupon is valid
 couponSchema.methods.isValid = function() {
   const now = new Date();
@@ -115,23 +283,35 @@ couponSchema.methods.isValid = function() {
     return { valid: false, message: "Coupon has expired" };
   }
   
-  // Check usage limit
-  if (this.maxUsageCount && this.usageCount >= this.maxUsageCount) {
+  // Check usage limit (orders waiting for payment hold a use)
+  if (
+    this.maxUsageCount &&
+    this.usageCount + this.countActiveReservations(null, now) >= this.maxUsageCount
+  ) {
     return { valid: false, message: "Coupon usage limit reached" };
   }
   
   return { valid: true };
 };
 
-// Instance method to check if user can use coupon
+// Instance method to check if user can use coupon (coupons require an account)
 couponSchema.methods.canUserUse = function(userId) {
-  if (!userId) return { canUse: false, message: "User ID required" };
+  if (!userId) return { canUse: false, message: "Sign in to use a coupon" };
+
+  // Targeted coupons are limited to their customer list
+  if (
+    this.targetUsers?.length &&
+    !this.targetUsers.some((user) => user.toString() === userId.toString())
+  ) {
+    return { canUse: false, message: "This coupon is not available for your account" };
+  }
   
   const userUsage = this.usedBy.find(
     (entry) => entry.user.toString() === userId.toString()
   );
+  const used = (userUsage?.count || 0) + this.countActiveReservations(userId);
   
-  if (userUsage && userUsage.count >= this.maxUsagePerUser) {
+  if (this.maxUsagePerUser && used >= this.maxUsagePerUser) {
     return { 
       canUse: false, 
       message: `You have already used this coupon ${this.maxUsagePerUser} time(s)` 
@@ -141,23 +321,6 @@ couponSchema.methods.canUserUse = function(userId) {
   return { canUse: true };
 };
 
-// Instance method to increment usage
-couponSchema.methods.incrementUsage = async function(userId) {
-  this.usageCount += 1;
-  
-  const userUsage = this.usedBy.find(
-    (entry) => entry.user.toString() === userId.toString()
-  );
-  
-  if (userUsage) {
-    userUsage.count += 1;
-  } else {
-    this.usedBy.push({ user: userId, count: 1 });
-  }
-  
-  await this.save();
-};
-
 // Static method to find valid coupon by code
 couponSchema.statics.findValidCoupon = async function(code) {
   const coupon = await this.findOne({ 
@@ -0,0 +1,71 @@
+// couponBatch.model.js
+// ✅ Coupon batches - thousands of single-use codes generated from one template
+// The codes are ordinary coupons pointing back here (coupon.batch); see
+// couponBatch.service.js for generation, stats and deactivation.
+
+import mongoose, { Schema } from "mongoose";
+
+const couponBatchSchema = new mongoose.Schema(
+  {
+    // e.g. "Influencer campaign - March" (admin-facing)
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Codes look like PREFIX-XXXXXXXX (no prefix = just the random part)
+    prefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    codeLength: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Codes asked for / actually created (lower only if generation gave up)
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    generatedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Discount settings copied onto every code (see BATCH_TEMPLATE_FIELDS)
+    template: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    expiryDate: {
+      type: Date,
+      required: true,
+    },
+    // Mirrors the codes: deactivating the batch deactivates all of them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      description: "Admin notes",
+    },
+  },
+  { timestamps: true }
+);
+
+couponBatchSchema.index({ createdAt: -1 });
+
+const CouponBatch = mongoose.model("CouponBatch", couponBatchSchema);
+
+export default CouponBatch;
@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+// ✅ Coupon redemption log - one entry per order that used a coupon
+// Reserved when the order is placed, Committed once it is paid (or COD is
+// confirmed), Released when payment fails or the order is cancelled, Expired
+// when the payment window passed without an answer.
+// The coupon itself only keeps the live reservations it needs for its limit
+// checks (coupon.reservations); see coupon.service.js.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Reserved", "Committed", "Released", "Expired"],
+      default: "Reserved",
+    },
+    reservedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A reservation stops holding a use after this
+    expiresAt: {
+      type: Date,
+    },
+    committedAt: {
+      type: Date,
+    },
+    // Paid after its reservation expired while the coupon was used up -
+    // the use is counted anyway and the order is flagged
+    overLimit: {
+      type: Boolean,
+      default: false,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releaseReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, status: 1, reservedAt: -1 });
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,136 @@
+// giftCard.model.js
+// ✅ Gift cards - stored-value balances redeemable at checkout
+// Every balance change is written to giftCardTransaction.model.js
+
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// No 0/O, 1/I/L - codes are read aloud and typed by hand
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+const giftCardSchema = new mongoose.Schema(
+  {
+    // e.g. "GC-7KQ2-M9XD-4HTP"
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    initialAmount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Pending = bought online, waiting for the payment to complete
+    status: {
+      type: String,
+      enum: ["Pending", "Active", "Disabled"],
+      default: "Active",
+    },
+    source: {
+      type: String,
+      enum: ["admin", "purchase"],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Who bought / issued it, and who it is for
+    purchaser: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    issuedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipient: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // Online purchase
+    stripeSessionID: {
+      type: String,
+      sparse: true,
+    },
+    activatedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      description: "Admin notes",
+    },
+  },
+  { timestamps: true }
+);
+
+giftCardSchema.index({ purchaser: 1, createdAt: -1 });
+giftCardSchema.index({ status: 1 });
+
+/**
+ * Generate a code that isn't used yet
+ * @returns {Promise<string>}
+ */
+giftCardSchema.statics.generateCode = async function () {
+  for (;;) {
+    const bytes = crypto.randomBytes(12);
+    const chars = [...bytes].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    const code = `GC-${chars.slice(0, 4).join("")}-${chars.slice(4, 8).join("")}-${chars.slice(8).join("")}`;
+
+    if (!(await this.exists({ code }))) return code;
+  }
+};
+
+/**
+ * Find a gift card by code (case and spacing insensitive)
+ * @param {string} code
+ * @returns {Query}
+ */
+giftCardSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code || "").trim().toUpperCase() });
+};
+
+/**
+ * Check if the card can pay for something right now
+ * @returns {{valid: boolean, message?: string}}
+ */
+giftCardSchema.methods.isRedeemable = function () {
+  if (this.status !== "Active") {
+    return { valid: false, message: "This gift card is not active" };
+  }
+  if (this.expiresAt && this.expiresAt < new Date()) {
+    return { valid: false, message: "This gift card has expired" };
+  }
+  if (this.balance <= 0) {
+    return { valid: false, message: "This gift card has no balance left" };
+  }
+  return { valid: true };
+};
+
+const GiftCard = mongoose.model("GiftCard", giftCardSchema);
+
+export default GiftCard;
@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+
+// Ledger of every gift card balance change
+const giftCardTransactionSchema = new mongoose.Schema(
+  {
+    giftCard: {
+      type: Schema.Types.ObjectId,
+      ref: "GiftCard",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "issue",       // Card created / purchase paid
+        "redeem",      // Paid towards an order
+        "refund",      // Order refunded back to the card
+        "release",     // Order failed / cancelled before it was paid in full
+        "adjustment",  // Manual correction by an admin
+      ],
+      required: true,
+    },
+    // Signed change applied to the balance
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+giftCardTransactionSchema.index({ giftCard: 1, createdAt: -1 });
+giftCardTransactionSchema.index({ order: 1 });
+
+const GiftCardTransaction = mongoose.model(
+  "GiftCardTransaction",
+  giftCardTransactionSchema
+);
+
+export default GiftCardTransaction;
@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import availabilityWindowSchema from "./availabilityWindow.schema.js";
+import { getNextScheduleStart, isWithinSchedule } from "../helpers/schedule.helpers.js";
+import {
+  COMBINATION_POLICIES,
+  resolveGlobalDiscounts,
+} from "../helpers/globalDiscount.helpers.js";
 
 const globalDiscountSchema = new mongoose.Schema(
   {
@@ -30,6 +36,22 @@ const globalDiscountSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Recurring windows inside the date range (happy hour), empty = all day
+    schedule: {
+      type: [availabilityWindowSchema],
+      default: [],
+    },
+    // When campaigns overlap: higher priority wins a tie and is applied first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // best = only the biggest "best" campaign applies; stack = applied on top of it
+    combination: {
+      type: String,
+      enum: COMBINATION_POLICIES,
+      default: "best",
+    },
     // Exclude specific products or categories from global discount
     excludedProducts: [
       {
@@ -47,27 +69,74 @@ const globalDiscountSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Static method to get active global discount
-globalDiscountSchema.statics.getActiveDiscount = async function() {
-  const now = new Date();
-  
-  const discount = await this.findOne({
+// Static method to get every campaign running at a moment (now by default),
+// highest priority first
+globalDiscountSchema.statics.getActiveDiscounts = async function(at = new Date()) {
+  const discounts = await this.find({
     isActive: true,
-    startDate: { $lte: now },
-    endDate: { $gte: now },
-  }).sort({ createdAt: -1 }); // Get most recent if multiple
-  
-  if (!discount) {
+    startDate: { $lte: at },
+    endDate: { $gte: at },
+  }).sort({ priority: -1, createdAt: -1 });
+
+  return discounts
+    .filter((discount) => isWithinSchedule(discount.schedule, at))
+    .map((discount) => ({
+      _id: discount._id,
+      name: discount.name,
+      discountPercentage: discount.discountPercentage,
+      priority: discount.priority,
+      combination: discount.combination,
+      isActive: true,
+      excludedProducts: discount.excludedProducts,
+      excludedCategories: discount.excludedCategories,
+    }));
+};
+
+// Static method to get the menu-wide global discount at a moment (campaigns
+// combined, before product / category exclusions)
+globalDiscountSchema.statics.getActiveDiscount = async function(at = new Date()) {
+  const discounts = await this.getActiveDiscounts(at);
+  const resolved = resolveGlobalDiscounts(discounts);
+  if (!resolved) {
     return null;
   }
-  
-  return {
-    discountPercentage: discount.discountPercentage,
+
+  // Keep each campaign's exclusions so clients can tell which items it skips
+  const byId = new Map(discounts.map((discount) => [discount._id.toString(), discount]));
+  resolved.campaigns = resolved.campaigns.map((campaign) => ({
+    ...campaign,
+    excludedProducts: byId.get(campaign.discount.toString()).excludedProducts,
+    excludedCategories: byId.get(campaign.discount.toString()).excludedCategories,
+  }));
+
+  return resolved;
+};
+
+// Static method to get the next global discount window that hasn't started yet
+globalDiscountSchema.statics.getUpcomingDiscount = async function(from = new Date()) {
+  const discounts = await this.find({
     isActive: true,
-    name: discount.name,
-    excludedProducts: discount.excludedProducts,
-    excludedCategories: discount.excludedCategories,
-  };
+    endDate: { $gte: from },
+  });
+
+  let upcoming = null;
+  for (const discount of discounts) {
+    const startsAt = getNextScheduleStart(discount.schedule, from, {
+      startDate: discount.startDate,
+      endDate: discount.endDate,
+    });
+    if (startsAt && (!upcoming || startsAt < upcoming.startsAt)) {
+      upcoming = {
+        name: discount.name,
+        description: discount.description,
+        discountPercentage: discount.discountPercentage,
+        schedule: discount.schedule,
+        startsAt,
+      };
+    }
+  }
+
+  return upcoming;
 };
 
 const GlobalDiscount = mongoose.model("GlobalDiscount", globalDiscountSchema);
@@ -0,0 +1,108 @@
+// loyaltySettings.model.js
+// ✅ Loyalty program: earn rate, category multipliers, redemption and expiry
+// Single active document, like StoreSettings
+
+import mongoose, { Schema } from "mongoose";
+
+const categoryMultiplierSchema = new mongoose.Schema({
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: "Category",
+    required: true,
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const loyaltySettingsSchema = new mongoose.Schema(
+  {
+    isEnabled: {
+      type: Boolean,
+      default: false,
+      description: "Customers earn and redeem points",
+    },
+
+    // ==================== EARNING ====================
+    earnRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+      description: "Points earned per currency unit paid for products",
+    },
+    categoryMultipliers: {
+      type: [categoryMultiplierSchema],
+      default: [],
+      description: "Earn rate multipliers for products of a category (e.g. 2 = double points)",
+    },
+
+    // ==================== REDEMPTION ====================
+    pointValue: {
+      type: Number,
+      default: 0.1,
+      min: 0,
+      description: "Discount worth of one point, in currency units",
+    },
+    minRedeemPoints: {
+      type: Number,
+      default: 100,
+      min: 0,
+      description: "Smallest number of points that can be redeemed on an order",
+    },
+    maxRedeemPercentage: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100,
+      description: "Largest share of the order subtotal payable with points",
+    },
+
+    // ==================== EXPIRY ====================
+    expiryDays: {
+      type: Number,
+      default: 365,
+      min: 0,
+      description: "Earned points expire this many days later (0 = never)",
+    },
+
+    // ==================== STATUS ====================
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      description: "Admin notes",
+    },
+  },
+  { timestamps: true }
+);
+
+loyaltySettingsSchema.index({ isActive: 1 });
+
+/**
+ * Get active loyalty settings
+ * @returns {Promise<Object|null>}
+ */
+loyaltySettingsSchema.statics.getActiveConfig = async function () {
+  return this.findOne({ isActive: true });
+};
+
+/**
+ * Earn rate multiplier for a category (1 when none is set)
+ * @param {string|ObjectId} categoryId
+ * @returns {number}
+ */
+loyaltySettingsSchema.methods.getCategoryMultiplier = function (categoryId) {
+  if (!categoryId) return 1;
+  const entry = this.categoryMultipliers.find(
+    (item) => item.category.toString() === categoryId.toString()
+  );
+  return entry ? entry.multiplier : 1;
+};
+
+const LoyaltySettings = mongoose.model("LoyaltySettings", loyaltySettingsSchema);
+
+export default LoyaltySettings;
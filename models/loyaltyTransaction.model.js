@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+// Ledger of every loyalty points change
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "earn",        // Order payment completed
+        "reverse",     // Earned points taken back (refund / cancellation)
+        "redeem",      // Spent as a discount on an order
+        "return",      // Redeemed points given back (order failed / cancelled / refunded)
+        "expire",      // Earned points past their expiry date
+        "adjustment",  // Manual correction by an admin
+      ],
+      required: true,
+    },
+    // Signed change applied to the balance
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    // Credits only: points of this entry not yet spent, reversed or expired
+    remaining: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ order: 1 });
+// Oldest-expiring credits first, and the expiry job
+loyaltyTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+
+const LoyaltyTransaction = mongoose.model(
+  "LoyaltyTransaction",
+  loyaltyTransactionSchema
+);
+
+export default LoyaltyTransaction;
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+// ✅ Pre-aggregated sales metrics per hour / day, per dimension value
+// Maintained incrementally from order events (see metricRollup.service.js),
+// rebuilt from scratch with scripts/rebuildMetricRollups.js.
+const metricRollupSchema = new mongoose.Schema(
+  {
+    granularity: {
+      type: String,
+      enum: ["hour", "day"],
+      required: true,
+    },
+    // Start of the local hour / day
+    bucket: {
+      type: Date,
+      required: true,
+    },
+    dimension: {
+      type: String,
+      enum: [
+        "total",
+        "product",
+        "category",
+        "paymentMethod",
+        "placeType",
+        "governorate",
+        "coupon",
+        "discountType",
+      ],
+      required: true,
+    },
+    // Dimension value: product/category/payment method id, place type, coupon code...
+    // "all" for the total; "" when an order has no value (e.g. no governorate)
+    key: {
+      type: String,
+      default: "",
+    },
+    // Latest display name (product name, coupon code...)
+    label: {
+      type: String,
+    },
+    revenue: {
+      type: Number,
+      default: 0,
+    },
+    orders: {
+      type: Number,
+      default: 0,
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+    itemsDiscount: {
+      type: Number,
+      default: 0,
+    },
+    couponDiscount: {
+      type: Number,
+      default: 0,
+    },
+    deliveryFees: {
+      type: Number,
+      default: 0,
+    },
+    // Refunds are bucketed by refund date ("total" dimension only)
+    refunds: {
+      type: Number,
+      default: 0,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+metricRollupSchema.index(
+  { granularity: 1, dimension: 1, key: 1, bucket: 1 },
+  { unique: true }
+);
+metricRollupSchema.index({ granularity: 1, dimension: 1, bucket: 1 });
+
+const MetricRollup = mongoose.model("MetricRollup", metricRollupSchema);
+
+export default MetricRollup;
@@ -1,12 +1,49 @@
 import mongoose, { Schema } from "mongoose";
 import aggregatePaginate from "mongoose-aggregate-paginate-v2";
+import Counter from "./counter.model.js";
+import { pad } from "../helpers/time.helpers.js";
 
 const orderSchema = new mongoose.Schema(
   {
+    // ✅ Human-readable number, e.g. "Q-20261018-0042" (daily sequence, see pre-save hook)
+    orderNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Registered customer; guest orders have guest contact details instead
     buyer: {
       type: Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.guest?.email;
+      },
+    },
+    // ✅ Guest checkout: contact and delivery details of a buyer without an account
+    guest: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      // Guest cart the order came from (signed guestToken cookie)
+      guestId: {
+        type: String,
+      },
+      address: {
+        street: String,
+        buildingNumber: String,
+        flatNumber: String,
+        notes: String,
+      },
     },
     products: [
       {
@@ -21,17 +58,210 @@ const orderSchema = new mongoose.Schema(
           default: 1,
           min: 1,
         },
+        // ✅ Snapshot of the product and its pricing at order time
+        name: {
+          type: String,
+        },
+        image: {
+          type: String,
+        },
+        category: {
+          type: Schema.Types.ObjectId,
+          ref: "Category",
+        },
+        categoryName: {
+          type: String,
+        },
+        // Regular price before any discount (options included)
+        originalPrice: {
+          type: Number,
+          min: 0,
+        },
+        // Effective unit price after product/category/global discount (options included)
+        unitPrice: {
+          type: Number,
+          min: 0,
+        },
+        unitDiscount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        discountType: {
+          type: String,
+          enum: ["none", "product", "category", "global"],
+          default: "none",
+        },
+        discountPercentage: {
+          type: Number,
+          default: 0,
+        },
+        // Global campaigns behind a "global" discount (several when they stack)
+        discountCampaigns: [
+          {
+            _id: false,
+            discount: {
+              type: Schema.Types.ObjectId,
+              ref: "GlobalDiscount",
+            },
+            name: {
+              type: String,
+            },
+            discountPercentage: {
+              type: Number,
+            },
+          },
+        ],
+        // Share of the automatic promotions allocated to this line
+        promotionDiscount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Share of the order coupon discount allocated to this line
+        couponDiscount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Share of the loyalty points discount allocated to this line
+        loyaltyDiscount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // ✅ Modifiers chosen for this line (priced at order time)
+        selectedOptions: [
+          {
+            _id: false,
+            groupId: { type: Schema.Types.ObjectId },
+            groupName: String,
+            optionId: { type: Schema.Types.ObjectId },
+            optionName: String,
+            priceDelta: { type: Number, default: 0 },
+          },
+        ],
+        // Sum of option price deltas per unit (included in unitPrice)
+        optionsPrice: {
+          type: Number,
+          default: 0,
+        },
+        // unitPrice * quantity - promotionDiscount - couponDiscount - loyaltyDiscount
+        lineTotal: {
+          type: Number,
+          min: 0,
+        },
+        // ✅ Kitchen display system (KDS) progress for this line
+        kitchenStatus: {
+          type: String,
+          enum: ["queued", "cooking", "done"],
+          default: "queued",
+        },
+        kitchenStartedAt: {
+          type: Date,
+        },
+        kitchenDoneAt: {
+          type: Date,
+        },
+      },
+    ],
+    // ✅ NEW: Coupon applied to the order (snapshot)
+    appliedCoupon: {
+      coupon: {
+        type: Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: {
+        type: String,
+      },
+      discountType: {
+        type: String,
+      },
+      // Paid after its coupon reservation expired, when the coupon was
+      // already used up - the use was counted over the coupon's limit
+      overLimit: {
+        type: Boolean,
+      },
+    },
+    // ✅ NEW: Discount totals (product/category/global and coupon)
+    itemsDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    couponDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // ✅ Automatic promotions that fired at checkout (snapshot, see promotion.model.js)
+    appliedPromotions: [
+      {
+        _id: false,
+        promotion: {
+          type: Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        name: {
+          type: String,
+        },
+        actionType: {
+          type: String,
+        },
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        freeDelivery: {
+          type: Boolean,
+          default: false,
+        },
       },
     ],
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // ✅ Loyalty points: redeemed at checkout, earned once payment completes
+    // (see loyalty.service.js)
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      discount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Redeemed points were given back (order failed, cancelled or refunded)
+      redemptionReturned: {
+        type: Boolean,
+        default: false,
+      },
+      pointsEarned: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Earned points taken back by refunds / cancellation
+      pointsReversed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
     // ✅ NEW: Subtotal (products only, before delivery)
     subtotal: {
       type: Number,
       required: true,
       validate: {
         validator: function (value) {
-          return value > 0;
+          return value >= 0;
         },
-        message: "Subtotal must be a positive Number",
+        message: "Subtotal can't be negative",
       },
     },
     // ✅ NEW: Delivery fee (calculated based on location)
@@ -41,14 +271,15 @@ const orderSchema = new mongoose.Schema(
       min: 0,
     },
     // UPDATED: Total price (subtotal + deliveryFee)
+    // 0 when discounts, points or promotions cover the whole order
     totalPrice: {
       type: Number,
       required: true,
       validate: {
         validator: function (value) {
-          return value > 0;
+          return value >= 0;
         },
-        message: "Total price must be a positive Number",
+        message: "Total price can't be negative",
       },
     },
     totalQuantity: {
@@ -60,6 +291,39 @@ const orderSchema = new mongoose.Schema(
       ref: "PaymentMethod",
       required: true,
     },
+    // ✅ Split tender: stored-value payments taken before the payment method
+    // charges the rest (see getAmountDue). Wallet tenders belong to the buyer.
+    tenders: [
+      {
+        type: {
+          type: String,
+          enum: ["GiftCard", "Wallet"],
+          required: true,
+        },
+        giftCard: {
+          type: Schema.Types.ObjectId,
+          ref: "GiftCard",
+        },
+        code: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // Given back to the card by refunds, cancellation or failed payment
+        refundedAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // ✅ UPDATED: Added "Refunded" and "PartiallyRefunded" statuses
     paymentStatus: {
       type: String,
@@ -81,7 +345,9 @@ const orderSchema = new mongoose.Schema(
     address: {
       type: Schema.Types.ObjectId,
       ref: "Address",
-      required: true,
+      required: function () {
+        return !!this.buyer;
+      },
     },
     // ✅ NEW: Delivery location (governorate and city for online orders)
     deliveryLocation: {
@@ -133,6 +399,84 @@ const orderSchema = new mongoose.Schema(
       default: "Processing",
       required: true,
     },
+    // ✅ Scheduled (pre-order): due time, and whether the kitchen has it yet
+    // ASAP orders leave these empty.
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    scheduleStatus: {
+      type: String,
+      enum: ["Held", "Released", null],
+      default: null,
+    },
+    // When a held order is due to reach the kitchen (scheduledFor - lead time)
+    releaseAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    // Capacity slot the order was booked into (Counter key), and whether it
+    // still takes a place there (failed, cancelled and long-unpaid orders don't)
+    slotKey: {
+      type: String,
+    },
+    holdsSlot: {
+      type: Boolean,
+      default: false,
+    },
+    // ✅ Metric rollups: the order facts last added to the rollups, so changes
+    // can be applied as deltas (see metricRollup.service.js)
+    metricsSnapshot: {
+      type: Schema.Types.Mixed,
+      default: null,
+      select: false,
+    },
+    metricsVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    // ✅ Inventory: true once stock was consumed for this order (reset on restock)
+    stockDeducted: {
+      type: Boolean,
+      default: false,
+    },
+    // ✅ NEW: Audit trail of every order status change
+    statusHistory: [
+      {
+        _id: false,
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        // Payment status at the time of the change
+        paymentStatus: {
+          type: String,
+        },
+        changedBy: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        source: {
+          type: String,
+          enum: ["admin", "customer", "system", "payment", "kitchen"],
+          default: "system",
+        },
+        note: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // ✅ NEW: Refund details tracking
     refundDetails: {
       refundId: {
@@ -147,6 +491,12 @@ const orderSchema = new mongoose.Schema(
       refundReason: {
         type: String,
       },
+      // Where the money went: back to the payment method or to the buyer's wallet
+      refundDestination: {
+        type: String,
+        enum: ["original", "wallet"],
+        default: "original",
+      },
       refundStatus: {
         type: String,
         enum: ["Pending", "Completed", "Failed"],
@@ -181,6 +531,57 @@ const orderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Kitchen queue lookups
+orderSchema.index({ orderStatus: 1, paymentStatus: 1, createdAt: 1 });
+
+// Scheduled order release and capacity lookups
+orderSchema.index({ scheduleStatus: 1, releaseAt: 1 });
+orderSchema.index({ scheduledFor: 1 });
+orderSchema.index({ holdsSlot: 1, paymentStatus: 1, createdAt: 1 });
+
+// Guest order lookup
+orderSchema.index({ "guest.email": 1 });
+
+/**
+ * Build the next order number for the local day of the given date
+ * @param {Date} date
+ * @returns {Promise<string>} e.g. "Q-20261018-0042"
+ */
+orderSchema.statics.generateOrderNumber = async function (date = new Date()) {
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const seq = await Counter.next(`order:${day}`);
+  return `Q-${day}-${pad(seq, 4)}`;
+};
+
+/**
+ * Find an order by Mongo id or order number
+ * @param {string} reference - ObjectId or "Q-YYYYMMDD-NNNN"
+ * @param {Object} filter - Extra conditions
+ * @returns {Query}
+ */
+orderSchema.statics.findByReference = function (reference, filter = {}) {
+  const match = mongoose.isValidObjectId(reference)
+    ? { _id: reference }
+    : { orderNumber: String(reference).trim().toUpperCase() };
+  return this.findOne({ ...filter, ...match });
+};
+
+/**
+ * What the payment method has to charge: the total minus split tenders
+ * @returns {number}
+ */
+orderSchema.methods.getAmountDue = function () {
+  const tendered = (this.tenders || []).reduce((sum, tender) => sum + tender.amount, 0);
+  return Math.max(0, Math.round((this.totalPrice - tendered) * 100) / 100);
+};
+
+// Every new order gets a number, whichever path created it
+orderSchema.pre("save", async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await this.constructor.generateOrderNumber();
+  }
+});
+
 orderSchema.plugin(aggregatePaginate);
 
 const Order = mongoose.model("Order", orderSchema);
@@ -14,6 +14,8 @@ const paymentMethodSchema = new mongoose.Schema(
         "Paymob-Kiosk",   // Paymob Kiosk (Aman, Masary)
         "Paymob-Installments", // Paymob Bank Installments
         "Paymob-ValU",    // Paymob ValU BNPL
+        "GiftCard",       // Internal (gift card balance, split tender)
+        "Wallet",         // Internal (customer store credit, split tender)
       ],
       required: true,
       unique: true,
@@ -1,5 +1,32 @@
 import mongoose, { Schema } from "mongoose";
 import aggregatePaginate from "mongoose-aggregate-paginate-v2";
+import availabilityWindowSchema from "./availabilityWindow.schema.js";
+
+// ✅ Modifier option (e.g. "Large", "Extra cheese", "No onions")
+const modifierOptionSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  // Added to the unit price when selected (0 for removals)
+  priceDelta: { type: Number, default: 0 },
+  isDefault: { type: Boolean, default: false },
+  isAvailable: { type: Boolean, default: true },
+});
+
+// ✅ Modifier group (e.g. "Size", "Add-ons", "Remove")
+const modifierGroupSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  isRequired: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: function (array) {
+        return array.length > 0;
+      },
+      message: "A modifier group needs at least one option",
+    },
+  },
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -30,6 +57,9 @@ const productSchema = new mongoose.Schema(
     },
     
     isAvailable: { type: Boolean, default: true },
+    // ✅ Set when inventory turned the product off (a required stock item ran out)
+    // Only these products are switched back on automatically after restocking
+    stockDisabled: { type: Boolean, default: false },
     ingredients: { type: [String], default: [], required: true },
     category: {
       type: Schema.Types.ObjectId,
@@ -49,6 +79,18 @@ const productSchema = new mongoose.Schema(
     imagesPublicId: {
       type: [String],
     },
+
+    // ✅ Service hours - empty means whenever the category is on the menu
+    availabilitySchedule: {
+      type: [availabilityWindowSchema],
+      default: [],
+    },
+
+    // ✅ Modifiers (sizes, add-ons, removals)
+    modifierGroups: {
+      type: [modifierGroupSchema],
+      default: [],
+    },
   },
   { timestamps: true }
 );
@@ -85,7 +127,7 @@ productSchema.methods.getEffectivePrice = function(categoryDiscount = null, glob
     };
   }
   
-  // Priority 3: Global discount
+  // Priority 3: Global discount (one or more campaigns combined)
   if (globalDiscount && globalDiscount.isActive) {
     const discountedPrice = this.price * (1 - globalDiscount.discountPercentage / 100);
     return {
@@ -94,6 +136,7 @@ productSchema.methods.getEffectivePrice = function(categoryDiscount = null, glob
       discount: this.price - discountedPrice,
       discountPercentage: globalDiscount.discountPercentage,
       discountType: 'global',
+      campaigns: globalDiscount.campaigns || [],
     };
   }
   
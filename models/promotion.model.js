@@ -0,0 +1,181 @@
+// promotion.model.js
+// ✅ Automatic promotions - rule-based discounts that apply without a code
+// Loaded by promotion.service.js and evaluated in calculateFinalCartPrice
+
+import mongoose, { Schema } from "mongoose";
+import availabilityWindowSchema from "./availabilityWindow.schema.js";
+import { RFM_SEGMENT_NAMES } from "../helpers/customerAnalytics.helpers.js";
+
+// When the promotion fires - every condition that is set must hold
+const conditionsSchema = new mongoose.Schema(
+  {
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: "Cart subtotal after product discounts",
+    },
+    // Items the promotion is about: they count towards minQuantity and are
+    // what an "items" action discounts. Empty = every item.
+    products: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    minQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: "Units of the matching items the cart must hold",
+    },
+    // Day / time windows (server local time), empty = any time
+    schedule: {
+      type: [availabilityWindowSchema],
+      default: [],
+    },
+    // Empty = every place type
+    placeTypes: [
+      {
+        type: String,
+        enum: ["Online", "In-Place", "Takeaway"],
+      },
+    ],
+    // guest | registered | firstOrder (no earlier order) | returning. Empty = anyone
+    customerTypes: [
+      {
+        type: String,
+        enum: ["guest", "registered", "firstOrder", "returning"],
+      },
+    ],
+    // RFM segments (see customerAnalytics.helpers.js). Empty = any customer
+    segments: [
+      {
+        type: String,
+        enum: RFM_SEGMENT_NAMES,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// What the promotion gives
+const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["percentage", "fixed", "freeItem", "freeDelivery"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      required: function () {
+        return ["percentage", "fixed"].includes(this.type);
+      },
+    },
+    // percentage / fixed: the whole cart, or only the matching items
+    appliesTo: {
+      type: String,
+      enum: ["cart", "items"],
+      default: "cart",
+    },
+    maxDiscountAmount: {
+      type: Number,
+      min: 0,
+    },
+    // freeItem: freeQuantity of freeProduct are free once it is in the cart
+    freeProduct: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: function () {
+        return this.type === "freeItem";
+      },
+    },
+    freeQuantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    conditions: {
+      type: conditionsSchema,
+      default: () => ({}),
+    },
+    action: {
+      type: actionSchema,
+      required: true,
+    },
+    // Higher runs first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // false = exclusive: only fires when no other promotion has, and stops
+    // any lower-priority promotion from firing
+    stackable: {
+      type: Boolean,
+      default: true,
+    },
+    // false = skipped while a coupon is applied to the cart
+    combinableWithCoupons: {
+      type: Boolean,
+      default: true,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1, priority: -1 });
+
+/**
+ * Promotions running at a moment, highest priority first
+ * @param {Date} [at]
+ * @returns {Promise<Object[]>}
+ */
+promotionSchema.statics.getRunningPromotions = async function (at = new Date()) {
+  return this.find({
+    isActive: true,
+    startDate: { $lte: at },
+    $or: [{ endDate: null }, { endDate: { $gte: at } }],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
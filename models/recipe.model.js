@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+
+// Stock consumed by one unit of a product
+const recipeSchema = new mongoose.Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    ingredients: [
+      {
+        _id: false,
+        stockItem: {
+          type: Schema.Types.ObjectId,
+          ref: "StockItem",
+          required: true,
+        },
+        // Amount per product unit, in the stock item's unit
+        quantity: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // Required ingredients make the product unavailable when they run out
+        isRequired: {
+          type: Boolean,
+          default: true,
+        },
+        // Only consumed when this modifier option is selected (e.g. "Extra cheese")
+        optionId: {
+          type: Schema.Types.ObjectId,
+          default: null,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+recipeSchema.index({ "ingredients.stockItem": 1 });
+
+const Recipe = mongoose.model("Recipe", recipeSchema);
+
+export default Recipe;
@@ -0,0 +1,118 @@
+// referral.model.js
+// ✅ One document per referred customer, from sign-up to rewards
+
+import mongoose, { Schema } from "mongoose";
+
+// What one side received
+const issuedRewardSchema = new mongoose.Schema(
+  {
+    // Reversed = taken back because the qualifying order was cancelled or refunded
+    status: {
+      type: String,
+      enum: ["Issued", "Skipped", "Reversed"],
+    },
+    type: {
+      type: String,
+      enum: ["wallet", "coupon", "none"],
+    },
+    amount: {
+      type: Number,
+    },
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    // Why a referrer reward was skipped, e.g. a cap was reached
+    reason: {
+      type: String,
+    },
+    issuedAt: {
+      type: Date,
+    },
+    // Wallet credit taken back (can be less than amount if it was spent)
+    reversedAmount: {
+      type: Number,
+    },
+    reversedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const referralSchema = new mongoose.Schema(
+  {
+    referrer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    referee: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    // Pending = signed up, Verified = email verified, Completed = first order
+    // paid and rewards handed out, Rejected = failed a fraud guard or rule,
+    // Reversed = the first order was cancelled or refunded after the rewards
+    status: {
+      type: String,
+      enum: ["Pending", "Verified", "Completed", "Rejected", "Reversed"],
+      default: "Pending",
+    },
+    rejectionReason: {
+      type: String,
+      enum: [
+        "self_referral",
+        "same_phone",
+        "same_device",
+        "not_first_order",
+        "order_below_minimum",
+        "rejected_by_admin",
+      ],
+    },
+    // Device the referee signed up from (X-Device-Id header)
+    deviceId: {
+      type: String,
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+    },
+    reversedAt: {
+      type: Date,
+    },
+    reversalReason: {
+      type: String,
+    },
+    referrerReward: {
+      type: issuedRewardSchema,
+      default: undefined,
+    },
+    refereeReward: {
+      type: issuedRewardSchema,
+      default: undefined,
+    },
+  },
+  { timestamps: true }
+);
+
+referralSchema.index({ referrer: 1, status: 1, completedAt: -1 });
+referralSchema.index({ deviceId: 1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model("Referral", referralSchema);
+
+export default Referral;
@@ -0,0 +1,124 @@
+// referralSettings.model.js
+// ✅ Referral program: rewards for both sides, caps and fraud guards
+// Single active document, like LoyaltySettings
+
+import mongoose from "mongoose";
+
+// What one side of a referral receives
+const rewardSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["wallet", "coupon", "none"],
+      default: "wallet",
+      description: "wallet = store credit, coupon = single-use personal coupon",
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: "Credit amount, or the coupon's discount value",
+    },
+    // Coupon rewards only
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "fixed",
+    },
+    maxDiscountAmount: {
+      type: Number,
+      min: 0,
+    },
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const referralSettingsSchema = new mongoose.Schema(
+  {
+    isEnabled: {
+      type: Boolean,
+      default: false,
+      description: "New customers can sign up with a referral code",
+    },
+
+    // ==================== REWARDS ====================
+    referrerReward: {
+      type: rewardSchema,
+      default: () => ({ type: "wallet", amount: 50 }),
+      description: "Given to the customer who shared the code",
+    },
+    refereeReward: {
+      type: rewardSchema,
+      default: () => ({ type: "coupon", amount: 50, discountType: "fixed" }),
+      description: "Given to the new customer",
+    },
+    couponValidDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+      description: "Reward coupons expire this many days after they are issued",
+    },
+    minFirstOrderAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: "The referee's first order must be at least this much to qualify",
+    },
+
+    // ==================== CAPS ====================
+    maxRewardsPerReferrer: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: "Lifetime referrer rewards per customer (0 = unlimited)",
+    },
+    maxRewardsPerMonth: {
+      type: Number,
+      default: 10,
+      min: 0,
+      description: "Referrer rewards per customer per calendar month (0 = unlimited)",
+    },
+
+    // ==================== FRAUD GUARDS ====================
+    blockSamePhone: {
+      type: Boolean,
+      default: true,
+      description: "Reject referrals where both accounts share a phone number",
+    },
+    blockSameDevice: {
+      type: Boolean,
+      default: true,
+      description: "Reject referrals from a device already used by the referrer or another referee",
+    },
+
+    // ==================== STATUS ====================
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      description: "Admin notes",
+    },
+  },
+  { timestamps: true }
+);
+
+referralSettingsSchema.index({ isActive: 1 });
+
+/**
+ * Get active referral settings
+ * @returns {Promise<Object|null>}
+ */
+referralSettingsSchema.statics.getActiveConfig = async function () {
+  return this.findOne({ isActive: true });
+};
+
+const ReferralSettings = mongoose.model("ReferralSettings", referralSettingsSchema);
+
+export default ReferralSettings;
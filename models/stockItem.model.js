@@ -0,0 +1,60 @@
+import mongoose, { Schema } from "mongoose";
+
+const stockItemSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    unit: {
+      type: String,
+      enum: ["g", "kg", "ml", "l", "pcs"],
+      required: true,
+    },
+    // Current quantity on hand (in `unit`)
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+    // Flag the item as low stock at or below this quantity
+    lowStockThreshold: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+stockItemSchema.virtual("isLowStock").get(function () {
+  return this.quantity <= this.lowStockThreshold;
+});
+
+stockItemSchema.virtual("isOutOfStock").get(function () {
+  return this.quantity <= 0;
+});
+
+/**
+ * Get active stock items at or below their low-stock threshold
+ * @returns {Promise<Array>}
+ */
+stockItemSchema.statics.getLowStock = function () {
+  return this.find({
+    isActive: true,
+    $expr: { $lte: ["$quantity", "$lowStockThreshold"] },
+  }).sort({ quantity: 1 });
+};
+
+const StockItem = mongoose.model("StockItem", stockItemSchema);
+
+export default StockItem;
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+// Ledger of every stock change
+const stockMovementSchema = new mongoose.Schema(
+  {
+    stockItem: {
+      type: Schema.Types.ObjectId,
+      ref: "StockItem",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "order",       // Consumed by a confirmed order
+        "restock",     // Returned by a cancelled / refunded order
+        "purchase",    // Delivery from a supplier
+        "adjustment",  // Manual correction (stock count)
+        "waste",       // Spoiled / dropped
+      ],
+      required: true,
+    },
+    // Signed change applied to the stock item
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+stockMovementSchema.index({ stockItem: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
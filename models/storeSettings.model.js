@@ -0,0 +1,161 @@
+// storeSettings.model.js
+// ✅ Restaurant-wide settings: opening hours, holidays and ordering cut-offs
+// Single active document, like StripeConfig / PaymobConfig
+
+import mongoose from "mongoose";
+import availabilityWindowSchema from "./availabilityWindow.schema.js";
+import { DATE_PATTERN, TIME_PATTERN } from "../helpers/time.helpers.js";
+
+const holidaySchema = new mongoose.Schema({
+  // Local calendar date, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, "date must be in YYYY-MM-DD format"],
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Closed all day, or open with special hours
+  isClosed: {
+    type: Boolean,
+    default: true,
+  },
+  openTime: {
+    type: String,
+    match: [TIME_PATTERN, "openTime must be in HH:mm format"],
+  },
+  closeTime: {
+    type: String,
+    match: [TIME_PATTERN, "closeTime must be in HH:mm format"],
+  },
+});
+
+const storeSettingsSchema = new mongoose.Schema(
+  {
+    // ==================== OPENING HOURS ====================
+    enforceOpeningHours: {
+      type: Boolean,
+      default: true,
+      description: "Reject orders and reservations outside opening hours",
+    },
+    weeklyHours: {
+      type: [availabilityWindowSchema],
+      default: [],
+      description: "Weekly opening hours (server local time). Empty = open every day",
+    },
+    holidays: {
+      type: [holidaySchema],
+      default: [],
+      description: "Closures and special hours that override weeklyHours for a date",
+    },
+
+    // ==================== CUT-OFFS ====================
+    lastOrderMinutes: {
+      Online: {
+        type: Number,
+        default: 30,
+        min: 0,
+        description: "Stop online orders this many minutes before closing",
+      },
+      "In-Place": {
+        type: Number,
+        default: 15,
+        min: 0,
+        description: "Stop dine-in orders this many minutes before closing",
+      },
+      Takeaway: {
+        type: Number,
+        default: 20,
+        min: 0,
+        description: "Stop takeaway orders this many minutes before closing",
+      },
+    },
+    lastReservationMinutes: {
+      type: Number,
+      default: 60,
+      min: 0,
+      description: "Latest reservation slot, in minutes before closing",
+    },
+
+    // ==================== SCHEDULED ORDERS ====================
+    scheduledOrders: {
+      isEnabled: {
+        type: Boolean,
+        default: true,
+        description: "Allow customers to order ahead with scheduledFor",
+      },
+      minAdvanceMinutes: {
+        type: Number,
+        default: 60,
+        min: 0,
+        description: "Earliest scheduledFor, in minutes from now",
+      },
+      maxAdvanceDays: {
+        type: Number,
+        default: 7,
+        min: 1,
+        description: "Latest scheduledFor, in days from now",
+      },
+      releaseLeadMinutes: {
+        Online: {
+          type: Number,
+          default: 45,
+          min: 0,
+          description: "Send online orders to the kitchen this long before they are due",
+        },
+        Takeaway: {
+          type: Number,
+          default: 20,
+          min: 0,
+          description: "Send takeaway orders to the kitchen this long before they are due",
+        },
+      },
+      slotMinutes: {
+        type: Number,
+        default: 15,
+        min: 5,
+        description: "Length of a capacity slot",
+      },
+      maxOrdersPerSlot: {
+        type: Number,
+        default: 10,
+        min: 0,
+        description: "Scheduled orders accepted per slot (0 = unlimited)",
+      },
+      unpaidHoldMinutes: {
+        type: Number,
+        default: 30,
+        min: 5,
+        description: "How long an unpaid online payment keeps its place in a slot",
+      },
+    },
+
+    // ==================== STATUS ====================
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      description: "Admin notes",
+    },
+  },
+  { timestamps: true }
+);
+
+storeSettingsSchema.index({ isActive: 1 });
+
+/**
+ * Get active store settings
+ * @returns {Promise<Object|null>}
+ */
+storeSettingsSchema.statics.getActiveConfig = async function () {
+  return this.findOne({ isActive: true });
+};
+
+const StoreSettings = mongoose.model("StoreSettings", storeSettingsSchema);
+
+export default StoreSettings;
@@ -1,6 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import "dotenv/config";
 
 const userSchema = new mongoose.Schema(
@@ -58,6 +59,35 @@ const userSchema = new mongoose.Schema(
     refreshToken: {
       type: String,
     },
+    // ✅ Loyalty points balance (ledger in loyaltyTransaction.model.js)
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+    },
+    // ✅ Referral program (see referral.model.js)
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+    referredBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Device the account was created from (X-Device-Id header), for fraud checks
+    signupDeviceId: {
+      type: String,
+      default: null,
+    },
+    // ✅ Store credit balance (ledger in walletTransaction.model.js)
+    walletBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     verifyOtp: { type: String, default: "" },
     verifyOtpExpireAt: { type: Number, default: 0 },
     verifyOtpSendTime: { type: Number, default: 0 },
@@ -118,6 +148,27 @@ userSchema.methods.generateRefreshToken = function () {
   );
 };
 
+// No 0/O, 1/I/L - codes are read aloud and typed by hand
+const REFERRAL_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a referral code that isn't used yet, e.g. "AHMED-7KQ2M9"
+ * @param {string} name - Prefix source (first letters of the name)
+ * @returns {Promise<string>}
+ */
+userSchema.statics.generateReferralCode = async function (name = "") {
+  const prefix = name.replace(/[^A-Za-z]/g, "").slice(0, 5).toUpperCase() || "QITCH";
+
+  for (;;) {
+    const suffix = [...crypto.randomBytes(6)]
+      .map((byte) => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length])
+      .join("");
+    const referralCode = `${prefix}-${suffix}`;
+
+    if (!(await this.exists({ referralCode }))) return referralCode;
+  }
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
\ No newline at end of file
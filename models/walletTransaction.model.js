@@ -0,0 +1,57 @@
+import mongoose, { Schema } from "mongoose";
+
+// Ledger of every wallet (store credit) balance change
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "refund",      // Order refunded as store credit, or wallet payment refunded
+        "goodwill",    // Credit given by an admin
+        "referral",    // Referral program reward
+        "spend",       // Paid towards an order
+        "release",     // Order failed / cancelled before it was paid in full
+        "adjustment",  // Manual correction by an admin
+      ],
+      required: true,
+    },
+    // Signed change applied to the balance
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ order: 1 });
+
+const WalletTransaction = mongoose.model(
+  "WalletTransaction",
+  walletTransactionSchema
+);
+
+export default WalletTransaction;
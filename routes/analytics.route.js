@@ -0,0 +1,47 @@
+// analytics.route.js
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getSalesOverview,
+  getBreakdown,
+  getDiscounts,
+} from "../controllers/analytics.controller.js";
+
+const router = express.Router();
+
+// All analytics routes require authentication + admin role
+router.use(jwtVerify, checkAdminRole);
+
+router.get("/sales", getSalesOverview);
+router.get("/breakdown/:dimension", getBreakdown);
+router.get("/discounts", getDiscounts);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/analytics/sales                   - Revenue, orders, AOV, discounts, refunds + time series
+GET    /api/v2/analytics/breakdown/:dimension    - By category | product | paymentMethod | placeType | governorate
+GET    /api/v2/analytics/discounts               - Discount cost by type, coupon cost by code
+
+==================== QUERY PARAMS ====================
+
+?from=2026-10-01&to=2026-10-31   - Range ("YYYY-MM-DD" = whole local day, ISO also works)
+                                   Default: the last 30 days
+?interval=hour|day|week|month    - Series buckets (/sales only, default day, weeks start Monday)
+?compare=false                   - Skip the previous period (same length, right before the range)
+?limit=20                        - Rows per breakdown (max 100)
+
+Revenue = order totals (delivery included) of paid orders (Completed,
+PartiallyRefunded, Refunded) by order date. Refunds are counted by refund
+date; netRevenue = revenue - refundAmount. Category and product breakdowns
+use line totals, so they exclude delivery fees.
+
+Percent changes are null when the previous period had nothing to compare to.
+
+Figures come from the hourly / daily metric rollups, so ranges are rounded
+to whole local hours. Rebuild them with: npm run rollups:rebuild
+*/
@@ -13,57 +13,102 @@ import {
   // ✅ NEW: Coupon operations
   applyCouponToCart,
   removeCouponFromCart,
+  // ✅ Loyalty points
+  applyLoyaltyPointsToCart,
+  removeLoyaltyPointsFromCart,
   getCartWithDiscounts,
 } from "../controllers/cart.controller.js";
 import jwtVerify from "../middleware/auth.middleware.js";
+import identifyCustomer from "../middleware/guest.middleware.js";
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(jwtVerify);
+// Cart routes work for logged-in users and guests (guestToken cookie),
+// coupons and admin lookups require an account
 
 // ==================== CART OPERATIONS ====================
 
 // Get cart
-router.get("/get-cart", getCart);
+router.get("/get-cart", identifyCustomer, getCart);
 
 // ✅ NEW: Get cart with detailed discount breakdown
-router.get("/get-cart-with-discounts", getCartWithDiscounts);
+router.get("/get-cart-with-discounts", identifyCustomer, getCartWithDiscounts);
 
 // Get cart by user ID (admin)
-router.get("/get-cart/:userId", getCartByUserId);
+router.get("/get-cart/:userId", jwtVerify, getCartByUserId);
 
 // ==================== PRODUCT OPERATIONS ====================
 
 // Add single product
-router.post("/add-product/:productId", addProductToCart);
+router.post("/add-product/:productId", identifyCustomer, addProductToCart);
 
 // Add multiple products
-router.post("/add-multiple-products", addMultipleProductsToCart);
+router.post("/add-multiple-products", identifyCustomer, addMultipleProductsToCart);
 
 // Adjust product quantity
-router.patch("/adjust-quantity/:productId", adjustProductQuantity);
+router.patch("/adjust-quantity/:productId", identifyCustomer, adjustProductQuantity);
 
 // Remove one instance of product
-router.patch("/:productId", removeProductInstanceFromCart);
+router.patch("/:productId", identifyCustomer, removeProductInstanceFromCart);
 
 // Remove all instances of same product
-router.patch("/remove-all-same-products/:productId", removeAllSameProductFromCart);
+router.patch(
+  "/remove-all-same-products/:productId",
+  identifyCustomer,
+  removeAllSameProductFromCart
+);
 
 // ==================== COUPON OPERATIONS ====================
 
 // ✅ NEW: Apply coupon
-router.post("/apply-coupon", applyCouponToCart);
+router.post("/apply-coupon", jwtVerify, applyCouponToCart);
 
 // ✅ NEW: Remove coupon
-router.post("/remove-coupon", removeCouponFromCart);
+router.post("/remove-coupon", jwtVerify, removeCouponFromCart);
+
+// ==================== LOYALTY POINTS ====================
+
+// Redeem points on the cart (spent when the order is placed)
+router.post("/apply-points", jwtVerify, applyLoyaltyPointsToCart);
+
+// Stop redeeming points
+router.post("/remove-points", jwtVerify, removeLoyaltyPointsFromCart);
 
 // ==================== CART MANAGEMENT ====================
 
 // Clear cart
-router.patch("/clear-cart", clearCart);
+router.patch("/clear-cart", identifyCustomer, clearCart);
 
 // Delete cart
-router.delete("/:productId", deleteCart);
+router.delete("/:productId", identifyCustomer, deleteCart);
 
 export { router };
+
+/*
+==================== MODIFIERS ====================
+
+POST /api/v2/cart/add-product/:productId
+{
+  "quantity": 1,
+  "options": [{ "groupId": "ObjectId", "optionId": "ObjectId" }]
+}
+The same product with different options becomes a separate cart line,
+identified by its "optionsKey". Send "optionsKey" in the body of
+adjust-quantity, /:productId and remove-all-same-products to target a line.
+
+==================== GUEST CARTS ====================
+
+Without an accessToken the cart routes use a guest cart, tied to a signed
+"guestToken" cookie (issued on the first request, valid 30 days).
+Guests check out with POST /api/v2/order/guest/cart. On login the guest cart
+is merged into the user's cart. Coupons require an account.
+
+==================== LOYALTY POINTS ====================
+
+POST /api/v2/cart/apply-points
+{ "points": 500 }
+Points pay towards the total after the coupon, up to the program's
+maxRedeemPercentage. They are re-checked against the balance at checkout
+and spent when the order is placed (given back if payment fails, the order
+is cancelled or fully refunded). Guests can't redeem points.
+*/
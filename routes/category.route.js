@@ -10,6 +10,7 @@ import {
   removeCategoryDiscount,
   getCategoryWithDiscount,
   getCategoriesWithDiscounts,
+  setCategorySchedule,
 } from "../controllers/category.controller.js";
 import jwtVerify from "../middleware/auth.middleware.js";
 import checkAdminRole from "../middleware/role.middleware.js";
@@ -36,6 +37,14 @@ router.patch(
   removeCategoryDiscount
 );
 
+// Category availability schedule (service hours)
+router.patch(
+  "/:categoryId/schedule",
+  jwtVerify,
+  checkAdminRole,
+  setCategorySchedule
+);
+
 // Update category
 router.patch("/:categoryId", jwtVerify, checkAdminRole, updateCategory);
 
@@ -6,9 +6,15 @@ import {
   createCoupon,
   getAllCoupons,
   getCouponById,
+  getCouponRedemptions,
   updateCoupon,
   toggleCouponStatus,
   deleteCoupon,
+  createCouponBatch,
+  getCouponBatches,
+  getCouponBatchById,
+  exportCouponBatch,
+  toggleCouponBatch,
   validateCoupon,
 } from "../controllers/coupon.controller.js";
 
@@ -20,7 +26,16 @@ router.get("/validate/:code", jwtVerify, validateCoupon);
 // Admin routes (require authentication + admin role)
 router.post("/create", jwtVerify, checkAdminRole, createCoupon);
 router.get("/all", jwtVerify, checkAdminRole, getAllCoupons);
+
+// Bulk batches (before /:couponId so "batches" isn't read as a coupon id)
+router.post("/batches", jwtVerify, checkAdminRole, createCouponBatch);
+router.get("/batches", jwtVerify, checkAdminRole, getCouponBatches);
+router.get("/batches/:batchId", jwtVerify, checkAdminRole, getCouponBatchById);
+router.get("/batches/:batchId/export", jwtVerify, checkAdminRole, exportCouponBatch);
+router.patch("/batches/:batchId/toggle", jwtVerify, checkAdminRole, toggleCouponBatch);
+
 router.get("/:couponId", jwtVerify, checkAdminRole, getCouponById);
+router.get("/:couponId/redemptions", jwtVerify, checkAdminRole, getCouponRedemptions);
 router.patch("/:couponId", jwtVerify, checkAdminRole, updateCoupon);
 router.patch("/:couponId/toggle", jwtVerify, checkAdminRole, toggleCouponStatus);
 router.delete("/:couponId", jwtVerify, checkAdminRole, deleteCoupon);
@@ -35,8 +50,14 @@ GET    /api/v2/coupon/validate/:code               - Validate coupon code
 
 ADMIN (JWT + Admin Role):
 POST   /api/v2/coupon/create                       - Create coupon
-GET    /api/v2/coupon/all                          - Get all coupons
+GET    /api/v2/coupon/all                          - Get all coupons (?isActive, batch, includeBatches)
+POST   /api/v2/coupon/batches                      - Generate a batch of single-use codes
+GET    /api/v2/coupon/batches                      - Get all batches with stats (?isActive, page, limit)
+GET    /api/v2/coupon/batches/:batchId             - Get batch with redemption stats
+GET    /api/v2/coupon/batches/:batchId/export      - Export codes (?format=csv|xlsx)
+PATCH  /api/v2/coupon/batches/:batchId/toggle      - Activate / deactivate the whole batch
 GET    /api/v2/coupon/:couponId                    - Get coupon by ID
+GET    /api/v2/coupon/:couponId/redemptions        - Redemption log (?status, page, limit)
 PATCH  /api/v2/coupon/:couponId                    - Update coupon
 PATCH  /api/v2/coupon/:couponId/toggle             - Toggle active status
 DELETE /api/v2/coupon/:couponId                    - Delete coupon
@@ -84,9 +105,148 @@ CREATE COUPON (Free Delivery):
   "isGlobal": true
 }
 
+CREATE COUPON (Buy X Get Y - buy 2 burgers, the cheapest third one free):
+{
+  "code": "BURGER3",
+  "description": "Buy 2 burgers, get 1 free",
+  "discountType": "buyXGetY",
+  "buyQuantity": 2,
+  "getQuantity": 1,
+  "getDiscountPercentage": 100,      // 50 = the "get" items are half price
+  "maxApplicationsPerOrder": 2,      // Optional, null = no limit
+  "applicableCategories": ["burgersCategoryId"],
+  "isGlobal": false,
+  "expiryDate": "2025-12-31T23:59:59Z"
+}
+
+CREATE COUPON (Bundle - these products together for bundlePrice):
+{
+  "code": "COMBO150",
+  "description": "Burger + fries + drink for 150",
+  "discountType": "bundle",
+  "bundleItems": [
+    { "product": "burgerId", "quantity": 1 },
+    { "product": "friesId", "quantity": 1 },
+    { "product": "drinkId", "quantity": 1 }
+  ],
+  "bundlePrice": 150,
+  "expiryDate": "2025-12-31T23:59:59Z"
+}
+
+CREATE COUPON (Tiered - spend more, save more):
+{
+  "code": "SPENDMORE",
+  "description": "Spend 500 get 15%, spend 1000 get 25%",
+  "discountType": "tiered",
+  "tiers": [
+    { "minAmount": 500, "discountType": "percentage", "discountValue": 15 },
+    { "minAmount": 1000, "discountType": "percentage", "discountValue": 25 }
+  ],
+  "maxDiscountAmount": 400,
+  "expiryDate": "2025-12-31T23:59:59Z"
+}
+
+CREATE COUPON (Free item with purchase - the customer adds the item to the cart):
+{
+  "code": "FREEDESSERT",
+  "description": "Free dessert with any main",
+  "discountType": "freeItem",
+  "freeProduct": "dessertId",
+  "freeQuantity": 1,
+  "applicableCategories": ["mainsCategoryId"],
+  "isGlobal": false,
+  "expiryDate": "2025-12-31T23:59:59Z"
+}
+
+FIRST ORDER ONLY (any discount type):
+{
+  "code": "WELCOME30",
+  "description": "30% off your first order",
+  "discountType": "percentage",
+  "discountValue": 30,
+  "firstOrderOnly": true,
+  "expiryDate": "2025-12-31T23:59:59Z"
+}
+
+Item coupons (buyXGetY, bundle, freeItem) discount the base price of the
+cheapest matching units (selected options stay full price) and show which
+lines they discounted in GET /api/v2/cart/get-cart-with-discounts
+(appliedCoupon.appliedItems and each product's couponDiscount).
+
 UPDATE COUPON:
 {
   "maxUsageCount": 2000,
   "expiryDate": "2025-12-31T23:59:59Z"
 }
+
+TARGETED COUPON (only these customers can use it):
+{
+  "targetUsers": ["userId1", "userId2"]   // [] = everyone
+}
+Fill it from an RFM segment with POST /api/v2/customers/segments/:segment/target-coupon
+
+==================== BULK BATCHES ====================
+
+Single-use codes for influencer campaigns and printed flyers. Every code is a
+regular coupon (maxUsageCount 1, maxUsagePerUser 1) with the batch's discount
+settings; checkout, reservations and the redemption log work as usual.
+
+GENERATE BATCH (up to 10000 codes, e.g. "INSTA-7KQ2M9XD"):
+{
+  "name": "Instagram - spring campaign",
+  "prefix": "INSTA",                 // Optional, 1-12 letters / digits
+  "codeLength": 8,                   // Random part, 6-16 (default 8)
+  "quantity": 5000,
+  "notes": "Split between 20 creators",
+  // Discount settings - same fields as CREATE COUPON
+  "description": "15% off your order",
+  "discountType": "percentage",
+  "discountValue": 15,
+  "maxDiscountAmount": 75,
+  "minOrderAmount": 150,
+  "expiryDate": "2026-06-30T23:59:59Z"
+}
+
+Batch stats:
+{
+  "codes": 5000, "active": 5000,
+  "redeemed": 412,                   // Paid orders
+  "reserved": 9,                     // Orders waiting for payment
+  "unused": 4579,
+  "redemptionRate": 8.24,            // % of codes redeemed
+  "totalDiscount": 18540.5
+}
+
+- Export columns: Code, Status (Redeemed | Reserved | Inactive | Expired |
+  Unused), Redeemed At, Order, Customer, Discount, Expires
+- TOGGLE BATCH: { "isActive": false } deactivates every code at once (omit the
+  body to flip it); orders already holding a code keep their reservation
+- Batch codes are hidden from GET /all; list them with ?batch=:batchId
+
+==================== USAGE & REDEMPTIONS ====================
+
+- Placing an order reserves a use of its coupon; maxUsageCount and
+  maxUsagePerUser count paid uses plus live reservations, checked atomically,
+  so parallel checkouts can't go over the limit
+- The use is committed (usageCount / usedBy) when the order is paid: Stripe
+  and Paymob webhooks, COD / gift card / wallet orders when placed
+- Failed payments, expired Stripe checkouts and cancellations release it
+  (cancelling a paid order gives the use back; refunds keep it)
+- Reservations of orders that are never paid expire after 24 hours. An
+  order paid later (e.g. at a kiosk) still counts its use; if the coupon was
+  used up in the meantime the use is counted over the limit and the order
+  (appliedCoupon.overLimit) and its log entry (overLimit) are flagged
+- Retrying a failed order's payment reserves the coupon again, and fails if
+  it has been used up in the meantime
+
+Redemption log entry:
+{
+  "order": { "orderNumber": "Q-20261018-0042", ... },
+  "user": { "name": "...", "email": "..." },
+  "discount": 45,
+  "status": "Committed",        // Reserved | Committed | Released | Expired
+  "reservedAt": "...", "expiresAt": "...", "committedAt": "...",
+  "overLimit": false,           // Paid after expiry while the coupon was used up
+  "releasedAt": null, "releaseReason": null
+}
 */
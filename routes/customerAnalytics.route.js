@@ -0,0 +1,63 @@
+// customerAnalytics.route.js
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getCustomers,
+  getCustomerById,
+  getCustomerCohorts,
+  getSegments,
+  getSegmentMembers,
+  targetCouponToSegment,
+} from "../controllers/customerAnalytics.controller.js";
+
+const router = express.Router();
+
+// All customer analytics routes require authentication + admin role
+router.use(jwtVerify, checkAdminRole);
+
+router.get("/", getCustomers);
+router.get("/cohorts", getCustomerCohorts);
+router.get("/segments", getSegments);
+router.get("/segments/:segment", getSegmentMembers);
+router.post("/segments/:segment/target-coupon", targetCouponToSegment);
+router.get("/:userId", getCustomerById);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/customers                                  - Per-customer stats (?sortBy=totalSpend|orders|lastOrderAt|averageBasket&search=)
+GET    /api/v2/customers/cohorts                          - Monthly cohorts + retention (?from=YYYY-MM&to=YYYY-MM, default last 12 months)
+GET    /api/v2/customers/segments                         - RFM segment summary
+GET    /api/v2/customers/segments/:segment                - Segment members (?format=csv|xlsx to export)
+POST   /api/v2/customers/segments/:segment/target-coupon  - Limit a coupon to the segment's customers
+GET    /api/v2/customers/:userId                          - One customer: stats, favorites, RFM
+
+Registered customers only (guest orders have no account). Spend is net of
+completed refunds.
+
+RFM scores recency, frequency and spend 1-5 against the other customers.
+Segments (first match wins):
+champions            R>=4, F>=4, M>=4
+loyal                R>=3, F>=3
+new                  R>=4, one order
+potential-loyalists  R>=3
+at-risk              F>=3 (not recent)
+hibernating          everyone else
+
+Cohorts group customers by the month of their first order; retention[n] is
+the share who ordered in the n-th month after it.
+
+==================== BODY EXAMPLES ====================
+
+TARGET COUPON:
+{
+  "couponId": "ObjectId"
+}
+The segment's current members are copied to coupon.targetUsers (a snapshot,
+post again to refresh). Clear it with PATCH /api/v2/coupon/:couponId
+{ "targetUsers": [] }.
+*/
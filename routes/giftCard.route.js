@@ -0,0 +1,102 @@
+// giftCard.route.js
+// ✅ Gift cards - balance checks, purchase, issuing and the balance ledger
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  checkGiftCardBalance,
+  purchaseGiftCard,
+  getMyGiftCards,
+  createGiftCard,
+  getAllGiftCards,
+  getGiftCard,
+  getGiftCardHistory,
+  updateGiftCard,
+  adjustGiftCardBalance,
+} from "../controllers/giftCard.controller.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/:code/balance", checkGiftCardBalance);
+
+// Customer routes
+router.post("/purchase", jwtVerify, purchaseGiftCard);
+router.get("/me", jwtVerify, getMyGiftCards);
+
+// Admin routes (require authentication + admin role)
+router.post("/", jwtVerify, checkAdminRole, createGiftCard);
+router.get("/", jwtVerify, checkAdminRole, getAllGiftCards);
+router.get("/:giftCardId", jwtVerify, checkAdminRole, getGiftCard);
+router.get("/:giftCardId/history", jwtVerify, checkAdminRole, getGiftCardHistory);
+router.patch("/:giftCardId", jwtVerify, checkAdminRole, updateGiftCard);
+router.post("/:giftCardId/adjust", jwtVerify, checkAdminRole, adjustGiftCardBalance);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+PUBLIC:
+GET    /api/v2/gift-cards/:code/balance           - Balance, status and expiry (code masked)
+
+CUSTOMER (JWT):
+POST   /api/v2/gift-cards/purchase                - Buy a card with Stripe (returns session_url)
+GET    /api/v2/gift-cards/me                      - Cards I bought
+
+ADMIN (JWT + Admin Role):
+POST   /api/v2/gift-cards                         - Issue a card (active immediately)
+GET    /api/v2/gift-cards                         - List (?status&source&code&page&limit)
+GET    /api/v2/gift-cards/:giftCardId             - Card with its latest ledger entries
+GET    /api/v2/gift-cards/:giftCardId/history     - Ledger (?page&limit&type)
+PATCH  /api/v2/gift-cards/:giftCardId             - Disable / re-enable, expiry, notes
+POST   /api/v2/gift-cards/:giftCardId/adjust      - Add / remove balance by hand
+
+Statuses: Pending (bought, waiting for payment) | Active | Disabled
+Ledger types: issue | redeem | refund | release | adjustment
+
+Paying with a gift card (split tender):
+- Requires an active "GiftCard" payment method (POST /api/v2/payment-method,
+  provider "Internal")
+- Send giftCardCode with POST /api/v2/orders/cart/:cartId/:addressId or
+  POST /api/v2/orders/guest/cart. The card pays min(balance, total) first
+  (order.tenders); paymentMethod (Card / Paymob-* / COD) charges the rest.
+  If the card covers everything the order is paid with "GiftCard" at once.
+- Payment fails / order cancelled: the card gets its amount back ("release",
+  or "refund" once paid). Retrying the payment takes it again.
+- Refunds go to the gift card first, the payment method refunds the rest.
+
+==================== BODY EXAMPLES ====================
+
+PURCHASE / ISSUE:
+{
+  "amount": 50,
+  "recipient": { "name": "Mona", "email": "mona@example.com" },
+  "message": "Happy birthday!",
+  "expiresAt": "2027-12-31",       // Admin issue only, optional
+  "notes": "Compensation for order Q-20261018-0042"   // Admin issue only
+}
+
+UPDATE:
+{
+  "status": "Disabled",            // Active | Disabled
+  "expiresAt": null,               // null = never expires
+  "notes": "Reported lost"
+}
+
+ADJUST BALANCE:
+{
+  "amount": -10,                   // Negative removes balance
+  "note": "Duplicate issue"
+}
+
+CHECKOUT WITH A GIFT CARD:
+{
+  "paymentMethod": "Card",         // Charges what the card doesn't cover
+  "giftCardCode": "GC-7KQ2-M9XD-4HTP",
+  "placeType": "Online",
+  "governorate": "Cairo",
+  "city": "Nasr City"
+}
+*/
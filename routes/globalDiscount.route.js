@@ -57,9 +57,47 @@ CREATE GLOBAL DISCOUNT:
   "excludedCategories": ["categoryId1"]
 }
 
+WEEKEND BOOST STACKED ON TOP OF OTHER CAMPAIGNS:
+{
+  "name": "Weekend Boost",
+  "description": "Extra 5% off at weekends",
+  "discountPercentage": 5,
+  "endDate": "2026-12-31T23:59:59Z",
+  "schedule": [{ "days": [5, 6], "startTime": "00:00", "endTime": "23:59" }],
+  "priority": 10,
+  "combination": "stack"
+}
+
+Overlapping campaigns:
+- "best" (default): only the biggest "best" campaign applies to an item; the
+  higher priority wins a tie
+- "stack": applied on top of it, each on what is left
+  (20% best + 5% stack = 24% off)
+- Exclusions are checked per campaign, so an item excluded from one campaign
+  can still get another
+- Create / update / toggle respond with "warnings" listing the campaigns the
+  discount overlaps and how they will combine; saving is never blocked
+- Priced items report the campaigns they got in "discountCampaigns"
+  (product with-discount, on-sale, cart with discounts, order lines)
+
+HAPPY HOUR (weekdays 15:00-18:00 while the date range lasts):
+{
+  "name": "Afternoon Happy Hour",
+  "description": "20% off every afternoon",
+  "discountPercentage": 20,
+  "endDate": "2026-12-31T23:59:59Z",
+  "schedule": [{ "days": [1, 2, 3, 4, 5], "startTime": "15:00", "endTime": "18:00" }]
+}
+
+Outside its windows the discount is not applied; GET /active then returns
+"upcoming" with the next window's startsAt. Days: 0 = Sunday ... 6 = Saturday
+(server local time). Category discounts take the same windows as
+"discountSchedule" on PATCH /api/v2/category/:categoryId/discount.
+
 UPDATE GLOBAL DISCOUNT:
 {
   "discountPercentage": 25,
-  "endDate": "2025-01-10T23:59:59Z"
+  "endDate": "2025-01-10T23:59:59Z",
+  "priority": 5
 }
 */
@@ -0,0 +1,98 @@
+// inventory.route.js
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  createStockItem,
+  getStockItems,
+  getLowStockItems,
+  getStockItemById,
+  updateStockItem,
+  adjustStock,
+  deleteStockItem,
+  getStockMovements,
+  upsertRecipe,
+  getRecipe,
+  deleteRecipe,
+  syncAvailability,
+} from "../controllers/inventory.controller.js";
+
+const router = express.Router();
+
+// All inventory routes require authentication + admin role
+router.use(jwtVerify, checkAdminRole);
+
+// ==================== STOCK ITEMS ====================
+
+router.post("/stock-items", createStockItem);
+router.get("/stock-items", getStockItems);
+router.get("/low-stock", getLowStockItems);
+router.get("/stock-items/:stockItemId", getStockItemById);
+router.patch("/stock-items/:stockItemId", updateStockItem);
+router.post("/stock-items/:stockItemId/adjust", adjustStock);
+router.delete("/stock-items/:stockItemId", deleteStockItem);
+
+// ==================== LEDGER ====================
+
+router.get("/movements", getStockMovements);
+
+// ==================== RECIPES ====================
+
+router.put("/recipes/:productId", upsertRecipe);
+router.get("/recipes/:productId", getRecipe);
+router.delete("/recipes/:productId", deleteRecipe);
+
+// ==================== AVAILABILITY ====================
+
+router.post("/sync-availability", syncAvailability);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+ADMIN (JWT + Admin Role):
+POST   /api/v2/inventory/stock-items                     - Create stock item
+GET    /api/v2/inventory/stock-items                     - List stock items (?lowStock=true&isActive=true)
+GET    /api/v2/inventory/low-stock                       - Items at or below threshold
+GET    /api/v2/inventory/stock-items/:stockItemId        - Stock item + products using it
+PATCH  /api/v2/inventory/stock-items/:stockItemId        - Update name/unit/threshold/isActive
+POST   /api/v2/inventory/stock-items/:stockItemId/adjust - Purchase / waste / adjustment
+DELETE /api/v2/inventory/stock-items/:stockItemId        - Delete (only if unused)
+GET    /api/v2/inventory/movements                       - Ledger (?stockItem=&type=&order=&from=&to=)
+PUT    /api/v2/inventory/recipes/:productId              - Create/replace recipe
+GET    /api/v2/inventory/recipes/:productId              - Get recipe
+DELETE /api/v2/inventory/recipes/:productId              - Delete recipe
+POST   /api/v2/inventory/sync-availability               - Re-check all products
+
+Stock is consumed when an order is confirmed (paid online, or placed as COD)
+and returned when it is cancelled or fully refunded. Products turn unavailable
+when a required ingredient can't cover one unit, and come back after restocking
+(only if inventory was what turned them off).
+
+==================== BODY EXAMPLES ====================
+
+CREATE STOCK ITEM:
+{
+  "name": "Mozzarella",
+  "unit": "g",
+  "quantity": 5000,
+  "lowStockThreshold": 1000
+}
+
+ADJUST STOCK:
+{
+  "type": "purchase",     // "purchase" (+), "waste" (-), "adjustment" (signed)
+  "quantity": 2000,
+  "note": "Weekly delivery"
+}
+
+UPSERT RECIPE:
+{
+  "ingredients": [
+    { "stockItem": "ObjectId", "quantity": 150 },
+    { "stockItem": "ObjectId", "quantity": 1, "isRequired": false },
+    { "stockItem": "ObjectId", "quantity": 50, "optionId": "ObjectId" }   // Only with "Extra cheese"
+  ]
+}
+*/
@@ -0,0 +1,54 @@
+// kitchen.route.js
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getKitchenTickets,
+  getKitchenTicket,
+  updateTicketItemStatus,
+  bumpTicket,
+} from "../controllers/kitchen.controller.js";
+
+const router = express.Router();
+
+// Kitchen staff routes (require authentication + admin role)
+router.get("/tickets", jwtVerify, checkAdminRole, getKitchenTickets);
+router.get("/tickets/:orderId", jwtVerify, checkAdminRole, getKitchenTicket);
+router.patch(
+  "/tickets/:orderId/items/:itemIndex",
+  jwtVerify,
+  checkAdminRole,
+  updateTicketItemStatus
+);
+router.patch("/tickets/:orderId/bump", jwtVerify, checkAdminRole, bumpTicket);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/kitchen/tickets                          - Live ticket queue (grouped by placeType / table)
+GET    /api/v2/kitchen/tickets?placeType=In-Place       - Queue for one placeType
+GET    /api/v2/kitchen/tickets/:orderId                 - Single ticket
+PATCH  /api/v2/kitchen/tickets/:orderId/items/:itemIndex - Bump a line item
+PATCH  /api/v2/kitchen/tickets/:orderId/bump            - Mark every item done
+
+Tickets = orders in "Processing"/"Paid" that are paid, or COD with payment pending.
+Once every item is "done" the order moves to "Ready" automatically.
+
+SLA per ticket (minutes from payment, or from placement for COD):
+Online 25, In-Place 15, Takeaway 15 -> slaStatus "on-track" | "at-risk" (75%) | "breached"
+
+==================== SOCKET EVENTS (staff room) ====================
+
+kitchen:ticket-updated    - { type, ticket, emittedAt }
+kitchen:ticket-completed  - { type, ticket, emittedAt } (order also emits order:status-updated)
+
+==================== BODY EXAMPLES ====================
+
+UPDATE ITEM STATUS:
+{
+  "status": "cooking"   // "queued" | "cooking" | "done"
+}
+*/
@@ -0,0 +1,82 @@
+// loyalty.route.js
+// ✅ Loyalty points - balances, history and program settings
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getMyLoyalty,
+  getMyLoyaltyHistory,
+  getLoyaltySettings,
+  updateLoyaltySettings,
+  getUserLoyalty,
+  getUserLoyaltyHistory,
+  adjustUserPoints,
+  runPointsExpiry,
+} from "../controllers/loyalty.controller.js";
+
+const router = express.Router();
+
+// Customer routes
+router.get("/me", jwtVerify, getMyLoyalty);
+router.get("/me/history", jwtVerify, getMyLoyaltyHistory);
+
+// Admin routes (require authentication + admin role)
+router.get("/settings", jwtVerify, checkAdminRole, getLoyaltySettings);
+router.patch("/settings", jwtVerify, checkAdminRole, updateLoyaltySettings);
+router.post("/expire", jwtVerify, checkAdminRole, runPointsExpiry);
+router.get("/users/:userId", jwtVerify, checkAdminRole, getUserLoyalty);
+router.get("/users/:userId/history", jwtVerify, checkAdminRole, getUserLoyaltyHistory);
+router.post("/users/:userId/adjust", jwtVerify, checkAdminRole, adjustUserPoints);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+CUSTOMER (JWT):
+GET    /api/v2/loyalty/me                         - Balance, value, next expiry, program rules
+GET    /api/v2/loyalty/me/history                 - Points ledger (?page&limit&type)
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/loyalty/settings                   - Get settings (created with defaults if missing)
+PATCH  /api/v2/loyalty/settings                   - Update settings
+POST   /api/v2/loyalty/expire                     - Expire due points now (also runs hourly)
+GET    /api/v2/loyalty/users/:userId              - A customer's balance
+GET    /api/v2/loyalty/users/:userId/history      - A customer's ledger (?page&limit&type)
+POST   /api/v2/loyalty/users/:userId/adjust       - Add / remove points by hand
+
+Ledger types: earn | reverse | redeem | return | expire | adjustment
+
+How points move:
+- earn:    registered buyer's order reaches paymentStatus "Completed"
+           floor(sum of line totals x earnRate x category multiplier), delivery excluded
+- reverse: order cancelled or fully refunded (all points), partially refunded
+           (the refunded share). The balance can go negative if they were spent.
+- redeem:  POST /api/v2/cart/apply-points, spent when the order is placed
+- return:  redeemed points come back if payment fails, the order is cancelled
+           or fully refunded
+- expire:  earned / returned points expire expiryDays later (0 = never);
+           spending uses the soonest-expiring points first
+
+==================== BODY EXAMPLES ====================
+
+UPDATE SETTINGS:
+{
+  "isEnabled": true,
+  "earnRate": 1,                   // Points per currency unit
+  "categoryMultipliers": [
+    { "category": "ObjectId", "multiplier": 2 }    // Double points on this category
+  ],
+  "pointValue": 0.1,               // 100 points = 10 off
+  "minRedeemPoints": 100,
+  "maxRedeemPercentage": 50,       // Points pay at most half the order
+  "expiryDays": 365
+}
+
+ADJUST POINTS:
+{
+  "points": -200,                  // Negative removes points
+  "note": "Duplicate earn on order Q-20261018-0042"
+}
+*/
@@ -4,6 +4,7 @@
 import express from "express";
 import jwtVerify from "../middleware/auth.middleware.js";
 import checkAdminRole from "../middleware/role.middleware.js";
+import identifyCustomer from "../middleware/guest.middleware.js";
 
 import {
   // Order creation (Customer)
@@ -11,17 +12,26 @@ import {
   createOrderFromProduct,
   createOrderFromProducts,
 
+  // Guest checkout
+  createGuestOrderFromCart,
+  lookupGuestOrder,
+
   // Order retrieval
   getAllOrders,
   getAllOrdersForUser,
   getCurrentUserOrders,
   getOrderDetails,
   getOrdersByOrderStatus,
+  exportOrders,
 
   // Order management
   updateOrderStatus,
   updateOrderPlaceType,
 
+  // Scheduled orders
+  releaseDueScheduledOrders,
+  releaseOrderNow,
+
   // Payment operations
   refundOrder,
   cancelOrder,
@@ -33,7 +43,15 @@ import {
 
 const router = express.Router();
 
-// All order routes require authentication
+// ==================== GUEST ROUTES (no account) ====================
+
+// POST /api/v2/orders/guest/cart
+router.post("/guest/cart", identifyCustomer, createGuestOrderFromCart);
+
+// POST /api/v2/orders/guest/lookup
+router.post("/guest/lookup", lookupGuestOrder);
+
+// All other order routes require authentication
 router.use(jwtVerify);
 
 
@@ -44,6 +62,9 @@ router.use(jwtVerify);
 // GET /api/v2/orders/all
 router.get("/all", checkAdminRole, getAllOrders);
 
+// GET /api/v2/orders/export
+router.get("/export", checkAdminRole, exportOrders);
+
 // GET /api/v2/orders/user/:userId
 router.get("/user/:userId", checkAdminRole, getAllOrdersForUser);
 
@@ -61,6 +82,13 @@ router.patch("/status/:orderId", checkAdminRole, updateOrderStatus);
 // PATCH /api/v2/orders/:orderId/place-type
 router.patch("/:orderId/place-type", checkAdminRole, updateOrderPlaceType);
 
+// Scheduled Orders
+// POST /api/v2/orders/scheduled/release
+router.post("/scheduled/release", checkAdminRole, releaseDueScheduledOrders);
+
+// POST /api/v2/orders/:orderId/release
+router.post("/:orderId/release", checkAdminRole, releaseOrderNow);
+
 // Payment Operations
 // POST /api/v2/orders/:orderId/refund
 router.post("/refund/:orderId", checkAdminRole, refundOrder);
@@ -104,16 +132,21 @@ export { router };
 /*
 ==================== ROUTE SUMMARY ====================
 
+GUEST (guestToken cookie, no account):
+POST   /api/v2/orders/guest/cart                        - Check out the guest cart
+POST   /api/v2/orders/guest/lookup                      - Find an order by order number + email
+
 CUSTOMER (JWT only):
 POST   /api/v2/orders/cart/:cartId/:addressId           - Create from cart
 POST   /api/v2/orders/product/:productId/:addressId     - Create single product
 POST   /api/v2/orders/products/:addressId               - Create multiple products
 GET    /api/v2/orders/my-orders                         - Current user's orders
-GET    /api/v2/orders/:orderId                          - Order details
+GET    /api/v2/orders/:orderId                          - Order details (id or order number)
 GET    /api/v2/orders/:orderId/payment-status           - Payment status
 
 ADMIN (JWT + Admin Role):
-GET    /api/v2/orders/all                               - All orders
+GET    /api/v2/orders/all                               - All orders (combined filters)
+GET    /api/v2/orders/export                            - CSV / XLSX export of the same filters
 GET    /api/v2/orders/user/:userId                      - Orders for user
 GET    /api/v2/orders/status/:status                    - Orders by status
 PATCH  /api/v2/orders/:orderId/status                   - Update order status
@@ -122,6 +155,30 @@ POST   /api/v2/orders/:orderId/refund                   - Process refund
 POST   /api/v2/orders/:orderId/cancel                   - Cancel order
 POST   /api/v2/orders/:orderId/retry-payment            - Retry payment
 POST   /api/v2/orders/:orderId/capture                  - Capture payment
+POST   /api/v2/orders/scheduled/release                 - Release due scheduled orders now
+POST   /api/v2/orders/:orderId/release                  - Release one held order early
+
+Every order gets a daily order number, e.g. "Q-20261018-0042".
+
+/all, /export and /status/:status accept combined filters (lists are comma separated):
+?orderStatus=Paid,Ready               - Not on /status/:status (status comes from the path)
+?paymentStatus=Completed,Refunded
+?paymentMethod=Card,COD               - Payment method names or ids
+?placeType=Online,Takeaway
+?from=2026-10-01&to=2026-10-31        - Created between ("YYYY-MM-DD" covers the whole day)
+?governorate=Cairo&city=Nasr City     - Delivery location
+?table=4                              - Table number or id
+?coupon=SUMMER20 | ?hasCoupon=true|false
+?minTotal=100&maxTotal=500
+?search=<text>                        - Customer name, email, phone or order number
+
+/export also takes ?format=csv|xlsx (default csv) and streams every match,
+oldest first, without pagination.
+
+/all and /status/:status accept scheduled window filters:
+?scheduled=true|false                 - Pre-orders only / ASAP only
+?scheduleStatus=Held|Released
+?scheduledFrom=<date>&scheduledTo=<date>   - Due between (sorted soonest first)
 
 ==================== ORDER CREATION BODY ====================
 
@@ -130,14 +187,85 @@ POST   /api/v2/orders/:orderId/capture                  - Capture payment
   "tableId": "ObjectId",           // Required if placeType is "In-Place"
   "paymentMethod": "Card" | "Paymob-Card" | "Paymob-Wallet" | "COD",
   "governorate": "string",         // Required for Online orders
-  "city": "string"                 // Required for Online orders
+  "city": "string",                // Required for Online orders
+  "scheduledFor": "2025-01-31T13:30",  // Optional pre-order time (Online / Takeaway)
+  "giftCardCode": "GC-7KQ2-M9XD-4HTP", // Optional, cart checkout only - pays first
+  "useWallet": true,                   // Optional, registered cart checkout - pays next
+  "walletAmount": 20                   // Optional cap on the wallet spend
+}
+paymentMethod charges what the gift card and wallet leave.
+
+REFUND / CANCEL (admin):
+{
+  "refundAmount": 40,              // Refund only, optional (defaults to the total)
+  "refundReason": "string",        // Refund ("cancellationReason" for cancel)
+  "refundTo": "original" | "wallet"   // wallet = store credit, works for COD too
 }
 
+Scheduled orders must respect the lead time, booking horizon, opening hours
+and slot capacity in store settings (scheduledOrders). They stay "Held"
+(hidden from the kitchen) until releaseAt = scheduledFor - releaseLeadMinutes,
+then become "Released".
+
+UPDATE ORDER STATUS (PATCH /api/v2/orders/status/:orderId):
+{
+  "orderStatus": "Ready",
+  "note": "string"                 // Optional, stored in statusHistory
+}
+Allowed transitions depend on placeType and paymentStatus
+(see helpers/orderStatus.helpers.js). Illegal transitions return 409
+with the list of allowedTransitions. Paid orders (Completed or
+PartiallyRefunded) can't be set to Cancelled or Failed here: use
+POST /:orderId/cancel, which refunds the payment.
+
+UPDATE PAYMENT STATUS (PATCH /api/v2/orders/payment-status/:orderId):
+{
+  "paymentStatus": "Completed"     // Completed | Failed | Cancelled
+}
+Only pending payments (e.g. COD) can be updated. The order status follows
+through the same state machine (Completed moves a Processing order to Paid);
+if that move isn't allowed (e.g. failing a Received order) the request
+returns 400 with allowedTransitions. Cancelling (POST /:orderId/cancel)
+is checked the same way. Cancelling a paid Stripe / Paymob order returns 400
+and leaves the order unchanged when the refund fails or automatic refunds
+are off - refund it first or cancel with "refundTo": "wallet".
+
 For /products/:addressId:
 {
   "products": [
-    { "productId": "ObjectId", "quantity": 1 }
+    { "productId": "ObjectId", "quantity": 1 },
+    {
+      "productId": "ObjectId",
+      "quantity": 2,
+      "options": [{ "groupId": "ObjectId", "optionId": "ObjectId" }]   // Optional modifiers
+    }
   ]
 }
 
+For /product/:productId/:addressId (in addition to the common fields):
+{
+  "quantity": 1,
+  "options": [{ "groupId": "ObjectId", "optionId": "ObjectId" }]       // Optional modifiers
+}
+
+Cart orders use the options stored on each cart line.
+
+GUEST CHECKOUT (POST /api/v2/orders/guest/cart, in addition to the common fields):
+{
+  "guest": { "name": "string", "email": "string", "phone": "string" },
+  "address": {                     // Required for Online orders
+    "street": "string",
+    "buildingNumber": "12",
+    "flatNumber": "4",
+    "notes": "string"              // Optional
+  }
+}
+Disabled when StripeConfig.allowGuestCheckout is false.
+
+GUEST LOOKUP (POST /api/v2/orders/guest/lookup):
+{
+  "orderNumber": "Q-20261018-0042", // From the confirmation (order id also works)
+  "email": "string"
+}
+
 */
@@ -18,12 +18,18 @@ import {
   removeProductSale,
   getProductWithDiscount,
   getProductsOnSale,
+  setProductModifiers,
+  setProductSchedule,
+  getMenuPreview,
 } from "../controllers/product.controller.js";
 
 const router = express.Router();
 
 // ==================== PUBLIC ROUTES ====================
 
+// Menu as of a given datetime (?at=2025-01-31T08:30)
+router.get("/menu-preview", getMenuPreview);
+
 // Get all products
 router.get("/get-all-products", getProducts);
 
@@ -74,6 +80,22 @@ router.patch(
   removeProductSale
 );
 
+// Modifier groups (sizes, add-ons, removals)
+router.patch(
+  "/:productId/modifiers",
+  jwtVerify,
+  checkAdminRole,
+  setProductModifiers
+);
+
+// Availability schedule (service hours)
+router.patch(
+  "/:productId/schedule",
+  jwtVerify,
+  checkAdminRole,
+  setProductSchedule
+);
+
 // Toggle product availability
 router.patch(
   "/product-toggle-availability/:productId",
@@ -120,7 +142,8 @@ export { router };
 ==================== ROUTE SUMMARY ====================
 
 PUBLIC:
-GET    /api/v2/product/get-all-products                    - Get all products
+GET    /api/v2/product/menu-preview?at=<datetime>          - Menu as of a datetime
+GET    /api/v2/product/get-all-products                    - Get all products (?at=&includeOffMenu=true)
 GET    /api/v2/product/get-product/:productId              - Get product by ID
 GET    /api/v2/product/:productId/with-discount            - Get product with discount info
 GET    /api/v2/product/on-sale                             - Get products on sale
@@ -131,6 +154,8 @@ POST   /api/v2/product/product-listing/:categoryId         - Create product
 POST   /api/v2/product/add-product-images/:productId       - Add images
 PATCH  /api/v2/product/:productId/sale                     - Set sale price
 PATCH  /api/v2/product/:productId/sale/remove              - Remove sale price
+PATCH  /api/v2/product/:productId/modifiers                - Replace modifier groups
+PATCH  /api/v2/product/:productId/schedule                 - Set availability schedule
 PATCH  /api/v2/product/product-toggle-availability/:productId - Toggle availability
 PATCH  /api/v2/product/update-product/:productId           - Update product
 PATCH  /api/v2/product/change-product-category/:productId/:categoryId - Change category
@@ -151,4 +176,53 @@ PATCH /api/v2/product/:productId/sale
 REMOVE SALE PRICE:
 PATCH /api/v2/product/:productId/sale/remove
 (No body required)
+
+SET MODIFIERS:
+PATCH /api/v2/product/:productId/modifiers
+{
+  "modifierGroups": [
+    {
+      "name": "Size",
+      "isRequired": true,
+      "minSelections": 1,
+      "maxSelections": 1,
+      "options": [
+        { "name": "Regular", "priceDelta": 0, "isDefault": true },
+        { "name": "Large", "priceDelta": 25 }
+      ]
+    },
+    {
+      "name": "Add-ons",
+      "minSelections": 0,
+      "maxSelections": 3,
+      "options": [
+        { "name": "Extra cheese", "priceDelta": 15 },
+        { "name": "Bacon", "priceDelta": 20 }
+      ]
+    },
+    {
+      "name": "Remove",
+      "maxSelections": 2,
+      "options": [
+        { "name": "No onions" },
+        { "name": "No pickles" }
+      ]
+    }
+  ]
+}
+
+SET SCHEDULE (product or category):
+PATCH /api/v2/product/:productId/schedule
+PATCH /api/v2/category/:categoryId/schedule
+{
+  "availabilitySchedule": [
+    { "days": [1, 2, 3, 4, 5], "startTime": "07:00", "endTime": "11:30" },
+    { "days": [5, 6], "startTime": "22:00", "endTime": "02:00" }   // Runs past midnight
+  ]
+}
+Days: 0 = Sunday ... 6 = Saturday, server local time. [] = always available.
+Products are on the menu when both their category's and their own schedule are open.
+
+Customers pick options by id (cart add-product / order endpoints):
+{ "quantity": 1, "options": [{ "groupId": "...", "optionId": "..." }] }
 */
@@ -0,0 +1,126 @@
+// promotion.route.js
+// ✅ Automatic promotions - public list of running offers and admin rules
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getActivePromotions,
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  togglePromotion,
+  deletePromotion,
+} from "../controllers/promotion.controller.js";
+
+const router = express.Router();
+
+// Public route - promotions running right now
+router.get("/active", getActivePromotions);
+
+// All routes below require admin authentication
+router.use(jwtVerify, checkAdminRole);
+
+// Admin routes
+router.post("/", createPromotion);
+router.get("/", getAllPromotions);
+router.get("/:promotionId", getPromotionById);
+router.patch("/:promotionId", updatePromotion);
+router.patch("/:promotionId/toggle", togglePromotion);
+router.delete("/:promotionId", deletePromotion);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+PUBLIC:
+GET    /api/v2/promotions/active                  - Promotions running right now
+
+ADMIN (JWT + Admin Role):
+POST   /api/v2/promotions                         - Create promotion
+GET    /api/v2/promotions                         - List promotions (?isActive, ?running=true, page, limit)
+GET    /api/v2/promotions/:promotionId            - Get promotion by ID
+PATCH  /api/v2/promotions/:promotionId            - Update promotion
+PATCH  /api/v2/promotions/:promotionId/toggle     - Toggle active status
+DELETE /api/v2/promotions/:promotionId            - Delete promotion
+
+==================== HOW PROMOTIONS APPLY ====================
+
+Promotions need no code: they are evaluated every time the cart is priced.
+
+Order of discounts:
+  1. Product / global discounts (item prices)
+  2. Promotions, highest priority first
+  3. Coupon (on what is left after promotions)
+  4. Loyalty points
+
+Every condition that is set must hold (empty lists = no restriction):
+  minSubtotal, products / categories + minQuantity, schedule (day/time),
+  placeTypes, customerTypes (guest | registered | firstOrder | returning),
+  segments (RFM segments, registered customers only)
+
+Actions:
+  percentage / fixed  - off the cart, or off the matching items (appliesTo: "items")
+  freeItem            - freeQuantity units of freeProduct free (must be in the cart)
+  freeDelivery        - delivery fee waived
+
+Stacking:
+  stackable: false             - exclusive: only fires if nothing fired before it,
+                                 and stops every lower-priority promotion
+  combinableWithCoupons: false - skipped while a coupon is applied
+
+The cart shows what fired and why the rest didn't:
+GET /api/v2/cart/get-cart-with-discounts?placeType=Takeaway
+  -> appliedPromotions: [{ name, actionType, discount, freeDelivery, items }]
+  -> skippedPromotions: [{ name, reason }]
+
+Orders keep a snapshot in appliedPromotions / promotionDiscount, and each
+product line keeps its share in promotionDiscount.
+
+==================== BODY EXAMPLES ====================
+
+CREATE PROMOTION (10% off orders over 300):
+{
+  "name": "Big Order Treat",
+  "conditions": { "minSubtotal": 300 },
+  "action": { "type": "percentage", "value": 10, "maxDiscountAmount": 100 },
+  "priority": 10
+}
+
+HAPPY HOUR (20% off drinks, weekdays 5-7pm, takeaway only):
+{
+  "name": "Happy Hour",
+  "conditions": {
+    "categories": ["drinksCategoryId"],
+    "schedule": [{ "days": [1, 2, 3, 4, 5], "startTime": "17:00", "endTime": "19:00" }],
+    "placeTypes": ["Takeaway"]
+  },
+  "action": { "type": "percentage", "value": 20, "appliesTo": "items" },
+  "priority": 20,
+  "stackable": false
+}
+
+FREE DESSERT FOR FIRST ORDERS:
+{
+  "name": "Welcome Dessert",
+  "conditions": { "customerTypes": ["firstOrder"], "minSubtotal": 150 },
+  "action": { "type": "freeItem", "freeProduct": "dessertProductId", "freeQuantity": 1 },
+  "combinableWithCoupons": false
+}
+
+FREE DELIVERY FOR LOYAL CUSTOMERS:
+{
+  "name": "Champions Ride Free",
+  "conditions": { "segments": ["champions", "loyal"] },
+  "action": { "type": "freeDelivery" },
+  "endDate": "2026-12-31T23:59:59Z"
+}
+
+UPDATE PROMOTION (conditions / action are replaced as a whole):
+{
+  "priority": 30,
+  "action": { "type": "percentage", "value": 15, "appliesTo": "items" }
+}
+*/
@@ -0,0 +1,100 @@
+// referral.route.js
+// ✅ Referral program - customer stats, applying a code, admin settings and reports
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getMyReferrals,
+  applyReferralCode,
+  getReferralSettings,
+  updateReferralSettings,
+  getAllReferrals,
+  getReferralProgramStats,
+  rejectReferral,
+} from "../controllers/referral.controller.js";
+
+const router = express.Router();
+
+// Customer routes
+router.get("/me", jwtVerify, getMyReferrals);
+router.post("/apply", jwtVerify, applyReferralCode);
+
+// Admin routes (require authentication + admin role)
+router.get("/settings", jwtVerify, checkAdminRole, getReferralSettings);
+router.patch("/settings", jwtVerify, checkAdminRole, updateReferralSettings);
+router.get("/stats", jwtVerify, checkAdminRole, getReferralProgramStats);
+router.get("/", jwtVerify, checkAdminRole, getAllReferrals);
+router.patch("/:referralId/reject", jwtVerify, checkAdminRole, rejectReferral);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+CUSTOMER (JWT):
+GET    /api/v2/referrals/me                       - My code, rewards on offer and referral stats
+POST   /api/v2/referrals/apply                    - Apply a code after signing up (before the first order)
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/referrals/settings                 - Program settings
+PATCH  /api/v2/referrals/settings                 - Update rewards, caps and fraud guards
+GET    /api/v2/referrals/stats                    - Totals, conversion, rewards given, top referrers (?from&to&top)
+GET    /api/v2/referrals                          - List referrals (?status&referrer&page&limit)
+PATCH  /api/v2/referrals/:referralId/reject       - Reject a referral before it pays out
+
+How it works:
+- Every account gets a referral code at POST /api/v2/user/register
+  (existing accounts get one the first time they open /referrals/me).
+- New customers send "referralCode" when registering. Unknown codes are
+  refused; the apps also send an "X-Device-Id" header.
+- Pending -> Verified when the new customer verifies their email
+  -> Completed when their first order is paid (COD: when payment is marked
+  Completed). Both sides are rewarded then, as wallet credit or a single-use
+  personal coupon (REF-XXXXXXXX, valid couponValidDays days).
+- Rejected (no rewards, shown as pending to the customer):
+  self_referral | same_phone | same_device | not_first_order |
+  order_below_minimum | rejected_by_admin
+- Reversed: the first order was cancelled or refunded after paying out.
+  Unused reward coupons are deactivated and wallet rewards are debited as
+  far as the balance allows (shown as pending to the customer).
+- Referrals always start Pending; only email verification (OTP) moves
+  them to Verified.
+- Caps (0 = unlimited) only limit the referrer's reward; the new customer
+  is always rewarded.
+
+==================== BODY EXAMPLES ====================
+
+REGISTER WITH A CODE (POST /api/v2/user/register):
+{
+  "name": "Sara",
+  "email": "sara@example.com",
+  "password": "********",
+  "phoneNumber": "01012345678",
+  "referralCode": "AHMED-7KQ2M9"
+}
+
+APPLY A CODE:
+{
+  "code": "AHMED-7KQ2M9"
+}
+
+UPDATE SETTINGS:
+{
+  "isEnabled": true,
+  "referrerReward": { "type": "wallet", "amount": 50 },
+  "refereeReward": {
+    "type": "coupon",
+    "amount": 20,
+    "discountType": "percentage",
+    "maxDiscountAmount": 100,
+    "minOrderAmount": 150
+  },
+  "couponValidDays": 30,
+  "minFirstOrderAmount": 100,
+  "maxRewardsPerReferrer": 0,      // 0 = unlimited
+  "maxRewardsPerMonth": 10,
+  "blockSamePhone": true,
+  "blockSameDevice": true
+}
+*/
@@ -0,0 +1,88 @@
+// storeSettings.route.js
+// ✅ Opening hours, holidays and ordering cut-offs
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getStoreHours,
+  getStoreSettings,
+  updateStoreSettings,
+  addHoliday,
+  removeHoliday,
+} from "../controllers/storeSettings.controller.js";
+
+const router = express.Router();
+
+// Public
+router.get("/hours", getStoreHours);
+
+// Admin routes (require authentication + admin role)
+router.get("/", jwtVerify, checkAdminRole, getStoreSettings);
+router.patch("/", jwtVerify, checkAdminRole, updateStoreSettings);
+router.post("/holidays", jwtVerify, checkAdminRole, addHoliday);
+router.delete("/holidays/:holidayId", jwtVerify, checkAdminRole, removeHoliday);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+PUBLIC:
+GET    /api/v2/store-settings/hours                  - Weekly hours, upcoming holidays, isOpenNow, nextOpeningAt
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/store-settings                        - Get settings (created with defaults if missing)
+PATCH  /api/v2/store-settings                        - Update settings
+POST   /api/v2/store-settings/holidays               - Add a closure / special hours for a date
+DELETE /api/v2/store-settings/holidays/:holidayId    - Remove a holiday
+
+Enforced (when enforceOpeningHours is true) by:
+- Order creation: order time must be open and before closing - lastOrderMinutes[placeType]
+- POST /api/v2/reservation: reservation time must be open and before closing - lastReservationMinutes
+
+Rejections return 400 with the reason in the message and
+data: { reason: "closed" | "holiday" | "cut-off", nextOpeningAt }
+
+Scheduled orders (scheduledFor on order creation) are checked against
+the hours at their due time, plus scheduledOrders lead time and slot capacity.
+
+Times are server local time. Empty weeklyHours = open every day (holidays still apply).
+
+==================== BODY EXAMPLES ====================
+
+UPDATE SETTINGS:
+{
+  "enforceOpeningHours": true,
+  "weeklyHours": [
+    { "days": [0, 1, 2, 3, 4], "startTime": "12:00", "endTime": "23:00" },
+    { "days": [5, 6], "startTime": "12:00", "endTime": "01:00" }    // Past midnight
+  ],
+  "lastOrderMinutes": { "Online": 30, "In-Place": 15, "Takeaway": 20 },
+  "lastReservationMinutes": 60,
+  "scheduledOrders": {
+    "isEnabled": true,
+    "minAdvanceMinutes": 60,        // Earliest pre-order time from now
+    "maxAdvanceDays": 7,
+    "releaseLeadMinutes": { "Online": 45, "Takeaway": 20 },   // Sent to the kitchen this long before due
+    "slotMinutes": 15,
+    "maxOrdersPerSlot": 10,         // 0 = unlimited
+    "unpaidHoldMinutes": 30         // Unpaid card/wallet orders give their place back after this
+  }
+}
+
+ADD HOLIDAY (closed all day):
+{
+  "date": "2025-04-20",
+  "name": "Eid"
+}
+
+ADD HOLIDAY (special hours):
+{
+  "date": "2025-12-31",
+  "name": "New Year's Eve",
+  "isClosed": false,
+  "openTime": "18:00",
+  "closeTime": "02:00"
+}
+*/
@@ -0,0 +1,81 @@
+// wallet.route.js
+// ✅ Customer wallet - store credit balances, history and goodwill credit
+
+import express from "express";
+import jwtVerify from "../middleware/auth.middleware.js";
+import checkAdminRole from "../middleware/role.middleware.js";
+import {
+  getMyWallet,
+  getMyWalletHistory,
+  getUserWallet,
+  getUserWalletHistory,
+  addGoodwillCredit,
+  adjustUserWallet,
+} from "../controllers/wallet.controller.js";
+
+const router = express.Router();
+
+// Customer routes
+router.get("/me", jwtVerify, getMyWallet);
+router.get("/me/history", jwtVerify, getMyWalletHistory);
+
+// Admin routes (require authentication + admin role)
+router.get("/users/:userId", jwtVerify, checkAdminRole, getUserWallet);
+router.get("/users/:userId/history", jwtVerify, checkAdminRole, getUserWalletHistory);
+router.post("/users/:userId/credit", jwtVerify, checkAdminRole, addGoodwillCredit);
+router.post("/users/:userId/adjust", jwtVerify, checkAdminRole, adjustUserWallet);
+
+export { router };
+
+/*
+==================== ROUTE SUMMARY ====================
+
+CUSTOMER (JWT):
+GET    /api/v2/wallet/me                          - Balance
+GET    /api/v2/wallet/me/history                  - Wallet ledger (?page&limit&type)
+
+ADMIN (JWT + Admin Role):
+GET    /api/v2/wallet/users/:userId               - A customer's balance
+GET    /api/v2/wallet/users/:userId/history       - A customer's ledger (?page&limit&type)
+POST   /api/v2/wallet/users/:userId/credit        - Goodwill credit
+POST   /api/v2/wallet/users/:userId/adjust        - Add / remove balance by hand
+
+Ledger types: refund | goodwill | referral | spend | release | adjustment
+
+How money gets in:
+- refund:   POST /api/v2/orders/refund/:orderId or /:orderId/cancel with "refundTo": "wallet"
+            (works for COD too). Gift card / wallet shares of the order go back
+            to where they came from, the rest becomes store credit.
+            Orders paid (partly) from the wallet are refunded to it as well.
+- goodwill: admin credit, optionally linked to an order
+- referral: referral program rewards (see referral.route.js)
+
+Spending it (registered customers, "Wallet" payment method must be active):
+- Send "useWallet": true (optional "walletAmount" cap) with
+  POST /api/v2/orders/cart/:cartId/:addressId. A gift card pays first, then
+  the wallet, paymentMethod charges the rest. If they cover everything the
+  order is paid with "Wallet" at once.
+- release: payment fails or the order is cancelled before it was paid
+
+==================== BODY EXAMPLES ====================
+
+GOODWILL CREDIT:
+{
+  "amount": 25,
+  "note": "Late delivery on Q-20261018-0042",
+  "orderId": "ObjectId"            // Optional
+}
+
+ADJUST BALANCE:
+{
+  "amount": -10,                   // Negative removes balance
+  "note": "Credit given twice"
+}
+
+REFUND AS STORE CREDIT (POST /api/v2/orders/refund/:orderId):
+{
+  "refundAmount": 40,              // Optional, defaults to the full total
+  "refundReason": "Missing item",
+  "refundTo": "wallet"
+}
+*/
@@ -0,0 +1,121 @@
+// scripts/backfillOrderLineItems.js
+// Run this script to backfill price snapshots on existing order line items
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import "../models/category.model.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import "dotenv/config";
+
+/**
+ * Historical prices were never stored, so the best we can do is:
+ * - take name, image and category from the product as it is today
+ * - use today's regular price as the original price
+ * - split the order subtotal over the lines proportionally to today's price,
+ *   so the snapshot adds up to what the customer actually paid
+ */
+const backfillOrder = async (order) => {
+  const productIds = order.products.map((item) => item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).populate(
+    "category"
+  );
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const weights = order.products.map((item) => {
+    const product = productsById.get(item.product.toString());
+    return (product?.price || 0) * item.quantity;
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const subtotal = order.subtotal || 0;
+
+  let remaining = subtotal;
+
+  order.products.forEach((item, index) => {
+    const product = productsById.get(item.product.toString());
+    const isLast = index === order.products.length - 1;
+
+    let lineTotal;
+    if (totalWeight > 0) {
+      lineTotal = isLast
+        ? remaining
+        : roundMoney((subtotal * weights[index]) / totalWeight);
+    } else {
+      lineTotal = isLast
+        ? remaining
+        : roundMoney(subtotal / order.products.length);
+    }
+    lineTotal = Math.max(0, lineTotal);
+    remaining = roundMoney(remaining - lineTotal);
+
+    const unitPrice = roundMoney(lineTotal / item.quantity);
+    const originalPrice = product?.price ?? unitPrice;
+
+    item.name = product?.name || "Deleted product";
+    item.image = product?.images?.[0];
+    item.category = product?.category?._id;
+    item.categoryName = product?.category?.name;
+    item.originalPrice = originalPrice;
+    item.unitPrice = unitPrice;
+    item.unitDiscount = Math.max(0, roundMoney(originalPrice - unitPrice));
+    item.discountType = "none";
+    item.discountPercentage = 0;
+    item.couponDiscount = 0;
+    item.lineTotal = lineTotal;
+  });
+
+  order.itemsDiscount = roundMoney(
+    order.products.reduce(
+      (sum, item) => sum + item.unitDiscount * item.quantity,
+      0
+    )
+  );
+  order.couponDiscount = order.couponDiscount || 0;
+};
+
+const backfillOrderLineItems = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const orders = await Order.find({
+      "products.0": { $exists: true },
+      "products.unitPrice": { $exists: false },
+    });
+    console.log(`Found ${orders.length} orders without line item snapshots`);
+
+    let migratedCount = 0;
+    let failedCount = 0;
+
+    for (const order of orders) {
+      try {
+        await backfillOrder(order);
+        await order.save({ validateBeforeSave: false });
+        migratedCount++;
+      } catch (error) {
+        failedCount++;
+        console.error(`Failed to backfill order ${order._id}:`, error.message);
+      }
+
+      if (migratedCount > 0 && migratedCount % 100 === 0) {
+        console.log(`Backfilled ${migratedCount} orders...`);
+      }
+    }
+
+    console.log(`✅ Backfill completed!`);
+    console.log(`   - Backfilled: ${migratedCount} orders`);
+    console.log(`   - Failed: ${failedCount} orders`);
+
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Error backfilling order line items:", error);
+    process.exit(1);
+  }
+};
+
+backfillOrderLineItems();
+
+// ================================================================
+// Run this script with: node scripts/backfillOrderLineItems.js
+// ================================================================
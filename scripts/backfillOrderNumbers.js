@@ -0,0 +1,69 @@
+// scripts/backfillOrderNumbers.js
+// Run this script to give existing orders a human-readable order number
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import "dotenv/config";
+
+/**
+ * Orders placed before order numbers existed get one for the day they were
+ * created (Q-YYYYMMDD-NNNN), in the order they were placed. Numbers come from
+ * the same daily counters as new orders, so the script can run while the
+ * store is open; an order that got a number in the meantime is skipped.
+ * Safe to run more than once.
+ */
+const backfillOrderNumbers = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const filter = { orderNumber: { $exists: false } };
+    const total = await Order.countDocuments(filter);
+    console.log(`Found ${total} orders without an order number`);
+
+    const cursor = Order.find(filter)
+      .select("_id createdAt")
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    let numberedCount = 0;
+    let skippedCount = 0;
+
+    for await (const order of cursor) {
+      const orderNumber = await Order.generateOrderNumber(
+        new Date(order.createdAt || order._id.getTimestamp())
+      );
+      const result = await Order.updateOne(
+        { _id: order._id, orderNumber: { $exists: false } },
+        { $set: { orderNumber } }
+      );
+
+      if (result.modifiedCount > 0) {
+        numberedCount++;
+      } else {
+        skippedCount++;
+      }
+
+      if (numberedCount > 0 && numberedCount % 100 === 0) {
+        console.log(`Numbered ${numberedCount} orders...`);
+      }
+    }
+
+    console.log(`✅ Backfill completed!`);
+    console.log(`   - Numbered: ${numberedCount} orders`);
+    console.log(`   - Skipped: ${skippedCount} orders`);
+
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Error backfilling order numbers:", error);
+    process.exit(1);
+  }
+};
+
+backfillOrderNumbers();
+
+// ================================================================
+// Run this script with: node scripts/backfillOrderNumbers.js
+// ================================================================
@@ -0,0 +1,81 @@
+// scripts/backfillOrderSlots.js
+// Run this script to count upcoming scheduled orders in their capacity slots
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Counter from "../models/counter.model.js";
+import PaymentMethod from "../models/paymentMethod.model.js";
+import {
+  getSchedulingSettings,
+  getSlotKey,
+  getSlotRange,
+} from "../helpers/scheduledOrder.helpers.js";
+import "dotenv/config";
+
+/**
+ * Slot capacity is counted per slot as orders are placed. Scheduled orders
+ * placed before that still take a place in their slot: this books every
+ * upcoming one that is paid, or is COD, into its slot counter. Each order is
+ * claimed with a conditional update before it is counted, so the script can
+ * run while the store is open.
+ * Safe to run more than once.
+ */
+const backfillOrderSlots = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const scheduling = await getSchedulingSettings();
+    const codMethod = await PaymentMethod.getByName("COD");
+
+    const filter = {
+      scheduledFor: { $gte: new Date() },
+      slotKey: { $exists: false },
+      orderStatus: { $nin: ["Failed", "Cancelled"] },
+      $or: [
+        { paymentStatus: { $ne: "Pending" } },
+        ...(codMethod ? [{ paymentMethod: codMethod._id }] : []),
+      ],
+    };
+    const total = await Order.countDocuments(filter);
+    console.log(`Found ${total} upcoming scheduled orders without a slot`);
+
+    const cursor = Order.find(filter).select("_id scheduledFor").lean().cursor();
+
+    let bookedCount = 0;
+    let skippedCount = 0;
+
+    for await (const order of cursor) {
+      const slot = getSlotRange(order.scheduledFor, scheduling.slotMinutes);
+      const slotKey = getSlotKey(slot, scheduling.slotMinutes);
+
+      const result = await Order.updateOne(
+        { _id: order._id, slotKey: { $exists: false } },
+        { $set: { slotKey, holdsSlot: true } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await Counter.next(slotKey);
+        bookedCount++;
+      } else {
+        skippedCount++;
+      }
+    }
+
+    console.log(`✅ Backfill completed!`);
+    console.log(`   - Booked: ${bookedCount} orders`);
+    console.log(`   - Skipped: ${skippedCount} orders`);
+
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Error backfilling order slots:", error);
+    process.exit(1);
+  }
+};
+
+backfillOrderSlots();
+
+// ================================================================
+// Run this script with: node scripts/backfillOrderSlots.js
+// ================================================================
@@ -0,0 +1,40 @@
+// scripts/rebuildMetricRollups.js
+// Run this script to rebuild the hourly / daily metric rollups from all orders
+
+import mongoose from "mongoose";
+import { rebuildMetricRollups } from "../services/metricRollup.service.js";
+import "../models/paymentMethod.model.js";
+import "dotenv/config";
+
+/**
+ * Rollups are normally kept up to date by order events. Rebuild them after
+ * changing how metrics are computed, after a backfill, or if they drift.
+ * Orders that change while the script runs can be counted twice, so run it
+ * when traffic is quiet.
+ */
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const { orders, rollups } = await rebuildMetricRollups({
+      onProgress: (processed) => console.log(`Processed ${processed} orders...`),
+    });
+
+    console.log(`✅ Rebuild completed!`);
+    console.log(`   - Orders: ${orders}`);
+    console.log(`   - Rollup rows: ${rollups}`);
+
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Error rebuilding metric rollups:", error);
+    process.exit(1);
+  }
+};
+
+run();
+
+// ================================================================
+// Run this script with: node scripts/rebuildMetricRollups.js
+// ================================================================
@@ -0,0 +1,45 @@
+// scripts/syncCartIndexes.js
+// Run this script to rebuild the carts indexes for guest carts
+
+import mongoose from "mongoose";
+import Cart from "../models/cart.model.js";
+import "dotenv/config";
+
+/**
+ * Databases from before guest checkout have a plain unique `owner_1` index.
+ * Guest carts have no owner, so after the first one every new guest cart
+ * fails with a duplicate key error. Mongoose doesn't replace an existing
+ * index, so this drops it and builds the sparse unique `owner` / `guestId`
+ * indexes from the schema. An explicit `owner: null` would still be indexed
+ * by a sparse index, so it is removed first.
+ * Safe to run more than once.
+ */
+const syncCartIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const cleared = await Cart.collection.updateMany(
+      { owner: null, guestId: { $exists: true } },
+      { $unset: { owner: "" } }
+    );
+
+    const dropped = await Cart.syncIndexes();
+
+    console.log(`✅ Cart indexes synced!`);
+    console.log(`   - Guest carts with a null owner cleared: ${cleared.modifiedCount}`);
+    console.log(`   - Indexes dropped: ${dropped.length ? dropped.join(", ") : "none"}`);
+
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Error syncing cart indexes:", error);
+    process.exit(1);
+  }
+};
+
+syncCartIndexes();
+
+// ================================================================
+// Run this script with: node scripts/syncCartIndexes.js
+// ================================================================
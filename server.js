@@ -2,7 +2,6 @@
 import http from "http";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
-import { Server } from 'socket.io';
 
 //
 
@@ -24,37 +23,43 @@ import { router as deliveryRouter } from "./routes/delivery.route.js";
 import { router as tableRouter } from "./routes/table.route.js";
 import { router as reservationRouter } from "./routes/reservation.route.js";
 import { router as homeRouter } from "./routes/home.route.js";
+import { router as kitchenRouter } from "./routes/kitchen.route.js";
+import { router as inventoryRouter } from "./routes/inventory.route.js";
+import { router as analyticsRouter } from "./routes/analytics.route.js";
+import { router as customerAnalyticsRouter } from "./routes/customerAnalytics.route.js";
 
 import { router as couponRouter } from "./routes/coupon.route.js";
 import { router as globalDiscountRouter } from "./routes/globalDiscount.route.js";
+import { router as loyaltyRouter } from "./routes/loyalty.route.js";
+import { router as giftCardRouter } from "./routes/giftCard.route.js";
+import { router as walletRouter } from "./routes/wallet.route.js";
+import { router as referralRouter } from "./routes/referral.route.js";
+import { router as promotionRouter } from "./routes/promotion.route.js";
 
 import { router as paymentMethodRouter } from "./routes/paymentMethod.route.js";
 import { router as paymobConfigRouter } from "./routes/paymobConfig.route.js";
 import { router as stripeConfigRouter } from "./routes/stripeConfig.route.js";
+import { router as storeSettingsRouter } from "./routes/storeSettings.route.js";
 import { router as webhookRouter } from "./routes/webhook.route.js";
 
+import { initSocket } from "./utils/socket.js";
+import { startScheduledOrderReleaser } from "./services/scheduledOrder.service.js";
+import { startLoyaltyExpiryJob } from "./services/loyalty.service.js";
+import { startCouponReservationExpiryJob } from "./services/coupon.service.js";
+import { assertGuestSecret } from "./middleware/guest.middleware.js";
+
+// Refuse to start without a dedicated guest token key
+assertGuestSecret();
+
 const app = express();
 const server = http.createServer(app);
 
-const io = new Server(server, {
-  cors: {
-    origin: process.env.CLIENT_URL || "*",
-    methods: ["GET", "POST"],
-    credentials: true
-  }
-});
+// Authenticated Socket.IO server (customers join user:<id>, admins join staff)
+const io = initSocket(server);
 
 // Make io accessible via app
 app.set('io', io);
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
-
 // Paymob and stripe webhook route
 app.use("/api/v2/webhook", webhookRouter);
 
@@ -76,19 +81,39 @@ app.use("/api/v2/delivery", deliveryRouter);
 app.use("/api/v2/table", tableRouter);
 app.use("/api/v2/reservation", reservationRouter);
 app.use("/api/v2/home", homeRouter);
+app.use("/api/v2/kitchen", kitchenRouter);
+app.use("/api/v2/inventory", inventoryRouter);
+app.use("/api/v2/analytics", analyticsRouter);
+app.use("/api/v2/customers", customerAnalyticsRouter);
 
 app.use("/api/v2/coupon", couponRouter);
 app.use("/api/v2/global-discount", globalDiscountRouter);
+app.use("/api/v2/loyalty", loyaltyRouter);
+app.use("/api/v2/gift-cards", giftCardRouter);
+app.use("/api/v2/wallet", walletRouter);
+app.use("/api/v2/referrals", referralRouter);
+app.use("/api/v2/promotions", promotionRouter);
 
 app.use("/api/v2/payment-method", paymentMethodRouter);
 app.use("/api/v2/paymob-config", paymobConfigRouter);
 app.use("/api/v2/stripe-config", stripeConfigRouter);
+app.use("/api/v2/store-settings", storeSettingsRouter);
 
 app.use(notFound);
 app.use(errorHandler);
 
 connectDB();
 
+// Send held (scheduled) orders to the kitchen when their lead time starts,
+// and free slot places held by unpaid ones
+startScheduledOrderReleaser();
+
+// Expire loyalty points past their expiry date
+startLoyaltyExpiryJob();
+
+// Mark coupon reservations of orders that were never paid as expired
+startCouponReservationExpiryJob();
+
   const port = process.env.PORT || 4000;
   server.listen(port, () => {  // Use server.listen, not app.listen ✓
     console.log(`Server is running on http://localhost:${port}`);
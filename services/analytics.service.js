@@ -0,0 +1,196 @@
+// analytics.service.js
+// ✅ Sales analytics aggregations (revenue, breakdowns, discounts, refunds)
+//
+// Revenue is the order total (delivery included) of orders counted as sales
+// (see SALE_PAYMENT_STATUSES), by order date. Refunds are counted by refund date.
+// Category and product breakdowns use line totals, so they exclude delivery fees.
+// Everything is read from the metric rollups (metricRollup.service.js), not raw orders.
+
+import {
+  listBuckets,
+  truncateDate,
+} from "../helpers/analytics.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import { findRollups, sumRollups } from "./metricRollup.service.js";
+
+/**
+ * Derived metrics from raw sums
+ */
+const toSalesMetrics = (totals = {}, refunds = {}) => {
+  const revenue = roundMoney(totals.revenue);
+  const orders = totals.orders || 0;
+  const itemsDiscount = roundMoney(totals.itemsDiscount);
+  const couponDiscount = roundMoney(totals.couponDiscount);
+  const refundAmount = roundMoney(refunds.amount);
+
+  return {
+    revenue,
+    orders,
+    averageOrderValue: orders ? roundMoney(revenue / orders) : 0,
+    itemsSold: totals.itemsSold || 0,
+    deliveryFees: roundMoney(totals.deliveryFees),
+    itemsDiscount,
+    couponDiscount,
+    discountTotal: roundMoney(itemsDiscount + couponDiscount),
+    refunds: refunds.count || 0,
+    refundAmount,
+    netRevenue: roundMoney(revenue - refundAmount),
+  };
+};
+
+/**
+ * Totals for a range
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Object>} Sales metrics
+ */
+export const getSalesTotals = async (range) => {
+  const totals = sumRollups(await findRollups("total", range));
+
+  return toSalesMetrics(
+    { ...totals, itemsSold: totals.quantity },
+    { count: totals.refunds, amount: totals.refundAmount }
+  );
+};
+
+/**
+ * Metrics per time bucket, empty buckets included
+ * Week and month buckets are summed from daily rollups.
+ * @param {Object} range - { start, end, interval }
+ * @returns {Promise<Object[]>} [{ bucket, ...metrics }]
+ */
+export const getSalesSeries = async (range) => {
+  const { interval } = range;
+  const rows = await findRollups("total", range);
+
+  const rowsByBucket = new Map();
+  for (const row of rows) {
+    const bucket = truncateDate(row.bucket, interval).getTime();
+    rowsByBucket.set(bucket, [...(rowsByBucket.get(bucket) || []), row]);
+  }
+
+  return listBuckets(range.start, range.end, interval).map((bucket) => {
+    const totals = sumRollups(rowsByBucket.get(bucket.getTime()) || []);
+    return {
+      bucket,
+      ...toSalesMetrics(
+        { ...totals, itemsSold: totals.quantity },
+        { count: totals.refunds, amount: totals.refundAmount }
+      ),
+    };
+  });
+};
+
+/**
+ * Rollups of a dimension summed per key, highest revenue first
+ * @returns {Promise<Object[]>} [{ _id, label, revenue, orders, quantity, ... }]
+ */
+const sumRollupsByKey = async (dimension, range) => {
+  const byKey = new Map();
+
+  // Rows come oldest first, so the latest label wins
+  for (const row of await findRollups(dimension, range)) {
+    const entry = byKey.get(row.key) || { _id: row.key, label: null, rows: [] };
+    entry.rows.push(row);
+    if (row.label) entry.label = row.label;
+    byKey.set(row.key, entry);
+  }
+
+  return [...byKey.values()]
+    .map(({ _id, label, rows }) => ({ _id, label, ...sumRollups(rows) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Sales broken down by a dimension, with the previous period for comparison
+ * @param {string} dimension - One of BREAKDOWN_DIMENSIONS
+ * @param {Object} range - { start, end, previous }
+ * @param {Object} options - { limit, compare }
+ * @returns {Promise<Object[]>}
+ */
+export const getSalesBreakdown = async (
+  dimension,
+  range,
+  { limit = 20, compare = true } = {}
+) => {
+  const [current, previous] = await Promise.all([
+    sumRollupsByKey(dimension, range),
+    compare ? sumRollupsByKey(dimension, range.previous) : [],
+  ]);
+
+  const totalRevenue = current.reduce((sum, row) => sum + row.revenue, 0);
+  const previousByKey = new Map(previous.map((row) => [row._id, row]));
+
+  return current.slice(0, limit).map((row) => {
+    const revenue = roundMoney(row.revenue);
+    const before = previousByKey.get(row._id);
+
+    return {
+      key: row._id || null,
+      // Orders without the dimension (e.g. no governorate for In-Place)
+      label: row.label ?? "Unspecified",
+      revenue,
+      orders: row.orders,
+      quantity: row.quantity,
+      averageOrderValue: row.orders ? roundMoney(row.revenue / row.orders) : 0,
+      revenueShare: totalRevenue
+        ? Math.round((row.revenue / totalRevenue) * 1000) / 10
+        : 0,
+      ...(compare && {
+        previous: {
+          revenue: roundMoney(before?.revenue),
+          orders: before?.orders || 0,
+          quantity: before?.quantity || 0,
+        },
+      }),
+    };
+  });
+};
+
+/**
+ * Discount and coupon cost for a range
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Object>} { totals, byDiscountType, byCoupon }
+ */
+export const getDiscountCost = async (range) => {
+  const [totalRows, byDiscountType, byCoupon] = await Promise.all([
+    findRollups("total", range),
+    sumRollupsByKey("discountType", range),
+    sumRollupsByKey("coupon", range),
+  ]);
+
+  const totals = sumRollups(totalRows);
+  const itemsDiscount = roundMoney(totals.itemsDiscount);
+  const couponDiscount = roundMoney(totals.couponDiscount);
+
+  return {
+    totals: {
+      itemsDiscount,
+      couponDiscount,
+      discountTotal: roundMoney(itemsDiscount + couponDiscount),
+      couponOrders: byCoupon.reduce((sum, row) => sum + row.orders, 0),
+    },
+    byDiscountType: byDiscountType
+      .sort((a, b) => b.itemsDiscount - a.itemsDiscount)
+      .map((row) => ({
+        discountType: row._id,
+        amount: roundMoney(row.itemsDiscount),
+        quantity: row.quantity,
+        orders: row.orders,
+      })),
+    byCoupon: byCoupon
+      .sort((a, b) => b.couponDiscount - a.couponDiscount)
+      .map((row) => ({
+        code: row._id,
+        amount: roundMoney(row.couponDiscount),
+        orders: row.orders,
+        revenue: roundMoney(row.revenue),
+      })),
+  };
+};
+
+export default {
+  getSalesTotals,
+  getSalesSeries,
+  getSalesBreakdown,
+  getDiscountCost,
+};
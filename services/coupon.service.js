@@ -0,0 +1,441 @@
+// coupon.service.js
+// ✅ Coupon redemption - reserved with the order, committed when it is paid
+//
+// Each order that uses a coupon gets an entry in the redemption log
+// (CouponRedemption). Unpaid orders also hold a reservation on the coupon
+// itself, and limits are enforced by the coupon update (usageCount + live
+// reservations must stay under maxUsageCount / maxUsagePerUser), so
+// concurrent checkouts can't oversell a coupon. Uses are claimed by pulling
+// the reservation (or flipping the log entry), so retried webhooks and
+// repeated lifecycle hooks never count a use twice.
+// Coupons require an account, so every order here has a buyer.
+
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import Order from "../models/order.model.js";
+
+// How long an unpaid order holds a use (Stripe checkout sessions last 24h)
+const RESERVATION_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+
+const getBuyerId = (order) => order.buyer?._id || order.buyer || null;
+const getCouponId = (order) => order.appliedCoupon?.coupon?._id || order.appliedCoupon?.coupon;
+
+/**
+ * Number of reservations still holding a use (optionally for one user)
+ * Aggregation expression for use inside $expr.
+ */
+export const liveReservationsExpr = (now, userId = null) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: ["$reservations", []] },
+      as: "reservation",
+      cond: {
+        $and: [
+          { $gt: ["$$reservation.expiresAt", now] },
+          ...(userId ? [{ $eq: ["$$reservation.user", userId] }] : []),
+        ],
+      },
+    },
+  },
+});
+
+/**
+ * Filter that only matches while the coupon still has a use free
+ * for the user (committed uses + live reservations under both limits)
+ */
+const buildLimitFilter = (now, userId) => {
+  const committedByUser = {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ["$usedBy", []] },
+            as: "usage",
+            cond: { $eq: ["$$usage.user", userId] },
+          },
+        },
+        as: "usage",
+        in: "$$usage.count",
+      },
+    },
+  };
+
+  const limits = [
+    {
+      $or: [
+        { $not: [{ $gt: ["$maxUsageCount", 0] }] },
+        {
+          $lt: [{ $add: ["$usageCount", liveReservationsExpr(now)] }, "$maxUsageCount"],
+        },
+      ],
+    },
+    {
+      $or: [
+        { $not: [{ $gt: ["$maxUsagePerUser", 0] }] },
+        {
+          $lt: [
+            { $add: [committedByUser, liveReservationsExpr(now, userId)] },
+            "$maxUsagePerUser",
+          ],
+        },
+      ],
+    },
+  ];
+
+  return { $expr: { $and: limits } };
+};
+
+// ==================== RESERVING ====================
+
+/**
+ * Hold a use of the order's coupon until the order is paid
+ * Also used when a failed order is retried: its released entry is reserved again.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const reserveOrderCoupon = async (order) => {
+  const couponId = getCouponId(order);
+  if (!couponId) {
+    return {
+      success: true,
+      statusCode: 200,
+      message: "No coupon to reserve",
+      data: null,
+    };
+  }
+
+  const userId = getBuyerId(order);
+  if (!userId) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Sign in to use a coupon",
+    };
+  }
+
+  const existing = await CouponRedemption.findOne({ coupon: couponId, order: order._id })
+    .select("status")
+    .lean();
+  if (existing?.status === "Committed") {
+    return {
+      success: true,
+      statusCode: 200,
+      message: "Coupon already used by this order",
+      data: null,
+    };
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESERVATION_HOURS * HOUR_MS);
+  const limitFilter = buildLimitFilter(now, userId);
+
+  // First hold by this order (or again after a release / expiry)
+  let claim = await Coupon.updateOne(
+    { _id: couponId, "reservations.order": { $ne: order._id }, ...limitFilter },
+    { $push: { reservations: { order: order._id, user: userId, expiresAt } } }
+  );
+
+  // Its reservation ran out but wasn't cleaned up yet
+  if (claim.modifiedCount === 0) {
+    claim = await Coupon.updateOne(
+      {
+        _id: couponId,
+        reservations: { $elemMatch: { order: order._id, expiresAt: { $lte: now } } },
+        ...limitFilter,
+      },
+      { $set: { "reservations.$.expiresAt": expiresAt } }
+    );
+  }
+
+  if (claim.modifiedCount > 0) {
+    await CouponRedemption.updateOne(
+      { coupon: couponId, order: order._id },
+      {
+        $set: {
+          user: userId,
+          discount: order.couponDiscount || 0,
+          status: "Reserved",
+          reservedAt: now,
+          expiresAt,
+        },
+        $unset: { releasedAt: 1, releaseReason: 1 },
+      },
+      { upsert: true }
+    );
+
+    return {
+      success: true,
+      statusCode: 200,
+      message: "Coupon reserved",
+      data: null,
+    };
+  }
+
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "The coupon on this order no longer exists",
+    };
+  }
+
+  const held = coupon.reservations.some(
+    (reservation) =>
+      reservation.order.toString() === order._id.toString() && reservation.expiresAt > now
+  );
+  if (held) {
+    return {
+      success: true,
+      statusCode: 200,
+      message: "Coupon already reserved for this order",
+      data: null,
+    };
+  }
+
+  const userCheck = coupon.canUserUse(userId);
+  return {
+    success: false,
+    statusCode: 400,
+    message: userCheck.canUse
+      ? `Coupon ${coupon.code} has reached its usage limit`
+      : userCheck.message,
+  };
+};
+
+// ==================== COMMITTING ====================
+
+/**
+ * Count one use for the user on the coupon matched by filter
+ * The user's usage counter exists already, or is created with this use.
+ * @param {Object} filter - Coupon filter (claim and limit conditions)
+ * @param {Object} update - Extra update applied with the use
+ * @param {ObjectId} userId
+ * @returns {Promise<boolean>} false when the filter didn't match
+ */
+const countUse = async (filter, update, userId) => {
+  let claim = await Coupon.updateOne(
+    { ...filter, "usedBy.user": userId },
+    { ...update, $inc: { usageCount: 1, "usedBy.$[usage].count": 1 } },
+    { arrayFilters: [{ "usage.user": userId }] }
+  );
+  if (claim.modifiedCount === 0) {
+    claim = await Coupon.updateOne(
+      { ...filter, "usedBy.user": { $ne: userId } },
+      { ...update, $inc: { usageCount: 1 }, $push: { usedBy: { user: userId, count: 1 } } }
+    );
+  }
+
+  return claim.modifiedCount > 0;
+};
+
+/**
+ * Count the order's coupon use once the order is paid or confirmed
+ * Usually the order's reservation turns into the use. An order paid after its
+ * reservation expired (e.g. at a kiosk the next day) is counted against the
+ * limits again; if the coupon was used up in the meantime the use is counted
+ * anyway - the customer already paid the discounted price - and the order and
+ * its log entry are flagged overLimit for the admins.
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} false when there was nothing to commit
+ */
+export const commitOrderCoupon = async (order) => {
+  const couponId = getCouponId(order);
+  if (!couponId) return false;
+
+  const userId = getBuyerId(order);
+  const now = new Date();
+
+  // Claimed on the log entry, so the use is only counted once
+  const claim = await CouponRedemption.updateOne(
+    { coupon: couponId, order: order._id, status: { $in: ["Reserved", "Expired"] } },
+    {
+      $set: { status: "Committed", committedAt: now },
+      $unset: { releasedAt: 1, releaseReason: 1 },
+    }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  // The held reservation turns into the use
+  const held = await countUse(
+    { _id: couponId, "reservations.order": order._id },
+    { $pull: { reservations: { order: order._id } } },
+    userId
+  );
+  if (held) return true;
+
+  const withinLimits = await countUse(
+    { _id: couponId, ...buildLimitFilter(now, userId) },
+    {},
+    userId
+  );
+  if (withinLimits) return true;
+
+  await countUse({ _id: couponId }, {}, userId);
+  await Promise.all([
+    CouponRedemption.updateOne(
+      { coupon: couponId, order: order._id },
+      { $set: { overLimit: true } }
+    ),
+    Order.updateOne({ _id: order._id }, { $set: { "appliedCoupon.overLimit": true } }),
+  ]);
+  if (order.appliedCoupon) order.appliedCoupon.overLimit = true;
+
+  console.warn(
+    `Order ${order._id} was paid after its coupon reservation expired and coupon ${couponId} was used up; counted over its limit`
+  );
+  return true;
+};
+
+// ==================== RELEASING ====================
+
+/**
+ * Free the order's coupon use
+ * Reservations are always released. A committed use is only given back when
+ * the order is cancelled (refunded orders keep it).
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCommitted]
+ * @returns {Promise<boolean>} false when there was nothing to release
+ */
+export const releaseOrderCoupon = async (order, reason, { includeCommitted = false } = {}) => {
+  const couponId = getCouponId(order);
+  if (!couponId) return false;
+
+  const release = {
+    status: "Released",
+    releasedAt: new Date(),
+    releaseReason: reason,
+  };
+
+  const [unheld, unlogged] = await Promise.all([
+    Coupon.updateOne(
+      { _id: couponId, "reservations.order": order._id },
+      { $pull: { reservations: { order: order._id } } }
+    ),
+    CouponRedemption.updateOne(
+      { coupon: couponId, order: order._id, status: { $in: ["Reserved", "Expired"] } },
+      { $set: release }
+    ),
+  ]);
+  const released = unheld.modifiedCount > 0 || unlogged.modifiedCount > 0;
+  if (released || !includeCommitted) return released;
+
+  // Claimed on the log entry, so the use is only given back once
+  const uncommit = await CouponRedemption.updateOne(
+    { coupon: couponId, order: order._id, status: "Committed" },
+    { $set: release }
+  );
+  if (uncommit.modifiedCount === 0) return false;
+
+  const userId = getBuyerId(order);
+  await Coupon.updateOne(
+    { _id: couponId },
+    { $inc: { usageCount: -1, "usedBy.$[usage].count": -1 } },
+    { arrayFilters: [{ "usage.user": userId }] }
+  );
+
+  return true;
+};
+
+/**
+ * Drop reservations whose payment window has passed and mark them Expired
+ * They already stopped holding a use; this keeps the coupons small and the
+ * log honest.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Reservations expired
+ */
+export const expireCouponReservations = async (now = new Date()) => {
+  await Coupon.updateMany(
+    { "reservations.expiresAt": { $lte: now } },
+    { $pull: { reservations: { expiresAt: { $lte: now } } } }
+  );
+
+  const result = await CouponRedemption.updateMany(
+    { status: "Reserved", expiresAt: { $lte: now } },
+    {
+      $set: {
+        status: "Expired",
+        releasedAt: now,
+        releaseReason: "Payment window expired",
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Start the periodic reservation expiry job
+ * @param {number} intervalMs
+ * @returns {NodeJS.Timeout}
+ */
+export const startCouponReservationExpiryJob = (intervalMs = EXPIRY_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireCouponReservations();
+      if (expired) {
+        console.log(`Expired ${expired} coupon reservation(s)`);
+      }
+    } catch (error) {
+      console.error("Error expiring coupon reservations:", error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+// ==================== LOOKUPS ====================
+
+/**
+ * A coupon's redemption log, newest first
+ * @param {string} couponId
+ * @param {Object} options
+ * @returns {Promise<{redemptions: Array, total: number, summary: Object}|null>}
+ *   null if the coupon doesn't exist
+ */
+export const listCouponRedemptions = async (couponId, { page = 1, limit = 20, status } = {}) => {
+  const coupon = await Coupon.findById(couponId).select("_id").lean();
+  if (!coupon) return null;
+
+  const filter = { coupon: coupon._id, ...(status && { status }) };
+
+  const [redemptions, total, counts] = await Promise.all([
+    CouponRedemption.find(filter)
+      .populate("order", "orderNumber totalPrice paymentStatus orderStatus")
+      .populate("user", "name email")
+      .sort({ reservedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CouponRedemption.countDocuments(filter),
+    CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const summary = { Reserved: 0, Committed: 0, Released: 0, Expired: 0 };
+  for (const row of counts) {
+    summary[row._id] = row.count;
+  }
+
+  return { redemptions, total, summary };
+};
+
+export default {
+  liveReservationsExpr,
+  reserveOrderCoupon,
+  commitOrderCoupon,
+  releaseOrderCoupon,
+  expireCouponReservations,
+  startCouponReservationExpiryJob,
+  listCouponRedemptions,
+};
@@ -0,0 +1,304 @@
+// couponBatch.service.js
+// ✅ Coupon batches - bulk single-use codes for campaigns and printed flyers
+//
+// Every code is a normal coupon (maxUsageCount 1, maxUsagePerUser 1) with the
+// batch's discount settings and a batch reference, so checkout, reservations
+// and the redemption log work exactly as for any other coupon.
+
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import CouponBatch from "../models/couponBatch.model.js";
+import { liveReservationsExpr } from "./coupon.service.js";
+import { generateBatchCode } from "../helpers/couponBatch.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+
+const INSERT_CHUNK_SIZE = 1000;
+// Rounds of re-generating codes that clashed with existing ones
+const MAX_GENERATION_ROUNDS = 5;
+
+const isDuplicateKeyError = (error) =>
+  error?.code === 11000 ||
+  (error?.writeErrors?.length > 0 && error.writeErrors.every((entry) => entry.code === 11000));
+
+/**
+ * Coupon fields shared by every code of a batch (same defaults as createCoupon)
+ * @param {Object} template - Validated discount settings
+ * @param {string} batchId
+ * @returns {Object}
+ */
+const buildBatchCoupon = (template, batchId) => ({
+  description: template.description,
+  discountType: template.discountType,
+  discountValue: ["percentage", "fixed"].includes(template.discountType)
+    ? template.discountValue
+    : undefined,
+  maxDiscountAmount: template.maxDiscountAmount,
+  minOrderAmount: template.minOrderAmount || 0,
+  maxUsageCount: 1,
+  maxUsagePerUser: 1,
+  startDate: template.startDate || Date.now(),
+  expiryDate: template.expiryDate,
+  applicableProducts: template.applicableProducts || [],
+  applicableCategories: template.applicableCategories || [],
+  isGlobal: template.isGlobal !== undefined ? template.isGlobal : true,
+  buyQuantity: template.buyQuantity,
+  getQuantity: template.getQuantity,
+  getDiscountPercentage: template.getDiscountPercentage,
+  bundleItems: template.bundleItems || [],
+  bundlePrice: template.bundlePrice,
+  maxApplicationsPerOrder: template.maxApplicationsPerOrder,
+  tiers: template.tiers || [],
+  freeProduct: template.freeProduct,
+  freeQuantity: template.freeQuantity,
+  firstOrderOnly: !!template.firstOrderOnly,
+  batch: batchId,
+});
+
+// ==================== GENERATING ====================
+
+/**
+ * Create a batch and its codes
+ * Codes that clash with an existing coupon are generated again.
+ * @param {Object} request - Validated request (see validateCouponBatchRequest)
+ * @param {string} [createdBy] - Admin creating the batch
+ * @returns {Promise<Object>} ValidationResult with the batch as data
+ */
+export const generateCouponBatch = async (
+  { name, notes, prefix, codeLength, quantity, template },
+  createdBy = null
+) => {
+  const batchId = new mongoose.Types.ObjectId();
+  const base = buildBatchCoupon(template, batchId);
+
+  // insertMany skips invalid documents quietly, so check one up front
+  try {
+    await new Coupon({ ...base, code: generateBatchCode(prefix, codeLength) }).validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return {
+      success: false,
+      statusCode: 400,
+      message: error.message,
+    };
+  }
+
+  const batch = await CouponBatch.create({
+    _id: batchId,
+    name,
+    notes,
+    prefix,
+    codeLength,
+    quantity,
+    template,
+    expiryDate: template.expiryDate,
+    createdBy,
+  });
+
+  let generated = 0;
+  for (let round = 0; round < MAX_GENERATION_ROUNDS && generated < quantity; round++) {
+    const codes = new Set();
+    while (codes.size < quantity - generated) {
+      codes.add(generateBatchCode(prefix, codeLength));
+    }
+
+    const pending = [...codes];
+    for (let start = 0; start < pending.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = pending
+        .slice(start, start + INSERT_CHUNK_SIZE)
+        .map((code) => ({ ...base, code }));
+
+      try {
+        await Coupon.insertMany(chunk, { ordered: false });
+      } catch (error) {
+        // Codes already taken are skipped here and made again next round
+        if (!isDuplicateKeyError(error)) throw error;
+      }
+    }
+
+    generated = await Coupon.countDocuments({ batch: batchId });
+  }
+
+  batch.generatedCount = generated;
+  await batch.save();
+
+  return {
+    success: true,
+    statusCode: 201,
+    message:
+      generated < quantity
+        ? `Generated ${generated} of ${quantity} codes (ran out of unique codes - try a longer codeLength)`
+        : `Generated ${generated} codes`,
+    data: batch,
+  };
+};
+
+// ==================== STATS ====================
+
+const emptyStats = () => ({
+  codes: 0,
+  active: 0,
+  redeemed: 0,
+  reserved: 0,
+  unused: 0,
+  redemptionRate: 0,
+  totalDiscount: 0,
+});
+
+/**
+ * Redemption stats for one or more batches
+ * @param {string[]} batchIds
+ * @param {Date} [now]
+ * @returns {Promise<Map<string, Object>>} Batch id -> { codes, active, redeemed,
+ *   reserved, unused, redemptionRate, totalDiscount }
+ */
+export const getCouponBatchStats = async (batchIds, now = new Date()) => {
+  const ids = batchIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  const rows = await Coupon.aggregate([
+    { $match: { batch: { $in: ids } } },
+    {
+      $lookup: {
+        from: CouponRedemption.collection.name,
+        localField: "_id",
+        foreignField: "coupon",
+        as: "committed",
+        pipeline: [{ $match: { status: "Committed" } }, { $project: { discount: 1 } }],
+      },
+    },
+    {
+      $project: {
+        batch: 1,
+        isActive: 1,
+        redeemed: { $gt: ["$usageCount", 0] },
+        reserved: { $gt: [liveReservationsExpr(now), 0] },
+        discount: { $sum: "$committed.discount" },
+      },
+    },
+    {
+      $group: {
+        _id: "$batch",
+        codes: { $sum: 1 },
+        active: { $sum: { $cond: ["$isActive", 1, 0] } },
+        redeemed: { $sum: { $cond: ["$redeemed", 1, 0] } },
+        reserved: {
+          $sum: { $cond: [{ $and: ["$reserved", { $not: ["$redeemed"] }] }, 1, 0] },
+        },
+        totalDiscount: { $sum: "$discount" },
+      },
+    },
+  ]);
+
+  const stats = new Map(ids.map((id) => [id.toString(), emptyStats()]));
+  for (const row of rows) {
+    stats.set(row._id.toString(), {
+      codes: row.codes,
+      active: row.active,
+      redeemed: row.redeemed,
+      reserved: row.reserved,
+      unused: row.codes - row.redeemed - row.reserved,
+      redemptionRate: roundMoney((row.redeemed / row.codes) * 100),
+      totalDiscount: roundMoney(row.totalDiscount),
+    });
+  }
+
+  return stats;
+};
+
+/**
+ * Where a batch code stands, for exports
+ * @param {Object} coupon - Coupon document with its reservations
+ * @param {Date} [now]
+ * @returns {string} Redeemed | Reserved | Inactive | Expired | Unused
+ */
+export const getBatchCodeStatus = (coupon, now = new Date()) => {
+  if (coupon.usageCount > 0) return "Redeemed";
+  if (coupon.countActiveReservations(null, now) > 0) return "Reserved";
+  if (!coupon.isActive) return "Inactive";
+  if (coupon.expiryDate < now) return "Expired";
+  return "Unused";
+};
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Batches, newest first
+ * @param {Object} options
+ * @returns {Promise<{batches: Array, total: number}>}
+ */
+export const listCouponBatches = async ({ page = 1, limit = 20, isActive } = {}) => {
+  const filter = {};
+  if (isActive !== undefined) filter.isActive = isActive;
+
+  const [batches, total] = await Promise.all([
+    CouponBatch.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CouponBatch.countDocuments(filter),
+  ]);
+
+  const stats = await getCouponBatchStats(batches.map((batch) => batch._id));
+
+  return {
+    batches: batches.map((batch) => ({ ...batch, stats: stats.get(batch._id.toString()) })),
+    total,
+  };
+};
+
+/**
+ * Cursor over a batch's codes in the order they were generated
+ * The paid use carries the order number and customer for exports.
+ * @param {string} batchId
+ * @returns {QueryCursor}
+ */
+export const getCouponBatchCodesCursor = (batchId) =>
+  Coupon.find({ batch: batchId })
+    .select("code isActive usageCount expiryDate reservations")
+    .populate({
+      path: "committedRedemption",
+      populate: [
+        { path: "order", select: "orderNumber" },
+        { path: "user", select: "name email" },
+      ],
+    })
+    .sort({ _id: 1 })
+    .cursor();
+
+// ==================== ACTIVATION ====================
+
+/**
+ * Switch a batch and all of its codes on or off
+ * Orders already holding a reservation keep it; no new checkout can use the codes.
+ * @param {string} batchId
+ * @param {boolean} isActive
+ * @returns {Promise<{batch: Object, updated: number}|null>} null if the batch doesn't exist
+ */
+export const setCouponBatchActive = async (batchId, isActive) => {
+  const batch = await CouponBatch.findByIdAndUpdate(
+    batchId,
+    isActive
+      ? { $set: { isActive: true }, $unset: { deactivatedAt: 1 } }
+      : { $set: { isActive: false, deactivatedAt: new Date() } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  const result = await Coupon.updateMany(
+    { batch: batch._id, isActive: !isActive },
+    { $set: { isActive } }
+  );
+
+  return { batch, updated: result.modifiedCount };
+};
+
+export default {
+  generateCouponBatch,
+  getCouponBatchStats,
+  getBatchCodeStatus,
+  listCouponBatches,
+  getCouponBatchCodesCursor,
+  setCouponBatchActive,
+};
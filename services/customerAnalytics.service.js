@@ -0,0 +1,356 @@
+// customerAnalytics.service.js
+// ✅ Customer analytics - lifetime value, favorites, cohorts and RFM segments
+//
+// Only registered customers are included (guest orders have no buyer).
+// Spend is net of completed refunds; orders count as in sales analytics.
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import {
+  SALE_PAYMENT_STATUSES,
+  getServerTimezone,
+} from "../helpers/analytics.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import { escapeRegex } from "../helpers/orderFilter.helpers.js";
+import { scoreCustomers } from "../helpers/customerAnalytics.helpers.js";
+
+export const CUSTOMER_SORT_FIELDS = ["totalSpend", "orders", "lastOrderAt", "averageBasket"];
+
+const CUSTOMER_ORDER_MATCH = {
+  buyer: { $ne: null },
+  paymentStatus: { $in: SALE_PAYMENT_STATUSES },
+  orderStatus: { $ne: "Failed" },
+};
+
+const NET_ORDER_TOTAL = {
+  $subtract: [
+    "$totalPrice",
+    {
+      $cond: [
+        { $eq: ["$refundDetails.refundStatus", "Completed"] },
+        { $ifNull: ["$refundDetails.refundAmount", 0] },
+        0,
+      ],
+    },
+  ],
+};
+
+// One row per customer: { _id: buyer, orders, totalSpend, firstOrderAt, lastOrderAt }
+const CUSTOMER_GROUP_STAGES = [
+  {
+    $group: {
+      _id: "$buyer",
+      orders: { $sum: 1 },
+      totalSpend: { $sum: NET_ORDER_TOTAL },
+      firstOrderAt: { $min: "$createdAt" },
+      lastOrderAt: { $max: "$createdAt" },
+    },
+  },
+  {
+    $addFields: {
+      averageBasket: {
+        $cond: [{ $gt: ["$orders", 0] }, { $divide: ["$totalSpend", "$orders"] }, 0],
+      },
+    },
+  },
+];
+
+const USER_LOOKUP_STAGES = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "_id",
+      foreignField: "_id",
+      as: "user",
+      pipeline: [{ $project: { name: 1, email: 1, phoneNumber: 1, createdAt: 1 } }],
+    },
+  },
+  { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+];
+
+const toCustomer = (row) => ({
+  userId: row._id,
+  name: row.user?.name || "",
+  email: row.user?.email || "",
+  phoneNumber: row.user?.phoneNumber || "",
+  registeredAt: row.user?.createdAt || null,
+  orders: row.orders,
+  totalSpend: roundMoney(row.totalSpend),
+  averageBasket: roundMoney(row.averageBasket),
+  firstOrderAt: row.firstOrderAt,
+  lastOrderAt: row.lastOrderAt,
+});
+
+/**
+ * Most ordered products per customer
+ * @param {ObjectId[]} buyerIds
+ * @param {number} limit - Products per customer
+ * @returns {Promise<Map<string, Object[]>>} buyerId -> [{ product, name, quantity, orders }]
+ */
+export const getFavoriteProducts = async (buyerIds, limit = 3) => {
+  if (!buyerIds.length) return new Map();
+
+  const rows = await Order.aggregate([
+    { $match: { ...CUSTOMER_ORDER_MATCH, buyer: { $in: buyerIds } } },
+    { $unwind: "$products" },
+    {
+      $group: {
+        _id: { buyer: "$buyer", product: "$products.product" },
+        name: { $last: "$products.name" },
+        quantity: { $sum: "$products.quantity" },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { quantity: -1, orders: -1 } },
+    {
+      $group: {
+        _id: "$_id.buyer",
+        products: {
+          $push: {
+            product: "$_id.product",
+            name: "$name",
+            quantity: "$quantity",
+            orders: "$orders",
+          },
+        },
+      },
+    },
+    { $project: { products: { $slice: ["$products", limit] } } },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.products]));
+};
+
+/**
+ * Per-customer stats, paginated
+ * @param {Object} options - { page, limit, sortBy, search }
+ * @returns {Promise<Object>} aggregatePaginate result with customers in docs
+ */
+export const listCustomerStats = async ({
+  page = 1,
+  limit = 20,
+  sortBy = "totalSpend",
+  search,
+} = {}) => {
+  const searchStages = search
+    ? [
+        {
+          $match: {
+            $or: ["user.name", "user.email", "user.phoneNumber"].map((field) => ({
+              [field]: { $regex: escapeRegex(search), $options: "i" },
+            })),
+          },
+        },
+      ]
+    : [];
+
+  const result = await Order.aggregatePaginate(
+    Order.aggregate([
+      { $match: CUSTOMER_ORDER_MATCH },
+      ...CUSTOMER_GROUP_STAGES,
+      ...USER_LOOKUP_STAGES,
+      ...searchStages,
+      { $sort: { [sortBy]: -1, _id: 1 } },
+    ]),
+    { page, limit }
+  );
+
+  const favorites = await getFavoriteProducts(result.docs.map((row) => row._id));
+
+  return {
+    ...result,
+    docs: result.docs.map((row) => ({
+      ...toCustomer(row),
+      favoriteProducts: favorites.get(row._id.toString()) || [],
+    })),
+  };
+};
+
+/**
+ * Every customer with RFM scores and segment
+ * Scores are relative, so the whole customer base is loaded (one small row each).
+ * @param {Date} now
+ * @returns {Promise<Object[]>}
+ */
+export const getScoredCustomers = async (now = new Date()) => {
+  const rows = await Order.aggregate([
+    { $match: CUSTOMER_ORDER_MATCH },
+    ...CUSTOMER_GROUP_STAGES,
+    ...USER_LOOKUP_STAGES,
+  ]);
+
+  return scoreCustomers(rows.map(toCustomer), now);
+};
+
+// RFM segments are relative to the whole customer base, so per-request lookups
+// (promotion targeting on every cart change) share one scoring pass for a while
+const SEGMENT_CACHE_TTL_MS = 15 * 60 * 1000;
+let segmentCache = { segments: null, expiresAt: 0, pending: null };
+
+/**
+ * Segment of every customer, scored at most once per SEGMENT_CACHE_TTL_MS
+ * @returns {Promise<Map<string, string>>} userId -> segment
+ */
+const getCachedSegments = async () => {
+  if (segmentCache.segments && segmentCache.expiresAt > Date.now()) {
+    return segmentCache.segments;
+  }
+
+  if (!segmentCache.pending) {
+    segmentCache.pending = Order.aggregate([
+      { $match: CUSTOMER_ORDER_MATCH },
+      ...CUSTOMER_GROUP_STAGES,
+    ])
+      .then((rows) => {
+        const segments = new Map(
+          scoreCustomers(rows.map(toCustomer)).map((customer) => [
+            customer.userId.toString(),
+            customer.segment,
+          ])
+        );
+        segmentCache = {
+          segments,
+          expiresAt: Date.now() + SEGMENT_CACHE_TTL_MS,
+          pending: null,
+        };
+        return segments;
+      })
+      .catch((error) => {
+        segmentCache.pending = null;
+        throw error;
+      });
+  }
+
+  return segmentCache.pending;
+};
+
+/**
+ * One customer's RFM segment, from the cached scoring of all customers
+ * @param {string} userId
+ * @returns {Promise<string|null>} null when the customer has no orders
+ */
+export const getCustomerSegment = async (userId) => {
+  const segments = await getCachedSegments();
+  return segments.get(userId.toString()) || null;
+};
+
+/**
+ * One customer's stats, favorites and RFM segment
+ * @param {string} userId
+ * @returns {Promise<Object|null>} null when the customer has no orders
+ */
+export const getCustomerProfile = async (userId) => {
+  const customers = await getScoredCustomers();
+  const customer = customers.find(
+    (entry) => entry.userId.toString() === userId.toString()
+  );
+  if (!customer) return null;
+
+  const favorites = await getFavoriteProducts(
+    [new mongoose.Types.ObjectId(String(userId))],
+    5
+  );
+
+  return {
+    ...customer,
+    favoriteProducts: favorites.get(customer.userId.toString()) || [],
+  };
+};
+
+/**
+ * Monthly acquisition cohorts (by first order) with repeat-purchase retention
+ * retention[n] = customers of the cohort who ordered again n months after their first month
+ * @param {Object} range - { start, end } months to include (by first order)
+ * @returns {Promise<Object[]>}
+ */
+export const getCohorts = async ({ start, end }) => {
+  const timezone = getServerTimezone();
+  const month = (date) => ({ $dateTrunc: { date, unit: "month", timezone } });
+
+  const rows = await Order.aggregate([
+    { $match: CUSTOMER_ORDER_MATCH },
+    {
+      $group: {
+        _id: "$buyer",
+        firstOrderAt: { $min: "$createdAt" },
+        orders: { $sum: 1 },
+        activeMonths: { $addToSet: month("$createdAt") },
+      },
+    },
+    { $match: { firstOrderAt: { $gte: start, $lte: end } } },
+    { $addFields: { cohort: month("$firstOrderAt") } },
+    {
+      $facet: {
+        cohorts: [
+          {
+            $group: {
+              _id: "$cohort",
+              customers: { $sum: 1 },
+              repeatCustomers: { $sum: { $cond: [{ $gte: ["$orders", 2] }, 1, 0] } },
+              orders: { $sum: "$orders" },
+            },
+          },
+        ],
+        activity: [
+          { $unwind: "$activeMonths" },
+          {
+            $group: {
+              _id: {
+                cohort: "$cohort",
+                offset: {
+                  $dateDiff: {
+                    startDate: "$cohort",
+                    endDate: "$activeMonths",
+                    unit: "month",
+                    timezone,
+                  },
+                },
+              },
+              customers: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const { cohorts = [], activity = [] } = rows[0] || {};
+
+  return cohorts
+    .sort((a, b) => a._id - b._id)
+    .map((cohort) => {
+      const active = activity.filter(
+        (row) => row._id.cohort.getTime() === cohort._id.getTime()
+      );
+      const maxOffset = Math.max(0, ...active.map((row) => row._id.offset));
+
+      const retention = Array.from({ length: maxOffset + 1 }, (_, offset) => {
+        const customers =
+          active.find((row) => row._id.offset === offset)?.customers || 0;
+        return {
+          monthOffset: offset,
+          customers,
+          rate: Math.round((customers / cohort.customers) * 1000) / 10,
+        };
+      });
+
+      return {
+        cohort: cohort._id,
+        customers: cohort.customers,
+        repeatCustomers: cohort.repeatCustomers,
+        repeatRate: Math.round((cohort.repeatCustomers / cohort.customers) * 1000) / 10,
+        ordersPerCustomer: Math.round((cohort.orders / cohort.customers) * 100) / 100,
+        retention,
+      };
+    });
+};
+
+export default {
+  CUSTOMER_SORT_FIELDS,
+  getFavoriteProducts,
+  listCustomerStats,
+  getScoredCustomers,
+  getCustomerSegment,
+  getCustomerProfile,
+  getCohorts,
+};
@@ -0,0 +1,158 @@
+// export.service.js
+// ✅ Streaming CSV / XLSX downloads
+// Rows are written one at a time (from a cursor or an array), so large exports never sit in memory.
+
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * Quote a CSV value; text starting with = + - @ is prefixed so spreadsheets
+ * don't evaluate it as a formula
+ */
+const toCsvValue = (value) => {
+  if (typeof value === "number") return String(value);
+
+  let text = String(value ?? "");
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvValue).join(",")}\r\n`;
+
+class ExportAbortedError extends Error {
+  constructor() {
+    super("Export aborted: the client disconnected");
+    this.name = "ExportAbortedError";
+  }
+}
+
+/**
+ * Wait until the response can take more data
+ * Rejects if the client disconnects first, so an export never hangs on a
+ * response nobody reads.
+ */
+const waitForDrain = (res) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new ExportAbortedError());
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onError);
+  });
+
+/**
+ * Write to the response, waiting for it to drain when its buffer is full
+ */
+const write = async (res, chunk) => {
+  if (res.destroyed) throw new ExportAbortedError();
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+};
+
+const streamCsv = async (res, columns, rows, toRow) => {
+  let count = 0;
+
+  // BOM so Excel opens UTF-8 (Arabic names, etc.) correctly
+  await write(res, "\uFEFF");
+  await write(res, toCsvLine(columns.map((column) => column.header)));
+
+  for await (const item of rows) {
+    if (res.destroyed) throw new ExportAbortedError();
+    const row = toRow(item);
+    await write(res, toCsvLine(columns.map((column) => row[column.key])));
+    count++;
+  }
+
+  res.end();
+  return count;
+};
+
+const streamXlsx = async (res, columns, rows, toRow, sheetName) => {
+  let count = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const item of rows) {
+    if (res.destroyed) throw new ExportAbortedError();
+    worksheet.addRow(toRow(item)).commit();
+    count++;
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+/**
+ * Stream rows to the response as a CSV or XLSX download
+ * Headers are set here; once streaming starts errors can only end the response.
+ * Rejects (and closes a cursor) when the client disconnects mid-download.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - "csv" | "xlsx"
+ * @param {string} options.filename - Without extension, e.g. "orders-2026-10-18"
+ * @param {Object[]} options.columns - [{ header, key, width }], in file order
+ * @param {Iterable|AsyncIterable} options.rows - Cursor or array
+ * @param {Function} options.toRow - Maps an item to an object keyed by column keys
+ * @param {string} options.sheetName - XLSX worksheet name
+ * @returns {Promise<number>} Rows written
+ */
+export const streamExport = async (
+  res,
+  { format = "csv", filename, columns, rows, toRow = (item) => item, sheetName = "Sheet1" }
+) => {
+  // A client that goes away mid-download shouldn't keep the cursor open
+  const closeRows = () => {
+    if (!res.writableFinished && typeof rows.close === "function") {
+      rows.close().catch(() => {});
+    }
+  };
+  res.once("close", closeRows);
+
+  try {
+    if (format === "xlsx") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+      return await streamXlsx(res, columns, rows, toRow, sheetName);
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return await streamCsv(res, columns, rows, toRow);
+  } finally {
+    res.off("close", closeRows);
+  }
+};
+
+export default {
+  EXPORT_FORMATS,
+  streamExport,
+};
@@ -0,0 +1,274 @@
+// giftCard.service.js
+// ✅ Gift cards - issuing, paying for orders (split tender) and refunds to the card
+//
+// The card's balance is the source of truth; every change is written to the
+// GiftCardTransaction ledger. What an order took from a card is kept on the
+// order's tenders (see tender.service.js for refunds and releases).
+
+import GiftCard from "../models/giftCard.model.js";
+import GiftCardTransaction from "../models/giftCardTransaction.model.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+
+/**
+ * Apply a signed change to a card's balance and write it to the ledger
+ * @param {string} giftCardId
+ * @param {number} amount - Positive credits, negative debits
+ * @param {Object} options
+ * @param {string} options.type - Transaction type (see giftCardTransaction.model.js)
+ * @param {string} [options.orderId]
+ * @param {string} [options.note]
+ * @param {string} [options.createdBy] - Admin making a manual adjustment
+ * @param {boolean} [options.requireActive] - Only debit cards that can pay right now
+ * @returns {Promise<Object|null>} Ledger entry, null if the card is missing,
+ *   not redeemable or the balance is too low
+ */
+export const applyGiftCardChange = async (
+  giftCardId,
+  amount,
+  { type, orderId = null, note, createdBy = null, requireActive = false }
+) => {
+  const filter = { _id: giftCardId };
+
+  // A balance never goes below zero
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+  if (requireActive) {
+    filter.status = "Active";
+    filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  const card = await GiftCard.findOneAndUpdate(
+    filter,
+    { $inc: { balance: amount } },
+    { new: true }
+  ).select("balance");
+
+  if (!card) return null;
+
+  return GiftCardTransaction.create({
+    giftCard: giftCardId,
+    type,
+    amount,
+    balanceAfter: roundMoney(card.balance),
+    order: orderId,
+    note,
+    createdBy,
+  });
+};
+
+// ==================== ISSUING ====================
+
+/**
+ * Create a gift card
+ * Admin-issued cards are active straight away; purchased cards wait as
+ * "Pending" (no balance) until the payment completes.
+ * @param {Object} data
+ * @param {number} data.amount
+ * @param {string} data.source - "admin" | "purchase"
+ * @returns {Promise<Object>} GiftCard document
+ */
+export const issueGiftCard = async ({
+  amount,
+  source,
+  purchaser = null,
+  issuedBy = null,
+  recipient,
+  message,
+  expiresAt = null,
+  notes,
+}) => {
+  const card = await GiftCard.create({
+    code: await GiftCard.generateCode(),
+    initialAmount: amount,
+    balance: 0,
+    status: source === "purchase" ? "Pending" : "Active",
+    source,
+    expiresAt,
+    purchaser,
+    issuedBy,
+    recipient,
+    message,
+    notes,
+  });
+
+  if (card.status === "Active") {
+    await activateGiftCard(card, { createdBy: issuedBy, force: true });
+  }
+
+  return card;
+};
+
+/**
+ * Load the card's initial amount
+ * Safe to call more than once (webhook retries): only the first call credits.
+ * @param {Object} card - GiftCard document
+ * @param {Object} options
+ * @param {string} [options.sessionId] - Stripe session that paid for it
+ * @param {string} [options.createdBy]
+ * @param {boolean} [options.force] - Skip the Pending claim (admin issue)
+ * @returns {Promise<boolean>} false when the card was already activated
+ */
+export const activateGiftCard = async (
+  card,
+  { sessionId, createdBy = null, force = false } = {}
+) => {
+  if (!force) {
+    const claim = await GiftCard.updateOne(
+      { _id: card._id, status: "Pending" },
+      {
+        $set: {
+          status: "Active",
+          activatedAt: new Date(),
+          ...(sessionId && { stripeSessionID: sessionId }),
+        },
+      }
+    );
+    if (claim.modifiedCount === 0) return false;
+  } else {
+    await GiftCard.updateOne({ _id: card._id }, { $set: { activatedAt: new Date() } });
+  }
+
+  const entry = await applyGiftCardChange(card._id, card.initialAmount, {
+    type: "issue",
+    note: card.source === "purchase" ? "Purchased online" : "Issued by admin",
+    createdBy,
+  });
+
+  card.status = "Active";
+  card.balance = entry.balanceAfter;
+  return true;
+};
+
+/**
+ * Activate a purchased card once its Stripe checkout is paid
+ * @param {string} giftCardId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const activatePurchasedGiftCard = async (giftCardId, sessionId) => {
+  const card = await GiftCard.findById(giftCardId);
+  if (!card) {
+    throw new Error(`Gift card ${giftCardId} not found`);
+  }
+  return activateGiftCard(card, { sessionId });
+};
+
+// ==================== CHECKOUT ====================
+
+/**
+ * Find a card that can pay for an order
+ * @param {string} code
+ * @returns {Promise<Object>} ValidationResult with the card as data
+ */
+export const findRedeemableGiftCard = async (code) => {
+  if (!code || typeof code !== "string") {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Gift card code is required",
+    };
+  }
+
+  const card = await GiftCard.findByCode(code);
+  if (!card) {
+    return {
+      success: false,
+      statusCode: 404,
+      message: "Gift card not found",
+    };
+  }
+
+  const redeemable = card.isRedeemable();
+  if (!redeemable.valid) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: redeemable.message,
+    };
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Gift card is valid",
+    data: card,
+  };
+};
+
+/**
+ * Take an amount from a card towards an order and add it to the order's tenders
+ * @param {Object} order - Order document (saved here)
+ * @param {Object} card - GiftCard document
+ * @param {number} amount
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const chargeGiftCard = async (order, card, amount) => {
+  const entry = await applyGiftCardChange(card._id, -amount, {
+    type: "redeem",
+    orderId: order._id,
+    note: `Paid towards order ${order.orderNumber}`,
+    requireActive: true,
+  });
+
+  if (!entry) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "The gift card can no longer cover this amount",
+    };
+  }
+
+  order.tenders.push({
+    type: "GiftCard",
+    giftCard: card._id,
+    code: card.code,
+    amount,
+  });
+  await order.save();
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: `${amount} paid with gift card`,
+    data: entry,
+  };
+};
+
+// ==================== LOOKUPS ====================
+
+/**
+ * A card's ledger, newest first
+ * @param {string} giftCardId
+ * @param {Object} options
+ * @returns {Promise<{transactions: Array, total: number}>}
+ */
+export const listGiftCardTransactions = async (
+  giftCardId,
+  { page = 1, limit = 20, type } = {}
+) => {
+  const filter = { giftCard: giftCardId };
+  if (type) filter.type = type;
+
+  const [transactions, total] = await Promise.all([
+    GiftCardTransaction.find(filter)
+      .populate("order", "orderNumber totalPrice")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    GiftCardTransaction.countDocuments(filter),
+  ]);
+
+  return { transactions, total };
+};
+
+export default {
+  applyGiftCardChange,
+  issueGiftCard,
+  activateGiftCard,
+  activatePurchasedGiftCard,
+  findRedeemableGiftCard,
+  chargeGiftCard,
+  listGiftCardTransactions,
+};
@@ -0,0 +1,221 @@
+// inventory.service.js
+// ✅ Stock tracking - order consumption, restocking, manual adjustments
+// and automatic product availability
+
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Recipe from "../models/recipe.model.js";
+import StockItem from "../models/stockItem.model.js";
+import StockMovement from "../models/stockMovement.model.js";
+
+/**
+ * Work out how much of each stock item an order consumes
+ * Option-specific ingredients are only counted when the option was selected.
+ * @param {Object} order - Order document
+ * @returns {Promise<Map<string, number>>} stockItemId -> quantity
+ */
+export const calculateOrderConsumption = async (order) => {
+  const productIds = order.products.map((item) => item.product?._id || item.product);
+  const recipes = await Recipe.find({ product: { $in: productIds } });
+
+  const recipeByProduct = new Map(
+    recipes.map((recipe) => [recipe.product.toString(), recipe])
+  );
+
+  const consumption = new Map();
+
+  for (const item of order.products) {
+    const productId = (item.product?._id || item.product).toString();
+    const recipe = recipeByProduct.get(productId);
+    if (!recipe) continue;
+
+    const selectedOptionIds = (item.selectedOptions || []).map((option) =>
+      option.optionId?.toString()
+    );
+
+    for (const ingredient of recipe.ingredients) {
+      if (
+        ingredient.optionId &&
+        !selectedOptionIds.includes(ingredient.optionId.toString())
+      ) {
+        continue;
+      }
+
+      const stockItemId = ingredient.stockItem.toString();
+      const amount = ingredient.quantity * item.quantity;
+      consumption.set(stockItemId, (consumption.get(stockItemId) || 0) + amount);
+    }
+  }
+
+  return consumption;
+};
+
+/**
+ * Apply a signed change to a stock item and write it to the ledger
+ * @param {string} stockItemId
+ * @param {number} quantity - Positive adds stock, negative removes it
+ * @param {Object} options
+ * @param {string} options.type - Movement type (see stockMovement.model.js)
+ * @param {string} [options.orderId]
+ * @param {string} [options.note]
+ * @param {string} [options.userId]
+ * @returns {Promise<Object|null>} Updated stock item
+ */
+export const applyStockMovement = async (
+  stockItemId,
+  quantity,
+  { type, orderId = null, note, userId = null }
+) => {
+  const stockItem = await StockItem.findByIdAndUpdate(
+    stockItemId,
+    { $inc: { quantity } },
+    { new: true }
+  );
+
+  if (!stockItem) return null;
+
+  await StockMovement.create({
+    stockItem: stockItem._id,
+    type,
+    quantity,
+    balanceAfter: stockItem.quantity,
+    order: orderId,
+    note,
+    createdBy: userId,
+  });
+
+  return stockItem;
+};
+
+/**
+ * Re-evaluate availability of every product whose recipe uses the given stock items
+ * A product is turned off when any required ingredient can't cover one unit,
+ * and turned back on only if inventory was what turned it off.
+ * @param {string[]} stockItemIds
+ * @returns {Promise<{disabled: string[], enabled: string[]}>}
+ */
+export const syncProductAvailability = async (stockItemIds) => {
+  const result = { disabled: [], enabled: [] };
+  if (!stockItemIds.length) return result;
+
+  const recipes = await Recipe.find({
+    "ingredients.stockItem": { $in: stockItemIds },
+  }).populate("ingredients.stockItem");
+
+  for (const recipe of recipes) {
+    const isOutOfStock = recipe.ingredients.some(
+      (ingredient) =>
+        ingredient.isRequired &&
+        !ingredient.optionId &&
+        ingredient.stockItem?.isActive &&
+        ingredient.stockItem.quantity < ingredient.quantity
+    );
+
+    const product = await Product.findById(recipe.product);
+    if (!product) continue;
+
+    if (isOutOfStock && product.isAvailable) {
+      product.isAvailable = false;
+      product.stockDisabled = true;
+      await product.save();
+      result.disabled.push(product._id.toString());
+    } else if (!isOutOfStock && product.stockDisabled) {
+      product.isAvailable = true;
+      product.stockDisabled = false;
+      await product.save();
+      result.enabled.push(product._id.toString());
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Consume stock for a confirmed order (idempotent)
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} false when stock was already deducted
+ */
+export const deductStockForOrder = async (order) => {
+  // Claim the order atomically so webhook retries can't deduct twice
+  const claim = await Order.updateOne(
+    { _id: order._id, stockDeducted: { $ne: true } },
+    { $set: { stockDeducted: true } }
+  );
+  if (claim.modifiedCount === 0) return false;
+  order.stockDeducted = true;
+
+  const consumption = await calculateOrderConsumption(order);
+
+  for (const [stockItemId, amount] of consumption) {
+    await applyStockMovement(stockItemId, -amount, {
+      type: "order",
+      orderId: order._id,
+      note: "Order confirmed",
+    });
+  }
+
+  await syncProductAvailability([...consumption.keys()]);
+  return true;
+};
+
+/**
+ * Stock an order still holds, from its ledger entries
+ * Deductions minus earlier restocks, so recipe changes since the order was
+ * placed don't change what is given back.
+ * @param {string} orderId
+ * @returns {Promise<Map<string, number>>} stockItemId -> quantity
+ */
+const getOrderHeldStock = async (orderId) => {
+  const rows = await StockMovement.aggregate([
+    {
+      $match: {
+        order: new mongoose.Types.ObjectId(String(orderId)),
+        type: { $in: ["order", "restock"] },
+      },
+    },
+    { $group: { _id: "$stockItem", quantity: { $sum: "$quantity" } } },
+  ]);
+
+  return new Map(
+    rows
+      .filter((row) => row.quantity < 0)
+      .map((row) => [row._id.toString(), -row.quantity])
+  );
+};
+
+/**
+ * Return stock consumed by an order (idempotent)
+ * @param {Object} order - Order document
+ * @param {string} note - Why the stock is returned
+ * @returns {Promise<boolean>} false when there was nothing to restock
+ */
+export const restockOrder = async (order, note = "Order cancelled") => {
+  const claim = await Order.updateOne(
+    { _id: order._id, stockDeducted: true },
+    { $set: { stockDeducted: false } }
+  );
+  if (claim.modifiedCount === 0) return false;
+  order.stockDeducted = false;
+
+  const consumption = await getOrderHeldStock(order._id);
+
+  for (const [stockItemId, amount] of consumption) {
+    await applyStockMovement(stockItemId, amount, {
+      type: "restock",
+      orderId: order._id,
+      note,
+    });
+  }
+
+  await syncProductAvailability([...consumption.keys()]);
+  return true;
+};
+
+export default {
+  calculateOrderConsumption,
+  applyStockMovement,
+  syncProductAvailability,
+  deductStockForOrder,
+  restockOrder,
+};
@@ -0,0 +1,427 @@
+// loyalty.service.js
+// ✅ Loyalty points - earning on paid orders, reversals, redemption and expiry
+//
+// The user's loyaltyPoints is the balance; every change is written to the
+// LoyaltyTransaction ledger. Credits (earn, return, positive adjustment) keep
+// what is left of them in "remaining" so they can expire; debits consume the
+// credits that expire first.
+
+import LoyaltySettings from "../models/loyaltySettings.model.js";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import {
+  calculateEarnPoints,
+  calculateRetainedPoints,
+  isEarningOrder,
+  shouldReturnRedemption,
+} from "../helpers/loyalty.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getBuyerId = (order) => order.buyer?._id || order.buyer;
+
+const describeReversal = (order) => {
+  if (order.paymentStatus === "PartiallyRefunded") return "partially refunded";
+  if (order.orderStatus === "Cancelled") return "cancelled";
+  return order.paymentStatus.toLowerCase();
+};
+
+// Matches a loyalty counter on orders created before the program existed too
+const counterIs = (value) => (value ? value : { $in: [0, null] });
+
+/**
+ * When points credited now expire
+ * @param {Object|null} settings - LoyaltySettings document
+ * @param {Date} from
+ * @returns {Date|null} null = never
+ */
+export const getExpiryDate = (settings, from = new Date()) =>
+  settings?.expiryDays > 0
+    ? new Date(from.getTime() + settings.expiryDays * DAY_MS)
+    : null;
+
+/**
+ * Take points out of a user's credits, soonest-expiring first
+ * @param {string} userId
+ * @param {number} points
+ * @param {string} [orderId] - Consume this order's own credits first (reversals)
+ */
+const consumeCredits = async (userId, points, orderId = null) => {
+  const credits = await LoyaltyTransaction.find({
+    user: userId,
+    remaining: { $gt: 0 },
+  });
+
+  const expiryTime = (credit) => credit.expiresAt?.getTime() ?? Infinity;
+  const isOwn = (credit) => !!orderId && credit.order?.toString() === orderId.toString();
+  credits.sort(
+    (a, b) =>
+      isOwn(b) - isOwn(a) ||
+      expiryTime(a) - expiryTime(b) ||
+      a.createdAt - b.createdAt
+  );
+
+  let left = points;
+  for (const credit of credits) {
+    if (left <= 0) break;
+
+    const take = Math.min(left, credit.remaining);
+    const claim = await LoyaltyTransaction.updateOne(
+      { _id: credit._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take } }
+    );
+    if (claim.modifiedCount) left -= take;
+  }
+};
+
+/**
+ * Apply a signed change to a user's balance and write it to the ledger
+ * @param {string} userId
+ * @param {number} points - Positive credits, negative debits
+ * @param {Object} options
+ * @param {string} options.type - Transaction type (see loyaltyTransaction.model.js)
+ * @param {string} [options.orderId]
+ * @param {string} [options.note]
+ * @param {string} [options.createdBy] - Admin making a manual adjustment
+ * @param {Date} [options.expiresAt] - Credits only
+ * @param {boolean} [options.requireBalance] - Refuse debits the balance can't cover
+ * @returns {Promise<Object|null>} Ledger entry, null if the user is missing
+ *   or the balance is too low
+ */
+export const applyPointsChange = async (
+  userId,
+  points,
+  { type, orderId = null, note, createdBy = null, expiresAt = null, requireBalance = false }
+) => {
+  const filter = { _id: userId };
+  if (requireBalance && points < 0) {
+    filter.loyaltyPoints = { $gte: -points };
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: points } },
+    { new: true }
+  ).select("loyaltyPoints");
+
+  if (!user) return null;
+
+  // Expired credits were already emptied by the expiry job
+  if (points < 0 && type !== "expire") {
+    await consumeCredits(userId, -points, orderId);
+  }
+
+  return LoyaltyTransaction.create({
+    user: userId,
+    type,
+    points,
+    balanceAfter: user.loyaltyPoints,
+    remaining: points > 0 ? points : 0,
+    expiresAt: points > 0 ? expiresAt : null,
+    order: orderId,
+    note,
+    createdBy,
+  });
+};
+
+// ==================== ORDERS ====================
+
+/**
+ * Spend the points an order was priced with
+ * Called right after the order is created from the cart.
+ * @param {Object} order - Order document with loyalty.pointsRedeemed set
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const redeemOrderPoints = async (order) => {
+  const points = order.loyalty?.pointsRedeemed || 0;
+  if (!points) {
+    return {
+      success: true,
+      statusCode: 200,
+      message: "No points to redeem",
+      data: null,
+    };
+  }
+
+  const entry = await applyPointsChange(getBuyerId(order), -points, {
+    type: "redeem",
+    orderId: order._id,
+    note: `Redeemed on order ${order.orderNumber}`,
+    requireBalance: true,
+  });
+
+  if (!entry) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "You no longer have enough loyalty points for this order",
+    };
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: `${points} points redeemed`,
+    data: entry,
+  };
+};
+
+/**
+ * Give back the points redeemed on an order that failed, was cancelled or refunded
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} false when there was nothing to give back
+ */
+export const returnRedeemedPoints = async (order) => {
+  const points = order.loyalty?.pointsRedeemed || 0;
+  if (!points || !shouldReturnRedemption(order)) return false;
+
+  const claim = await Order.updateOne(
+    { _id: order._id, "loyalty.redemptionReturned": { $ne: true } },
+    { $set: { "loyalty.redemptionReturned": true } }
+  );
+  if (claim.modifiedCount === 0) return false;
+  order.loyalty.redemptionReturned = true;
+
+  const settings = await LoyaltySettings.getActiveConfig();
+  await applyPointsChange(getBuyerId(order), points, {
+    type: "return",
+    orderId: order._id,
+    note: `Returned from order ${order.orderNumber} (${order.paymentStatus.toLowerCase()})`,
+    expiresAt: getExpiryDate(settings),
+  });
+
+  return true;
+};
+
+/**
+ * Spend the redeemed points again when a failed order is retried
+ * The order keeps its points discount, so the points must be there to cover it.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const reclaimRedeemedPoints = async (order) => {
+  const points = order.loyalty?.pointsRedeemed || 0;
+  const claim = points
+    ? await Order.updateOne(
+        { _id: order._id, "loyalty.redemptionReturned": true },
+        { $set: { "loyalty.redemptionReturned": false } }
+      )
+    : { modifiedCount: 0 };
+
+  if (claim.modifiedCount === 0) {
+    return {
+      success: true,
+      statusCode: 200,
+      message: "No points to reclaim",
+      data: null,
+    };
+  }
+
+  const result = await redeemOrderPoints(order);
+  if (!result.success) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "loyalty.redemptionReturned": true } }
+    );
+    return result;
+  }
+
+  order.loyalty.redemptionReturned = false;
+  return result;
+};
+
+/**
+ * Bring an order's earned points in line with its current state
+ * Credits points once payment is completed, takes them back (fully or
+ * proportionally) after cancellation and refunds. Safe to call more than once.
+ * @param {Object} order - Order document
+ */
+export const syncOrderLoyalty = async (order) => {
+  const buyerId = getBuyerId(order);
+  if (!buyerId) return;
+
+  if (isEarningOrder(order) && !order.loyalty?.pointsEarned) {
+    const settings = await LoyaltySettings.getActiveConfig();
+    const points = calculateEarnPoints(order.products, settings);
+
+    if (points > 0) {
+      const claim = await Order.updateOne(
+        { _id: order._id, "loyalty.pointsEarned": counterIs(0) },
+        { $set: { "loyalty.pointsEarned": points } }
+      );
+
+      if (claim.modifiedCount) {
+        order.loyalty.pointsEarned = points;
+        await applyPointsChange(buyerId, points, {
+          type: "earn",
+          orderId: order._id,
+          note: `Earned on order ${order.orderNumber}`,
+          expiresAt: getExpiryDate(settings),
+        });
+      }
+    }
+  }
+
+  const earned = order.loyalty?.pointsEarned || 0;
+  const reversed = order.loyalty?.pointsReversed || 0;
+  const toReverse = earned - calculateRetainedPoints(order) - reversed;
+  if (toReverse <= 0) return;
+
+  const claim = await Order.updateOne(
+    { _id: order._id, "loyalty.pointsReversed": counterIs(reversed) },
+    { $set: { "loyalty.pointsReversed": reversed + toReverse } }
+  );
+  if (claim.modifiedCount === 0) return;
+  order.loyalty.pointsReversed = reversed + toReverse;
+
+  // May leave the balance negative if the points were already spent
+  await applyPointsChange(buyerId, -toReverse, {
+    type: "reverse",
+    orderId: order._id,
+    note: `Order ${order.orderNumber} ${describeReversal(order)}`,
+  });
+};
+
+// ==================== EXPIRY ====================
+
+/**
+ * Expire every credit whose expiry date has passed
+ * @param {Date} now
+ * @returns {Promise<number>} Points expired
+ */
+export const expirePoints = async (now = new Date()) => {
+  const credits = await LoyaltyTransaction.find({
+    expiresAt: { $lte: now },
+    remaining: { $gt: 0 },
+  });
+
+  let expired = 0;
+  for (const credit of credits) {
+    const claim = await LoyaltyTransaction.updateOne(
+      { _id: credit._id, remaining: credit.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await applyPointsChange(credit.user, -credit.remaining, {
+      type: "expire",
+      orderId: credit.order,
+      note: `Points from ${credit.createdAt.toISOString().slice(0, 10)} expired`,
+    });
+    expired += credit.remaining;
+  }
+
+  return expired;
+};
+
+/**
+ * Start the periodic expiry job
+ * @param {number} intervalMs
+ * @returns {NodeJS.Timeout}
+ */
+export const startLoyaltyExpiryJob = (intervalMs = EXPIRY_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expirePoints();
+      if (expired) {
+        console.log(`Expired ${expired} loyalty point(s)`);
+      }
+    } catch (error) {
+      console.error("Error expiring loyalty points:", error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+// ==================== READING ====================
+
+/**
+ * Balance, upcoming expiries and the program rules for a user
+ * @param {string} userId
+ * @returns {Promise<Object|null>} null if the user doesn't exist
+ */
+export const getLoyaltySummary = async (userId) => {
+  const [user, settings, credits] = await Promise.all([
+    User.findById(userId).select("name email loyaltyPoints"),
+    LoyaltySettings.getActiveConfig(),
+    LoyaltyTransaction.find({
+      user: userId,
+      remaining: { $gt: 0 },
+      expiresAt: { $ne: null },
+    })
+      .sort({ expiresAt: 1 })
+      .select("remaining expiresAt"),
+  ]);
+
+  if (!user) return null;
+
+  const soon = new Date(Date.now() + 30 * DAY_MS);
+  const balance = user.loyaltyPoints || 0;
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    balance,
+    balanceValue: settings ? roundMoney(balance * settings.pointValue) : 0,
+    nextExpiry: credits[0]
+      ? { points: credits[0].remaining, expiresAt: credits[0].expiresAt }
+      : null,
+    expiringIn30Days: credits
+      .filter((credit) => credit.expiresAt <= soon)
+      .reduce((sum, credit) => sum + credit.remaining, 0),
+    program: {
+      isEnabled: !!settings?.isEnabled,
+      earnRate: settings?.earnRate ?? 0,
+      categoryMultipliers: settings?.categoryMultipliers ?? [],
+      pointValue: settings?.pointValue ?? 0,
+      minRedeemPoints: settings?.minRedeemPoints ?? 0,
+      maxRedeemPercentage: settings?.maxRedeemPercentage ?? 0,
+      expiryDays: settings?.expiryDays ?? 0,
+    },
+  };
+};
+
+/**
+ * A user's ledger, newest first
+ * @param {string} userId
+ * @param {Object} options - { page, limit, type }
+ * @returns {Promise<{transactions: Object[], total: number}>}
+ */
+export const listLoyaltyTransactions = async (
+  userId,
+  { page = 1, limit = 20, type } = {}
+) => {
+  const filter = { user: userId };
+  if (type) filter.type = type;
+
+  const [transactions, total] = await Promise.all([
+    LoyaltyTransaction.find(filter)
+      .populate("order", "orderNumber totalPrice")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LoyaltyTransaction.countDocuments(filter),
+  ]);
+
+  return { transactions, total };
+};
+
+export default {
+  getExpiryDate,
+  applyPointsChange,
+  redeemOrderPoints,
+  returnRedeemedPoints,
+  reclaimRedeemedPoints,
+  syncOrderLoyalty,
+  expirePoints,
+  startLoyaltyExpiryJob,
+  getLoyaltySummary,
+  listLoyaltyTransactions,
+};
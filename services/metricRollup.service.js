@@ -0,0 +1,418 @@
+// metricRollup.service.js
+// ✅ Daily / hourly metric rollups, kept up to date from order events
+//
+// Each order stores the facts it last contributed (metricsSnapshot). When an
+// order changes, its old and new contributions are diffed and only the
+// difference is $inc'ed into the rollups, so repeated events are harmless and
+// later changes (refunds, cancellations, place type edits) correct themselves.
+// A version check stops two concurrent events from applying the same change twice.
+
+import Order from "../models/order.model.js";
+import MetricRollup from "../models/metricRollup.model.js";
+import {
+  SALE_PAYMENT_STATUSES,
+  truncateDate,
+} from "../helpers/analytics.helpers.js";
+
+export const ROLLUP_GRANULARITIES = ["hour", "day"];
+
+export const ROLLUP_METRICS = [
+  "revenue",
+  "orders",
+  "quantity",
+  "itemsDiscount",
+  "couponDiscount",
+  "deliveryFees",
+  "refunds",
+  "refundAmount",
+];
+
+const TOTAL_KEY = "all";
+const MAX_SYNC_ATTEMPTS = 3;
+
+const refId = (ref) => (ref?._id || ref)?.toString() || "";
+
+// ==================== CONTRIBUTIONS ====================
+
+/**
+ * The order facts the rollups depend on
+ * @param {Object} order - Order with paymentMethod populated (name)
+ * @returns {Object}
+ */
+export const buildMetricsSnapshot = (order) => {
+  const isSale =
+    SALE_PAYMENT_STATUSES.includes(order.paymentStatus) &&
+    order.orderStatus !== "Failed";
+
+  const refund =
+    order.refundDetails?.refundStatus === "Completed" &&
+    order.refundDetails.refundAmount > 0
+      ? {
+          amount: order.refundDetails.refundAmount,
+          date: new Date(order.refundDetails.refundDate || order.updatedAt),
+        }
+      : null;
+
+  return {
+    isSale,
+    createdAt: new Date(order.createdAt),
+    placeType: order.placeType || "",
+    governorate: order.deliveryLocation?.governorate || "",
+    paymentMethod: refId(order.paymentMethod),
+    paymentMethodName: order.paymentMethod?.name || null,
+    coupon: order.appliedCoupon?.code || null,
+    totalPrice: order.totalPrice || 0,
+    totalQuantity: order.totalQuantity || 0,
+    itemsDiscount: order.itemsDiscount || 0,
+    couponDiscount: order.couponDiscount || 0,
+    deliveryFee: order.deliveryFee || 0,
+    lines: (order.products || []).map((item) => ({
+      product: refId(item.product),
+      name: item.name || null,
+      category: refId(item.category),
+      categoryName: item.categoryName || null,
+      quantity: item.quantity || 0,
+      lineTotal: item.lineTotal ?? (item.unitPrice || 0) * (item.quantity || 0),
+      discountType: item.discountType || "none",
+      discount: (item.unitDiscount || 0) * (item.quantity || 0),
+    })),
+    refund,
+  };
+};
+
+const contributes = (snapshot) => !!snapshot && (snapshot.isSale || !!snapshot.refund);
+
+/**
+ * Rollup rows an order snapshot adds up to
+ * @param {Object|null} snapshot
+ * @returns {Map<string, Object>} id -> { granularity, bucket, dimension, key, label, metrics }
+ */
+export const buildContributions = (snapshot) => {
+  const contributions = new Map();
+  if (!contributes(snapshot)) return contributions;
+
+  const add = (granularity, bucket, dimension, key, label, metrics) => {
+    const id = `${granularity}|${dimension}|${key}|${bucket.getTime()}`;
+    const entry = contributions.get(id) || {
+      granularity,
+      bucket,
+      dimension,
+      key,
+      label,
+      metrics: {},
+    };
+    for (const [metric, value] of Object.entries(metrics)) {
+      entry.metrics[metric] = (entry.metrics[metric] || 0) + value;
+    }
+    contributions.set(id, entry);
+  };
+
+  for (const granularity of ROLLUP_GRANULARITIES) {
+    if (snapshot.isSale) {
+      const bucket = truncateDate(new Date(snapshot.createdAt), granularity);
+      const orderMetrics = {
+        revenue: snapshot.totalPrice,
+        orders: 1,
+        quantity: snapshot.totalQuantity,
+      };
+
+      add(granularity, bucket, "total", TOTAL_KEY, null, {
+        ...orderMetrics,
+        itemsDiscount: snapshot.itemsDiscount,
+        couponDiscount: snapshot.couponDiscount,
+        deliveryFees: snapshot.deliveryFee,
+      });
+      add(granularity, bucket, "paymentMethod", snapshot.paymentMethod, snapshot.paymentMethodName, orderMetrics);
+      add(granularity, bucket, "placeType", snapshot.placeType, snapshot.placeType || null, orderMetrics);
+      add(granularity, bucket, "governorate", snapshot.governorate, snapshot.governorate || null, orderMetrics);
+
+      if (snapshot.coupon) {
+        add(granularity, bucket, "coupon", snapshot.coupon, snapshot.coupon, {
+          revenue: snapshot.totalPrice,
+          orders: 1,
+          couponDiscount: snapshot.couponDiscount,
+        });
+      }
+
+      // Lines: an order counts once per product / category / discount type
+      const seen = new Set();
+      for (const line of snapshot.lines) {
+        const lineDimensions = [
+          ["product", line.product, line.name],
+          ["category", line.category, line.categoryName],
+        ];
+        for (const [dimension, key, label] of lineDimensions) {
+          const first = !seen.has(`${dimension}|${key}`);
+          seen.add(`${dimension}|${key}`);
+          add(granularity, bucket, dimension, key, label, {
+            revenue: line.lineTotal,
+            quantity: line.quantity,
+            orders: first ? 1 : 0,
+          });
+        }
+
+        if (line.discountType !== "none" && line.discount > 0) {
+          const first = !seen.has(`discountType|${line.discountType}`);
+          seen.add(`discountType|${line.discountType}`);
+          add(granularity, bucket, "discountType", line.discountType, line.discountType, {
+            itemsDiscount: line.discount,
+            quantity: line.quantity,
+            orders: first ? 1 : 0,
+          });
+        }
+      }
+    }
+
+    if (snapshot.refund) {
+      const bucket = truncateDate(new Date(snapshot.refund.date), granularity);
+      add(granularity, bucket, "total", TOTAL_KEY, null, {
+        refunds: 1,
+        refundAmount: snapshot.refund.amount,
+      });
+    }
+  }
+
+  return contributions;
+};
+
+/**
+ * bulkWrite operations that $inc rollups by (next - previous)
+ * @param {Map} previous - buildContributions() of the old snapshot
+ * @param {Map} next - buildContributions() of the new snapshot
+ * @returns {Object[]}
+ */
+export const buildRollupOperations = (previous, next) => {
+  const operations = [];
+
+  for (const id of new Set([...previous.keys(), ...next.keys()])) {
+    const before = previous.get(id);
+    const after = next.get(id);
+    const row = after || before;
+
+    const inc = {};
+    for (const metric of ROLLUP_METRICS) {
+      const delta = (after?.metrics[metric] || 0) - (before?.metrics[metric] || 0);
+      if (delta !== 0) inc[metric] = delta;
+    }
+    if (Object.keys(inc).length === 0) continue;
+
+    operations.push({
+      updateOne: {
+        filter: {
+          granularity: row.granularity,
+          dimension: row.dimension,
+          key: row.key,
+          bucket: row.bucket,
+        },
+        update: {
+          $inc: inc,
+          ...(after?.label && { $set: { label: after.label } }),
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  return operations;
+};
+
+// ==================== INCREMENTAL SYNC ====================
+
+const loadOrderForMetrics = (orderId) =>
+  Order.findById(orderId)
+    .select("+metricsSnapshot +metricsVersion")
+    .populate("paymentMethod", "name")
+    .lean();
+
+/**
+ * Bring the rollups in line with an order's current state
+ * Called after every order change; safe to call any number of times.
+ * @param {string|Object} orderOrId - Order (document or id)
+ * @returns {Promise<number>} Rollup rows changed
+ */
+export const syncOrderMetrics = async (orderOrId) => {
+  const orderId = refId(orderOrId);
+
+  for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+    const order = await loadOrderForMetrics(orderId);
+    if (!order) return 0;
+
+    const previous = order.metricsSnapshot || null;
+    const next = buildMetricsSnapshot(order);
+
+    // Nothing counted before or now (e.g. an unpaid order)
+    if (!contributes(previous) && !contributes(next)) return 0;
+
+    const operations = buildRollupOperations(
+      buildContributions(previous),
+      buildContributions(next)
+    );
+    if (operations.length === 0 && previous) return 0;
+
+    // Claim this change; fails if another event updated the snapshot first
+    const version = order.metricsVersion || 0;
+    const claim = await Order.updateOne(
+      {
+        _id: order._id,
+        metricsVersion: version ? version : { $in: [0, null] },
+      },
+      {
+        $set: { metricsSnapshot: next },
+        $inc: { metricsVersion: 1 },
+      }
+    );
+
+    if (claim.modifiedCount === 1) {
+      if (operations.length) {
+        await MetricRollup.bulkWrite(operations, { ordered: false });
+      }
+      return operations.length;
+    }
+  }
+
+  console.warn(`Metric rollups: order ${orderId} kept changing, skipped`);
+  return 0;
+};
+
+// ==================== REBUILD ====================
+
+/**
+ * Recompute every rollup from the orders (backfill / repair)
+ * Run while order traffic is quiet: events during the rebuild may be counted twice.
+ * @param {Object} options - { batchSize, onProgress(processedOrders) }
+ * @returns {Promise<Object>} { orders, rollups }
+ */
+export const rebuildMetricRollups = async ({ batchSize = 500, onProgress } = {}) => {
+  await MetricRollup.deleteMany({});
+  // Bumping the version also voids any sync that was in flight
+  await Order.updateMany(
+    {},
+    { $set: { metricsSnapshot: null }, $inc: { metricsVersion: 1 } }
+  );
+
+  let processed = 0;
+  let pending = new Map();
+  let snapshotOperations = [];
+
+  const flush = async () => {
+    const operations = buildRollupOperations(new Map(), pending);
+    if (operations.length) {
+      await MetricRollup.bulkWrite(operations, { ordered: false });
+    }
+    if (snapshotOperations.length) {
+      await Order.bulkWrite(snapshotOperations, { ordered: false });
+    }
+    pending = new Map();
+    snapshotOperations = [];
+  };
+
+  const cursor = Order.find({})
+    .populate("paymentMethod", "name")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    const snapshot = buildMetricsSnapshot(order);
+
+    if (contributes(snapshot)) {
+      for (const [id, row] of buildContributions(snapshot)) {
+        const existing = pending.get(id);
+        if (!existing) {
+          pending.set(id, { ...row, metrics: { ...row.metrics } });
+          continue;
+        }
+        for (const [metric, value] of Object.entries(row.metrics)) {
+          existing.metrics[metric] = (existing.metrics[metric] || 0) + value;
+        }
+        if (row.label) existing.label = row.label;
+      }
+
+      snapshotOperations.push({
+        updateOne: {
+          filter: { _id: order._id },
+          update: { $set: { metricsSnapshot: snapshot }, $inc: { metricsVersion: 1 } },
+        },
+      });
+    }
+
+    processed++;
+    if (processed % batchSize === 0) {
+      await flush();
+      onProgress?.(processed);
+    }
+  }
+
+  await flush();
+
+  return {
+    orders: processed,
+    rollups: await MetricRollup.countDocuments(),
+  };
+};
+
+// ==================== READING ====================
+
+/**
+ * Hourly rollups when the range doesn't start and end on whole local days,
+ * or when hourly buckets are asked for; daily otherwise
+ * @param {Object} range - { start, end, interval }
+ * @returns {"hour"|"day"}
+ */
+export const pickGranularity = ({ start, end, interval }) => {
+  if (interval === "hour") return "hour";
+
+  const startsOnDay = truncateDate(start, "day").getTime() === start.getTime();
+  const afterEnd = new Date(end.getTime() + 1);
+  const endsOnDay = truncateDate(afterEnd, "day").getTime() === afterEnd.getTime();
+
+  return startsOnDay && endsOnDay ? "day" : "hour";
+};
+
+/**
+ * Rollup rows of one dimension whose bucket overlaps the range
+ * Ranges are widened to whole buckets (whole hours at worst).
+ * @param {string} dimension
+ * @param {Object} range - { start, end, interval }
+ * @returns {Promise<Object[]>}
+ */
+export const findRollups = (dimension, range) => {
+  const granularity = pickGranularity(range);
+
+  return MetricRollup.find({
+    granularity,
+    dimension,
+    bucket: { $gte: truncateDate(range.start, granularity), $lte: range.end },
+  })
+    .sort({ bucket: 1 })
+    .lean();
+};
+
+/**
+ * Sum the metrics of rollup rows
+ * @param {Object[]} rows
+ * @returns {Object} { revenue, orders, ... }
+ */
+export const sumRollups = (rows) =>
+  rows.reduce(
+    (totals, row) => {
+      for (const metric of ROLLUP_METRICS) {
+        totals[metric] += row[metric] || 0;
+      }
+      return totals;
+    },
+    Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, 0]))
+  );
+
+export default {
+  ROLLUP_GRANULARITIES,
+  ROLLUP_METRICS,
+  buildMetricsSnapshot,
+  buildContributions,
+  buildRollupOperations,
+  syncOrderMetrics,
+  rebuildMetricRollups,
+  pickGranularity,
+  findRollups,
+  sumRollups,
+};
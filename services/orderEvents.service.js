@@ -0,0 +1,125 @@
+// orderEvents.service.js
+// ✅ Real-time order events pushed over Socket.IO
+// Customers receive events for their own orders (user:<id> room),
+// admins receive every order event (staff room).
+
+import { emitToRooms, userRoom, STAFF_ROOM } from "../utils/socket.js";
+
+/**
+ * Event names clients can subscribe to
+ */
+export const ORDER_EVENTS = {
+  CREATED: "order:created",
+  STATUS_UPDATED: "order:status-updated",
+  PAYMENT_UPDATED: "order:payment-updated",
+  REFUNDED: "order:refunded",
+  CANCELLED: "order:cancelled",
+  RELEASED: "order:released",
+};
+
+/**
+ * Kitchen display events (staff only)
+ */
+export const KITCHEN_EVENTS = {
+  TICKET_UPDATED: "kitchen:ticket-updated",
+  TICKET_COMPLETED: "kitchen:ticket-completed",
+};
+
+/**
+ * Get the id of a possibly populated reference
+ */
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Build the payload sent with every order event
+ * @param {Object} order - The order document
+ * @returns {Object}
+ */
+const buildOrderSummary = (order) => ({
+  _id: refId(order),
+  orderNumber: order.orderNumber || null,
+  buyer: refId(order.buyer),
+  placeType: order.placeType,
+  table: refId(order.table) || null,
+  orderStatus: order.orderStatus,
+  paymentStatus: order.paymentStatus,
+  totalPrice: order.totalPrice,
+  totalQuantity: order.totalQuantity,
+  scheduledFor: order.scheduledFor || null,
+  scheduleStatus: order.scheduleStatus || null,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt,
+});
+
+/**
+ * Push an order event to the buyer and to staff
+ * @param {string} type - One of ORDER_EVENTS
+ * @param {Object} order - The order document
+ * @param {Object} data - Event-specific details
+ */
+export const emitOrderEvent = (type, order, data = {}) => {
+  if (!order) return;
+
+  const rooms = [STAFF_ROOM];
+  const buyerId = refId(order.buyer);
+  if (buyerId) {
+    rooms.push(userRoom(buyerId));
+  }
+
+  emitToRooms(rooms, type, {
+    type,
+    order: buildOrderSummary(order),
+    ...data,
+    emittedAt: new Date(),
+  });
+};
+
+export const emitOrderCreated = (order) =>
+  emitOrderEvent(ORDER_EVENTS.CREATED, order);
+
+export const emitOrderStatusUpdated = (order, previousStatus) =>
+  emitOrderEvent(ORDER_EVENTS.STATUS_UPDATED, order, { previousStatus });
+
+export const emitOrderPaymentUpdated = (order, previousPaymentStatus) =>
+  emitOrderEvent(ORDER_EVENTS.PAYMENT_UPDATED, order, {
+    previousPaymentStatus,
+  });
+
+export const emitOrderRefunded = (order, refund) =>
+  emitOrderEvent(ORDER_EVENTS.REFUNDED, order, { refund });
+
+export const emitOrderCancelled = (order, reason) =>
+  emitOrderEvent(ORDER_EVENTS.CANCELLED, order, { reason });
+
+export const emitOrderReleased = (order) =>
+  emitOrderEvent(ORDER_EVENTS.RELEASED, order);
+
+/**
+ * Push a kitchen ticket change to staff
+ * @param {string} type - One of KITCHEN_EVENTS
+ * @param {Object} ticket - Ticket built by buildKitchenTicket()
+ * @param {Object} data - Event-specific details
+ */
+export const emitKitchenEvent = (type, ticket, data = {}) => {
+  if (!ticket) return;
+
+  emitToRooms([STAFF_ROOM], type, {
+    type,
+    ticket,
+    ...data,
+    emittedAt: new Date(),
+  });
+};
+
+export default {
+  ORDER_EVENTS,
+  KITCHEN_EVENTS,
+  emitOrderEvent,
+  emitOrderCreated,
+  emitOrderStatusUpdated,
+  emitOrderPaymentUpdated,
+  emitOrderRefunded,
+  emitOrderCancelled,
+  emitOrderReleased,
+  emitKitchenEvent,
+};
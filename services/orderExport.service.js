@@ -0,0 +1,113 @@
+// orderExport.service.js
+// ✅ CSV / XLSX export of admin order searches (for accounting)
+// Orders are read with a cursor and streamed row by row (see export.service.js).
+
+import Order from "../models/order.model.js";
+import { EXPORT_FORMATS, streamExport } from "./export.service.js";
+
+export { EXPORT_FORMATS };
+
+// Column order is the file layout
+const EXPORT_COLUMNS = [
+  { header: "Order Number", key: "orderNumber", width: 18 },
+  { header: "Order ID", key: "orderId", width: 26 },
+  { header: "Created At", key: "createdAt", width: 22 },
+  { header: "Customer", key: "customerName", width: 24 },
+  { header: "Email", key: "customerEmail", width: 28 },
+  { header: "Phone", key: "customerPhone", width: 16 },
+  { header: "Customer Type", key: "customerType", width: 14 },
+  { header: "Place Type", key: "placeType", width: 12 },
+  { header: "Table", key: "table", width: 8 },
+  { header: "Governorate", key: "governorate", width: 16 },
+  { header: "City", key: "city", width: 16 },
+  { header: "Order Status", key: "orderStatus", width: 14 },
+  { header: "Payment Status", key: "paymentStatus", width: 16 },
+  { header: "Payment Method", key: "paymentMethod", width: 18 },
+  { header: "Coupon", key: "coupon", width: 14 },
+  { header: "Items", key: "totalQuantity", width: 8 },
+  { header: "Subtotal", key: "subtotal", width: 12 },
+  { header: "Items Discount", key: "itemsDiscount", width: 14 },
+  { header: "Coupon Discount", key: "couponDiscount", width: 14 },
+  { header: "Delivery Fee", key: "deliveryFee", width: 12 },
+  { header: "Total", key: "totalPrice", width: 12 },
+  { header: "Refunded", key: "refundAmount", width: 12 },
+  { header: "Scheduled For", key: "scheduledFor", width: 22 },
+];
+
+const toIso = (date) => (date ? new Date(date).toISOString() : "");
+
+/**
+ * Flatten an order into one export row
+ * @param {Object} order - Lean order with buyer, table and paymentMethod populated
+ * @returns {Object} Keyed by EXPORT_COLUMNS keys
+ */
+export const toExportRow = (order) => {
+  const customer = order.buyer
+    ? {
+        name: order.buyer.name,
+        email: order.buyer.email,
+        phone: order.buyer.phoneNumber,
+      }
+    : order.guest || {};
+
+  return {
+    orderNumber: order.orderNumber || "",
+    orderId: order._id.toString(),
+    createdAt: toIso(order.createdAt),
+    customerName: customer.name || "",
+    customerEmail: customer.email || "",
+    customerPhone: customer.phone || "",
+    customerType: order.buyer ? "Registered" : "Guest",
+    placeType: order.placeType || "",
+    table: order.table?.number ?? "",
+    governorate: order.deliveryLocation?.governorate || "",
+    city: order.deliveryLocation?.city || "",
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    paymentMethod: order.paymentMethod?.name || "",
+    coupon: order.appliedCoupon?.code || "",
+    totalQuantity: order.totalQuantity ?? 0,
+    subtotal: order.subtotal ?? 0,
+    itemsDiscount: order.itemsDiscount ?? 0,
+    couponDiscount: order.couponDiscount ?? 0,
+    deliveryFee: order.deliveryFee ?? 0,
+    totalPrice: order.totalPrice ?? 0,
+    refundAmount: order.refundDetails?.refundAmount ?? 0,
+    scheduledFor: toIso(order.scheduledFor),
+  };
+};
+
+/**
+ * Cursor over the matching orders, oldest first
+ */
+const getOrderCursor = (filter) =>
+  Order.find(filter)
+    .populate("buyer", "name email phoneNumber")
+    .populate("table", "number")
+    .populate("paymentMethod", "name")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+/**
+ * Stream an order export to the response
+ * @param {Object} filter - From buildOrderFilter
+ * @param {Object} res - Express response
+ * @param {string} format - "csv" | "xlsx"
+ * @returns {Promise<number>} Rows written
+ */
+export const streamOrderExport = (filter, res, format = "csv") =>
+  streamExport(res, {
+    format,
+    filename: `orders-${new Date().toISOString().slice(0, 10)}`,
+    columns: EXPORT_COLUMNS,
+    rows: getOrderCursor(filter),
+    toRow: toExportRow,
+    sheetName: "Orders",
+  });
+
+export default {
+  EXPORT_FORMATS,
+  toExportRow,
+  streamOrderExport,
+};
@@ -0,0 +1,191 @@
+// orderLifecycle.service.js
+// ✅ Side effects that follow an order through its lifecycle
+// Called once payment is confirmed (webhooks, COD placement, capture),
+// when payment fails, and when the order is cancelled or refunded.
+// Coupon uses are committed on confirmation and given back on failure or
+// cancellation; refunded orders keep theirs. Referral rewards earned by the
+// order are taken back when it is cancelled or refunded. Scheduled orders give
+// their slot place back on failure or cancellation, and take it again if they
+// are paid after all. Every hook refreshes the order's metric rollups; saves
+// outside the hooks call onOrderUpdated.
+// Failures are logged and never break the payment flow that triggered them.
+
+import { deductStockForOrder, restockOrder } from "./inventory.service.js";
+import { returnRedeemedPoints, syncOrderLoyalty } from "./loyalty.service.js";
+import { releaseTenders } from "./tender.service.js";
+import { settleReferral, reverseReferral } from "./referral.service.js";
+import { commitOrderCoupon, releaseOrderCoupon } from "./coupon.service.js";
+import { syncOrderMetrics } from "./metricRollup.service.js";
+import { reclaimOrderSlot, releaseOrderSlot } from "./scheduledOrder.service.js";
+
+/**
+ * Settle loyalty points for the order's current state
+ * Logged separately so a stock failure never blocks points (and vice versa).
+ */
+const settleLoyalty = async (order) => {
+  try {
+    await syncOrderLoyalty(order);
+    await returnRedeemedPoints(order);
+  } catch (error) {
+    console.error(`Error updating loyalty points for order ${order?._id}:`, error);
+  }
+};
+
+/**
+ * Give back what gift cards / the wallet paid towards an order that won't be paid for
+ */
+const releaseStoredValue = async (order) => {
+  try {
+    await releaseTenders(order);
+  } catch (error) {
+    console.error(`Error releasing stored-value payments for order ${order?._id}:`, error);
+  }
+};
+
+/**
+ * Count or free the order's coupon use
+ * @param {Object} order
+ * @param {Function} settle - commitOrderCoupon / releaseOrderCoupon
+ */
+const settleCoupon = async (order, settle, ...args) => {
+  try {
+    await settle(order, ...args);
+  } catch (error) {
+    console.error(`Error updating coupon usage for order ${order?._id}:`, error);
+  }
+};
+
+/**
+ * Take or give back the order's place in its scheduled slot
+ * @param {Object} order
+ * @param {Function} settle - reclaimOrderSlot / releaseOrderSlot
+ */
+const settleSlot = async (order, settle) => {
+  try {
+    await settle(order);
+  } catch (error) {
+    console.error(`Error updating the scheduled slot for order ${order?._id}:`, error);
+  }
+};
+
+/**
+ * Take referral rewards back when the first order doesn't stand
+ */
+const undoReferral = async (order, reason) => {
+  try {
+    await reverseReferral(order, reason);
+  } catch (error) {
+    console.error(`Error reversing referral for order ${order?._id}:`, error);
+  }
+};
+
+/**
+ * Bring the metric rollups in line with the saved order
+ * Runs in the background; a failure only leaves the rollups for the rebuild script to fix.
+ */
+const refreshMetrics = (order) => {
+  syncOrderMetrics(order).catch((error) =>
+    console.error(`Error syncing metrics for order ${order?._id}:`, error)
+  );
+};
+
+/**
+ * Order is confirmed: paid online, or placed as cash on delivery
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ */
+export const onOrderConfirmed = async (order) => {
+  try {
+    await deductStockForOrder(order);
+  } catch (error) {
+    console.error(`Error confirming order ${order?._id}:`, error);
+  }
+  await settleCoupon(order, commitOrderCoupon);
+  await settleSlot(order, reclaimOrderSlot);
+  await settleLoyalty(order);
+  try {
+    await settleReferral(order);
+  } catch (error) {
+    console.error(`Error settling referral for order ${order?._id}:`, error);
+  }
+  refreshMetrics(order);
+};
+
+/**
+ * Payment failed before the order was confirmed
+ * @param {Object} order - Order document
+ */
+export const onOrderPaymentFailed = async (order) => {
+  await settleCoupon(order, releaseOrderCoupon, "Payment failed");
+  await settleSlot(order, releaseOrderSlot);
+  await settleLoyalty(order);
+  await releaseStoredValue(order);
+  refreshMetrics(order);
+};
+
+/**
+ * Order was cancelled (or its payment was)
+ * @param {Object} order - Order document
+ * @param {string} reason
+ */
+export const onOrderCancelled = async (order, reason) => {
+  try {
+    await restockOrder(order, reason ? `Order cancelled: ${reason}` : "Order cancelled");
+  } catch (error) {
+    console.error(`Error handling cancellation of order ${order?._id}:`, error);
+  }
+  await settleCoupon(
+    order,
+    releaseOrderCoupon,
+    reason ? `Order cancelled: ${reason}` : "Order cancelled",
+    { includeCommitted: true }
+  );
+  await settleSlot(order, releaseOrderSlot);
+  await settleLoyalty(order);
+  await releaseStoredValue(order);
+  await undoReferral(order, reason ? `Order cancelled: ${reason}` : "Order cancelled");
+  refreshMetrics(order);
+};
+
+/**
+ * Order was fully refunded
+ * @param {Object} order - Order document
+ */
+export const onOrderRefunded = async (order) => {
+  try {
+    await restockOrder(order, "Order refunded");
+  } catch (error) {
+    console.error(`Error handling refund of order ${order?._id}:`, error);
+  }
+  await settleLoyalty(order);
+  await releaseStoredValue(order);
+  await undoReferral(order, "Order refunded");
+  refreshMetrics(order);
+};
+
+/**
+ * Part of the order was refunded (the food stays with the customer)
+ * @param {Object} order - Order document
+ */
+export const onOrderPartiallyRefunded = async (order) => {
+  await settleLoyalty(order);
+  refreshMetrics(order);
+};
+
+/**
+ * Order was saved outside the hooks above (placed, status or place type
+ * changed, payment retried)
+ * @param {Object} order - Order document
+ */
+export const onOrderUpdated = (order) => {
+  refreshMetrics(order);
+};
+
+export default {
+  onOrderConfirmed,
+  onOrderPaymentFailed,
+  onOrderCancelled,
+  onOrderRefunded,
+  onOrderPartiallyRefunded,
+  onOrderUpdated,
+};
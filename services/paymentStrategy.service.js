@@ -6,6 +6,14 @@ import StripeConfig from "../models/stripeConfig.model.js";
 import PaymobConfig from "../models/paymobConfig.model.js";
 import PaymobService from "./paymob.service.js";
 import StripeService from "./stripe.service.js";
+import {
+  getRefundableTenderAmount,
+  refundTenders,
+  releaseTenders,
+} from "./tender.service.js";
+import { issueStoreCredit } from "./wallet.service.js";
+import { recordStatusChange } from "../helpers/orderStatus.helpers.js";
+import { roundMoney } from "../helpers/money.helpers.js";
 import "dotenv/config";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -59,7 +67,7 @@ class StripePaymentStrategy extends PaymentStrategy {
     // Just validate amount against provider limits
     const config = await this.getConfig();
     if (config) {
-      const amountValidation = await StripeConfig.validateOrderAmount(order.totalPrice);
+      const amountValidation = await StripeConfig.validateOrderAmount(order.getAmountDue());
       if (!amountValidation.success) {
         return {
           success: false,
@@ -117,7 +125,7 @@ class PaymobPaymentStrategy extends PaymentStrategy {
     // Just validate amount against provider limits
     if (config) {
       const amountValidation = await PaymobConfig.validateOrderAmount(
-        order.totalPrice,
+        order.getAmountDue(),
         paymentMethod || this.paymentType
       );
 
@@ -164,7 +172,7 @@ class PaymobPaymentStrategy extends PaymentStrategy {
         const canRefund = await PaymobConfig.canRefundOrder(
           order.createdAt,
           amount,
-          order.totalPrice
+          order.getAmountDue()
         );
 
         if (!canRefund.success) {
@@ -287,6 +295,80 @@ class CODPaymentStrategy extends PaymentStrategy {
   }
 }
 
+/**
+ * Stored-value Strategy (GiftCard, Wallet)
+ * The balances are charged at checkout (order.tenders); this strategy
+ * completes orders they cover in full.
+ */
+class StoredValuePaymentStrategy extends PaymentStrategy {
+  constructor(paymentType) {
+    super();
+    this.paymentType = paymentType;
+  }
+
+  getProviderName() {
+    return this.paymentType === "Wallet" ? "wallet" : "giftcard";
+  }
+
+  async getConfig() {
+    // Stored value uses StripeConfig for general order limits, like COD
+    return StripeConfig.findOne({ isActive: true });
+  }
+
+  async processPayment(order, context) {
+    const amountDue = order.getAmountDue();
+    if (!order.tenders?.length || amountDue > 0) {
+      return {
+        success: false,
+        provider: this.getProviderName(),
+        redirectUrl: null,
+        message: `Balance does not cover the order. ${amountDue} left to pay with another method`,
+      };
+    }
+
+    order.paymentStatus = "Completed";
+    recordStatusChange(order, "Paid", {
+      source: "payment",
+      note: this.paymentType === "Wallet" ? "Paid from wallet" : "Paid with gift card",
+    });
+    await order.save();
+
+    return {
+      success: true,
+      provider: this.getProviderName(),
+      redirectUrl: null,
+      message: this.paymentType === "Wallet" ? "Order paid from wallet" : "Order paid with gift card",
+    };
+  }
+
+  async processRefund(order, amount, reason) {
+    const credited = await refundTenders(order, amount, reason);
+    if (credited < amount) {
+      return {
+        success: false,
+        message: `Only ${credited} could be refunded to the original balance`,
+      };
+    }
+
+    return {
+      success: true,
+      provider: this.getProviderName(),
+      amount: credited,
+      status: "completed",
+      message: "Refund credited to the original balance",
+    };
+  }
+
+  async voidTransaction(order) {
+    await releaseTenders(order);
+    return {
+      success: true,
+      provider: this.getProviderName(),
+      message: "Stored-value payment released",
+    };
+  }
+}
+
 /**
  * Payment Strategy Factory
  * Maps payment method names to their respective strategies
@@ -299,6 +381,8 @@ const paymentStrategies = {
   "Paymob-Installments": new PaymobPaymentStrategy("Paymob-Installments"),
   "Paymob-ValU": new PaymobPaymentStrategy("Paymob-ValU"),
   COD: new CODPaymentStrategy(),
+  GiftCard: new StoredValuePaymentStrategy("GiftCard"),
+  Wallet: new StoredValuePaymentStrategy("Wallet"),
 };
 
 /**
@@ -341,12 +425,14 @@ export const getSupportedPaymentMethods = () => {
 /**
  * Get payment provider for a payment method
  * @param {string} paymentMethod
- * @returns {string} - 'stripe', 'paymob', or 'cod'
+ * @returns {string} - 'stripe', 'paymob', 'cod', 'giftcard' or 'wallet'
  */
 export const getPaymentProvider = (paymentMethod) => {
   if (paymentMethod === "Card") return "stripe";
   if (paymentMethod.startsWith("Paymob-")) return "paymob";
   if (paymentMethod === "COD") return "cod";
+  if (paymentMethod === "GiftCard") return "giftcard";
+  if (paymentMethod === "Wallet") return "wallet";
   return "unknown";
 };
 
@@ -359,21 +445,72 @@ export const getPaymentProvider = (paymentMethod) => {
  * @returns {Promise<PaymentResult>}
  */
 export const processPayment = async (paymentMethod, order, context) => {
+  // Discounts, points or promotions cover the whole order: nothing to charge
+  if (order.getAmountDue() <= 0 && !order.tenders?.length) {
+    order.paymentStatus = "Completed";
+    recordStatusChange(order, "Paid", {
+      source: "payment",
+      note: "Nothing to pay after discounts",
+    });
+    await order.save();
+
+    return {
+      success: true,
+      provider: "none",
+      redirectUrl: null,
+      message: "Nothing to pay - order confirmed",
+    };
+  }
+
   const strategy = getPaymentStrategy(paymentMethod);
   return strategy.processPayment(order, { ...context, paymentMethod });
 };
 
 /**
  * Process refund using the appropriate strategy
+ * Split tender: gift card and wallet payments go back to their balances first,
+ * the payment method (or the buyer's wallet, as store credit) refunds the rest.
  * @param {string} paymentMethod - The payment method name
  * @param {Object} order - The order document
  * @param {number} amount - Amount to refund
  * @param {string} reason - Refund reason
+ * @param {Object} [options]
+ * @param {boolean} [options.storeCredit] - Refund the payment method's share to the wallet
+ * @param {string} [options.createdBy] - Admin issuing the refund
  * @returns {Promise<RefundResult>}
  */
-export const processRefund = async (paymentMethod, order, amount, reason) => {
+export const processRefund = async (
+  paymentMethod,
+  order,
+  amount,
+  reason,
+  { storeCredit = false, createdBy = null } = {}
+) => {
   const strategy = getPaymentStrategy(paymentMethod);
-  return strategy.processRefund(order, amount, reason);
+  if (!storeCredit && !order.tenders?.length) {
+    return strategy.processRefund(order, amount, reason);
+  }
+
+  const tenderAmount = Math.min(amount, getRefundableTenderAmount(order));
+  const providerAmount = roundMoney(amount - tenderAmount);
+
+  // The payment method's share first, so a failure credits nothing
+  let result = { success: true, provider: strategy.getProviderName() };
+  if (providerAmount > 0) {
+    result = storeCredit
+      ? await issueStoreCredit(order, providerAmount, { reason, createdBy })
+      : await strategy.processRefund(order, providerAmount, reason);
+    if (!result.success) return result;
+  }
+
+  const credited = tenderAmount > 0 ? await refundTenders(order, tenderAmount, reason) : 0;
+
+  return {
+    ...result,
+    status: result.status || "completed",
+    amount: roundMoney(providerAmount + credited),
+    tenderAmount: credited,
+  };
 };
 
 /**
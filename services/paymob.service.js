@@ -12,6 +12,11 @@ import {
   getBaseUrl,
 } from "../utils/paymob.utils.js";
 import Cart from "../models/cart.model.js";
+import { recordStatusChange, isAwaitingPayment } from "../helpers/orderStatus.helpers.js";
+import { describeSelectedOptions } from "../helpers/modifier.helpers.js";
+import { getOrderCartFilter } from "../helpers/cart.helpers.js";
+import { emitOrderPaymentUpdated } from "./orderEvents.service.js";
+import { onOrderConfirmed, onOrderPaymentFailed } from "./orderLifecycle.service.js";
 
 class PaymobService {
   /**
@@ -80,7 +85,7 @@ class PaymobService {
       // ✅ Only validate amount (activation is done in validatePaymentMethod)
       if (config) {
         const amountValidation = await PaymobConfig.validateOrderAmount(
-          order.totalPrice,
+          order.getAmountDue(),
           paymentMethodName
         );
         if (!amountValidation.success) {
@@ -110,20 +115,44 @@ class PaymobService {
 
       console.log(`Payment Method: ${paymentMethodName}, Integration: ${integrationName}`);
 
-      // Get user details
-      const user = await order.populate("buyer");
+      // Get buyer details (guest orders carry their own contact details)
+      await order.populate("buyer");
+      const contact = order.buyer
+        ? {
+            name: order.buyer.name,
+            email: order.buyer.email,
+            phoneNumber: order.buyer.phoneNumber,
+          }
+        : {
+            name: order.guest.name,
+            email: order.guest.email,
+            phoneNumber: order.guest.phone,
+          };
 
       // Create line items from order products
       await order.populate("products.product");
-      const items = order.products.map((item) => ({
-        name: item.product.name,
-        amount: Math.round(item.product.price * 100),
-        description: item.product.description?.substring(0, 50) || "",
-        quantity: item.quantity,
-      }));
-
-      // Add delivery fee if applicable
-      if (order.deliveryFee > 0) {
+      const items = order.products.map((item) => {
+        const optionsLabel = describeSelectedOptions(item.selectedOptions);
+        return {
+          name: optionsLabel
+            ? `${item.product.name} (${optionsLabel})`
+            : item.product.name,
+          amount: Math.round((item.unitPrice ?? item.product.price) * 100),
+          description: item.product.description?.substring(0, 50) || "",
+          quantity: item.quantity,
+        };
+      });
+
+      // ✅ Split tender: gift cards already paid part of it - charge what is left
+      if (order.tenders?.length) {
+        items.splice(0, items.length, {
+          name: `Order ${order.orderNumber}`,
+          amount: Math.round(order.getAmountDue() * 100),
+          description: "Balance after gift card",
+          quantity: 1,
+        });
+      } else if (order.deliveryFee > 0) {
+        // Add delivery fee if applicable
         items.push({
           name: "Delivery Fee",
           amount: Math.round(order.deliveryFee * 100),
@@ -140,14 +169,10 @@ class PaymobService {
 
       // Create Paymob intention
       const result = await createPaymobIntention({
-        amount: order.totalPrice,
+        amount: order.getAmountDue(),
         currency,
         integrationName,
-        userDetails: {
-          name: user.buyer.name,
-          email: user.buyer.email,
-          phoneNumber: user.buyer.phoneNumber,
-        },
+        userDetails: contact,
         uniqueId: uniquePaymentId,
         baseUrl,
         frontendUrl,
@@ -381,32 +406,48 @@ class PaymobService {
         return { success: false, message: "Order not found" };
       }
 
+      // Late or duplicate webhook: the order was already paid, failed or cancelled
+      if (!isAwaitingPayment(order)) {
+        console.log(
+          `Order ${order.uniquePaymentId} already processed (${order.paymentStatus} / ${order.orderStatus}), skipping`
+        );
+        return { success: true, order };
+      }
+
       // Store transaction ID
       if (webhookData.obj?.id) {
         order.paymobTransactionId = webhookData.obj.id.toString();
       }
 
       // Update order status
+      const previousPaymentStatus = order.paymentStatus;
+
       if (transactionSuccess && webhookData.type === "TRANSACTION") {
         order.paymentStatus = "Completed";
-        order.orderStatus = "Paid";
+        recordStatusChange(order, "Paid", {
+          source: "payment",
+          note: "Paymob transaction succeeded",
+        });
         order.paymobData = {
           ...order.paymobData,
           webhookResponse: webhookData,
           completedAt: new Date(),
         };
         await order.save();
+        await onOrderConfirmed(order);
+        emitOrderPaymentUpdated(order, previousPaymentStatus);
         console.log("Payment completed:", order.uniquePaymentId);
 
         // ✅ ADD CART CLEARING LOGIC HERE
         try {
-          const cart = await Cart.findOne({ owner: order.buyer });
+          const cartFilter = getOrderCartFilter(order);
+          const cart = cartFilter && (await Cart.findOne(cartFilter));
           if (cart && cart.products.length > 0) {
             cart.products = [];
             cart.totalPrice = 0;
             cart.totalQuantity = 0;
             await cart.save();
-            console.log(`Cart cleared for user ${order.buyer} after Paymob payment success`);
+            console.log(`Cart cleared for user ${order.buyer || "guest"} after Paymob payment success`);
           }
         } catch (cartError) {
           console.error("Error clearing cart after Paymob payment:", cartError);
@@ -415,7 +456,10 @@ class PaymobService {
 
       } else if (!transactionSuccess && webhookData.obj) {
         order.paymentStatus = "Failed";
-        order.orderStatus = "Failed";
+        recordStatusChange(order, "Failed", {
+          source: "payment",
+          note: webhookData.obj.data?.message || "Paymob transaction failed",
+        });
         order.paymobData = {
           ...order.paymobData,
           webhookResponse: webhookData,
@@ -423,6 +467,8 @@ class PaymobService {
           failureReason: webhookData.obj.data?.message || "Payment failed",
         };
         await order.save();
+        await onOrderPaymentFailed(order);
+        emitOrderPaymentUpdated(order, previousPaymentStatus);
         console.log("Payment failed:", order.uniquePaymentId);
       }
 
@@ -452,12 +498,12 @@ class PaymobService {
       if (config?.autoRefundOnCancellation) {
         const canRefund = await PaymobConfig.canRefundOrder(
           order.createdAt,
-          order.totalPrice,
-          order.totalPrice
+          order.getAmountDue(),
+          order.getAmountDue()
         );
 
         if (canRefund.success) {
-          return this.refundTransaction(transactionId, Math.round(order.totalPrice * 100));
+          return this.refundTransaction(transactionId, Math.round(order.getAmountDue() * 100));
         }
         return canRefund;
       }
@@ -0,0 +1,57 @@
+// promotion.service.js
+// ✅ Automatic promotions - loads the running rules and the customer facts they need
+// Callers pass the result to calculateFinalCartPrice, which evaluates the rules
+// (promotion.helpers.js) against the priced cart.
+
+import Order from "../models/order.model.js";
+import Promotion from "../models/promotion.model.js";
+import { getCustomerSegment } from "./customerAnalytics.service.js";
+
+/**
+ * What the running promotions need to know about the customer
+ * The RFM segment comes from a periodically refreshed scoring of the whole
+ * customer base, and is only looked up when a promotion targets segments.
+ * @param {string|null} userId
+ * @param {Object[]} promotions
+ * @returns {Promise<Object|null>} null for guests
+ */
+const getCustomerContext = async (userId, promotions) => {
+  if (!userId) return null;
+
+  const needsOrderHistory = promotions.some((promotion) =>
+    promotion.conditions?.customerTypes?.some((type) => ["firstOrder", "returning"].includes(type))
+  );
+  const needsSegment = promotions.some((promotion) => promotion.conditions?.segments?.length);
+
+  const [hasOrdered, segment] = await Promise.all([
+    needsOrderHistory
+      ? Order.exists({ buyer: userId, orderStatus: { $nin: ["Cancelled", "Failed"] } })
+      : null,
+    needsSegment ? getCustomerSegment(userId) : null,
+  ]);
+
+  return {
+    isFirstOrder: !hasOrdered,
+    segment,
+  };
+};
+
+/**
+ * Promotions live at a given time, with what they need to know about the customer
+ * @param {string|null} [userId]
+ * @param {Date} [at]
+ * @returns {Promise<Object>} { promotions, customer } for calculateFinalCartPrice
+ */
+export const loadPromotionContext = async (userId = null, at = new Date()) => {
+  const promotions = await Promotion.getRunningPromotions(at);
+  if (promotions.length === 0) return { promotions, customer: null };
+
+  return {
+    promotions,
+    customer: await getCustomerContext(userId, promotions),
+  };
+};
+
+export default {
+  loadPromotionContext,
+};
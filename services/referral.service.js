@@ -0,0 +1,575 @@
+// referral.service.js
+// ✅ Referral program - codes, sign-up attribution, fraud guards and rewards
+//
+// A Referral is created when someone signs up with a code (Pending), moves to
+// Verified with the new customer's email and to Completed when their first
+// order is paid - that is when both sides are rewarded. Referrals that fail a
+// fraud guard are kept as Rejected so admins can see them; if the first order
+// is cancelled or refunded later, the rewards are taken back (Reversed).
+
+import Coupon from "../models/coupon.model.js";
+import Order from "../models/order.model.js";
+import Referral from "../models/referral.model.js";
+import ReferralSettings from "../models/referralSettings.model.js";
+import User from "../models/user.model.js";
+import { applyWalletChange } from "./wallet.service.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+import { generateBatchCode } from "../helpers/couponBatch.helpers.js";
+
+const PAID_STATUSES = ["Completed", "PartiallyRefunded", "Refunded"];
+
+const normalizePhone = (phone = "") => phone.replace(/\D/g, "").slice(-10);
+
+// "name+tag@example.com" and "name@example.com" are the same inbox
+const normalizeEmail = (email = "") => {
+  const [local = "", domain = ""] = email.toLowerCase().split("@");
+  return `${local.split("+")[0]}@${domain}`;
+};
+
+/**
+ * Make sure a user has a referral code (accounts created before the program)
+ * @param {Object} user - User document
+ * @returns {Promise<string>}
+ */
+export const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  const referralCode = await User.generateReferralCode(user.name);
+  await User.updateOne(
+    { _id: user._id, referralCode: null },
+    { $set: { referralCode } }
+  );
+
+  const fresh = await User.findById(user._id).select("referralCode");
+  user.referralCode = fresh.referralCode;
+  return user.referralCode;
+};
+
+/**
+ * Find the customer a referral code belongs to
+ * @param {string} code
+ * @returns {Promise<Object>} ValidationResult with the referrer as data
+ */
+export const findReferrer = async (code) => {
+  if (!code || typeof code !== "string") {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Referral code is required",
+    };
+  }
+
+  const settings = await ReferralSettings.getActiveConfig();
+  if (!settings?.isEnabled) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "The referral program is not active",
+    };
+  }
+
+  const referrer = await User.findOne({ referralCode: code.trim().toUpperCase() }).select(
+    "name email phoneNumber signupDeviceId referralCode"
+  );
+  if (!referrer) {
+    return {
+      success: false,
+      statusCode: 404,
+      message: "Invalid referral code",
+    };
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: "Referral code is valid",
+    data: referrer,
+  };
+};
+
+/**
+ * Which fraud guard a new referral trips, if any
+ * @returns {Promise<string|null>} Rejection reason
+ */
+const detectFraud = async (referrer, referee, deviceId, settings) => {
+  if (
+    referrer._id.equals(referee._id) ||
+    normalizeEmail(referrer.email) === normalizeEmail(referee.email)
+  ) {
+    return "self_referral";
+  }
+
+  const phone = normalizePhone(referee.phoneNumber);
+  if (settings.blockSamePhone && phone) {
+    const sharedPhone = await User.exists({
+      _id: { $ne: referee._id },
+      phoneNumber: { $regex: `${phone}$` },
+    });
+    if (sharedPhone) return "same_phone";
+  }
+
+  if (settings.blockSameDevice && deviceId) {
+    const [sharedDevice, usedForReferral] = await Promise.all([
+      User.exists({ _id: { $ne: referee._id }, signupDeviceId: deviceId }),
+      Referral.exists({ deviceId, referee: { $ne: referee._id } }),
+    ]);
+    if (sharedDevice || usedForReferral) return "same_device";
+  }
+
+  return null;
+};
+
+/**
+ * Record that a user signed up with a referral code
+ * Referrals that trip a fraud guard are saved as Rejected - the customer
+ * isn't told, they just never earn anything. The others start Pending and
+ * only become Verified through onUserVerified.
+ * @param {Object} user - Newly registered User document
+ * @param {Object} referrer - User the code belongs to (from findReferrer)
+ * @param {Object} options
+ * @param {string} [options.deviceId]
+ * @returns {Promise<Object>} Referral document
+ */
+export const attachReferral = async (user, referrer, { deviceId } = {}) => {
+  const settings = await ReferralSettings.getActiveConfig();
+  const rejectionReason = await detectFraud(referrer, user, deviceId, settings);
+
+  const referral = await Referral.create({
+    referrer: referrer._id,
+    referee: user._id,
+    code: referrer.referralCode,
+    deviceId,
+    status: rejectionReason ? "Rejected" : "Pending",
+    rejectionReason,
+  });
+
+  await User.updateOne({ _id: user._id }, { $set: { referredBy: referrer._id } });
+  user.referredBy = referrer._id;
+
+  return referral;
+};
+
+/**
+ * The referred customer verified their email
+ * @param {Object} user - User document
+ */
+export const onUserVerified = async (user) => {
+  try {
+    await Referral.updateOne(
+      { referee: user._id, status: "Pending" },
+      { $set: { status: "Verified", verifiedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`Error verifying referral for user ${user?._id}:`, error);
+  }
+};
+
+// ==================== REWARDS ====================
+
+/**
+ * Whether the referrer may still be rewarded under the caps
+ * @returns {Promise<string|null>} Reason the reward is skipped
+ */
+const checkReferrerCaps = async (referrerId, settings) => {
+  const rewarded = { referrer: referrerId, "referrerReward.status": "Issued" };
+
+  if (settings.maxRewardsPerReferrer) {
+    const lifetime = await Referral.countDocuments(rewarded);
+    if (lifetime >= settings.maxRewardsPerReferrer) {
+      return `Lifetime limit of ${settings.maxRewardsPerReferrer} rewards reached`;
+    }
+  }
+
+  if (settings.maxRewardsPerMonth) {
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    const thisMonth = await Referral.countDocuments({
+      ...rewarded,
+      "referrerReward.issuedAt": { $gte: monthStart },
+    });
+    if (thisMonth >= settings.maxRewardsPerMonth) {
+      return `Monthly limit of ${settings.maxRewardsPerMonth} rewards reached`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a single-use coupon only one customer can use
+ * Codes are random (crypto), e.g. "REF-7KQ2M9XD"; a code already in use is redrawn.
+ */
+const createRewardCoupon = async (userId, reward, settings, description) => {
+  const expiryDate = new Date();
+  expiryDate.setDate(expiryDate.getDate() + settings.couponValidDays);
+
+  for (;;) {
+    const code = generateBatchCode("REF", 8);
+    if (await Coupon.exists({ code })) continue;
+
+    try {
+      return await Coupon.create({
+        code,
+        description,
+        discountType: reward.discountType,
+        discountValue: reward.amount,
+        maxDiscountAmount: reward.discountType === "percentage" ? reward.maxDiscountAmount : undefined,
+        minOrderAmount: reward.minOrderAmount || 0,
+        maxUsageCount: 1,
+        maxUsagePerUser: 1,
+        expiryDate,
+        targetUsers: [userId],
+        isGlobal: true,
+      });
+    } catch (error) {
+      // Taken by another coupon since the check - draw a new code
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+/**
+ * Give one side its reward
+ * @returns {Promise<Object>} What was issued (stored on the referral)
+ */
+const issueReward = async (referral, userId, reward, settings, side) => {
+  if (!reward || reward.type === "none" || !reward.amount) {
+    return { status: "Skipped", type: reward?.type || "none", reason: "No reward configured" };
+  }
+
+  const description =
+    side === "referrer" ? "Thanks for referring a friend" : "Welcome reward for joining with a referral";
+
+  if (reward.type === "coupon") {
+    const coupon = await createRewardCoupon(userId, reward, settings, description);
+    return {
+      status: "Issued",
+      type: "coupon",
+      amount: reward.amount,
+      coupon: coupon._id,
+      issuedAt: new Date(),
+    };
+  }
+
+  const entry = await applyWalletChange(userId, roundMoney(reward.amount), {
+    type: "referral",
+    orderId: referral.order,
+    note: description,
+  });
+  if (!entry) {
+    return { status: "Skipped", type: "wallet", reason: "Customer not found" };
+  }
+
+  return {
+    status: "Issued",
+    type: "wallet",
+    amount: roundMoney(reward.amount),
+    issuedAt: new Date(),
+  };
+};
+
+/**
+ * Reward both sides when the referred customer's first order is paid
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ */
+export const settleReferral = async (order) => {
+  const buyerId = order.buyer?._id || order.buyer;
+  if (!buyerId || order.paymentStatus !== "Completed") return;
+
+  const referral = await Referral.findOne({
+    referee: buyerId,
+    status: { $in: ["Pending", "Verified"] },
+  });
+  if (!referral) return;
+
+  // Only verified customers qualify
+  if (referral.status === "Pending") return;
+
+  const settings = await ReferralSettings.getActiveConfig();
+  if (!settings?.isEnabled) return;
+
+  const earlierPaidOrder = await Order.exists({
+    _id: { $ne: order._id },
+    buyer: buyerId,
+    paymentStatus: { $in: PAID_STATUSES },
+    createdAt: { $lte: order.createdAt },
+  });
+
+  let rejectionReason = null;
+  if (earlierPaidOrder) {
+    rejectionReason = "not_first_order";
+  } else if (order.totalPrice < settings.minFirstOrderAmount) {
+    rejectionReason = "order_below_minimum";
+  }
+
+  if (rejectionReason) {
+    await Referral.updateOne(
+      { _id: referral._id, status: "Verified" },
+      { $set: { status: "Rejected", rejectionReason, order: order._id } }
+    );
+    return;
+  }
+
+  // Claim the referral so retried webhooks never reward twice
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: "Verified" },
+    { $set: { status: "Completed", order: order._id, completedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  const capReason = await checkReferrerCaps(claimed.referrer, settings);
+  const referrerReward = capReason
+    ? { status: "Skipped", type: settings.referrerReward?.type, reason: capReason }
+    : await issueReward(claimed, claimed.referrer, settings.referrerReward, settings, "referrer");
+  const refereeReward = await issueReward(
+    claimed,
+    claimed.referee,
+    settings.refereeReward,
+    settings,
+    "referee"
+  );
+
+  await Referral.updateOne(
+    { _id: claimed._id },
+    { $set: { referrerReward, refereeReward } }
+  );
+};
+
+/**
+ * Take one side's reward back
+ * Unused coupons are deactivated; wallet credit is debited as far as the
+ * balance still allows.
+ * @returns {Promise<Object>} The reward as it is stored afterwards
+ */
+const reverseReward = async (referral, userId, reward, reason) => {
+  if (reward?.status !== "Issued") return reward;
+
+  const current = reward.toObject ? reward.toObject() : { ...reward };
+  const reversedAt = new Date();
+
+  if (reward.type === "coupon") {
+    const claim = await Coupon.updateOne(
+      { _id: reward.coupon, usageCount: 0 },
+      { $set: { isActive: false } }
+    );
+    return claim.modifiedCount > 0
+      ? { ...current, status: "Reversed", reversedAt }
+      : { ...current, reason: "Coupon was already used" };
+  }
+
+  const user = await User.findById(userId).select("walletBalance");
+  const take = roundMoney(Math.min(reward.amount, user?.walletBalance || 0));
+  const entry =
+    take > 0 &&
+    (await applyWalletChange(userId, -take, {
+      type: "referral",
+      orderId: referral.order,
+      note: `Referral reward taken back (${reason})`,
+    }));
+  if (!entry) {
+    return { ...current, reason: "Wallet credit was already spent" };
+  }
+
+  return {
+    ...current,
+    status: "Reversed",
+    reversedAmount: take,
+    reversedAt,
+    reason: take < reward.amount ? "Part of the wallet credit was already spent" : undefined,
+  };
+};
+
+/**
+ * Take both rewards back when the qualifying first order is cancelled or refunded
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ * @param {string} reason
+ */
+export const reverseReferral = async (order, reason) => {
+  // Claim the referral so repeated hooks never debit twice
+  const claimed = await Referral.findOneAndUpdate(
+    { order: order._id, status: "Completed" },
+    { $set: { status: "Reversed", reversedAt: new Date(), reversalReason: reason } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  const referrerReward = await reverseReward(claimed, claimed.referrer, claimed.referrerReward, reason);
+  const refereeReward = await reverseReward(claimed, claimed.referee, claimed.refereeReward, reason);
+
+  await Referral.updateOne(
+    { _id: claimed._id },
+    { $set: { referrerReward, refereeReward } }
+  );
+};
+
+// ==================== STATS ====================
+
+/**
+ * A customer's referral code and how their referrals are doing
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+export const getReferralSummary = async (user) => {
+  const [referralCode, settings, referrals, referredBy] = await Promise.all([
+    ensureReferralCode(user),
+    ReferralSettings.getActiveConfig(),
+    Referral.find({ referrer: user._id })
+      .populate("referee", "name")
+      .populate("referrerReward.coupon", "code expiryDate usageCount")
+      .sort({ createdAt: -1 }),
+    Referral.findOne({ referee: user._id }).populate("referrer", "name"),
+  ]);
+
+  const counts = { Pending: 0, Verified: 0, Completed: 0, Rejected: 0, Reversed: 0 };
+  let walletEarned = 0;
+  let couponsEarned = 0;
+
+  for (const referral of referrals) {
+    counts[referral.status] += 1;
+    if (referral.referrerReward?.status !== "Issued") continue;
+    if (referral.referrerReward.type === "wallet") {
+      walletEarned += referral.referrerReward.amount;
+    } else {
+      couponsEarned += 1;
+    }
+  }
+
+  return {
+    referralCode,
+    isEnabled: !!settings?.isEnabled,
+    rewards: settings?.isEnabled
+      ? {
+          referrer: settings.referrerReward,
+          referee: settings.refereeReward,
+          minFirstOrderAmount: settings.minFirstOrderAmount,
+        }
+      : null,
+    stats: {
+      invited: referrals.length,
+      // Rejected and reversed referrals show as pending to the customer
+      pending: counts.Pending + counts.Verified + counts.Rejected + counts.Reversed,
+      completed: counts.Completed,
+      walletEarned: roundMoney(walletEarned),
+      couponsEarned,
+    },
+    referrals: referrals.map((referral) => ({
+      name: referral.referee?.name,
+      status: referral.status === "Completed" ? "Completed" : "Pending",
+      joinedAt: referral.createdAt,
+      completedAt: referral.completedAt,
+      reward: referral.referrerReward?.status === "Issued" ? referral.referrerReward : null,
+    })),
+    referredBy: referredBy
+      ? { name: referredBy.referrer?.name, status: referredBy.status === "Completed" ? "Completed" : "Pending" }
+      : null,
+  };
+};
+
+/**
+ * Program-wide referral numbers for admins
+ * @param {Object} options
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.top] - Number of top referrers
+ * @returns {Promise<Object>}
+ */
+export const getReferralStats = async ({ from, to, top = 10 } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [byStatus, byRejection, rewards, topReferrers] = await Promise.all([
+    Referral.aggregate([
+      { $match: match },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: "Rejected" } },
+      { $group: { _id: "$rejectionReason", count: { $sum: 1 } } },
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: "Completed" } },
+      {
+        $project: {
+          rewards: [
+            { side: "referrer", reward: "$referrerReward" },
+            { side: "referee", reward: "$refereeReward" },
+          ],
+        },
+      },
+      { $unwind: "$rewards" },
+      { $match: { "rewards.reward.status": "Issued" } },
+      {
+        $group: {
+          _id: { side: "$rewards.side", type: "$rewards.reward.type" },
+          count: { $sum: 1 },
+          amount: { $sum: "$rewards.reward.amount" },
+        },
+      },
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: "Completed" } },
+      { $group: { _id: "$referrer", completed: { $sum: 1 } } },
+      { $sort: { completed: -1 } },
+      { $limit: top },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+          pipeline: [{ $project: { name: 1, email: 1, referralCode: 1 } }],
+        },
+      },
+      { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+    ]),
+  ]);
+
+  const statuses = Object.fromEntries(byStatus.map((entry) => [entry._id, entry.count]));
+  const total = byStatus.reduce((sum, entry) => sum + entry.count, 0);
+
+  return {
+    total,
+    pending: statuses.Pending || 0,
+    verified: statuses.Verified || 0,
+    completed: statuses.Completed || 0,
+    rejected: statuses.Rejected || 0,
+    reversed: statuses.Reversed || 0,
+    conversionRate: total ? roundMoney(((statuses.Completed || 0) / total) * 100) : 0,
+    rejectionReasons: Object.fromEntries(
+      byRejection.map((entry) => [entry._id || "unknown", entry.count])
+    ),
+    rewards: rewards.map((entry) => ({
+      side: entry._id.side,
+      type: entry._id.type,
+      count: entry.count,
+      amount: roundMoney(entry.amount),
+    })),
+    topReferrers: topReferrers.map((entry) => ({
+      userId: entry._id,
+      name: entry.user?.name,
+      email: entry.user?.email,
+      referralCode: entry.user?.referralCode,
+      completed: entry.completed,
+    })),
+  };
+};
+
+export default {
+  ensureReferralCode,
+  findReferrer,
+  attachReferral,
+  onUserVerified,
+  settleReferral,
+  reverseReferral,
+  getReferralSummary,
+  getReferralStats,
+};
@@ -0,0 +1,226 @@
+// scheduledOrder.service.js
+// ✅ Releases held (scheduled) orders to the kitchen when their lead time starts
+// Runs on an interval from server.js; admins can also trigger it manually.
+//
+// Scheduled orders also take a place in their capacity slot (one Counter per
+// slot, taken with a capped $inc so concurrent checkouts can't overbook it).
+// Failed and cancelled orders give the place back, and so do online payments
+// left unpaid past scheduledOrders.unpaidHoldMinutes; if such a payment
+// arrives later, the order takes its place again regardless of the limit.
+
+import Order from "../models/order.model.js";
+import Counter from "../models/counter.model.js";
+import PaymentMethod from "../models/paymentMethod.model.js";
+import {
+  buildKitchenQuery,
+  buildKitchenTicket,
+} from "../helpers/kitchen.helpers.js";
+import {
+  getSchedulingSettings,
+  getSlotKey,
+  getSlotRange,
+} from "../helpers/scheduledOrder.helpers.js";
+import { formatStoreTime } from "../helpers/storeHours.helpers.js";
+import {
+  KITCHEN_EVENTS,
+  emitKitchenEvent,
+  emitOrderReleased,
+} from "./orderEvents.service.js";
+
+// How often the release job runs
+const RELEASE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Release a single held order (idempotent)
+ * @param {string} orderId
+ * @param {Date} now
+ * @returns {Promise<Object|null>} Released order, or null if it wasn't held
+ */
+export const releaseScheduledOrder = async (orderId, now = new Date()) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, scheduleStatus: "Held" },
+    { $set: { scheduleStatus: "Released", releasedAt: now } },
+    { new: true }
+  );
+  if (!order) return null;
+
+  emitOrderReleased(order);
+
+  // Only tickets the kitchen can act on (paid, or COD) go to the display
+  const codMethod = await PaymentMethod.getByName("COD");
+  const kitchenOrder = await Order.findOne({
+    _id: order._id,
+    ...buildKitchenQuery(codMethod?._id),
+  }).populate("table", "number");
+
+  if (kitchenOrder) {
+    emitKitchenEvent(
+      KITCHEN_EVENTS.TICKET_UPDATED,
+      buildKitchenTicket(kitchenOrder, now),
+      { released: true }
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Release every held order whose release time has come
+ * @param {Date} now
+ * @returns {Promise<string[]>} Ids of released orders
+ */
+export const releaseDueOrders = async (now = new Date()) => {
+  const dueOrders = await Order.find({
+    scheduleStatus: "Held",
+    releaseAt: { $lte: now },
+    orderStatus: { $nin: ["Failed", "Cancelled"] },
+  }).select("_id");
+
+  const released = [];
+  for (const { _id } of dueOrders) {
+    const order = await releaseScheduledOrder(_id, now);
+    if (order) released.push(order._id.toString());
+  }
+
+  return released;
+};
+
+// ==================== SLOT CAPACITY ====================
+
+/**
+ * Take a place in the order's capacity slot
+ * Every scheduled order is counted, also while the slot has no limit, so
+ * setting one later starts from the right number.
+ * @param {Object} order - Order document
+ * @returns {Promise<ValidationResult>} data.reason "slot-full" when no place is left
+ */
+export const reserveOrderSlot = async (order) => {
+  if (!order.scheduledFor || order.slotKey) {
+    return { success: true };
+  }
+
+  const scheduling = await getSchedulingSettings();
+  const slot = getSlotRange(order.scheduledFor, scheduling.slotMinutes);
+  const slotKey = getSlotKey(slot, scheduling.slotMinutes);
+
+  const booked = await Counter.nextBelow(slotKey, scheduling.maxOrdersPerSlot);
+  if (booked === null) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `The ${formatStoreTime(slot.start)} slot is fully booked. Please choose another time`,
+      data: { reason: "slot-full", slotStart: slot.start, slotEnd: slot.end },
+    };
+  }
+
+  order.slotKey = slotKey;
+  order.holdsSlot = true;
+  await order.save();
+
+  return { success: true };
+};
+
+/**
+ * Give the order's place in its slot back (idempotent)
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} Whether a place was given back
+ */
+export const releaseOrderSlot = async (order) => {
+  const held = await Order.findOneAndUpdate(
+    { _id: order._id, holdsSlot: true },
+    { $set: { holdsSlot: false } }
+  ).select("slotKey");
+  if (!held) return false;
+
+  await Counter.release(held.slotKey);
+  return true;
+};
+
+/**
+ * Take the place back for an order confirmed after it was given up
+ * (paid after the unpaid hold ran out, or after a retried payment).
+ * The order is paid, so it is counted even if the slot filled up meanwhile.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} Whether a place was taken
+ */
+export const reclaimOrderSlot = async (order) => {
+  const lapsed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      slotKey: { $ne: null },
+      holdsSlot: false,
+      orderStatus: { $nin: ["Failed", "Cancelled"] },
+    },
+    { $set: { holdsSlot: true } }
+  ).select("slotKey");
+  if (!lapsed) return false;
+
+  await Counter.next(lapsed.slotKey);
+  return true;
+};
+
+/**
+ * Give back the places held by online payments left unpaid too long
+ * COD orders stay Pending until delivery, so they keep their place.
+ * @param {Date} now
+ * @returns {Promise<number>} Places given back
+ */
+export const releaseStaleSlots = async (now = new Date()) => {
+  const scheduling = await getSchedulingSettings();
+  const codMethod = await PaymentMethod.getByName("COD");
+
+  const staleOrders = await Order.find({
+    holdsSlot: true,
+    paymentStatus: "Pending",
+    ...(codMethod && { paymentMethod: { $ne: codMethod._id } }),
+    createdAt: { $lte: new Date(now.getTime() - scheduling.unpaidHoldMinutes * 60000) },
+  }).select("_id");
+
+  let released = 0;
+  for (const order of staleOrders) {
+    if (await releaseOrderSlot(order)) released++;
+  }
+
+  return released;
+};
+
+/**
+ * Start the periodic release job (also frees slots held by unpaid orders)
+ * @param {number} intervalMs
+ * @returns {NodeJS.Timeout}
+ */
+export const startScheduledOrderReleaser = (intervalMs = RELEASE_INTERVAL_MS) => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseDueOrders();
+      if (released.length) {
+        console.log(`Released ${released.length} scheduled order(s) to the kitchen`);
+      }
+    } catch (error) {
+      console.error("Error releasing scheduled orders:", error);
+    }
+
+    try {
+      const freed = await releaseStaleSlots();
+      if (freed) {
+        console.log(`Freed ${freed} slot place(s) held by unpaid scheduled orders`);
+      }
+    } catch (error) {
+      console.error("Error freeing unpaid scheduled order slots:", error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+export default {
+  releaseScheduledOrder,
+  releaseDueOrders,
+  reserveOrderSlot,
+  releaseOrderSlot,
+  reclaimOrderSlot,
+  releaseStaleSlots,
+  startScheduledOrderReleaser,
+};
@@ -1,6 +1,10 @@
 import Stripe from "stripe";
 import Order from "../models/order.model.js";
 import StripeConfig from "../models/stripeConfig.model.js";
+import { recordStatusChange, isAwaitingPayment } from "../helpers/orderStatus.helpers.js";
+import { describeSelectedOptions } from "../helpers/modifier.helpers.js";
+import { onOrderConfirmed, onOrderPaymentFailed } from "./orderLifecycle.service.js";
+import { activatePurchasedGiftCard } from "./giftCard.service.js";
 import "dotenv/config";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -32,7 +36,7 @@ class StripeService {
 
       // Validate order amount against config
       if (config) {
-        const amountValidation = await StripeConfig.validateOrderAmount(order.totalPrice);
+        const amountValidation = await StripeConfig.validateOrderAmount(order.getAmountDue());
         if (!amountValidation.success) {
           return amountValidation;
         }
@@ -42,21 +46,52 @@ class StripeService {
       const currency = config?.currency || "usd";
 
       // Build line items from products
-      const line_items = products.map((item) => ({
-        price_data: {
-          currency,
-          product_data: {
-            name: item.product.name,
-            images: item.product.images || [],
-            description: item.product.description?.substring(0, 500) || undefined,
+      // Charge the priced unit (discounts + options), append chosen options to the name
+      const line_items = products.map((item) => {
+        const optionsLabel = describeSelectedOptions(item.selectedOptions);
+        return {
+          price_data: {
+            currency,
+            product_data: {
+              name: optionsLabel
+                ? `${item.product.name} (${optionsLabel})`
+                : item.product.name,
+              images: item.product.images || [],
+              description: item.product.description?.substring(0, 500) || undefined,
+            },
+            unit_amount: Math.round((item.unitPrice ?? item.product.price) * 100),
           },
-          unit_amount: Math.round(item.product.price * 100),
-        },
-        quantity: item.quantity,
-      }));
+          quantity: item.quantity,
+        };
+      });
 
-      // Add delivery fee as separate line item if applicable
-      if (deliveryFee > 0) {
+      const itemsAmount = line_items.reduce(
+        (sum, item) => sum + item.price_data.unit_amount * item.quantity,
+        0
+      );
+      const amountDue = Math.round(order.getAmountDue() * 100);
+
+      // ✅ Split tender (gift cards / wallet paid part of it) or order-level
+      // discounts (promotions, coupon, points): the items no longer add up to
+      // what is owed - charge it as one line, Stripe has no negative line items
+      if (
+        order.tenders?.length ||
+        itemsAmount + Math.round((deliveryFee || 0) * 100) !== amountDue
+      ) {
+        line_items.splice(0, line_items.length, {
+          price_data: {
+            currency,
+            product_data: {
+              name: order.tenders?.length
+                ? `Order ${order.orderNumber} (balance after gift card / wallet)`
+                : `Order ${order.orderNumber} (after discounts)`,
+            },
+            unit_amount: amountDue,
+          },
+          quantity: 1,
+        });
+      } else if (deliveryFee > 0) {
+        // Add delivery fee as separate line item if applicable
         line_items.push({
           price_data: {
             currency,
@@ -87,6 +122,7 @@ class StripeService {
         cancel_url: cancelUrl,
         metadata: {
           orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
           userId: userId?.toString(),
           ...metadata,
         },
@@ -162,6 +198,77 @@ class StripeService {
     }
   }
 
+  /**
+   * Create Stripe Checkout Session for buying a gift card
+   * The card stays "Pending" until the webhook reports the session as paid.
+   * @param {Object} giftCard - Pending GiftCard document
+   * @param {Object} context - { userId, customerEmail }
+   */
+  async createGiftCardCheckoutSession(giftCard, { userId, customerEmail } = {}) {
+    try {
+      const config = await this.getConfig();
+      const currency = config?.currency || "usd";
+      const frontendUrl = this.getFrontendUrl();
+
+      const sessionOptions = {
+        mode: "payment",
+        line_items: [
+          {
+            price_data: {
+              currency,
+              product_data: {
+                name: "Gift Card",
+                description: giftCard.recipient?.name
+                  ? `For ${giftCard.recipient.name}`
+                  : undefined,
+              },
+              unit_amount: Math.round(giftCard.initialAmount * 100),
+            },
+            quantity: 1,
+          },
+        ],
+        success_url: `${frontendUrl}/gift-cards/success?session_id={CHECKOUT_SESSION_ID}&gift_card_id=${giftCard._id}`,
+        cancel_url: `${frontendUrl}/gift-cards/cancelled?session_id={CHECKOUT_SESSION_ID}&gift_card_id=${giftCard._id}`,
+        metadata: {
+          giftCardId: giftCard._id.toString(),
+          userId: userId?.toString(),
+          source: "gift_card",
+        },
+        payment_method_types: config
+          ? await StripeConfig.getStripePaymentMethodTypes()
+          : ["card"],
+      };
+
+      if (customerEmail) {
+        sessionOptions.customer_email = customerEmail;
+      }
+      if (config?.checkoutExpirationMinutes) {
+        sessionOptions.expires_at =
+          Math.floor(Date.now() / 1000) + config.checkoutExpirationMinutes * 60;
+      }
+
+      const session = await stripe.checkout.sessions.create(sessionOptions);
+
+      giftCard.stripeSessionID = session.id;
+      await giftCard.save();
+
+      return {
+        success: true,
+        provider: "stripe",
+        redirectUrl: session.url,
+        sessionId: session.id,
+        expiresAt: session.expires_at,
+        message: "Stripe checkout session created. Redirect to payment.",
+      };
+    } catch (error) {
+      console.error("StripeService.createGiftCardCheckoutSession Error:", error);
+      return {
+        success: false,
+        message: error.message,
+      };
+    }
+  }
+
   /**
    * Refund a Stripe payment
    * @param {Object} order - The order document
@@ -176,8 +283,8 @@ class StripeService {
       if (config) {
         const canRefund = await StripeConfig.canRefundOrder(
           order.createdAt,
-          amount || order.totalPrice,
-          order.totalPrice
+          amount || order.getAmountDue(),
+          order.getAmountDue()
         );
 
         if (!canRefund.success) {
@@ -208,8 +315,8 @@ class StripeService {
         };
       }
 
-      // Calculate refund amount
-      const refundAmount = amount || order.totalPrice;
+      // Calculate refund amount (gift card tenders are refunded separately)
+      const refundAmount = amount || order.getAmountDue();
 
       // Create refund
       const refund = await stripe.refunds.create({
@@ -219,7 +326,7 @@ class StripeService {
       });
 
       // Update order
-      const isPartialRefund = refundAmount < order.totalPrice;
+      const isPartialRefund = refundAmount < order.getAmountDue();
 
       order.paymentStatus = isPartialRefund ? "PartiallyRefunded" : "Refunded";
       order.refundDetails = {
@@ -439,8 +546,8 @@ class StripeService {
       if (config?.autoRefundOnCancellation) {
         const canRefund = await StripeConfig.canRefundOrder(
           order.createdAt,
-          order.totalPrice,
-          order.totalPrice
+          order.getAmountDue(),
+          order.getAmountDue()
         );
 
         if (canRefund.success) {
@@ -467,13 +574,26 @@ class StripeService {
           const session = event.data.object;
           const orderId = session.metadata?.orderId;
 
+          // Gift card purchase - no order involved
+          if (session.metadata?.giftCardId) {
+            if (session.payment_status === "paid") {
+              await activatePurchasedGiftCard(session.metadata.giftCardId, session.id);
+              console.log(`Gift card ${session.metadata.giftCardId} activated`);
+            }
+            break;
+          }
+
           if (orderId) {
             const order = await Order.findById(orderId);
-            if (order) {
+            if (order && isAwaitingPayment(order)) {
               order.paymentStatus = "Completed";
-              order.orderStatus = "Paid";
+              recordStatusChange(order, "Paid", {
+                source: "payment",
+                note: "Stripe checkout completed",
+              });
               order.stripePaymentIntentId = session.payment_intent;
               await order.save();
+              await onOrderConfirmed(order);
               console.log(`Order ${orderId} payment completed`);
             }
           }
@@ -486,10 +606,14 @@ class StripeService {
 
           if (orderId) {
             const order = await Order.findById(orderId);
-            if (order && order.paymentStatus === "Pending") {
+            if (order && isAwaitingPayment(order)) {
               order.paymentStatus = "Failed";
-              order.orderStatus = "Failed";
+              recordStatusChange(order, "Failed", {
+                source: "payment",
+                note: "Stripe checkout session expired",
+              });
               await order.save();
+              await onOrderPaymentFailed(order);
               console.log(`Order ${orderId} session expired`);
             }
           }
@@ -502,11 +626,15 @@ class StripeService {
 
           if (orderId) {
             const order = await Order.findById(orderId);
-            if (order) {
+            if (order && isAwaitingPayment(order)) {
               order.paymentStatus = "Failed";
-              order.orderStatus = "Failed";
+              recordStatusChange(order, "Failed", {
+                source: "payment",
+                note: paymentIntent.last_payment_error?.message,
+              });
               order.failureReason = paymentIntent.last_payment_error?.message;
               await order.save();
+              await onOrderPaymentFailed(order);
               console.log(`Order ${orderId} payment failed`);
             }
           }
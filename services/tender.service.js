@@ -0,0 +1,191 @@
+// tender.service.js
+// ✅ Split tender - giving stored-value payments (gift cards, wallet) back
+//
+// Each order tender records what was taken and how much of it went back
+// (refundedAmount). Tenders are claimed on the order before the balance is
+// credited, so retried webhooks and parallel hooks never credit twice.
+
+import Order from "../models/order.model.js";
+import { applyGiftCardChange } from "./giftCard.service.js";
+import { applyWalletChange } from "./wallet.service.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+
+// Ledger type used when a tender is charged again (payment retry)
+const CHARGE_TYPES = { GiftCard: "redeem", Wallet: "spend" };
+
+const getBuyerId = (order) => order.buyer?._id || order.buyer;
+
+/**
+ * Apply a signed change to whatever balance paid the tender
+ * @returns {Promise<Object|null>} Ledger entry, null if it couldn't be applied
+ */
+const applyTenderChange = (order, tender, amount, options) =>
+  tender.type === "Wallet"
+    ? applyWalletChange(getBuyerId(order), amount, { ...options, orderId: order._id })
+    : applyGiftCardChange(tender.giftCard, amount, {
+        ...options,
+        orderId: order._id,
+        requireActive: amount < 0,
+      });
+
+const describeTender = (tender) =>
+  tender.type === "Wallet" ? "wallet" : `gift card ${tender.code}`;
+
+/**
+ * How much of the order's stored-value payments can still be given back
+ * @param {Object} order
+ * @returns {number}
+ */
+export const getRefundableTenderAmount = (order) =>
+  roundMoney(
+    (order.tenders || []).reduce(
+      (sum, tender) => sum + tender.amount - (tender.refundedAmount || 0),
+      0
+    )
+  );
+
+/**
+ * Credit up to an amount back to the order's tenders, newest first
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} options
+ * @param {string} options.type - "refund" | "release"
+ * @param {string} options.note
+ * @returns {Promise<number>} Amount credited
+ */
+const creditTenders = async (order, amount, { type, note }) => {
+  let left = roundMoney(amount);
+  let credited = 0;
+
+  for (const tender of [...(order.tenders || [])].reverse()) {
+    if (left <= 0) break;
+
+    const refunded = tender.refundedAmount || 0;
+    const take = roundMoney(Math.min(left, tender.amount - refunded));
+    if (take <= 0) continue;
+
+    const claim = await Order.updateOne(
+      {
+        _id: order._id,
+        tenders: {
+          $elemMatch: { _id: tender._id, refundedAmount: refunded || { $in: [0, null] } },
+        },
+      },
+      { $set: { "tenders.$.refundedAmount": roundMoney(refunded + take) } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    tender.refundedAmount = roundMoney(refunded + take);
+
+    await applyTenderChange(order, tender, take, { type, note });
+
+    left = roundMoney(left - take);
+    credited = roundMoney(credited + take);
+  }
+
+  return credited;
+};
+
+/**
+ * Refund part of an order to the gift cards / wallet that paid for it
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {string} [reason]
+ * @returns {Promise<number>} Amount credited
+ */
+export const refundTenders = (order, amount, reason) =>
+  creditTenders(order, amount, {
+    type: "refund",
+    note: `Refund on order ${order.orderNumber}${reason ? ` (${reason})` : ""}`,
+  });
+
+/**
+ * Give back everything the order still holds on gift cards and the wallet
+ * Used when payment fails and when the order is cancelled or refunded.
+ * Safe to call more than once for the same order.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} Amount credited
+ */
+export const releaseTenders = async (order) => {
+  const outstanding = getRefundableTenderAmount(order);
+  if (outstanding <= 0) return 0;
+
+  const wasPaid = ["Completed", "Refunded", "PartiallyRefunded"].includes(
+    order.paymentStatus
+  );
+
+  return creditTenders(order, outstanding, {
+    type: wasPaid ? "refund" : "release",
+    note: `Returned from order ${order.orderNumber} (${
+      order.orderStatus === "Cancelled" ? "cancelled" : order.paymentStatus.toLowerCase()
+    })`,
+  });
+};
+
+/**
+ * Take the released tenders again when a failed order is retried
+ * The order keeps its tenders, so the balances must still cover them.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const reclaimTenders = async (order) => {
+  const reclaimed = [];
+
+  for (const tender of order.tenders || []) {
+    if (!tender.refundedAmount) continue;
+
+    const amount = tender.refundedAmount;
+    const claim = await Order.updateOne(
+      { _id: order._id, tenders: { $elemMatch: { _id: tender._id, refundedAmount: amount } } },
+      { $set: { "tenders.$.refundedAmount": 0 } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const entry = await applyTenderChange(order, tender, -amount, {
+      type: CHARGE_TYPES[tender.type],
+      note: `Paid towards order ${order.orderNumber} (payment retry)`,
+    });
+
+    if (!entry) {
+      await Order.updateOne(
+        { _id: order._id, "tenders._id": tender._id },
+        { $set: { "tenders.$.refundedAmount": amount } }
+      );
+
+      // Give back what this retry already took
+      for (const { tender: taken, amount: takenAmount } of reclaimed) {
+        await Order.updateOne(
+          { _id: order._id, "tenders._id": taken._id },
+          { $set: { "tenders.$.refundedAmount": takenAmount } }
+        );
+        taken.refundedAmount = takenAmount;
+        await applyTenderChange(order, taken, takenAmount, {
+          type: "release",
+          note: `Returned from order ${order.orderNumber} (payment retry failed)`,
+        });
+      }
+
+      return {
+        success: false,
+        statusCode: 400,
+        message: `The ${describeTender(tender)} no longer covers ${amount}`,
+      };
+    }
+
+    tender.refundedAmount = 0;
+    reclaimed.push({ tender, amount });
+  }
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: reclaimed.length ? "Stored-value payments taken again" : "No stored-value payments to reclaim",
+    data: null,
+  };
+};
+
+export default {
+  getRefundableTenderAmount,
+  refundTenders,
+  releaseTenders,
+  reclaimTenders,
+};
@@ -0,0 +1,181 @@
+// wallet.service.js
+// ✅ Customer wallet - store credit from refunds and goodwill, spent at checkout
+//
+// The user's walletBalance is the balance; every change is written to the
+// WalletTransaction ledger. What an order took from the wallet is kept on the
+// order's tenders (see tender.service.js for refunds and releases).
+
+import User from "../models/user.model.js";
+import WalletTransaction from "../models/walletTransaction.model.js";
+import { roundMoney } from "../helpers/money.helpers.js";
+
+const getBuyerId = (order) => order.buyer?._id || order.buyer;
+
+/**
+ * Apply a signed change to a user's wallet and write it to the ledger
+ * Debits never take the balance below zero.
+ * @param {string} userId
+ * @param {number} amount - Positive credits, negative debits
+ * @param {Object} options
+ * @param {string} options.type - Transaction type (see walletTransaction.model.js)
+ * @param {string} [options.orderId]
+ * @param {string} [options.note]
+ * @param {string} [options.createdBy] - Admin giving credit or correcting
+ * @returns {Promise<Object|null>} Ledger entry, null if the user is missing
+ *   or the balance is too low
+ */
+export const applyWalletChange = async (
+  userId,
+  amount,
+  { type, orderId = null, note, createdBy = null }
+) => {
+  const filter = { _id: userId };
+  if (amount < 0) {
+    filter.walletBalance = { $gte: -amount };
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { walletBalance: amount } },
+    { new: true }
+  ).select("walletBalance");
+
+  if (!user) return null;
+
+  return WalletTransaction.create({
+    user: userId,
+    type,
+    amount,
+    balanceAfter: roundMoney(user.walletBalance),
+    order: orderId,
+    note,
+    createdBy,
+  });
+};
+
+// ==================== ORDERS ====================
+
+/**
+ * Take an amount from the buyer's wallet and add it to the order's tenders
+ * @param {Object} order - Order document (saved here)
+ * @param {number} amount
+ * @returns {Promise<Object>} ValidationResult
+ */
+export const chargeWallet = async (order, amount) => {
+  const entry = await applyWalletChange(getBuyerId(order), -amount, {
+    type: "spend",
+    orderId: order._id,
+    note: `Paid towards order ${order.orderNumber}`,
+  });
+
+  if (!entry) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: "Your wallet balance no longer covers this amount",
+    };
+  }
+
+  order.tenders.push({ type: "Wallet", amount });
+  await order.save();
+
+  return {
+    success: true,
+    statusCode: 200,
+    message: `${amount} paid from wallet`,
+    data: entry,
+  };
+};
+
+/**
+ * Refund an order as store credit instead of through its payment method
+ * Returns the same shape as a payment strategy's processRefund().
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} options
+ * @param {string} [options.reason]
+ * @param {string} [options.createdBy] - Admin issuing the refund
+ * @returns {Promise<Object>}
+ */
+export const issueStoreCredit = async (order, amount, { reason, createdBy = null } = {}) => {
+  const buyerId = getBuyerId(order);
+  if (!buyerId) {
+    return {
+      success: false,
+      message: "Guest orders can't be refunded to a wallet",
+    };
+  }
+
+  const entry = await applyWalletChange(buyerId, amount, {
+    type: "refund",
+    orderId: order._id,
+    note: `Refund on order ${order.orderNumber}${reason ? ` (${reason})` : ""}`,
+    createdBy,
+  });
+
+  if (!entry) {
+    return {
+      success: false,
+      message: "Buyer not found",
+    };
+  }
+
+  return {
+    success: true,
+    provider: "wallet",
+    refundId: entry._id.toString(),
+    amount,
+    status: "completed",
+    message: "Refund credited to the customer's wallet",
+  };
+};
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Wallet balance
+ * @param {string} userId
+ * @returns {Promise<Object|null>} null if the user doesn't exist
+ */
+export const getWalletSummary = async (userId) => {
+  const user = await User.findById(userId).select("walletBalance");
+  if (!user) return null;
+
+  return {
+    balance: roundMoney(user.walletBalance),
+  };
+};
+
+/**
+ * A user's wallet ledger, newest first
+ * @param {string} userId
+ * @param {Object} options
+ * @returns {Promise<{transactions: Array, total: number}>}
+ */
+export const listWalletTransactions = async (
+  userId,
+  { page = 1, limit = 20, type } = {}
+) => {
+  const filter = { user: userId };
+  if (type) filter.type = type;
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(filter)
+      .populate("order", "orderNumber totalPrice")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments(filter),
+  ]);
+
+  return { transactions, total };
+};
+
+export default {
+  applyWalletChange,
+  chargeWallet,
+  issueStoreCredit,
+  getWalletSummary,
+  listWalletTransactions,
+};
@@ -1,21 +1,97 @@
 // utils/socket.js
+import { Server } from "socket.io";
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+
 let io;
 
+// Room every admin / superadmin socket joins
+export const STAFF_ROOM = "staff";
+
+/**
+ * Room a customer's sockets join (one per user, shared across tabs/devices)
+ * @param {string} userId
+ * @returns {string}
+ */
+export const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Parse a raw Cookie header into a key/value object
+ * @param {string} cookieHeader
+ * @returns {Object}
+ */
+const parseCookies = (cookieHeader = "") =>
+  cookieHeader.split(";").reduce((cookies, part) => {
+    const index = part.indexOf("=");
+    if (index === -1) return cookies;
+
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch {
+      cookies[key] = value;
+    }
+    return cookies;
+  }, {});
+
+/**
+ * Socket.IO auth middleware
+ * Uses the same accessToken cookie as jwtVerify (middleware/auth.middleware.js)
+ */
+const socketAuth = async (socket, next) => {
+  try {
+    const cookies = parseCookies(socket.handshake.headers?.cookie);
+    const token = cookies.accessToken;
+
+    if (!token) {
+      return next(new Error("Not Authorized"));
+    }
+
+    const decode = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET_KEY);
+    const user = await User.findById(decode?._id).select(
+      "-password -phoneNumber"
+    );
+
+    if (!user) {
+      return next(new Error("User doesn't exist"));
+    }
+
+    socket.data.user = {
+      _id: user._id.toString(),
+      role: user.role,
+    };
+    next();
+  } catch (error) {
+    console.log("Error in socket auth:", error.message);
+    next(new Error("Token verification failed"));
+  }
+};
+
 export const initSocket = (server) => {
-  const { Server } = require('socket.io');
   io = new Server(server, {
     cors: {
-      origin: process.env.CLIENT_URL || "http://localhost:3000",
+      origin: process.env.CLIENT_URL || "*",
       methods: ["GET", "POST"],
-      credentials: true
-    }
+      credentials: true,
+    },
   });
 
-  io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+  io.use(socketAuth);
+
+  io.on("connection", (socket) => {
+    const { _id, role } = socket.data.user;
+    const isStaff = ["admin", "superadmin"].includes(role?.toLowerCase());
+
+    socket.join(userRoom(_id));
+    if (isStaff) {
+      socket.join(STAFF_ROOM);
+    }
 
-    socket.on('disconnect', () => {
-      console.log('User disconnected:', socket.id);
+    console.log(`User connected: ${socket.id} (${isStaff ? "staff" : "customer"})`);
+
+    socket.on("disconnect", () => {
+      console.log("User disconnected:", socket.id);
     });
   });
 
@@ -23,6 +99,23 @@ export const initSocket = (server) => {
 };
 
 export const getIO = () => {
-  if (!io) throw new Error('Socket.io not initialized');
+  if (!io) throw new Error("Socket.io not initialized");
   return io;
-};
\ No newline at end of file
+};
+
+/**
+ * Emit an event to a set of rooms
+ * No-op when Socket.IO is not initialized (scripts, serverless cold paths)
+ * @param {string[]} rooms
+ * @param {string} event
+ * @param {Object} payload
+ */
+export const emitToRooms = (rooms, event, payload) => {
+  if (!io || !rooms.length) return;
+
+  try {
+    io.to(rooms).emit(event, payload);
+  } catch (error) {
+    console.error(`Error emitting socket event ${event}:`, error);
+  }
+};